@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Generation benchmark - compiled schemas vs json-schema-faker
+ *
+ * Runs the worker entry point in-process on the POST /benchmark test schema,
+ * once with the schema compiler off (jsf for every record) and once with it
+ * on, unseeded (jsf.resolve) and seeded (jsf.generate), and checks that the
+ * compiled records validate against the schema.
+ *
+ * Usage: npm run benchmark -- [--count 20000] [--iterations 3] [--seed 42]
+ */
+
+const generate = require('../src/workers/generator.worker');
+const { BENCHMARK_SCHEMA } = require('../src/services/generatorService');
+const schemaService = require('../src/services/schemaService');
+const { normalizeSeed } = require('../src/generation');
+
+/**
+ * Parse --name value pairs
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} { count, iterations, seed }
+ */
+function parseArgs(argv) {
+  const args = { count: 20000, iterations: 3, seed: 42 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in args) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown argument "${argv[i]}" (use --count, --iterations, --seed)`);
+    }
+    args[name] = name === 'seed' ? argv[i + 1] : Number(argv[i + 1]);
+  }
+  if (!Number.isInteger(args.count) || args.count < 1 || !Number.isInteger(args.iterations) || args.iterations < 1) {
+    throw new Error('--count and --iterations must be positive integers');
+  }
+  return args;
+}
+
+/**
+ * Time one generator configuration
+ * @param {Object} schema - Prepared schema (as sent to workers)
+ * @param {number} count - Records per iteration
+ * @param {number} iterations
+ * @param {Object} options - Worker options
+ * @returns {Promise<Object>} { recordsPerSecond, data } (data of the last iteration)
+ */
+async function measure(schema, count, iterations, options) {
+  // Warm-up: schema preparation / compilation and JIT are not measured
+  await generate({ schema, count: Math.min(count, 500), options });
+
+  let total = 0;
+  let data;
+  for (let i = 0; i < iterations; i++) {
+    const startTime = process.hrtime.bigint();
+    ({ data } = await generate({ schema, count, options }));
+    total += Number(process.hrtime.bigint() - startTime) / 1e6;
+  }
+  return { recordsPerSecond: Math.round((count * iterations / total) * 1000), data };
+}
+
+async function main() {
+  const { count, iterations, seed } = parseArgs(process.argv.slice(2));
+  const schema = schemaService.prepareSchema(BENCHMARK_SCHEMA);
+  const rows = [];
+  let invalid = 0;
+
+  console.log(`Benchmark: ${count} records x ${iterations} iterations (POST /benchmark test schema)\n`);
+
+  for (const [mode, jobSeed] of [['unseeded', null], ['seeded', normalizeSeed(seed)]]) {
+    const jsf = await measure(schema, count, iterations, { seed: jobSeed, compile: false });
+    const compiled = await measure(schema, count, iterations, { seed: jobSeed, compile: true });
+    invalid += compiled.data.filter(record => !schemaService.validateData(record, BENCHMARK_SCHEMA).valid).length;
+
+    rows.push({
+      mode,
+      'jsf (rec/s)': jsf.recordsPerSecond,
+      'compiled (rec/s)': compiled.recordsPerSecond,
+      speedup: `${(compiled.recordsPerSecond / jsf.recordsPerSecond).toFixed(2)}x`,
+    });
+  }
+
+  console.table(rows);
+  console.log(invalid === 0
+    ? 'All compiled records validate against the schema'
+    : `${invalid} compiled records do not validate against the schema`);
+  process.exitCode = invalid === 0 ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
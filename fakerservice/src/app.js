@@ -8,6 +8,7 @@ const config = require('./config');
 const { GeneratorPool } = require('./workers');
 const plugins = require('./plugins');
 const registerRoutes = require('./routes');
+const { asyncJobService } = require('./services');
 const { logger } = require('./utils');
 
 /**
@@ -50,6 +51,9 @@ async function buildApp(options = {}) {
   // Connect Redis for abort signals
   await generatorPool.connectRedis();
 
+  // Async job store (Redis when connected, local files otherwise)
+  await asyncJobService.init(generatorPool);
+
   // Decorate app with generatorPool for access in routes
   app.decorate('generatorPool', generatorPool);
 
@@ -71,6 +75,9 @@ async function buildApp(options = {}) {
 
   // Graceful shutdown hook
   app.addHook('onClose', async () => {
+    logger.info('Stopping async jobs...');
+    await asyncJobService.shutdown();
+
     logger.info('Shutting down worker pool...');
     await generatorPool.shutdown();
   });
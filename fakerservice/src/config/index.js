@@ -4,6 +4,7 @@
  */
 
 const os = require('os');
+const path = require('path');
 
 const config = {
   // Server
@@ -34,6 +35,7 @@ const config = {
     enabled: process.env.REDIS_ENABLED !== 'false',
     keyPrefix: 'faker:',
     abortKeyTTL: 3600, // 1 hour
+    stopPollInterval: 1000, // Fallback poll of stop keys while jobs run (ms)
   },
 
   // Generation defaults
@@ -46,6 +48,33 @@ const config = {
     streamBufferSize: 500, // Match old version
     workerThreshold: 300, // Lowered from 500 - use workers earlier
     workerChunkSize: 200, // Reduced from 250 for more parallelism
+    defaultInFlightChunks: 2, // Stream chunks generated ahead of the writer
+    maxInFlightChunks: 8,
+    maxRefDepth: 2, // Times a recursive $ref is inlined on one path
+    maxUniqueAttempts: 1000, // Duplicates in a row before a unique key counts as exhausted
+    compileSchemas: process.env.COMPILE_SCHEMAS !== 'false', // Strict-mode schemas to generator closures (generation/compiler.js)
+    defaultLocale: process.env.DEFAULT_LOCALE || 'en', // Faker locale when a request sets none
+  },
+
+  // Async jobs (POST /jobs)
+  jobs: {
+    storeDir: process.env.JOBS_DIR || path.join(process.cwd(), 'data', 'jobs'),
+    redisTTL: 60 * 60 * 24 * 7, // 7 days (Redis backend only)
+    persistInterval: 1000, // Min ms between progress writes
+    defaultChunkSize: 2000,
+  },
+
+  // Change-event streams (POST /generate-changes)
+  changes: {
+    maxBaseCount: 100000, // Records held in memory as the live dataset
+    defaultChunkSize: 500,
+    defaultInterval: '1s', // Mean time between events
+  },
+
+  // Schema inference (POST /infer-schema)
+  inference: {
+    maxDocuments: 100000, // Documents read per request
+    enumThreshold: 10, // Max distinct strings turned into an enum
   },
 
   // Logging
@@ -59,6 +88,9 @@ const config = {
 Object.freeze(config.server);
 Object.freeze(config.redis);
 Object.freeze(config.generation);
+Object.freeze(config.jobs);
+Object.freeze(config.changes);
+Object.freeze(config.inference);
 Object.freeze(config.logging);
 
 module.exports = config;
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Job not found error class
+ */
+
+const AppError = require('./AppError');
+
+class JobNotFoundError extends AppError {
+  /**
+   * @param {string} jobId - The unknown job ID
+   */
+  constructor(jobId) {
+    super(`Job ${jobId} not found`, 404, 'JOB_NOT_FOUND');
+    this.jobId = jobId;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      jobId: this.jobId,
+    };
+  }
+}
+
+module.exports = JobNotFoundError;
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Job state conflict error class
+ */
+
+const AppError = require('./AppError');
+
+class JobStateError extends AppError {
+  /**
+   * @param {string} jobId - The job ID
+   * @param {string} status - Current job status
+   * @param {string} message - Error message
+   */
+  constructor(jobId, status, message) {
+    super(message || `Job ${jobId} is ${status}`, 409, 'JOB_STATE_CONFLICT');
+    this.jobId = jobId;
+    this.status = status;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      jobId: this.jobId,
+      status: this.status,
+    };
+  }
+}
+
+module.exports = JobStateError;
@@ -7,6 +7,8 @@ const ValidationError = require('./ValidationError');
 const GenerationError = require('./GenerationError');
 const JobAbortedError = require('./JobAbortedError');
 const SecurityError = require('./SecurityError');
+const JobNotFoundError = require('./JobNotFoundError');
+const JobStateError = require('./JobStateError');
 
 module.exports = {
   AppError,
@@ -14,4 +16,6 @@ module.exports = {
   GenerationError,
   JobAbortedError,
   SecurityError,
+  JobNotFoundError,
+  JobStateError,
 };
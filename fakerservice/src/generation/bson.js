@@ -0,0 +1,216 @@
+/**
+ * @fileoverview MongoDB (BSON) types and Extended JSON output
+ *
+ * BSON-typed fields are declared with `x-bson-type` (MongoDB bsonType names)
+ * or with one of the BSON formats below. They are generated as strings so the
+ * records stay plain JSON between threads, and only become typed values when
+ * a record is serialized as MongoDB Extended JSON.
+ */
+
+const { EJSON, ObjectId, Long, Decimal128, Binary, Timestamp } = require('bson');
+
+// Canonical BSON type → format used for generation and validation
+const BSON_FORMATS = {
+  objectId: 'objectid',
+  date: 'bson-date',
+  decimal: 'decimal128',
+  long: 'int64',
+  binData: 'binary',
+  timestamp: 'timestamp',
+};
+
+// Accepted x-bson-type spellings (lowercased) → canonical BSON type
+const BSON_TYPE_ALIASES = {
+  objectid: 'objectId',
+  date: 'date',
+  decimal: 'decimal',
+  decimal128: 'decimal',
+  long: 'long',
+  int64: 'long',
+  bindata: 'binData',
+  binary: 'binData',
+  timestamp: 'timestamp',
+};
+
+const FORMAT_TO_BSON_TYPE = Object.fromEntries(
+  Object.entries(BSON_FORMATS).map(([type, format]) => [format, type])
+);
+
+const OUTPUT_FORMATS = ['json', 'ejson-canonical', 'ejson-relaxed'];
+
+/**
+ * Resolve the canonical BSON type of a schema node
+ * @param {Object} schema - Schema node
+ * @returns {string|null} Canonical BSON type or null for plain JSON fields
+ */
+function getBsonType(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+
+  const declared = schema['x-bson-type'];
+  if (typeof declared === 'string') {
+    return BSON_TYPE_ALIASES[declared.toLowerCase()] || null;
+  }
+  if (typeof schema.format === 'string') {
+    return FORMAT_TO_BSON_TYPE[schema.format] || null;
+  }
+  return null;
+}
+
+/**
+ * Rewrite BSON-typed nodes into string + format so jsf generates them (in-place)
+ * @param {Object} obj - Schema object
+ */
+function applyBsonTypes(obj) {
+  if (!obj || typeof obj !== 'object') return;
+
+  const bsonType = getBsonType(obj);
+  if (bsonType && (obj['x-bson-type'] || !obj.type)) {
+    obj.type = 'string';
+    obj.format = BSON_FORMATS[bsonType];
+  }
+
+  if (obj.properties) {
+    for (const key in obj.properties) {
+      applyBsonTypes(obj.properties[key]);
+    }
+  }
+  if (Array.isArray(obj.items)) {
+    obj.items.forEach(applyBsonTypes);
+  } else if (obj.items) {
+    applyBsonTypes(obj.items);
+  }
+  if (obj.additionalProperties && typeof obj.additionalProperties === 'object') {
+    applyBsonTypes(obj.additionalProperties);
+  }
+  for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+    if (Array.isArray(obj[keyword])) {
+      obj[keyword].forEach(applyBsonTypes);
+    }
+  }
+}
+
+/**
+ * Convert a generated leaf value to its BSON type
+ * Values that do not parse (e.g. after random mutations) are left untouched
+ */
+function toBsonValue(value, bsonType, relaxed) {
+  try {
+    switch (bsonType) {
+      case 'objectId':
+        return typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value)
+          ? new ObjectId(value)
+          : value;
+      case 'date': {
+        const date = new Date(value);
+        return typeof value === 'string' && !isNaN(date.getTime()) ? date : value;
+      }
+      case 'decimal':
+        return Decimal128.fromString(String(value));
+      case 'long': {
+        const long = Long.fromString(String(value));
+        if (long.toString() !== String(value)) return value;
+        // Relaxed EJSON would turn unsafe longs into lossy JSON numbers
+        if (relaxed && (long.greaterThan(Number.MAX_SAFE_INTEGER) || long.lessThan(Number.MIN_SAFE_INTEGER))) {
+          return { $numberLong: long.toString() };
+        }
+        return long;
+      }
+      case 'binData':
+        return typeof value === 'string' ? new Binary(Buffer.from(value, 'base64'), 0) : value;
+      case 'timestamp':
+        return new Timestamp(Long.fromString(String(value), true));
+      default:
+        return value;
+    }
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Schema of a property, looked up through composition branches too
+ * @param {Object} schema - Object schema
+ * @param {string} key - Property name
+ * @returns {Object|null}
+ */
+function propertySchema(schema, key) {
+  if (schema.properties && key in schema.properties) {
+    return schema.properties[key];
+  }
+  const branches = [...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || []), schema.then, schema.else];
+  for (const branch of branches) {
+    const found = branch && typeof branch === 'object' ? propertySchema(branch, key) : null;
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Replace BSON-typed values in a record, guided by its schema
+ */
+function toBsonValues(value, schema, relaxed) {
+  if (value === null || value === undefined || !schema || typeof schema !== 'object') {
+    return value;
+  }
+
+  // x-ref values are copied verbatim from the referenced collection's output
+  if (schema['x-ref']) {
+    return value;
+  }
+
+  const bsonType = getBsonType(schema);
+  if (bsonType) {
+    return toBsonValue(value, bsonType, relaxed);
+  }
+
+  // Nullable BSON fields: anyOf / oneOf of one BSON type and null
+  const branches = schema.anyOf || schema.oneOf;
+  if (Array.isArray(branches)) {
+    const typed = branches.filter(branch => getBsonType(branch));
+    if (typed.length === 1 && branches.every(branch => branch === typed[0] || branch?.type === 'null')) {
+      return toBsonValue(value, getBsonType(typed[0]), relaxed);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Array.isArray(schema.items)) {
+      return value.map((item, i) => toBsonValues(item, schema.items[i], relaxed));
+    }
+    return schema.items ? value.map(item => toBsonValues(item, schema.items, relaxed)) : value;
+  }
+
+  if (typeof value === 'object') {
+    const extra = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+    const converted = {};
+    for (const key of Object.keys(value)) {
+      converted[key] = toBsonValues(value[key], propertySchema(schema, key) || extra, relaxed);
+    }
+    return converted;
+  }
+
+  return value;
+}
+
+/**
+ * Serialize generated records for the requested output format
+ * @param {Array} records - Generated records
+ * @param {Object} schema - Prepared schema the records were generated from
+ * @param {string} outputFormat - One of OUTPUT_FORMATS
+ * @returns {Array} Records as plain JSON or Extended JSON objects
+ */
+function formatRecords(records, schema, outputFormat = 'json') {
+  if (outputFormat !== 'ejson-canonical' && outputFormat !== 'ejson-relaxed') {
+    return records;
+  }
+
+  const relaxed = outputFormat === 'ejson-relaxed';
+  return records.map(record => EJSON.serialize(toBsonValues(record, schema, relaxed), { relaxed }));
+}
+
+module.exports = {
+  BSON_FORMATS,
+  OUTPUT_FORMATS,
+  getBsonType,
+  applyBsonTypes,
+  formatRecords,
+};
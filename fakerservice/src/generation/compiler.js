@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Schema compiler - prepared schemas to generator closures
+ *
+ * jsf.resolve / jsf.generate clone and re-walk the whole schema for every
+ * record. Strict-mode schemas are compiled once into nested closures that
+ * build a record directly, following jsf's own rules (defaults first, every
+ * property generated, arrays filled to their cap, lorem strings fitted to
+ * min / maxLength, formats from the registered generators). Nodes using
+ * anything outside that subset (pattern, composition, uniqueItems, faker
+ * keywords...) are generated by jsf itself, node by node.
+ */
+
+const crypto = require('crypto');
+
+// jsf defaults for unbounded numbers (see json-schema-faker constants)
+const MIN_INTEGER = -1e8;
+const MAX_INTEGER = 1e8;
+
+// jsf lorem words (strings without format / pattern)
+const LIPSUM_WORDS = `Lorem ipsum dolor sit amet consectetur adipisicing elit sed do eiusmod tempor incididunt ut labore
+et dolore magna aliqua Ut enim ad minim veniam quis nostrud exercitation ullamco laboris nisi ut aliquip ex ea
+commodo consequat Duis aute irure dolor in reprehenderit in voluptate velit esse cillum dolore eu fugiat nulla
+pariatur Excepteur sint occaecat cupidatat non proident sunt in culpa qui officia deserunt mollit anim id est
+laborum`.split(/\W/);
+
+// Separators jsf pads short strings with
+const PADDING = [' ', '/', '_', '-', '+', '=', '@', '^'];
+
+// Keywords that never change what is generated here: annotations, and the
+// x- keywords applied to finished records (see generation/record.js)
+const IGNORED_KEYWORDS = new Set([
+  'title', 'description', '$comment', '$schema', '$defs', 'definitions', 'examples', 'readOnly', 'writeOnly', 'deprecated',
+  'x-ref', 'x-derive', 'x-distribution', 'x-weights', 'x-nullRate', 'x-locale', 'x-unique', 'x-tree',
+  'x-timestamp', 'x-bson-type',
+]);
+
+// Keywords compiled natively, by type (extra properties never survive strict mode)
+const NATIVE_KEYWORDS = {
+  object: ['type', 'properties', 'required', 'additionalProperties'],
+  array: ['type', 'items', 'minItems', 'maxItems'],
+  string: ['type', 'minLength', 'maxLength', 'format'],
+  integer: ['type', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'],
+  number: ['type', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'],
+  boolean: ['type'],
+  null: ['type'],
+};
+
+const hashCache = new WeakMap();
+
+/**
+ * Hash of a schema, the cache key of prepared / compiled schemas
+ * Memoized per schema object, so a schema is serialized once per process
+ * @param {Object} schema - Schema (as sent to workers)
+ * @returns {string} SHA-1 of the serialized schema
+ */
+function hashSchema(schema) {
+  let hash = hashCache.get(schema);
+  if (!hash) {
+    hash = crypto.createHash('sha1').update(JSON.stringify(schema)).digest('hex');
+    hashCache.set(schema, hash);
+  }
+  return hash;
+}
+
+/**
+ * @param {Function} random - Random source
+ * @param {number} min
+ * @param {number} max
+ * @returns {number} Integer in [min, max]
+ */
+function randomInt(random, min, max) {
+  return Math.floor(random() * (max - min + 1)) + min;
+}
+
+/**
+ * @param {*} value - default / const / enum value
+ * @returns {Function} () => value (a copy for objects, records are mutated later)
+ */
+function constant(value) {
+  return value !== null && typeof value === 'object'
+    ? () => structuredClone(value)
+    : () => value;
+}
+
+/**
+ * @param {Object} node - String schema node
+ * @param {Object} options - jsf options of the job
+ * @returns {Object} { min, max } length (options + schema, a schema minLength wins over the option cap)
+ */
+function lengthBounds(node, options) {
+  return {
+    min: Math.max(options.minLength || 0, node.minLength ?? 0),
+    max: Math.max(Math.min(options.maxLength || Infinity, node.maxLength ?? Infinity), node.minLength ?? 0),
+  };
+}
+
+/**
+ * Fit a string to its length bounds like jsf does (pad with itself, cut)
+ * @param {string} value
+ * @param {number} min
+ * @param {number} max
+ * @param {Function} random - Random source
+ * @returns {string}
+ */
+function fitString(value, min, max, random) {
+  while (value.length < min) {
+    value += `${PADDING[Math.floor(random() * PADDING.length)]}${value}`;
+  }
+  return value.length > max ? value.slice(0, max) : value;
+}
+
+/**
+ * @param {Object} node - String schema node
+ * @param {Object} context - { jsf, options }
+ * @returns {Function|null} (random) => string
+ */
+function compileString(node, context) {
+  const { min, max } = lengthBounds(node, context.options);
+  if (min > max) return null;
+
+  if (node.format !== undefined) {
+    const format = context.jsf.format(node.format);
+    if (typeof format !== 'function') return null;
+    return random => fitString(String(format(node)), min, max, random);
+  }
+
+  // Lorem words: a cut-off length in [min, max], filled with 1 - 5 word groups
+  const cap = Number.isFinite(max) ? max : 140;
+  return (random) => {
+    const length = randomInt(random, min, cap);
+    let value = '';
+    do {
+      const count = randomInt(random, 1, 5);
+      const words = [];
+      for (let i = 0; i < count; i++) {
+        words.push(LIPSUM_WORDS[Math.floor(random() * LIPSUM_WORDS.length)]);
+      }
+      value += words.join(' ');
+    } while (value.length < min);
+    return fitString(value.length > length ? value.slice(0, length) : value, min, max, random);
+  };
+}
+
+/**
+ * @param {Object} node - Integer / number schema node
+ * @returns {Function|null} (random) => number
+ */
+function compileNumber(node) {
+  const integer = node.type === 'integer';
+  const step = node.multipleOf;
+  // Fractional steps are left to jsf (and repair)
+  if (step !== undefined && !(Number.isInteger(step) && step > 0)) return null;
+
+  let min = typeof node.minimum === 'number' ? node.minimum : MIN_INTEGER;
+  let max = typeof node.maximum === 'number' ? node.maximum : MAX_INTEGER;
+  if (typeof node.exclusiveMinimum === 'number') min = Math.max(min, node.exclusiveMinimum);
+  if (typeof node.exclusiveMaximum === 'number') max = Math.min(max, node.exclusiveMaximum);
+  const openMin = node.exclusiveMinimum === true || (typeof node.exclusiveMinimum === 'number' && min === node.exclusiveMinimum);
+  const openMax = node.exclusiveMaximum === true || (typeof node.exclusiveMaximum === 'number' && max === node.exclusiveMaximum);
+
+  if (integer || step) {
+    const unit = step || 1;
+    let low = Math.ceil(min / unit);
+    let high = Math.floor(max / unit);
+    if (openMin && low * unit === min) low++;
+    if (openMax && high * unit === max) high--;
+    if (low > high) return null;
+    return random => randomInt(random, low, high) * unit;
+  }
+
+  if (min > max || (min === max && (openMin || openMax))) return null;
+  return (random) => {
+    const value = min + random() * (max - min);
+    return (openMin && value === min) || (openMax && value === max) ? (min + max) / 2 : value;
+  };
+}
+
+/**
+ * @param {Object} node - Array schema node
+ * @param {Object} context - { jsf, options }
+ * @returns {Function|null} (random) => array
+ */
+function compileArray(node, context) {
+  if (!node.items || Array.isArray(node.items)) return null;
+  const item = compileNode(node.items, context);
+
+  // Strict jsf options (alwaysFakeOptionals): arrays are filled to their cap
+  const cap = context.options.maxItems;
+  const max = node.maxItems === undefined ? cap : Math.min(cap, node.maxItems);
+  const length = Math.max(max, node.minItems > cap ? max : node.minItems || 0);
+
+  return (random) => {
+    const items = new Array(length);
+    for (let i = 0; i < length; i++) {
+      items[i] = item(random);
+    }
+    return items;
+  };
+}
+
+/**
+ * @param {Object} node - Object schema node
+ * @param {Object} context - { jsf, options }
+ * @returns {Function|null} (random) => object
+ */
+function compileObject(node, context) {
+  // Free-form objects get random properties from jsf
+  if (!node.properties) return null;
+  const fields = Object.entries(node.properties).map(([key, child]) => [key, compileNode(child, context)]);
+
+  return (random) => {
+    const record = {};
+    for (const [key, generate] of fields) {
+      record[key] = generate(random);
+    }
+    return record;
+  };
+}
+
+/**
+ * Compile a schema node (jsf fallback when it is outside the native subset)
+ * @param {Object} node - Schema node
+ * @param {Object} context - { jsf, options }
+ * @returns {Function} (random) => value
+ */
+function compileNode(node, context) {
+  return compileNative(node, context) || (() => context.jsf.generate(node));
+}
+
+/**
+ * @param {Object} node - Schema node
+ * @param {Object} context - { jsf, options }
+ * @returns {Function|null} Native generator, null when jsf must generate the node
+ */
+function compileNative(node, context) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) return null;
+
+  // jsf precedence: default, const, pattern, enum, then the type
+  if ('default' in node) return constant(node.default);
+  if ('const' in node) return constant(node.const);
+  if (node.pattern !== undefined) return null;
+  if (Array.isArray(node.enum)) {
+    if (node.enum.length === 0 || ['integer', 'number'].includes(node.type)) return null;
+    const values = node.enum.map(constant);
+    const pick = random => values[Math.floor(random() * values.length)]();
+    if (node.type !== 'string') return pick;
+    const { min, max } = lengthBounds(node, context.options);
+    return random => fitString(String(pick(random)), min, max, random);
+  }
+
+  const keywords = NATIVE_KEYWORDS[node.type];
+  if (!keywords || Object.keys(node).some(key => !keywords.includes(key) && !IGNORED_KEYWORDS.has(key))) {
+    return null;
+  }
+
+  switch (node.type) {
+    case 'object': return compileObject(node, context);
+    case 'array': return compileArray(node, context);
+    case 'string': return compileString(node, context);
+    case 'integer':
+    case 'number': return compileNumber(node);
+    case 'boolean': return random => random() > 0.5;
+    default: return () => null;
+  }
+}
+
+/**
+ * Compile a prepared strict-mode schema into a record generator
+ * Draws come from the `random` argument, formats and fallback nodes from the
+ * faker / jsf instances (all seeded per block when the job is seeded)
+ * @param {Object} schema - Prepared schema (objects closed)
+ * @param {Object} options
+ * @param {Object} options.jsf - json-schema-faker instance (formats registered)
+ * @param {Object} options.options - jsf options of the job (minLength, maxLength, maxItems)
+ * @returns {Function|null} (random) => record, null when jsf generates the whole record anyway
+ */
+function compileSchema(schema, { jsf, options }) {
+  return compileNative(schema, { jsf, options });
+}
+
+module.exports = {
+  hashSchema,
+  compileSchema,
+};
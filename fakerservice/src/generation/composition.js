@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Composition keywords (allOf, oneOf / anyOf, if / then / else,
+ * dependentSchemas / dependentRequired)
+ *
+ * json-schema-faker merges composition branches on its own, but strict mode
+ * then cleans and closes records against `properties` only, and cannot weight
+ * variants. Schemas using composition are therefore resolved per record into
+ * a plain schema first: allOf branches merged, one oneOf / anyOf branch picked
+ * (weighted by `x-weights`), one side of every conditional chosen, the
+ * dependencies of the properties generated applied. Strict mode
+ * cleans against that resolved schema and retries records that do not
+ * validate against the source schema (overlapping oneOf variants, an `else`
+ * side that happened to satisfy `if`...).
+ */
+
+const { createAjv } = require('./formats');
+const { WEIGHTS_KEYWORD, pickWeighted, allowNullRates } = require('./distributions');
+
+// Keywords resolved per record (`dependencies`: draft-07 form of the last two)
+const COMPOSITION_KEYWORDS = ['allOf', 'oneOf', 'anyOf', 'if', 'dependentSchemas', 'dependentRequired', 'dependencies'];
+
+// Keywords of a branch that may clash with the node it is merged into
+const BRANCH_KEYWORDS = ['oneOf', 'anyOf', WEIGHTS_KEYWORD, 'if', 'then', 'else'];
+
+const MIN_KEYWORDS = ['minimum', 'exclusiveMinimum', 'minLength', 'minItems', 'minProperties'];
+const MAX_KEYWORDS = ['maximum', 'exclusiveMaximum', 'maxLength', 'maxItems', 'maxProperties'];
+
+// Records regenerated before giving up on a valid one
+const MAX_ATTEMPTS = 10;
+
+// Validator of generated records: no defaults, no coercion
+const ajv = createAjv({ allErrors: false, strict: false, validateFormats: true });
+
+const compositionCache = new WeakMap();
+const planCache = new WeakMap();
+
+/**
+ * Whether a schema node uses composition anywhere (memoized per node)
+ * @param {*} node - Schema node
+ * @returns {boolean}
+ */
+function hasComposition(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (compositionCache.has(node)) return compositionCache.get(node);
+
+  let found;
+  if (Array.isArray(node)) {
+    found = node.some(hasComposition);
+  } else {
+    found = COMPOSITION_KEYWORDS.some(keyword => node[keyword] && typeof node[keyword] === 'object')
+      || ['properties', 'patternProperties'].some(keyword =>
+        Object.values(node[keyword] || {}).some(hasComposition))
+      || ['items', 'prefixItems', 'additionalProperties'].some(keyword => hasComposition(node[keyword]));
+  }
+
+  compositionCache.set(node, found);
+  return found;
+}
+
+/**
+ * Intersect two type declarations (an integer is a number)
+ * @param {string|Array} left - type keyword
+ * @param {string|Array} right - type keyword
+ * @returns {string|Array} Common type(s), right when there are none
+ */
+function intersectTypes(left, right) {
+  const rightTypes = Array.isArray(right) ? right : [right];
+  const common = (Array.isArray(left) ? left : [left]).flatMap(type => {
+    if (rightTypes.includes(type)) return [type];
+    if (type === 'number' && rightTypes.includes('integer')) return ['integer'];
+    if (type === 'integer' && rightTypes.includes('number')) return ['integer'];
+    return [];
+  });
+  if (common.length === 0) return right;
+  return common.length === 1 ? common[0] : [...new Set(common)];
+}
+
+/**
+ * Merge a schema into another (both must hold)
+ * @param {Object} target - Schema node
+ * @param {*} source - Schema merged in (true / non-objects are no-ops)
+ * @returns {Object} New node
+ */
+function mergeSchemas(target, source) {
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return target;
+  }
+
+  // Composition the target still has to resolve stays on it, the source's joins allOf
+  let branch = source;
+  const clashes = ['oneOf', 'anyOf', 'if'].some(keyword => target[keyword] && source[keyword]);
+  if (clashes) {
+    const deferred = {};
+    branch = { ...source };
+    for (const keyword of BRANCH_KEYWORDS) {
+      if (keyword in branch) {
+        deferred[keyword] = branch[keyword];
+        delete branch[keyword];
+      }
+    }
+    branch.allOf = [...(branch.allOf || []), deferred];
+  }
+
+  const merged = { ...target, ...branch };
+
+  for (const keyword of ['properties', 'patternProperties']) {
+    if (target[keyword] && branch[keyword]) {
+      merged[keyword] = { ...target[keyword] };
+      for (const [key, schema] of Object.entries(branch[keyword])) {
+        merged[keyword][key] = key in target[keyword]
+          ? mergeSchemas(target[keyword][key], schema)
+          : schema;
+      }
+    }
+  }
+
+  if (Array.isArray(target.required) && Array.isArray(branch.required)) {
+    merged.required = [...new Set([...target.required, ...branch.required])];
+  }
+  if (Array.isArray(target.allOf) && Array.isArray(branch.allOf)) {
+    merged.allOf = [...target.allOf, ...branch.allOf];
+  }
+  if (isSchemaObject(target.dependentSchemas) && isSchemaObject(branch.dependentSchemas)) {
+    merged.dependentSchemas = { ...target.dependentSchemas };
+    for (const [key, schema] of Object.entries(branch.dependentSchemas)) {
+      merged.dependentSchemas[key] = key in target.dependentSchemas
+        ? mergeSchemas(target.dependentSchemas[key], schema)
+        : schema;
+    }
+  }
+  if (isSchemaObject(target.dependentRequired) && isSchemaObject(branch.dependentRequired)) {
+    merged.dependentRequired = { ...target.dependentRequired };
+    for (const [key, names] of Object.entries(branch.dependentRequired)) {
+      merged.dependentRequired[key] = [...new Set([...(target.dependentRequired[key] || []), ...names])];
+    }
+  }
+
+  for (const keyword of MIN_KEYWORDS) {
+    if (typeof target[keyword] === 'number' && typeof branch[keyword] === 'number') {
+      merged[keyword] = Math.max(target[keyword], branch[keyword]);
+    }
+  }
+  for (const keyword of MAX_KEYWORDS) {
+    if (typeof target[keyword] === 'number' && typeof branch[keyword] === 'number') {
+      merged[keyword] = Math.min(target[keyword], branch[keyword]);
+    }
+  }
+
+  if (target.type !== undefined && branch.type !== undefined) {
+    merged.type = intersectTypes(target.type, branch.type);
+  }
+  if (Array.isArray(target.enum) && Array.isArray(branch.enum)) {
+    const allowed = new Set(branch.enum.map(value => JSON.stringify(value)));
+    const common = target.enum.filter(value => allowed.has(JSON.stringify(value)));
+    merged.enum = common.length > 0 ? common : branch.enum;
+  }
+  if (merged.const !== undefined) {
+    delete merged.enum;
+  }
+
+  // Single items schema and additionalProperties: both apply
+  if (isSchemaObject(target.items) && isSchemaObject(branch.items)) {
+    merged.items = mergeSchemas(target.items, branch.items);
+  }
+  if (target.additionalProperties === false || branch.additionalProperties === false) {
+    merged.additionalProperties = false;
+  } else if (isSchemaObject(target.additionalProperties) && isSchemaObject(branch.additionalProperties)) {
+    merged.additionalProperties = mergeSchemas(target.additionalProperties, branch.additionalProperties);
+  }
+
+  return merged;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a (non-tuple) schema object
+ */
+function isSchemaObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Split draft-07 `dependencies` into dependentSchemas / dependentRequired
+ * @param {Object} schema - Schema node (modified)
+ */
+function splitDependencies(schema) {
+  const { dependencies } = schema;
+  delete schema.dependencies;
+  if (!isSchemaObject(dependencies)) return;
+
+  const dependentSchemas = {};
+  const dependentRequired = {};
+  for (const [key, dependency] of Object.entries(dependencies)) {
+    if (Array.isArray(dependency)) {
+      dependentRequired[key] = dependency;
+    } else {
+      dependentSchemas[key] = dependency;
+    }
+  }
+  Object.assign(schema, mergeSchemas(schema, { dependentSchemas, dependentRequired }));
+}
+
+/**
+ * Apply the dependencies of the properties the record gets (strict and
+ * random mode generate every declared property), one step at a time
+ * @param {Object} schema - Schema node without allOf / oneOf / anyOf / if
+ * @returns {Object|null} Node with that dependency merged, null when none applies
+ */
+function applyDependency(schema) {
+  const present = new Set([...Object.keys(schema.properties || {}), ...(schema.required || [])]);
+
+  if (isSchemaObject(schema.dependentRequired)) {
+    const required = new Set(schema.required || []);
+    for (const [key, names] of Object.entries(schema.dependentRequired)) {
+      if (present.has(key) && Array.isArray(names)) names.forEach(name => required.add(name));
+    }
+    if (required.size > new Set(schema.required || []).size) {
+      return { ...schema, required: [...required] };
+    }
+  }
+
+  if (isSchemaObject(schema.dependentSchemas)) {
+    const key = Object.keys(schema.dependentSchemas).find(name => present.has(name));
+    if (key !== undefined) {
+      const { [key]: dependent, ...pending } = schema.dependentSchemas;
+      return mergeSchemas({ ...schema, dependentSchemas: pending }, dependent);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve the composition of one node for one record
+ * @param {*} node - Schema node
+ * @param {Object} context - { random, maxItems }
+ * @returns {*} Node without composition keywords (the node itself when it has none)
+ */
+function resolveNode(node, context) {
+  if (!isSchemaObject(node) || !hasComposition(node)) {
+    return node;
+  }
+
+  let schema = { ...node };
+  for (;;) {
+    if (Array.isArray(schema.allOf)) {
+      const { allOf } = schema;
+      delete schema.allOf;
+      schema = allOf.reduce(mergeSchemas, schema);
+      continue;
+    }
+
+    const list = ['oneOf', 'anyOf'].find(keyword => Array.isArray(schema[keyword]));
+    if (list) {
+      const branches = schema[list];
+      const weights = schema[WEIGHTS_KEYWORD];
+      delete schema[list];
+      delete schema[WEIGHTS_KEYWORD];
+      if (branches.length > 0) {
+        schema = mergeSchemas(schema, pickWeighted(branches, weights, context.random));
+      }
+      continue;
+    }
+
+    if (isSchemaObject(schema.if)) {
+      const { if: condition, then: consequent, else: alternative } = schema;
+      delete schema.if;
+      delete schema.then;
+      delete schema.else;
+      // then: make the condition hold; else: the record is checked afterwards
+      schema = context.random() < 0.5
+        ? mergeSchemas(mergeSchemas(schema, condition), consequent)
+        : mergeSchemas(schema, alternative);
+      continue;
+    }
+
+    if (schema.dependencies) {
+      splitDependencies(schema);
+    }
+    const dependent = applyDependency(schema);
+    if (dependent) {
+      schema = dependent;
+      continue;
+    }
+
+    break;
+  }
+  delete schema.then;
+  delete schema.else;
+  delete schema.dependentSchemas;
+  delete schema.dependentRequired;
+
+  for (const keyword of ['properties', 'patternProperties']) {
+    if (!isSchemaObject(schema[keyword])) continue;
+    schema[keyword] = Object.fromEntries(
+      Object.entries(schema[keyword]).map(([key, child]) => [key, resolveNode(child, context)])
+    );
+  }
+  if (isSchemaObject(schema.additionalProperties)) {
+    schema.additionalProperties = resolveNode(schema.additionalProperties, context);
+  }
+  if (Array.isArray(schema.items)) {
+    schema.items = schema.items.map(child => resolveNode(child, context));
+  } else if (isSchemaObject(schema.items) && hasComposition(schema.items)) {
+    schema = expandItems(schema, context);
+  }
+
+  return schema;
+}
+
+/**
+ * Arrays of composed items: each item resolves on its own, so the array
+ * becomes a tuple of a length picked like json-schema-faker would
+ * @param {Object} schema - Array schema
+ * @param {Object} context - { random, maxItems }
+ * @returns {Object} Array schema with tuple items
+ */
+function expandItems(schema, context) {
+  const min = schema.minItems || 0;
+  const max = Math.max(min, Math.min(schema.maxItems ?? context.maxItems, context.maxItems));
+  const length = min + Math.floor(context.random() * (max - min + 1));
+
+  return {
+    ...schema,
+    items: Array.from({ length }, () => resolveNode(schema.items, context)),
+    minItems: length,
+    maxItems: length,
+    additionalItems: false,
+  };
+}
+
+/**
+ * Composition plan of a prepared schema
+ * @param {Object} schema - Prepared schema (what records are generated from)
+ * @param {Object} [source] - Schema records must validate against (defaults to schema)
+ * @returns {Object|null} { resolve(random, maxItems), validate(record) }, null without composition
+ */
+function getCompositionPlan(schema, source = schema) {
+  if (!hasComposition(schema)) return null;
+
+  let plan = planCache.get(schema);
+  if (plan) return plan;
+
+  let validator;
+  plan = {
+    resolve: (random, maxItems) => resolveNode(schema, { random, maxItems }),
+    validate(record) {
+      if (validator === undefined) {
+        try {
+          validator = ajv.compile(allowNullRates(source));
+        } catch {
+          validator = null; // Not compilable here: records are not checked
+        }
+      }
+      return validator === null || validator(record);
+    },
+  };
+
+  planCache.set(schema, plan);
+  return plan;
+}
+
+/**
+ * Generate one record of a composed schema
+ * @param {Object} plan - Plan from getCompositionPlan
+ * @param {Function} produce - (resolvedSchema) => record, synchronous
+ * @param {Object} options
+ * @param {Function} options.random - Random source (seeded when the job is seeded)
+ * @param {boolean} options.strict - Retry records that do not validate
+ * @param {number} options.maxItems - Array length cap of the generator
+ * @returns {*} Record (the last attempt when none validated)
+ */
+function generateComposed(plan, produce, { random, strict, maxItems }) {
+  let record;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    record = produce(plan.resolve(random, maxItems));
+    if (!strict || plan.validate(record)) break;
+  }
+  return record;
+}
+
+module.exports = {
+  getCompositionPlan,
+  generateComposed,
+};
@@ -0,0 +1,724 @@
+/**
+ * @fileoverview Derived fields (x-derive keyword)
+ *
+ * `{ "x-derive": "lower(firstName + '.' + lastName) + '@example.com'" }`
+ * replaces a generated value with an expression over the rest of the record.
+ * Expressions use a small sandboxed language (no eval, no prototype access):
+ * literals, field names, `.` / `[]` access, arithmetic, comparisons, `&&` `||`
+ * `??` `!`, `a ? b : c`, array literals and the whitelisted functions below,
+ * some taking a one-parameter lambda (`sum(items, i => i.price * i.qty)`).
+ *
+ * Names resolve to fields of the object holding the derived field; `parent`
+ * is the enclosing object (arrays skipped) and `root` the record. Derived
+ * fields are evaluated in dependency order, cycles are rejected up front.
+ */
+
+const { LRUCache } = require('lru-cache');
+
+const DERIVE_KEYWORD = 'x-derive';
+
+// Longest accepted expression
+const MAX_EXPRESSION_LENGTH = 2000;
+
+// Longest string padStart / replace build (nested calls would grow it exponentially)
+const MAX_STRING_LENGTH = 10000;
+
+// Binary operators by precedence (higher binds tighter)
+const PRECEDENCE = {
+  '??': 1,
+  '||': 2,
+  '&&': 3,
+  '==': 4, '!=': 4, '===': 4, '!==': 4,
+  '<': 5, '<=': 5, '>': 5, '>=': 5,
+  '+': 6, '-': 6,
+  '*': 7, '/': 7, '%': 7,
+};
+
+const LITERALS = { true: true, false: false, null: null };
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(=>|===|!==|==|!=|<=|>=|&&|\|\||\?\?|[-+*/%<>!?:.,()[\]]))/y;
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const astCache = new LRUCache({ max: 500 });
+const planCache = new WeakMap();
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a plain (non-array) object
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Shift a date keeping its representation (date-only strings stay date-only)
+ * @param {*} value - Date string
+ * @param {number} amount - Milliseconds to add
+ * @returns {string|null}
+ */
+function shiftDate(value, amount) {
+  const time = Date.parse(value);
+  if (value === null || value === undefined || isNaN(time)) return null;
+  const iso = new Date(time + amount).toISOString();
+  return DATE_ONLY.test(value) ? iso.split('T')[0] : iso;
+}
+
+/**
+ * Join strings, stopping at MAX_STRING_LENGTH
+ * @param {Array<string>} parts
+ * @param {string} separator
+ * @returns {string}
+ */
+function joinClamped(parts, separator) {
+  let result = parts[0];
+  for (let i = 1; i < parts.length && result.length < MAX_STRING_LENGTH; i++) {
+    result += separator + parts[i];
+  }
+  return result.slice(0, MAX_STRING_LENGTH);
+}
+
+/**
+ * @param {*} array - Candidate array
+ * @param {Function} [fn] - Optional lambda applied to each item
+ * @returns {Array|null} Mapped items, null when not an array
+ */
+function mapItems(array, fn) {
+  if (!Array.isArray(array)) return null;
+  return typeof fn === 'function' ? array.map(item => fn(item)) : array;
+}
+
+// Whitelisted functions (called with `this` = evaluation context)
+const FUNCTIONS = {
+  lower: value => (value === null || value === undefined ? value : String(value).toLowerCase()),
+  upper: value => (value === null || value === undefined ? value : String(value).toUpperCase()),
+  trim: value => (value === null || value === undefined ? value : String(value).trim()),
+  slug(value, separator = '-') {
+    if (value === null || value === undefined) return value;
+    const escaped = String(separator).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/đ/g, 'd')
+      .replace(/Đ/g, 'D')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, separator)
+      .replace(new RegExp(`^(${escaped})+|(${escaped})+$`, 'g'), '');
+  },
+  concat: (...values) => values.map(value => value ?? '').join(''),
+  join: (array, separator = ',') => (Array.isArray(array) ? array.join(separator) : null),
+  substr: (value, start, length) => (value === null || value === undefined
+    ? value
+    : String(value).substr(start, length)),
+  replace: (value, search, replacement) => (value === null || value === undefined
+    ? value
+    : joinClamped(String(value).slice(0, MAX_STRING_LENGTH).split(String(search)), String(replacement))),
+  padStart: (value, length, fill = ' ') => String(value ?? '').padStart(Math.min(length, MAX_STRING_LENGTH), fill),
+  len: value => (typeof value === 'string' || Array.isArray(value) ? value.length : 0),
+  string: value => (value === null || value === undefined ? value : String(value)),
+  number: value => (value === null || value === undefined ? value : Number(value)),
+  round(value, digits = 0) {
+    const factor = 10 ** digits;
+    return Math.round(Number(value) * factor) / factor;
+  },
+  floor: value => Math.floor(value),
+  ceil: value => Math.ceil(value),
+  abs: value => Math.abs(value),
+  min: (...values) => Math.min(...values.flat()),
+  max: (...values) => Math.max(...values.flat()),
+  coalesce: (...values) => values.find(value => value !== null && value !== undefined) ?? null,
+  sum(array, fn) {
+    const values = mapItems(array, fn);
+    return values ? values.reduce((total, value) => total + Number(value ?? 0), 0) : null;
+  },
+  avg(array, fn) {
+    const values = mapItems(array, fn);
+    return values && values.length > 0 ? FUNCTIONS.sum(values) / values.length : null;
+  },
+  count(array, fn) {
+    if (!Array.isArray(array)) return 0;
+    return typeof fn === 'function' ? array.filter(item => fn(item)).length : array.length;
+  },
+  map: (array, fn) => mapItems(array, fn),
+  filter: (array, fn) => (Array.isArray(array) && typeof fn === 'function' ? array.filter(item => fn(item)) : null),
+  first: array => (Array.isArray(array) ? array[0] ?? null : null),
+  last: array => (Array.isArray(array) ? array[array.length - 1] ?? null : null),
+  randomInt(min, max) {
+    return Math.floor(min + this.random() * (Math.floor(max) - Math.ceil(min) + 1));
+  },
+  pick(array) {
+    return Array.isArray(array) && array.length > 0 ? array[Math.floor(this.random() * array.length)] : null;
+  },
+  now() {
+    return new Date(this.refDate).toISOString();
+  },
+  addDays: (value, days) => shiftDate(value, days * DAY),
+  addHours: (value, hours) => shiftDate(value, hours * 60 * 60 * 1000),
+  addMinutes: (value, minutes) => shiftDate(value, minutes * 60 * 1000),
+  daysBetween(from, to) {
+    const difference = Date.parse(to) - Date.parse(from);
+    return isNaN(difference) ? null : Math.round(difference / DAY);
+  },
+};
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression
+ * @returns {Array<{type: string, value: *, index: number}>}
+ * @throws {Error} On unexpected characters
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const index = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      if (source.slice(index).trim() === '') break;
+      const position = index + source.slice(index).search(/\S/);
+      throw new Error(`unexpected "${source[position]}" at ${position}`);
+    }
+
+    const [, number, string, name, punctuation] = match;
+    const start = TOKEN_PATTERN.lastIndex - (number ?? string ?? name ?? punctuation).length;
+    if (number !== undefined) {
+      tokens.push({ type: 'number', value: Number(number), index: start });
+    } else if (string !== undefined) {
+      const value = string.slice(1, -1).replace(/\\(.)/g, (_, char) => ESCAPES[char] ?? char);
+      tokens.push({ type: 'string', value, index: start });
+    } else if (name !== undefined) {
+      tokens.push({ type: 'name', value: name, index: start });
+    } else {
+      tokens.push({ type: 'punctuation', value: punctuation, index: start });
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, index: source.length });
+  return tokens;
+}
+
+/**
+ * Parse an expression into an AST (Pratt parser)
+ * @param {string} source - Expression
+ * @returns {Object} AST
+ * @throws {Error} On syntax errors and unknown functions
+ */
+function parse(source) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new Error('expression must be a non-empty string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`expression longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isPunctuation = (value, offset = 0) => peek(offset).type === 'punctuation' && peek(offset).value === value;
+  const fail = (token) => {
+    throw new Error(token.type === 'end'
+      ? 'unexpected end of expression'
+      : `unexpected "${token.value}" at ${token.index}`);
+  };
+  const expect = (value) => {
+    if (!isPunctuation(value)) fail(peek());
+    position++;
+  };
+
+  function parseExpression() {
+    const test = parseBinary(0);
+    if (!isPunctuation('?')) return test;
+    position++;
+    const consequent = parseExpression();
+    expect(':');
+    return { type: 'conditional', test, consequent, alternative: parseExpression() };
+  }
+
+  function parseBinary(minPrecedence) {
+    let left = parseUnary();
+    for (;;) {
+      const token = peek();
+      const precedence = token.type === 'punctuation' ? PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence <= minPrecedence) return left;
+      position++;
+      left = { type: 'binary', operator: token.value, left, right: parseBinary(precedence) };
+    }
+  }
+
+  function parseUnary() {
+    if (isPunctuation('!') || isPunctuation('-')) {
+      const operator = peek().value;
+      position++;
+      return { type: 'unary', operator, argument: parseUnary() };
+    }
+    return parsePostfix(parsePrimary());
+  }
+
+  function parsePostfix(node) {
+    for (;;) {
+      if (isPunctuation('.')) {
+        position++;
+        const token = peek();
+        if (token.type !== 'name') fail(token);
+        position++;
+        node = { type: 'member', object: node, property: token.value, computed: false };
+      } else if (isPunctuation('[')) {
+        position++;
+        const property = parseExpression();
+        expect(']');
+        node = { type: 'member', object: node, property, computed: true };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function parseArgument() {
+    if (peek().type === 'name' && isPunctuation('=>', 1)) {
+      const param = peek().value;
+      position += 2;
+      return { type: 'lambda', param, body: parseExpression() };
+    }
+    return parseExpression();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    position++;
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'name': {
+        if (Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+          return { type: 'literal', value: LITERALS[token.value] };
+        }
+        if (!isPunctuation('(')) {
+          return { type: 'name', name: token.value };
+        }
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new Error(`unknown function "${token.value}"`);
+        }
+        position++;
+        const args = [];
+        while (!isPunctuation(')')) {
+          args.push(parseArgument());
+          if (!isPunctuation(')')) expect(',');
+        }
+        position++;
+        return { type: 'call', callee: token.value, args };
+      }
+      case 'punctuation':
+        if (token.value === '(') {
+          const node = parseExpression();
+          expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          const elements = [];
+          while (!isPunctuation(']')) {
+            elements.push(parseExpression());
+            if (!isPunctuation(']')) expect(',');
+          }
+          position++;
+          return { type: 'array', elements };
+        }
+        return fail(token);
+      default:
+        return fail(token);
+    }
+  }
+
+  const ast = parseExpression();
+  if (peek().type !== 'end') fail(peek());
+  return ast;
+}
+
+/**
+ * Parse an expression (cached by source)
+ * @param {string} source - Expression
+ * @returns {Object} AST
+ */
+function compileExpression(source) {
+  let ast = astCache.get(source);
+  if (!ast) {
+    ast = parse(source);
+    astCache.set(source, ast);
+  }
+  return ast;
+}
+
+/**
+ * Read a property without reaching prototypes
+ * @param {*} object - Object, array or string
+ * @param {*} key - Property
+ * @returns {*} Value or undefined
+ */
+function getMember(object, key) {
+  if (object === null || object === undefined) return undefined;
+  if ((typeof object === 'string' || Array.isArray(object)) && key === 'length') {
+    return object.length;
+  }
+  if (typeof object !== 'object' && typeof object !== 'string') return undefined;
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+/**
+ * Evaluate an AST
+ * @param {Object} node - AST node
+ * @param {Object} scope - { self, parent, root, params, random, refDate }
+ * @returns {*}
+ */
+function evaluate(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'name':
+      if (Object.prototype.hasOwnProperty.call(scope.params, node.name)) return scope.params[node.name];
+      if (node.name === 'parent') return scope.parent;
+      if (node.name === 'root') return scope.root;
+      return getMember(scope.self, node.name);
+    case 'member':
+      return getMember(
+        evaluate(node.object, scope),
+        node.computed ? evaluate(node.property, scope) : node.property
+      );
+    case 'array':
+      return node.elements.map(element => evaluate(element, scope));
+    case 'unary': {
+      const value = evaluate(node.argument, scope);
+      return node.operator === '!' ? !value : -value;
+    }
+    case 'conditional':
+      return evaluate(node.test, scope)
+        ? evaluate(node.consequent, scope)
+        : evaluate(node.alternative, scope);
+    case 'binary':
+      return evaluateBinary(node, scope);
+    case 'lambda':
+      return item => evaluate(node.body, { ...scope, params: { ...scope.params, [node.param]: item } });
+    case 'call':
+      return FUNCTIONS[node.callee].apply(scope, node.args.map(arg => evaluate(arg, scope)));
+    default:
+      throw new Error(`unsupported node "${node.type}"`);
+  }
+}
+
+/**
+ * Evaluate a binary operation (logical operators short-circuit)
+ * @param {Object} node - Binary AST node
+ * @param {Object} scope - Evaluation scope
+ * @returns {*}
+ */
+function evaluateBinary(node, scope) {
+  const left = evaluate(node.left, scope);
+  switch (node.operator) {
+    case '&&': return left && evaluate(node.right, scope);
+    case '||': return left || evaluate(node.right, scope);
+    case '??': return left ?? evaluate(node.right, scope);
+    default:
+  }
+
+  const right = evaluate(node.right, scope);
+  switch (node.operator) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return left / right;
+    case '%': return left % right;
+    case '==':
+    case '===': return left === right;
+    case '!=':
+    case '!==': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default:
+      throw new Error(`unsupported operator "${node.operator}"`);
+  }
+}
+
+/**
+ * Path of the object enclosing the object at a path (arrays skipped)
+ * @param {Array<string>} path - Object path ("[]" for array items)
+ * @returns {Array<string>}
+ */
+function parentPath(path) {
+  const parent = [...path];
+  while (parent[parent.length - 1] === '[]') parent.pop();
+  parent.pop();
+  return parent;
+}
+
+/**
+ * Absolute path an expression node statically refers to
+ * @param {Object} node - AST node
+ * @param {Object} scope - { container, params }
+ * @returns {Array<string>|null}
+ */
+function referencePath(node, scope) {
+  if (node.type === 'name') {
+    if (Object.prototype.hasOwnProperty.call(scope.params, node.name)) return scope.params[node.name];
+    if (node.name === 'root') return [];
+    if (node.name === 'parent') return parentPath(scope.container);
+    return [...scope.container, node.name];
+  }
+  if (node.type === 'member') {
+    const base = referencePath(node.object, scope);
+    if (!base) return null;
+    return node.computed ? [...base, '[]'] : [...base, node.property];
+  }
+  return null;
+}
+
+/**
+ * Collect the absolute paths an expression reads
+ * @param {Object} node - AST node
+ * @param {Object} scope - { container, params }
+ * @param {Array<Array<string>>} found - Accumulator
+ * @returns {Array<Array<string>>}
+ */
+function collectPaths(node, scope, found = []) {
+  switch (node.type) {
+    case 'name':
+    case 'member': {
+      const path = referencePath(node, scope);
+      if (path) found.push(path);
+      // Computed keys read fields too
+      for (let member = node; member.type === 'member'; member = member.object) {
+        if (member.computed) collectPaths(member.property, scope, found);
+      }
+      break;
+    }
+    case 'call': {
+      // Lambda parameters stand for the items of the first argument
+      const items = node.args.length > 0 ? referencePath(node.args[0], scope) : null;
+      for (const arg of node.args) {
+        if (arg.type === 'lambda') {
+          const params = { ...scope.params, [arg.param]: items ? [...items, '[]'] : null };
+          collectPaths(arg.body, { ...scope, params }, found);
+        } else {
+          collectPaths(arg, scope, found);
+        }
+      }
+      break;
+    }
+    case 'array':
+      node.elements.forEach(element => collectPaths(element, scope, found));
+      break;
+    case 'unary':
+      collectPaths(node.argument, scope, found);
+      break;
+    case 'binary':
+      collectPaths(node.left, scope, found);
+      collectPaths(node.right, scope, found);
+      break;
+    case 'conditional':
+      collectPaths(node.test, scope, found);
+      collectPaths(node.consequent, scope, found);
+      collectPaths(node.alternative, scope, found);
+      break;
+    default:
+  }
+  return found;
+}
+
+/**
+ * @param {Array<string>} path - Path segments
+ * @returns {string} Display form ("items[].total")
+ */
+function displayPath(path) {
+  return path.reduce((text, segment) => {
+    if (segment === '[]') return `${text}[]`;
+    return text ? `${text}.${segment}` : segment;
+  }, '');
+}
+
+/**
+ * @returns {boolean} Whether one path contains the other
+ */
+function overlaps(left, right) {
+  const length = Math.min(left.length, right.length);
+  for (let i = 0; i < length; i++) {
+    if (left[i] !== right[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Collect the derived fields of a schema
+ * @param {Object} schema - Schema node
+ * @param {Array<string>} container - Path of the objects the node describes
+ * @param {Array<Object>} found - Accumulator
+ * @returns {Array<{container: Array<string>, key: string, expression: string}>}
+ */
+function collectDerived(schema, container = [], found = []) {
+  if (!isPlainObject(schema)) return found;
+
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    if (child && typeof child === 'object' && DERIVE_KEYWORD in child) {
+      found.push({ container, key, expression: child[DERIVE_KEYWORD] });
+    }
+    collectDerived(child, [...container, key], found);
+  }
+  if (isPlainObject(schema.items)) {
+    collectDerived(schema.items, [...container, '[]'], found);
+  }
+  for (const branch of [...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || []), schema.then, schema.else]) {
+    collectDerived(branch, container, found);
+  }
+  return found;
+}
+
+/**
+ * Derivation plan of a schema: derived fields in evaluation order
+ * @param {Object} schema - Schema (raw or prepared)
+ * @returns {Array<Object>|null} Ordered fields, null without x-derive
+ * @throws {Error} On syntax errors, unknown functions and dependency cycles
+ */
+function getDerivationPlan(schema) {
+  if (!isPlainObject(schema)) return null;
+  if (planCache.has(schema)) return planCache.get(schema);
+
+  const fields = collectDerived(schema).map(field => {
+    const path = [...field.container, field.key];
+    let ast;
+    try {
+      ast = compileExpression(field.expression);
+    } catch (error) {
+      throw new Error(`${DERIVE_KEYWORD} of "${displayPath(path)}": ${error.message}`);
+    }
+    return { ...field, path, ast, reads: collectPaths(ast, { container: field.container, params: {} }) };
+  });
+
+  let plan = null;
+  if (fields.length > 0) {
+    // Depth-first topological order, reporting the first cycle found
+    plan = [];
+    const state = new Map();
+    const visit = (field, trail) => {
+      if (state.get(field) === 'done') return;
+      if (state.get(field) === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(field)), field].map(entry => displayPath(entry.path));
+        throw new Error(`${DERIVE_KEYWORD} dependency cycle: ${cycle.join(' -> ')}`);
+      }
+      state.set(field, 'visiting');
+      for (const other of fields) {
+        if (other !== field && field.reads.some(path => overlaps(path, other.path))) {
+          visit(other, [...trail, field]);
+        }
+      }
+      state.set(field, 'done');
+      plan.push(field);
+    };
+    fields.forEach(field => visit(field, []));
+  }
+
+  planCache.set(schema, plan);
+  return plan;
+}
+
+/**
+ * Check the x-derive expressions of a schema
+ * @param {Object} schema - JSON Schema
+ * @returns {string|null} Error message, null when valid
+ */
+function checkDerivations(schema) {
+  try {
+    getDerivationPlan(schema);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Objects holding a derived field, with their enclosing objects
+ * @param {Object} record - Generated record
+ * @param {Array<string>} container - Path of the objects
+ * @returns {Array<Array<Object>>} Object chains from the record down
+ */
+function findContainers(record, container) {
+  let chains = isPlainObject(record) ? [[record]] : [];
+  let values = [record];
+
+  for (const segment of container) {
+    const nextChains = [];
+    const nextValues = [];
+    values.forEach((value, i) => {
+      if (segment === '[]') {
+        if (!Array.isArray(value)) return;
+        for (const item of value) {
+          if (isPlainObject(item)) {
+            nextChains.push([...chains[i], item]);
+            nextValues.push(item);
+          }
+        }
+      } else if (isPlainObject(value)) {
+        const child = value[segment];
+        if (isPlainObject(child)) {
+          nextChains.push([...chains[i], child]);
+          nextValues.push(child);
+        } else if (Array.isArray(child)) {
+          nextChains.push(chains[i]);
+          nextValues.push(child);
+        }
+      }
+    });
+    chains = nextChains;
+    values = nextValues;
+  }
+
+  return chains.filter((_, i) => isPlainObject(values[i]));
+}
+
+/**
+ * Evaluate the derived fields of a generated record (in-place)
+ * @param {*} record - Generated record
+ * @param {Object} schema - Schema of the record
+ * @param {Object} context
+ * @param {Function} context.random - Random source (seeded when the job is seeded)
+ * @param {Date|string} context.refDate - Value of now()
+ * @returns {*} Record with derived fields set
+ */
+function applyDerivations(record, schema, context) {
+  const plan = getDerivationPlan(schema);
+  if (!plan) return record;
+
+  for (const field of plan) {
+    for (const chain of findContainers(record, field.container)) {
+      const scope = {
+        self: chain[chain.length - 1],
+        parent: chain[chain.length - 2],
+        root: chain[0],
+        params: {},
+        random: context.random,
+        refDate: context.refDate,
+      };
+      let value;
+      try {
+        value = evaluate(field.ast, scope);
+      } catch (error) {
+        throw new Error(`${DERIVE_KEYWORD} of "${displayPath(field.path)}" failed: ${error.message}`);
+      }
+      scope.self[field.key] = value === undefined || (typeof value === 'number' && !Number.isFinite(value))
+        ? null
+        : value;
+    }
+  }
+  return record;
+}
+
+module.exports = {
+  DERIVE_KEYWORD,
+  getDerivationPlan,
+  checkDerivations,
+  applyDerivations,
+};
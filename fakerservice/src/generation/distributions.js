@@ -0,0 +1,411 @@
+/**
+ * @fileoverview Value distributions (x-distribution, weighted enums, x-nullRate)
+ *
+ * json-schema-faker draws every number uniformly and every enum value evenly.
+ * Records are generated as usual and then reshaped, guided by the schema:
+ * numbers and dates with `x-distribution` are resampled (normal, zipf or
+ * exponential), enums with `x-weights` are picked by weight and fields with
+ * `x-nullRate` become null at that rate. Draws use the record's random source
+ * so seeded jobs stay reproducible.
+ */
+
+const { LRUCache } = require('lru-cache');
+const { mapSubschemas } = require('../utils');
+const { getBsonType, BSON_FORMATS } = require('./bson');
+
+// Branch weights of a oneOf / anyOf (see composition.js), value weights of an enum
+const WEIGHTS_KEYWORD = 'x-weights';
+
+const DISTRIBUTION_KEYWORD = 'x-distribution';
+const NULL_RATE_KEYWORD = 'x-nullRate';
+
+const DISTRIBUTION_TYPES = ['normal', 'zipf', 'exponential'];
+
+// Ranks of a zipf distribution (its CDF is kept in memory)
+const MAX_ZIPF_RANKS = 1000000;
+
+// Out-of-bounds samples drawn again before keeping the uniform value
+const MAX_SAMPLES = 10;
+
+// Date distributions are expressed in days
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_DEFAULTS = { stdDev: 30, mean: 30, n: 365 };
+
+const DATE_FORMATS = ['date', 'date-time', BSON_FORMATS.date];
+
+// Shape of x-distribution (cross-keyword checks are in checkDistribution)
+const DISTRIBUTION_META_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { enum: DISTRIBUTION_TYPES },
+    mean: { type: ['number', 'string'] },
+    stdDev: { type: 'number', exclusiveMinimum: 0 },
+    rate: { type: 'number', exclusiveMinimum: 0 },
+    s: { type: 'number', exclusiveMinimum: 0 },
+    n: { type: 'integer', minimum: 1, maximum: MAX_ZIPF_RANKS },
+    origin: { type: 'string' },
+  },
+};
+
+const distributionCache = new WeakMap();
+const zipfCache = new LRUCache({ max: 20 });
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a (non-tuple) schema object
+ */
+function isSchemaObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a schema node reshapes values anywhere (memoized per node)
+ * @param {*} node - Schema node
+ * @returns {boolean}
+ */
+function hasDistributions(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (distributionCache.has(node)) return distributionCache.get(node);
+
+  let found;
+  if (Array.isArray(node)) {
+    found = node.some(hasDistributions);
+  } else {
+    found = isSchemaObject(node[DISTRIBUTION_KEYWORD])
+      || typeof node[NULL_RATE_KEYWORD] === 'number'
+      || (Array.isArray(node.enum) && Array.isArray(node[WEIGHTS_KEYWORD]))
+      || Object.entries(node).some(([key, child]) =>
+        !['enum', 'const', 'default', 'examples'].includes(key) && hasDistributions(child));
+  }
+
+  distributionCache.set(node, found);
+  return found;
+}
+
+/**
+ * Pick a branch (or an enum value) by weight
+ * @param {Array} branches - Candidate branches
+ * @param {Array<number>} [weights] - Weight per branch (missing entries count as 1)
+ * @param {Function} random - Random source
+ * @returns {*} Picked branch
+ */
+function pickWeighted(branches, weights, random) {
+  const values = branches.map((_, i) => {
+    const weight = Array.isArray(weights) ? weights[i] : undefined;
+    return typeof weight === 'number' && weight >= 0 ? weight : 1;
+  });
+  const total = values.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    return branches[Math.floor(random() * branches.length)];
+  }
+
+  let roll = random() * total;
+  for (let i = 0; i < branches.length; i++) {
+    roll -= values[i];
+    if (roll < 0) return branches[i];
+  }
+  return branches[branches.length - 1];
+}
+
+/**
+ * Kind of value a schema node generates
+ * @param {Object} schema - Schema node (raw or prepared)
+ * @returns {'date'|'number'|null}
+ */
+function valueKind(schema) {
+  const bsonType = getBsonType(schema);
+  if (bsonType === 'date' || DATE_FORMATS.includes(schema.format)) return 'date';
+  if (bsonType === 'long' || bsonType === 'decimal') return 'number';
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.includes('number') || types.includes('integer') ? 'number' : null;
+}
+
+/**
+ * Check an x-distribution against the node it is declared on
+ * @param {Object} distribution - x-distribution value (shape already validated)
+ * @param {Object} schema - Schema node
+ * @returns {string|null} Error message, null when usable
+ */
+function checkDistribution(distribution, schema) {
+  const kind = valueKind(schema);
+  if (!kind) {
+    return `${DISTRIBUTION_KEYWORD} applies to numbers and dates only`;
+  }
+
+  if (kind === 'date') {
+    const dateKeys = distribution.type === 'normal' ? ['mean', 'origin'] : ['origin'];
+    for (const key of dateKeys) {
+      const value = distribution[key];
+      if (value !== undefined && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+        return `${DISTRIBUTION_KEYWORD}.${key} must be a date`;
+      }
+    }
+    if (typeof distribution.mean === 'string' && distribution.type !== 'normal') {
+      return `${DISTRIBUTION_KEYWORD}.mean of a ${distribution.type} date is a number of days`;
+    }
+    return null;
+  }
+
+  if (typeof distribution.mean === 'string' || distribution.origin !== undefined) {
+    return `${DISTRIBUTION_KEYWORD}: mean must be a number and origin only applies to dates`;
+  }
+  if (distribution.type === 'zipf' && distribution.n === undefined) {
+    const ranks = Math.floor(schema.maximum) - Math.ceil(schema.minimum ?? 1) + 1;
+    if (!Number.isFinite(ranks) || ranks < 1 || ranks > MAX_ZIPF_RANKS) {
+      return `zipf ${DISTRIBUTION_KEYWORD} needs n or a maximum (at most ${MAX_ZIPF_RANKS} ranks)`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {Function} random - Random source
+ * @returns {number}
+ */
+function standardNormal(random) {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Exponential draw
+ * @param {number} rate - Rate (1 / mean)
+ * @param {Function} random - Random source
+ * @returns {number}
+ */
+function exponential(rate, random) {
+  return -Math.log(1 - random()) / rate;
+}
+
+/**
+ * Zipf rank in [1, n], rank k weighted 1 / k^s (CDF cached per n and s)
+ * @param {number} n - Number of ranks
+ * @param {number} s - Exponent
+ * @param {Function} random - Random source
+ * @returns {number}
+ */
+function zipfRank(n, s, random) {
+  const key = `${n}:${s}`;
+  let cdf = zipfCache.get(key);
+  if (!cdf) {
+    cdf = new Float64Array(n);
+    let total = 0;
+    for (let k = 1; k <= n; k++) {
+      total += 1 / Math.pow(k, s);
+      cdf[k - 1] = total;
+    }
+    zipfCache.set(key, cdf);
+  }
+
+  const roll = random() * cdf[n - 1];
+  let low = 0;
+  let high = n - 1;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (cdf[middle] > roll) high = middle;
+    else low = middle + 1;
+  }
+  return low + 1;
+}
+
+/**
+ * Whether a number satisfies the bounds of its schema
+ * @param {number} value - Candidate
+ * @param {Object} schema - Number schema
+ * @returns {boolean}
+ */
+function inBounds(value, schema) {
+  return Number.isFinite(value)
+    && !(typeof schema.minimum === 'number' && value < schema.minimum)
+    && !(typeof schema.maximum === 'number' && value > schema.maximum)
+    && !(typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum)
+    && !(typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum);
+}
+
+/**
+ * Draw a number
+ * @param {Object} distribution - x-distribution
+ * @param {Object} schema - Number schema
+ * @param {Function} random - Random source
+ * @returns {number}
+ */
+function sampleNumber(distribution, schema, random) {
+  const low = schema.minimum ?? schema.exclusiveMinimum;
+  const high = schema.maximum ?? schema.exclusiveMaximum;
+  const bounded = typeof low === 'number' && typeof high === 'number';
+
+  switch (distribution.type) {
+    case 'normal': {
+      const mean = distribution.mean ?? (bounded ? (low + high) / 2 : low ?? high ?? 0);
+      const stdDev = distribution.stdDev ?? (bounded ? (high - low) / 6 : 1);
+      return mean + stdDev * standardNormal(random);
+    }
+    case 'exponential': {
+      // mean: average distance above the minimum
+      const rate = distribution.rate ?? 1 / (distribution.mean ?? (bounded ? (high - low) / 4 : 1));
+      return (low ?? 0) + exponential(rate, random);
+    }
+    case 'zipf': {
+      // Rank 1 is the minimum, the most frequent value
+      const first = Math.ceil(low ?? 1);
+      const n = distribution.n ?? Math.floor(high) - first + 1;
+      return first + zipfRank(n, distribution.s ?? 1, random) - 1;
+    }
+    default:
+      return NaN;
+  }
+}
+
+/**
+ * Resample a generated number
+ * @param {*} value - Generated value (kept when no sample fits the bounds)
+ * @param {Object} distribution - x-distribution
+ * @param {Object} schema - Number schema
+ * @param {Function} random - Random source
+ * @returns {*}
+ */
+function distributeNumber(value, distribution, schema, random) {
+  const bsonType = getBsonType(schema);
+  const integer = schema.type === 'integer' || bsonType === 'long';
+
+  for (let attempt = 0; attempt < MAX_SAMPLES; attempt++) {
+    let sample = sampleNumber(distribution, schema, random);
+    if (schema.multipleOf > 0) {
+      sample = Math.round(sample / schema.multipleOf) * schema.multipleOf;
+    }
+    if (integer) {
+      sample = Math.round(sample);
+    }
+    if (!inBounds(sample, schema)) continue;
+
+    // BSON numbers are generated as strings (see bson.js)
+    if (bsonType === 'long') return String(sample);
+    if (bsonType === 'decimal') return sample.toFixed(2);
+    return sample;
+  }
+  return value;
+}
+
+/**
+ * Resample a generated date
+ * @param {Object} distribution - x-distribution (mean / stdDev / n in days)
+ * @param {Object} schema - Date schema
+ * @param {Object} context - { random, refDate }
+ * @returns {string} Date in the format of the schema
+ */
+function distributeDate(distribution, schema, { random, refDate }) {
+  const origin = distribution.origin ? Date.parse(distribution.origin) : new Date(refDate).getTime();
+
+  let time;
+  switch (distribution.type) {
+    case 'normal': {
+      const center = typeof distribution.mean === 'string' ? Date.parse(distribution.mean) : origin;
+      time = center + (distribution.stdDev ?? DATE_DEFAULTS.stdDev) * DAY * standardNormal(random);
+      break;
+    }
+    case 'exponential': {
+      // Most dates close to the origin, fewer further in the past
+      const rate = distribution.rate ?? 1 / (distribution.mean ?? DATE_DEFAULTS.mean);
+      time = origin - exponential(rate, random) * DAY;
+      break;
+    }
+    default: {
+      const rank = zipfRank(distribution.n ?? DATE_DEFAULTS.n, distribution.s ?? 1, random);
+      time = origin - (rank - 1) * DAY;
+    }
+  }
+
+  const iso = new Date(time).toISOString();
+  return schema.format === 'date' ? iso.split('T')[0] : iso;
+}
+
+/**
+ * Reshape the values of a generated record (in-place for objects)
+ * @param {*} value - Generated value
+ * @param {Object} schema - Prepared schema of the value
+ * @param {Object} context
+ * @param {Function} context.random - Random source (seeded when the job is seeded)
+ * @param {Date|string} context.refDate - Origin of date distributions
+ * @returns {*} Reshaped value
+ */
+function applyDistributions(value, schema, context) {
+  if (value === undefined || !isSchemaObject(schema) || !hasDistributions(schema)) {
+    return value;
+  }
+
+  const nullRate = schema[NULL_RATE_KEYWORD];
+  if (typeof nullRate === 'number' && nullRate > 0 && context.random() < nullRate) {
+    return null;
+  }
+
+  const distribution = schema[DISTRIBUTION_KEYWORD];
+  if (Array.isArray(schema.enum) && Array.isArray(schema[WEIGHTS_KEYWORD]) && schema.enum.length > 0) {
+    const picked = pickWeighted(schema.enum, schema[WEIGHTS_KEYWORD], context.random);
+    return picked !== null && typeof picked === 'object' ? JSON.parse(JSON.stringify(picked)) : picked;
+  }
+  if (isSchemaObject(distribution) && value !== null) {
+    const kind = valueKind(schema);
+    if (kind === 'date') return distributeDate(distribution, schema, context);
+    if (kind === 'number') return distributeNumber(value, distribution, schema, context.random);
+  }
+
+  if (value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) {
+    if (Array.isArray(schema.items)) {
+      return value.map((item, i) => applyDistributions(item, schema.items[i], context));
+    }
+    return schema.items
+      ? value.map(item => applyDistributions(item, schema.items, context))
+      : value;
+  }
+
+  const extra = isSchemaObject(schema.additionalProperties) ? schema.additionalProperties : null;
+  for (const key of Object.keys(value)) {
+    const child = schema.properties?.[key] || extra;
+    if (child) {
+      value[key] = applyDistributions(value[key], child, context);
+    }
+  }
+  return value;
+}
+
+/**
+ * Schema accepting null wherever x-nullRate may produce it (for validators)
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Widened schema (the input itself without x-nullRate)
+ */
+function allowNullRates(schema) {
+  if (!schema || typeof schema !== 'object' || !JSON.stringify(schema).includes(`"${NULL_RATE_KEYWORD}":`)) {
+    return schema;
+  }
+  return widenNullable(schema);
+}
+
+/**
+ * @param {*} node - Schema node
+ * @returns {*} Node wrapped in anyOf [node, null] when it has a positive x-nullRate
+ */
+function widenNullable(node) {
+  if (!isSchemaObject(node)) return node;
+  const schema = mapSubschemas(node, widenNullable);
+  const rate = schema[NULL_RATE_KEYWORD];
+  return rate > 0 && rate <= 1 ? { anyOf: [schema, { type: 'null' }] } : schema;
+}
+
+module.exports = {
+  WEIGHTS_KEYWORD,
+  DISTRIBUTION_KEYWORD,
+  NULL_RATE_KEYWORD,
+  DISTRIBUTION_META_SCHEMA,
+  checkDistribution,
+  hasDistributions,
+  applyDistributions,
+  allowNullRates,
+  pickWeighted,
+  standardNormal,
+};
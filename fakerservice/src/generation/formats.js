@@ -0,0 +1,124 @@
+/**
+ * @fileoverview json-schema-faker and ajv format registrations
+ * Registered identically on the main thread and in every worker thread
+ */
+
+const Ajv2019 = require('ajv/dist/2019');
+const draft07MetaSchema = require('ajv/dist/refs/json-schema-draft-07.json');
+const addFormats = require('ajv-formats');
+const { BSON_FORMATS } = require('./bson');
+
+// Person, contact and address formats, generated in the active locale (see locale.js)
+const LOCALIZED_FORMATS = {
+  fullName: faker => faker.person.fullName(),
+  firstName: faker => faker.person.firstName(),
+  lastName: faker => faker.person.lastName(),
+  phone: faker => faker.phone.number(),
+  streetAddress: faker => faker.location.streetAddress(),
+  city: faker => faker.location.city(),
+  state: faker => faker.location.state(),
+  country: faker => faker.location.country(),
+  zipCode: faker => faker.location.zipCode(),
+  company: faker => faker.company.name(),
+};
+
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+
+/**
+ * Clamp a schema bound to a BigInt inside the Int64 range
+ */
+function toInt64Bound(value, fallback, round) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fallback;
+  const bound = BigInt(round(value));
+  if (bound < INT64_MIN) return INT64_MIN;
+  if (bound > INT64_MAX) return INT64_MAX;
+  return bound;
+}
+
+/**
+ * Register all supported formats on a jsf instance
+ * @param {Object} jsf - json-schema-faker instance
+ * @param {Object} faker - Faker instance used by the generators (the locale proxy)
+ */
+function registerFormats(jsf, faker) {
+  // Common JSON Schema formats
+  jsf.format('email', () => faker.internet.email());
+  jsf.format('date-time', () => faker.date.recent().toISOString());
+  jsf.format('date', () => faker.date.past().toISOString().split('T')[0]);
+  jsf.format('uri', () => faker.internet.url());
+  jsf.format('url', () => faker.internet.url());
+  jsf.format('uuid', () => faker.string.uuid());
+  jsf.format('ipv4', () => faker.internet.ipv4());
+  jsf.format('ipv6', () => faker.internet.ipv6());
+
+  for (const [name, generate] of Object.entries(LOCALIZED_FORMATS)) {
+    jsf.format(name, () => generate(faker));
+  }
+
+  // MongoDB types, generated as strings and typed on Extended JSON output
+  jsf.format(BSON_FORMATS.objectId, () => faker.database.mongodbObjectId());
+
+  jsf.format(BSON_FORMATS.date, () => faker.date.past().toISOString());
+
+  jsf.format(BSON_FORMATS.decimal, (schema) => faker.finance.amount({
+    min: schema.minimum ?? 0,
+    max: schema.maximum ?? 1000000,
+    dec: 2,
+  }));
+
+  jsf.format(BSON_FORMATS.long, (schema) => faker.number.bigInt({
+    min: toInt64Bound(schema.minimum, 0n, Math.ceil),
+    max: toInt64Bound(schema.maximum, INT64_MAX, Math.floor),
+  }).toString());
+
+  jsf.format(BSON_FORMATS.binData, () => {
+    const bytes = Array.from({ length: 16 }, () => faker.number.int(255));
+    return Buffer.from(bytes).toString('base64');
+  });
+
+  // Timestamp: 64-bit value (seconds << 32 | increment) as a decimal string
+  jsf.format(BSON_FORMATS.timestamp, () => {
+    const seconds = Math.floor(faker.date.recent().getTime() / 1000);
+    const increment = faker.number.int({ min: 1, max: 1000 });
+    return ((BigInt(seconds) << 32n) | BigInt(increment)).toString();
+  });
+}
+
+/**
+ * Register the formats generated above on an ajv instance (standard formats,
+ * the string representation of MongoDB types, see bson.js, and free-form
+ * localized formats)
+ * @param {Object} ajv - Ajv instance
+ */
+function registerValidationFormats(ajv) {
+  addFormats(ajv);
+  ajv.addFormat(BSON_FORMATS.objectId, /^[0-9a-f]{24}$/i);
+  ajv.addFormat(BSON_FORMATS.date, { type: 'string', validate: value => !isNaN(Date.parse(value)) });
+  ajv.addFormat(BSON_FORMATS.decimal, /^-?\d+(\.\d+)?$/);
+  ajv.addFormat(BSON_FORMATS.binData, /^[A-Za-z0-9+/]*={0,2}$/);
+  ajv.addFormat(BSON_FORMATS.timestamp, /^\d+$/);
+  for (const name of Object.keys(LOCALIZED_FORMATS)) {
+    ajv.addFormat(name, true);
+  }
+}
+
+/**
+ * Ajv instance validating generated records: draft 2019-09 keywords
+ * (`dependentSchemas`, `dependentRequired`) on top of draft-07 schemas, which
+ * stay the default (`$schema` draft-07 is accepted), and the formats above
+ * @param {Object} options - Ajv options
+ * @returns {Object} Ajv instance
+ */
+function createAjv(options) {
+  const ajv = new Ajv2019(options);
+  ajv.addMetaSchema(draft07MetaSchema);
+  registerValidationFormats(ajv);
+  return ajv;
+}
+
+module.exports = {
+  registerFormats,
+  registerValidationFormats,
+  createAjv,
+};
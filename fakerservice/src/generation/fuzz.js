@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Fuzz mutations (randomMode / request `fuzz`)
+ *
+ * Records are generated as usual, then mutated field by field: a field (or
+ * array item) is replaced, an object field removed, or the value descended
+ * into (up to `depth` levels), and objects may get extra fields. Replacement
+ * values come from two mutator families: type confusion (a value of another
+ * type) and boundary values (max int, empty / huge strings, unicode...).
+ * Each record draws from its own PRNG, seeded from the fuzz seed and its
+ * index in the job, so a record's mutations do not depend on chunking and
+ * the log returned for it can be replayed exactly.
+ */
+
+const { deriveSeed, createRng } = require('./seed');
+
+const FUZZ_STRATEGIES = ['replace', 'remove', 'add'];
+const FUZZ_MUTATORS = ['typeConfusion', 'boundary'];
+
+const MAX_DEPTH = 10;
+const MAX_ADDED_FIELDS = 50;
+const MAX_HUGE_STRING_LENGTH = 1000000;
+// Per request: hugeStringLength × records held at once, and records logged
+const MAX_HUGE_STRING_BUDGET = 100000000;
+const MAX_LOGGED_RECORDS = 10000;
+
+// Probabilities of the former randomMode mutations (top-level fields only)
+const DEFAULT_FUZZ = Object.freeze({
+  seed: null,
+  depth: 1,
+  strategies: Object.freeze({ replace: 0.5, remove: 0.4, add: 0.7 }),
+  mutators: Object.freeze({ typeConfusion: 1, boundary: 0 }),
+  maxAddedFields: 5,
+  hugeStringLength: 10000,
+  log: false,
+});
+
+const WORDS = ['alpha', 'beta', 'gamma', 'delta', 'lorem', 'ipsum', 'dolor', 'amet', 'field', 'value', 'extra', 'random'];
+
+// name → value; hugeString is built from hugeStringLength
+const BOUNDARY_VALUES = [
+  ['maxSafeInteger', Number.MAX_SAFE_INTEGER],
+  ['minSafeInteger', Number.MIN_SAFE_INTEGER],
+  ['int32Max', 2147483647],
+  ['int32Min', -2147483648],
+  ['zero', 0],
+  ['minusOne', -1],
+  ['maxValue', Number.MAX_VALUE],
+  ['epsilon', Number.EPSILON],
+  ['emptyString', ''],
+  ['whitespace', ' \t\n'],
+  ['hugeString', null],
+  ['unicode', 'Ünïcödé ✓ 中文 العربية 😀'],
+  ['emoji', '👨‍👩‍👧‍👦🏳️‍🌈'],
+  ['rtlOverride', '\u202Eabc'],
+  ['nullByte', 'a\u0000b'],
+  ['zalgo', 'Z̸̢͓̅a̵͎̓l̴̰͝g̶̱̊o̷͚͌'],
+  ['emptyArray', []],
+  ['emptyObject', {}],
+];
+
+/**
+ * @param {*} value
+ * @returns {string} JSON type of a value
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * @param {Object} [weights] - name → weight (missing names keep their default)
+ * @param {Array<string>} names - Allowed names
+ * @param {string} option - Option name (errors)
+ * @param {Object} defaults - Default weights
+ * @param {number} [max] - Largest weight (1 for probabilities)
+ * @returns {Object} Weights by name
+ * @throws {Error} On unknown names or invalid weights
+ */
+function resolveWeights(weights, names, option, defaults, max = Infinity) {
+  if (weights === undefined) return { ...defaults };
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new Error(`fuzz.${option} must be an object`);
+  }
+  const unknown = Object.keys(weights).filter(name => !names.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fuzz.${option}: ${unknown.join(', ')} (use ${names.join(', ')})`);
+  }
+  const resolved = { ...defaults, ...weights };
+  for (const name of names) {
+    const weight = resolved[name];
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > max) {
+      throw new Error(`fuzz.${option}.${name} must be a number between 0 and ${max}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * @param {*} value - Option value
+ * @param {string} option - Option name (errors)
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ * @throws {Error} When not an integer within [min, max]
+ */
+function resolveInteger(value, option, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`fuzz.${option} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Normalize a fuzz request
+ * Huge strings and the log are bounded by the records a response holds at
+ * once; the log is off by default past MAX_LOGGED_RECORDS. Mutations never
+ * depend on `count`, so replays stay exact.
+ * @param {Object} fuzz - { seed, depth, strategies, mutators, maxAddedFields, hugeStringLength, log }
+ * @param {number|null} seed - Normalized fuzz seed (null: fresh random per record)
+ * @param {number} [count] - Records held at once (a response, or the chunks of a stream in flight)
+ * @returns {Object} Fuzz config (plain data, sent to workers)
+ * @throws {Error} On invalid options
+ */
+function resolveFuzz(fuzz, seed, count = 0) {
+  if (!fuzz || typeof fuzz !== 'object' || Array.isArray(fuzz)) {
+    throw new Error('fuzz must be an object');
+  }
+  const known = ['seed', 'depth', 'strategies', 'mutators', 'maxAddedFields', 'hugeStringLength', 'log'];
+  const unknown = Object.keys(fuzz).filter(option => !known.includes(option));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown fuzz option(s): ${unknown.join(', ')}`);
+  }
+
+  const mutators = resolveWeights(fuzz.mutators, FUZZ_MUTATORS, 'mutators', DEFAULT_FUZZ.mutators);
+  if (FUZZ_MUTATORS.every(name => mutators[name] === 0)) {
+    throw new Error('fuzz.mutators needs at least one positive weight');
+  }
+  if (fuzz.log !== undefined && typeof fuzz.log !== 'boolean') {
+    throw new Error('fuzz.log must be a boolean');
+  }
+  if (fuzz.log === true && count > MAX_LOGGED_RECORDS) {
+    throw new Error(`fuzz.log is limited to ${MAX_LOGGED_RECORDS} records at once, ${count} requested`);
+  }
+
+  const hugeStringLength = resolveInteger(
+    fuzz.hugeStringLength ?? DEFAULT_FUZZ.hugeStringLength, 'hugeStringLength', 1, MAX_HUGE_STRING_LENGTH
+  );
+  if (mutators.boundary > 0 && hugeStringLength * count > MAX_HUGE_STRING_BUDGET) {
+    throw new Error(
+      `fuzz.hugeStringLength × records must be at most ${MAX_HUGE_STRING_BUDGET}: ` +
+      `use hugeStringLength <= ${Math.floor(MAX_HUGE_STRING_BUDGET / count)} for ${count} records`
+    );
+  }
+
+  return {
+    seed,
+    depth: resolveInteger(fuzz.depth ?? DEFAULT_FUZZ.depth, 'depth', 1, MAX_DEPTH),
+    strategies: resolveWeights(fuzz.strategies, FUZZ_STRATEGIES, 'strategies', DEFAULT_FUZZ.strategies, 1),
+    mutators,
+    maxAddedFields: resolveInteger(fuzz.maxAddedFields ?? DEFAULT_FUZZ.maxAddedFields, 'maxAddedFields', 0, MAX_ADDED_FIELDS),
+    hugeStringLength,
+    log: fuzz.log ?? count <= MAX_LOGGED_RECORDS,
+  };
+}
+
+/**
+ * @param {Array<string|number>} path - Keys from the record root
+ * @returns {string} JSON pointer
+ */
+function pointer(path) {
+  return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * Draw a replacement value
+ * @param {*} current - Value being replaced (undefined for added fields)
+ * @param {Object} config - Fuzz config
+ * @param {Function} random - Record PRNG
+ * @returns {{mutator: string, value: *}}
+ */
+function drawValue(current, config, random) {
+  const { typeConfusion, boundary } = config.mutators;
+  if (random() * (typeConfusion + boundary) < boundary) {
+    const [name, value] = BOUNDARY_VALUES[Math.floor(random() * BOUNDARY_VALUES.length)];
+    return {
+      mutator: name,
+      value: name === 'hugeString' ? 'x'.repeat(config.hugeStringLength) : structuredClone(value),
+    };
+  }
+
+  // Type confusion: a value of another JSON type than the current one
+  const word = WORDS[Math.floor(random() * WORDS.length)];
+  const candidates = [
+    ['integer', () => Math.floor(random() * 200000001) - 100000000],
+    ['number', () => Math.floor(random() * 200000000) - 100000000 + 0.5],
+    ['boolean', () => random() < 0.5],
+    ['string', () => (current === undefined || current === null ? word : String(current))],
+    ['null', () => null],
+    ['array', () => (current === undefined ? [word] : [current])],
+    ['object', () => ({ [word]: current === undefined ? word : current })],
+  ].filter(([type]) => type !== jsonType(current));
+  const [type, make] = candidates[Math.floor(random() * candidates.length)];
+  return { mutator: `typeConfusion:${type}`, value: make() };
+}
+
+/**
+ * Mutate one object or array level (in-place)
+ * @param {Object|Array} node - Container
+ * @param {Array<string|number>} path - Keys from the record root
+ * @param {number} level - 1 for the record itself
+ * @param {Object} config - Fuzz config
+ * @param {Function} random - Record PRNG
+ * @param {Array<Object>} log - Mutations (appended)
+ */
+function mutateLevel(node, path, level, config, random, log) {
+  const { replace, remove, add } = config.strategies;
+  const isArray = Array.isArray(node);
+  const keys = isArray ? node.map((_, i) => i) : Object.keys(node);
+
+  for (const key of keys) {
+    const at = [...path, key];
+    if (random() < replace) {
+      const { mutator, value } = drawValue(node[key], config, random);
+      node[key] = value;
+      log.push({ op: 'replace', path: pointer(at), mutator, value });
+    } else if (!isArray && random() < remove) {
+      delete node[key];
+      log.push({ op: 'remove', path: pointer(at) });
+    } else if (level < config.depth && node[key] && typeof node[key] === 'object') {
+      mutateLevel(node[key], at, level + 1, config, random, log);
+    }
+  }
+
+  if (!isArray && config.maxAddedFields > 0 && random() < add) {
+    const added = Math.floor(random() * (config.maxAddedFields + 1));
+    for (let i = 0; i < added; i++) {
+      const key = `${WORDS[Math.floor(random() * WORDS.length)]}${i}`;
+      const { mutator, value } = drawValue(undefined, config, random);
+      node[key] = value;
+      log.push({ op: 'add', path: pointer([...path, key]), mutator, value });
+    }
+  }
+}
+
+/**
+ * Fuzz generated records (in-place)
+ * @param {Array} records - Generated records
+ * @param {Object} config - From resolveFuzz (or DEFAULT_FUZZ)
+ * @param {number} offset - Index of the first record in the job
+ * @returns {Array<Object>|null} Log { index, mutations } of the mutated records, null when config.log is off
+ */
+function applyFuzz(records, config, offset = 0) {
+  const entries = config.log ? [] : null;
+
+  records.forEach((record, i) => {
+    if (!record || typeof record !== 'object') return;
+    const index = offset + i;
+    const random = createRng(config.seed === null
+      ? (Math.random() * 2 ** 32) >>> 0
+      : deriveSeed(config.seed, index));
+    const mutations = [];
+    mutateLevel(record, [], 1, config, random, mutations);
+    if (entries && mutations.length > 0) {
+      entries.push({ index, mutations: mutations.map(summarize) });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Log entry of a mutation (huge strings are logged by length)
+ * @param {Object} mutation - { op, path, mutator, value }
+ * @returns {Object}
+ */
+function summarize(mutation) {
+  if (mutation.mutator !== 'hugeString') return mutation;
+  const { value, ...rest } = mutation;
+  return { ...rest, length: value.length };
+}
+
+module.exports = {
+  FUZZ_STRATEGIES,
+  FUZZ_MUTATORS,
+  DEFAULT_FUZZ,
+  resolveFuzz,
+  applyFuzz,
+};
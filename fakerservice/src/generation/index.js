@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Export generation helpers shared by main thread and workers
+ */
+
+const seed = require('./seed');
+const prepare = require('./prepare');
+const bson = require('./bson');
+const formats = require('./formats');
+const references = require('./references');
+const composition = require('./composition');
+const distributions = require('./distributions');
+const derive = require('./derive');
+const locale = require('./locale');
+const tree = require('./tree');
+const timeseries = require('./timeseries');
+const fuzz = require('./fuzz');
+const repair = require('./repair');
+const compiler = require('./compiler');
+const record = require('./record');
+
+module.exports = {
+  ...seed,
+  ...prepare,
+  ...bson,
+  ...formats,
+  ...references,
+  ...composition,
+  ...distributions,
+  ...derive,
+  ...locale,
+  ...tree,
+  ...timeseries,
+  ...fuzz,
+  ...repair,
+  ...compiler,
+  ...record,
+};
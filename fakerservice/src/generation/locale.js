@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Faker locales (request `locale` and per-field `x-locale`)
+ *
+ * Generators hold one faker proxy that forwards to the active localized
+ * instance. Instances are built once per thread and share one randomizer, so
+ * seeding the proxy seeds every locale and switching locales mid-record keeps
+ * seeded output reproducible. Definitions missing in a locale fall back to
+ * its language, then English.
+ */
+
+const { Faker, allLocales, generateMersenne53Randomizer } = require('@faker-js/faker');
+
+const LOCALE_KEYWORD = 'x-locale';
+const DEFAULT_LOCALE = 'en';
+
+// Faker locale codes ("vi", "en_US", "pt_BR"...), "base" is not a locale
+const LOCALES = Object.keys(allLocales).filter(code => code !== 'base');
+
+const localeCache = new WeakMap();
+const strippedCache = new WeakMap();
+
+/**
+ * Resolve a locale code with fallbacks ("vi-VN" → "vi", "EN_us" → "en_US")
+ * @param {string} code - Requested locale
+ * @returns {string|null} Faker locale code, null when unsupported
+ */
+function resolveLocale(code) {
+  if (typeof code !== 'string' || code.trim() === '') return null;
+
+  const [language, ...region] = code.trim().replace(/-/g, '_').split('_');
+  const candidates = [
+    [language.toLowerCase(), ...region.map(part => (part.length === 2 ? part.toUpperCase() : part))].join('_'),
+    language.toLowerCase(),
+  ];
+  return candidates.find(candidate => LOCALES.includes(candidate)) || null;
+}
+
+/**
+ * Locale definitions of an instance, most specific first
+ * @param {string} locale - Faker locale code
+ * @returns {Array<Object>}
+ */
+function localeChain(locale) {
+  const codes = [locale, locale.split('_')[0], DEFAULT_LOCALE, 'base'];
+  return [...new Set(codes)].filter(code => allLocales[code]).map(code => allLocales[code]);
+}
+
+/**
+ * Create the locale switch of a thread
+ * @returns {{faker: Object, use: Function}} faker proxy (pass it wherever a
+ *   faker instance is expected) and use(locale) → previously active locale
+ */
+function createLocaleSwitch() {
+  const randomizer = generateMersenne53Randomizer();
+  const instances = new Map();
+  let refDate;
+  let activeLocale = DEFAULT_LOCALE;
+
+  const instance = (locale) => {
+    let localized = instances.get(locale);
+    if (!localized) {
+      localized = new Faker({ locale: localeChain(locale), randomizer });
+      if (refDate !== undefined) localized.setDefaultRefDate(refDate);
+      instances.set(locale, localized);
+    }
+    return localized;
+  };
+  let active = instance(DEFAULT_LOCALE);
+
+  const faker = new Proxy({}, {
+    get(_, key) {
+      // Reference dates are per instance: keep them in sync
+      if (key === 'setDefaultRefDate') {
+        return (date) => {
+          refDate = date;
+          instances.forEach(localized => localized.setDefaultRefDate(date));
+        };
+      }
+      const value = active[key];
+      return typeof value === 'function' ? value.bind(active) : value;
+    },
+  });
+
+  return {
+    faker,
+    use(locale) {
+      const previous = activeLocale;
+      activeLocale = resolveLocale(locale) || DEFAULT_LOCALE;
+      active = instance(activeLocale);
+      return previous;
+    },
+  };
+}
+
+/**
+ * Whether a schema node declares x-locale anywhere (memoized per node)
+ * @param {*} node - Schema node
+ * @returns {boolean}
+ */
+function hasFieldLocales(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (localeCache.has(node)) return localeCache.get(node);
+
+  const found = Array.isArray(node)
+    ? node.some(hasFieldLocales)
+    : typeof node[LOCALE_KEYWORD] === 'string'
+      || Object.entries(node).some(([key, child]) =>
+        !['enum', 'const', 'default', 'examples'].includes(key) && hasFieldLocales(child));
+
+  localeCache.set(node, found);
+  return found;
+}
+
+/**
+ * @param {Object} schema - Node declaring x-locale
+ * @returns {Object} Same node without x-locale (cached)
+ */
+function withoutLocale(schema) {
+  let stripped = strippedCache.get(schema);
+  if (!stripped) {
+    stripped = { ...schema };
+    delete stripped[LOCALE_KEYWORD];
+    strippedCache.set(schema, stripped);
+  }
+  return stripped;
+}
+
+/**
+ * Regenerate the x-locale fields of a generated value in their locale (in-place for objects)
+ * @param {*} value - Generated value
+ * @param {Object} schema - Schema of the value
+ * @param {Object} context
+ * @param {Object} context.locales - Locale switch of the thread
+ * @param {Function} context.generate - (schema) => value, synchronous
+ * @returns {*} Value with localized fields
+ */
+function applyFieldLocales(value, schema, context) {
+  if (value === undefined || !schema || typeof schema !== 'object' || !hasFieldLocales(schema)) {
+    return value;
+  }
+
+  if (typeof schema[LOCALE_KEYWORD] === 'string') {
+    const previous = context.locales.use(schema[LOCALE_KEYWORD]);
+    try {
+      value = context.generate(withoutLocale(schema));
+    } finally {
+      context.locales.use(previous);
+    }
+  }
+
+  if (value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) {
+    if (Array.isArray(schema.items)) {
+      return value.map((item, i) => applyFieldLocales(item, schema.items[i], context));
+    }
+    return schema.items
+      ? value.map(item => applyFieldLocales(item, schema.items, context))
+      : value;
+  }
+
+  for (const key of Object.keys(value)) {
+    const child = schema.properties?.[key];
+    if (child) {
+      value[key] = applyFieldLocales(value[key], child, context);
+    }
+  }
+  return value;
+}
+
+module.exports = {
+  LOCALE_KEYWORD,
+  DEFAULT_LOCALE,
+  LOCALES,
+  resolveLocale,
+  createLocaleSwitch,
+  hasFieldLocales,
+  applyFieldLocales,
+};
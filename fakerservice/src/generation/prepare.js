@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Generation mode presets - jsf options and closed schemas
+ *
+ * The main thread and the workers generate from the same mode schema with the
+ * same jsf option state, so a seeded job draws the same values wherever its
+ * records are generated.
+ */
+
+// Strict mode: Only generate fields defined in schema (randomMode = false)
+const STRICT_OPTIONS = {
+  alwaysFakeOptionals: true,     // Generate nested objects even if optional
+  useDefaultValue: true,
+  failOnInvalidTypes: false,
+  random: Math.random,
+  optionalsProbability: 1.0,     // Generate optional fields (but not extra ones)
+  fixedProbabilities: true,
+  requiredOnly: false,           // Can't use true - blocks nested objects
+  useExamplesValue: false,
+  minItems: 0,
+  maxItems: 10,
+  minLength: 1,
+  maxLength: 100,
+  maxRegexRetry: 100,
+  defaultRandExpMax: 10,
+};
+
+// Random mode: Generate extra fields and variations (randomMode = true)
+// Options not listed keep their strict values, whatever ran before
+const RANDOM_OPTIONS = {
+  ...STRICT_OPTIONS,
+  alwaysFakeOptionals: true,      // Generate all optional fields
+  useDefaultValue: false,
+  failOnInvalidTypes: false,
+  random: Math.random,
+  optionalsProbability: 1.0,      // 100% chance for optional fields
+  fixedProbabilities: false,
+  requiredOnly: false,            // Generate both required and optional
+  maxItems: 10,
+  maxLength: 100,
+  maxRegexRetry: 50,
+};
+
+/**
+ * @param {boolean} randomMode - Generation mode
+ * @returns {Object} jsf options of the mode
+ */
+function getModeOptions(randomMode) {
+  return randomMode ? RANDOM_OPTIONS : STRICT_OPTIONS;
+}
+
+/**
+ * Enforce additionalProperties based on mode (in-place)
+ * @param {Object} obj - Schema object
+ * @param {boolean} randomMode - If true, allow extra properties
+ */
+function enforceAdditionalProperties(obj, randomMode) {
+  if (!obj || typeof obj !== 'object') return;
+
+  // Handle type array (e.g., ["object", "null"]); composition branches
+  // often declare properties without a type
+  const types = Array.isArray(obj.type) ? obj.type : [obj.type];
+  const isObjectType = obj.type === undefined || types.includes('object');
+
+  // Set additionalProperties based on mode
+  if (isObjectType && obj.properties) {
+    // In strict mode: ALWAYS false to prevent extra fields
+    // In random mode: Allow if not explicitly set
+    if (randomMode) {
+      if (obj.additionalProperties === undefined || obj.additionalProperties === false) {
+        obj.additionalProperties = true; // Allow extra fields in random mode
+      }
+    } else {
+      obj.additionalProperties = false; // Strict: no extra fields ever
+    }
+  }
+
+  // Recurse into properties
+  if (obj.properties) {
+    for (const key in obj.properties) {
+      enforceAdditionalProperties(obj.properties[key], randomMode);
+    }
+  }
+
+  // Recurse into items
+  if (obj.items) {
+    enforceAdditionalProperties(obj.items, randomMode);
+  }
+
+  // Recurse into additionalProperties if it's an object
+  if (obj.additionalProperties && typeof obj.additionalProperties === 'object') {
+    enforceAdditionalProperties(obj.additionalProperties, randomMode);
+  }
+
+  // Recurse into composition branches: they are merged into one schema per
+  // record before generation, closing each branch closes the merged object
+  for (const keyword of ['allOf', 'oneOf', 'anyOf']) {
+    if (Array.isArray(obj[keyword])) {
+      obj[keyword].forEach(branch => enforceAdditionalProperties(branch, randomMode));
+    }
+  }
+  for (const keyword of ['if', 'then', 'else']) {
+    enforceAdditionalProperties(obj[keyword], randomMode);
+  }
+  for (const keyword of ['dependentSchemas', 'dependencies']) {
+    if (obj[keyword] && typeof obj[keyword] === 'object') {
+      Object.values(obj[keyword]).forEach(branch => enforceAdditionalProperties(branch, randomMode));
+    }
+  }
+}
+
+/**
+ * Mode schema of a prepared schema (see schemaService.prepareSchema)
+ * @param {Object} schema - Prepared schema ($id removed, BSON types mapped)
+ * @param {boolean} randomMode - Generation mode
+ * @returns {Object} Copy with objects closed (strict) or opened (random)
+ */
+function toModeSchema(schema, randomMode) {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  const modeSchema = JSON.parse(JSON.stringify(schema));
+  enforceAdditionalProperties(modeSchema, randomMode);
+  return modeSchema;
+}
+
+module.exports = {
+  STRICT_OPTIONS,
+  RANDOM_OPTIONS,
+  getModeOptions,
+  toModeSchema,
+};
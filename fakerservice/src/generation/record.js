@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Record pipeline: raw generator output → final record
+ *
+ * Shared by the main thread (generatorService) and the workers, so both give
+ * the same records for the same job. Each thread passes its own jsf and
+ * locale switch.
+ */
+
+const { resolveReferences } = require('./references');
+const { hasDistributions, applyDistributions } = require('./distributions');
+const { applyDerivations } = require('./derive');
+const { hasFieldLocales, applyFieldLocales } = require('./locale');
+const { generateComposed } = require('./composition');
+const { getModeOptions } = require('./prepare');
+
+/**
+ * Remove properties not defined in schema (strict mode only)
+ * @param {*} data - Generated data
+ * @param {Object} schema - JSON Schema
+ * @returns {*} Cleaned data
+ */
+function cleanExtraProperties(data, schema) {
+  if (!data || typeof data !== 'object' || !schema || typeof schema !== 'object') {
+    return data;
+  }
+
+  // Handle arrays (tuples come from composed items, see composition.js)
+  if (Array.isArray(data)) {
+    if (Array.isArray(schema.items)) {
+      return data.map((item, i) => cleanExtraProperties(item, schema.items[i]));
+    }
+    if (schema.items) {
+      return data.map(item => cleanExtraProperties(item, schema.items));
+    }
+    return data;
+  }
+
+  // Handle type array (e.g., ["object", "null"]); properties without type
+  // come from merged composition branches
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const isObjectType = schema.type === undefined || types.includes('object');
+
+  if (!isObjectType || !schema.properties) {
+    return data;
+  }
+
+  // Create cleaned object with only schema-defined properties
+  const cleaned = {};
+  const allowedProps = Object.keys(schema.properties);
+
+  for (const key of allowedProps) {
+    if (key in data) {
+      const propSchema = schema.properties[key];
+      // Recursively clean nested objects
+      cleaned[key] = cleanExtraProperties(data[key], propSchema);
+    }
+  }
+
+  return cleaned;
+}
+
+/**
+ * Create the record pipeline of a thread
+ * @param {Object} context - { jsf, locales } of the thread (jsf configured
+ *   with the faker proxy of the locale switch)
+ * @returns {{finalizeRecord: Function, generateRecord: Function}}
+ */
+function createRecordPipeline({ jsf, locales }) {
+  const { faker } = locales;
+
+  /**
+   * Turn raw generator output into a final record
+   * @param {*} generated - Raw jsf or compiled output
+   * @param {Object} schema - Mode schema
+   * @param {Object} job - Job options (randomMode, refs)
+   * @param {Function} random - Random source (seeded when the job is seeded)
+   * @returns {*} Final record
+   */
+  function finalizeRecord(generated, schema, job, random = Math.random) {
+    if (hasFieldLocales(schema)) {
+      generated = applyFieldLocales(generated, schema, { locales, generate: node => jsf.generate(node) });
+    }
+    if (job.refs) {
+      generated = resolveReferences(generated, schema, job.refs, random);
+    }
+    if (hasDistributions(schema)) {
+      generated = applyDistributions(generated, schema, { random, refDate: faker.defaultRefDate() });
+    }
+    generated = applyDerivations(generated, schema, { random, refDate: faker.defaultRefDate() });
+    // Random mode keeps extra fields, mutations are applied per batch (see applyFuzz)
+    if (job.randomMode) {
+      return generated;
+    }
+    return cleanExtraProperties(generated, schema);
+  }
+
+  /**
+   * Generate one final record synchronously
+   * Composed schemas are resolved per record (and retried in strict mode)
+   * @param {Object} job - { schema, randomMode, refs, plan, compiled }
+   * @param {Function} random - Random source (seeded when the job is seeded)
+   * @returns {*} Final record
+   */
+  function generateRecord(job, random = Math.random) {
+    const { schema } = job;
+    if (job.compiled) {
+      return finalizeRecord(job.compiled(random), schema, job, random);
+    }
+    if (!job.plan) {
+      return finalizeRecord(jsf.generate(schema), schema, job, random);
+    }
+    return generateComposed(job.plan, resolved => finalizeRecord(jsf.generate(resolved), resolved, job, random), {
+      random,
+      strict: !job.randomMode,
+      maxItems: getModeOptions(job.randomMode).maxItems,
+    });
+  }
+
+  return { finalizeRecord, generateRecord };
+}
+
+module.exports = {
+  cleanExtraProperties,
+  createRecordPipeline,
+};
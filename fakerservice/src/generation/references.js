@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Cross-collection references (x-ref keyword)
+ *
+ * `{ "x-ref": { "collection": "customers", "field": "_id" } }` makes a field
+ * take a value that was actually generated for an earlier collection of the
+ * same request. Reference values travel to workers as `refs`, a map of
+ * `<collection>.<field>` → array of generated values (serialized once per
+ * job into shared memory, see GeneratorPool.shareRefs).
+ */
+
+/**
+ * Build the refs map key of a reference
+ * @param {Object} ref - x-ref value { collection, field }
+ * @returns {string}
+ */
+function referenceKey(ref) {
+  return `${ref.collection}.${ref.field}`;
+}
+
+/**
+ * Collect all x-ref declarations of a schema
+ * @param {Object} schema - JSON Schema
+ * @param {Array} found - Accumulator
+ * @returns {Array<{collection: string, field: string}>}
+ */
+function collectReferences(schema, found = []) {
+  if (!schema || typeof schema !== 'object') return found;
+
+  const ref = schema['x-ref'];
+  if (ref && typeof ref === 'object') {
+    found.push({ collection: ref.collection, field: ref.field });
+  }
+
+  if (schema.properties) {
+    for (const key in schema.properties) {
+      collectReferences(schema.properties[key], found);
+    }
+  }
+  if (Array.isArray(schema.items)) {
+    schema.items.forEach(item => collectReferences(item, found));
+  } else if (schema.items) {
+    collectReferences(schema.items, found);
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    collectReferences(schema.additionalProperties, found);
+  }
+
+  return found;
+}
+
+/**
+ * Read a (dot separated) field from a generated record
+ * @param {Object} record - Generated record
+ * @param {string} field - Field path, e.g. "_id" or "address.city"
+ * @returns {*} Value or undefined
+ */
+function getFieldValue(record, field) {
+  let value = record;
+  for (const part of field.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * Pick a referenced value
+ */
+function pickReference(ref, refs, random) {
+  const values = refs[referenceKey(ref)];
+  if (!values || values.length === 0) {
+    throw new Error(`No generated values for x-ref ${referenceKey(ref)}`);
+  }
+  return values[Math.floor(random() * values.length)];
+}
+
+/**
+ * Replace x-ref fields of a generated value with referenced values (in-place)
+ * @param {*} value - Generated value
+ * @param {Object} schema - Schema of the value
+ * @param {Object} refs - Map of "<collection>.<field>" → generated values
+ * @param {Function} random - Random source (seeded when the job is seeded)
+ * @returns {*} Value with references resolved
+ */
+function resolveReferences(value, schema, refs, random = Math.random) {
+  if (!schema || typeof schema !== 'object') return value;
+
+  const ref = schema['x-ref'];
+  if (ref && typeof ref === 'object') {
+    return pickReference(ref, refs, random);
+  }
+
+  if (value === null || typeof value !== 'object') return value;
+
+  if (Array.isArray(value)) {
+    if (Array.isArray(schema.items)) {
+      return value.map((item, i) => resolveReferences(item, schema.items[i], refs, random));
+    }
+    return schema.items
+      ? value.map(item => resolveReferences(item, schema.items, refs, random))
+      : value;
+  }
+
+  if (schema.properties) {
+    const required = schema.required || [];
+    for (const key in schema.properties) {
+      if (key in value || (required.includes(key) && schema.properties[key]['x-ref'])) {
+        value[key] = resolveReferences(value[key], schema.properties[key], refs, random);
+      }
+    }
+  }
+
+  return value;
+}
+
+module.exports = {
+  referenceKey,
+  collectReferences,
+  getFieldValue,
+  resolveReferences,
+};
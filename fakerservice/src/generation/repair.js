@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Repair of generated records that do not validate (`repair`)
+ *
+ * json-schema-faker regularly misses `pattern`, `multipleOf` (floating point
+ * steps) and `uniqueItems`. Records are validated with every error reported,
+ * then each failing value is patched (numbers snapped to a multiple, missing
+ * properties generated, extra ones dropped, duplicate items replaced) or
+ * regenerated from the schema node that rejected it, for a bounded number of
+ * rounds. Runs where records are generated (main thread and workers), each
+ * record drawing from its own PRNG when the job is seeded.
+ */
+
+const { createAjv } = require('./formats');
+const { allowNullRates } = require('./distributions');
+const { applyDerivations } = require('./derive');
+const { hashString, createRng, seedMathRandom, SEED_REF_DATE } = require('./seed');
+
+// Validate / fix rounds before a record is reported as unrepaired
+const MAX_ROUNDS = 5;
+
+// Attempts at an item that differs from the others (uniqueItems)
+const MAX_ITEM_ATTEMPTS = 10;
+
+// Steps searched around a value for an exact multiple (multipleOf)
+const MAX_MULTIPLE_STEPS = 1000;
+
+// Keywords failing because a subschema failed: fixed through the errors below them
+const COMPOSITE_KEYWORDS = ['allOf', 'anyOf', 'oneOf', 'not', 'if'];
+
+// Keywords reporting a missing property (params.missingProperty)
+const REQUIRED_KEYWORDS = ['required', 'dependentRequired', 'dependencies'];
+
+// Validator of generated records: every error, with the schema node that raised it
+const ajv = createAjv({ allErrors: true, verbose: true, strict: false, validateFormats: true });
+
+const validatorCache = new WeakMap();
+
+/**
+ * @param {Object} schema - Schema records must validate against
+ * @returns {Function|null} Compiled validator, null when the schema does not compile here
+ */
+function getValidator(schema) {
+  if (!validatorCache.has(schema)) {
+    let validate;
+    try {
+      validate = ajv.compile(allowNullRates(schema));
+    } catch {
+      validate = null; // Not compilable here: records are not checked
+    }
+    validatorCache.set(schema, validate);
+  }
+  return validatorCache.get(schema);
+}
+
+/**
+ * @param {string} instancePath - JSON pointer (ajv instancePath)
+ * @returns {Array<string>} Keys from the record root
+ */
+function parsePointer(instancePath) {
+  return instancePath === ''
+    ? []
+    : instancePath.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * @param {*} record - Record
+ * @param {Array<string>} keys - Keys from the record root
+ * @returns {*} Value at the path (undefined when missing)
+ */
+function getAt(record, keys) {
+  let value = record;
+  for (const key of keys) {
+    if (!value || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * @param {*} record - Record
+ * @param {Array<string>} keys - Keys from the record root
+ * @param {*} value - New value
+ * @returns {*} Record (the value itself for the root path)
+ */
+function setAt(record, keys, value) {
+  if (keys.length === 0) return value;
+  getAt(record, keys.slice(0, -1))[keys[keys.length - 1]] = value;
+  return record;
+}
+
+/**
+ * @param {Array<string>} keys - Path of a value
+ * @param {Array<Array<string>>} paths - Regenerated paths
+ * @returns {boolean} Whether the value is (under) one of the paths
+ */
+function isShadowed(keys, paths) {
+  return paths.some(path => path.length <= keys.length && path.every((key, i) => key === keys[i]));
+}
+
+/**
+ * Closest multiple of schema.multipleOf within the schema bounds that the
+ * validator accepts (0.3 is no multiple of 0.1 in floating point, 0.5 is)
+ * @param {number} value - Current value
+ * @param {Object} schema - Schema node of the value
+ * @returns {number|null}
+ */
+function fitMultiple(value, schema) {
+  const step = schema.multipleOf;
+  if (typeof value !== 'number' || typeof step !== 'number' || !(step > 0)) return null;
+
+  const fits = candidate => Number.isFinite(candidate)
+    && Number.isInteger(candidate / step)
+    && !(typeof schema.minimum === 'number' && candidate < schema.minimum)
+    && !(typeof schema.maximum === 'number' && candidate > schema.maximum)
+    && !(typeof schema.exclusiveMinimum === 'number' && candidate <= schema.exclusiveMinimum)
+    && !(typeof schema.exclusiveMaximum === 'number' && candidate >= schema.exclusiveMaximum);
+
+  const low = [schema.minimum, schema.exclusiveMinimum].filter(bound => typeof bound === 'number');
+  const high = [schema.maximum, schema.exclusiveMaximum].filter(bound => typeof bound === 'number');
+  const clamped = Math.min(Math.max(value, ...low), ...high);
+  const base = Math.round(clamped / step);
+
+  for (let distance = 0; distance <= MAX_MULTIPLE_STEPS; distance++) {
+    for (const k of distance === 0 ? [base] : [base + distance, base - distance]) {
+      for (const candidate of [Number((k * step).toPrecision(12)), k * step]) {
+        if (fits(candidate)) return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Replace a duplicate array item (or drop it when the array may shrink)
+ * @param {Array} items - Array value
+ * @param {number} index - Index of the duplicate
+ * @param {Object} schema - Schema node of the array
+ * @param {Function} generate - (schemaNode) => value
+ * @returns {boolean} Whether the array changed
+ */
+function dedupeItem(items, index, schema, generate) {
+  const itemSchema = schema.items && !Array.isArray(schema.items) ? schema.items : null;
+  if (itemSchema) {
+    const taken = new Set(items.map(item => JSON.stringify(item)));
+    for (let attempt = 0; attempt < MAX_ITEM_ATTEMPTS; attempt++) {
+      const candidate = generate(itemSchema);
+      if (!taken.has(JSON.stringify(candidate))) {
+        items[index] = candidate;
+        return true;
+      }
+    }
+  }
+  if (items.length > (schema.minItems || 0)) {
+    items.splice(index, 1);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Order errors so each failing value is fixed once: shallow paths first,
+ * specific keywords before composite ones, null branches of x-nullRate last
+ * @param {Array<Object>} errors - ajv errors (verbose)
+ * @returns {Array<Object>}
+ */
+function sortErrors(errors) {
+  const rank = error => (COMPOSITE_KEYWORDS.includes(error.keyword) ? 2 : error.parentSchema?.type === 'null' ? 1 : 0);
+  return [...errors].sort((a, b) =>
+    parsePointer(a.instancePath).length - parsePointer(b.instancePath).length || rank(a) - rank(b));
+}
+
+/**
+ * Fix the values behind one round of validation errors
+ * @param {*} record - Invalid record (mutated)
+ * @param {Array<Object>} errors - ajv errors (verbose)
+ * @param {Function} generate - (schemaNode) => value
+ * @returns {{record: *, fixed: number}}
+ */
+function fixErrors(record, errors, generate) {
+  const regenerated = [];
+  let fixed = 0;
+
+  for (const error of sortErrors(errors)) {
+    const keys = parsePointer(error.instancePath);
+    if (isShadowed(keys, regenerated)) continue;
+    const schema = error.parentSchema || {};
+    const value = getAt(record, keys);
+
+    // Composite keywords only when nothing below them explains the failure
+    if (COMPOSITE_KEYWORDS.includes(error.keyword)
+      && errors.some(other => !COMPOSITE_KEYWORDS.includes(other.keyword)
+        && isShadowed(parsePointer(other.instancePath), [keys]))) {
+      continue;
+    }
+
+    if (REQUIRED_KEYWORDS.includes(error.keyword)) {
+      if (value && typeof value === 'object' && !(error.params.missingProperty in value)) {
+        value[error.params.missingProperty] = generate(schema.properties?.[error.params.missingProperty] || {});
+        fixed++;
+      }
+      continue;
+    }
+    if (error.keyword === 'additionalProperties') {
+      if (value && typeof value === 'object' && error.params.additionalProperty in value) {
+        delete value[error.params.additionalProperty];
+        fixed++;
+      }
+      continue;
+    }
+    if (error.keyword === 'uniqueItems') {
+      if (Array.isArray(value) && dedupeItem(value, error.params.i, schema, generate)) {
+        regenerated.push(keys);
+        fixed++;
+      }
+      continue;
+    }
+
+    const multiple = fitMultiple(value, schema);
+    record = setAt(record, keys, multiple ?? generate(schema));
+    regenerated.push(keys);
+    fixed++;
+  }
+  return { record, fixed };
+}
+
+/**
+ * Strip verbose fields (schema, data) from ajv errors
+ * @param {Array<Object>} errors - ajv errors
+ * @returns {Array<Object>}
+ */
+function summarizeErrors(errors) {
+  return errors.map(({ instancePath, schemaPath, keyword, params, message }) => (
+    { instancePath, schemaPath, keyword, params, message }
+  ));
+}
+
+/**
+ * Validate generated records and repair the invalid ones (in-place)
+ * @param {Array} records - Generated records
+ * @param {Object} schema - Schema records must validate against
+ * @param {Object} options
+ * @param {Object} options.faker - Faker instance (seeded per repaired record)
+ * @param {Object} options.jsf - json-schema-faker instance (seeded per repaired record)
+ * @param {Function} options.generate - (schemaNode) => value, a fresh value of a node
+ * @param {number|null} options.seed - Effective job seed
+ * @param {number} options.offset - Index of the first record in the job
+ * @returns {Object} { repairedRecords, repairedFields, unrepaired: [{ index, errors }] }
+ */
+function repairRecords(records, schema, { faker, jsf, generate, seed, offset = 0 }) {
+  const summary = { repairedRecords: 0, repairedFields: 0, unrepaired: [] };
+  const validate = getValidator(schema);
+  if (!validate) return summary;
+
+  records.forEach((record, i) => {
+    if (validate(record)) return;
+    const index = offset + i;
+
+    let random = Math.random;
+    if (seed !== null) {
+      const recordSeed = hashString(`${seed}:repair:${index}`);
+      random = createRng(recordSeed);
+      faker.seed(recordSeed);
+      faker.setDefaultRefDate(SEED_REF_DATE);
+      jsf.option({ random });
+      seedMathRandom(random);
+    }
+    try {
+      let valid = false;
+      for (let round = 0; round < MAX_ROUNDS && !valid; round++) {
+        const result = fixErrors(record, validate.errors, generate);
+        // Derived fields follow the values they are computed from
+        record = applyDerivations(result.record, schema, { random, refDate: faker.defaultRefDate() });
+        summary.repairedFields += result.fixed;
+        valid = validate(record);
+      }
+      records[i] = record;
+      if (valid) {
+        summary.repairedRecords++;
+      } else {
+        summary.unrepaired.push({ index, errors: summarizeErrors(validate.errors) });
+      }
+    } finally {
+      // Never leak a fixed seed into unseeded generation
+      if (seed !== null) {
+        seedMathRandom();
+        faker.seed();
+        faker.setDefaultRefDate();
+        jsf.option({ random: Math.random });
+      }
+    }
+  });
+  return summary;
+}
+
+/**
+ * Merge the repair summaries of several chunks (indexes are job indexes already)
+ * @param {Array<Object|undefined>} summaries - From repairRecords
+ * @returns {Object}
+ */
+function mergeRepairs(summaries) {
+  return summaries.reduce((merged, summary) => (summary
+    ? {
+        repairedRecords: merged.repairedRecords + summary.repairedRecords,
+        repairedFields: merged.repairedFields + summary.repairedFields,
+        unrepaired: merged.unrepaired.concat(summary.unrepaired),
+      }
+    : merged), { repairedRecords: 0, repairedFields: 0, unrepaired: [] });
+}
+
+module.exports = {
+  repairRecords,
+  mergeRepairs,
+};
@@ -0,0 +1,151 @@
+/**
+ * @fileoverview Deterministic seeding helpers
+ * Shared by the main thread and worker threads so a seeded job yields the
+ * same records no matter how GeneratorPool splits it into chunks
+ */
+
+// Records are seeded in fixed blocks. The seed of a block depends only on
+// the job seed and the block index, never on how records are distributed.
+const SEED_BLOCK_SIZE = 25;
+
+// Reference date for faker's relative dates (recent/past/future) so seeded
+// output does not drift with the wall clock
+const SEED_REF_DATE = '2026-01-01T00:00:00.000Z';
+
+// json-schema-faker ignores its `random` option in a few places (decimal
+// multipleOf, regex repetitions, values of typeless nodes) and calls
+// Math.random directly: seeded generation swaps it for the PRNG meanwhile
+const mathRandom = Math.random;
+
+/**
+ * FNV-1a hash of a string to an unsigned 32-bit integer
+ * @param {string} str - String to hash
+ * @returns {number}
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalize a user supplied seed to an unsigned 32-bit integer
+ * @param {number|string|null|undefined} seed - Seed from the request
+ * @returns {number|null} Effective seed, or null when generation is unseeded
+ */
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return null;
+  }
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  return hashString(String(seed));
+}
+
+/**
+ * Derive the seed of a block from the job seed (murmur3 finalizer)
+ * @param {number} seed - Effective job seed
+ * @param {number} index - Block index
+ * @returns {number}
+ */
+function deriveSeed(seed, index) {
+  let h = (seed ^ Math.imul(index + 1, 0x9e3779b9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a seeded PRNG (mulberry32) with the same contract as Math.random
+ * @param {number} seed - Unsigned 32-bit seed
+ * @returns {Function} Random function returning [0, 1)
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Route Math.random to a seeded PRNG, or back to the built-in one
+ * Only around synchronous generation, the swap must not outlive it
+ * @param {Function} [random] - PRNG from createRng, omitted to restore
+ */
+function seedMathRandom(random) {
+  Math.random = random || mathRandom;
+}
+
+/**
+ * Generate a range of seeded records synchronously
+ *
+ * Record `offset + n` always comes out of the same block with the same PRNG
+ * state, so generating [0, 100) in one call or as [0, 25) + [25, 100) in two
+ * workers yields identical data. Ranges that start mid-block replay the
+ * skipped records of that block first.
+ *
+ * @param {Object} params
+ * @param {Object} params.faker - Faker instance to seed
+ * @param {Object} params.jsf - json-schema-faker instance to seed
+ * @param {number} params.seed - Effective job seed
+ * @param {number} params.offset - Index of the first record in the job
+ * @param {number} params.count - Number of records to generate
+ * @param {Function} params.produce - (random) => record, must be synchronous
+ * @returns {Array} Generated records
+ */
+function generateSeeded({ faker, jsf, seed, offset = 0, count, produce }) {
+  const results = [];
+  const end = offset + count;
+  let index = offset;
+
+  faker.setDefaultRefDate(SEED_REF_DATE);
+
+  try {
+    while (index < end) {
+      const block = Math.floor(index / SEED_BLOCK_SIZE);
+      const blockSeed = deriveSeed(seed, block);
+      const random = createRng(blockSeed);
+
+      faker.seed(blockSeed);
+      jsf.option({ random });
+      seedMathRandom(random);
+
+      // Replay records of this block that precede the requested range
+      for (let skip = block * SEED_BLOCK_SIZE; skip < index; skip++) {
+        produce(random);
+      }
+
+      const blockEnd = Math.min(end, (block + 1) * SEED_BLOCK_SIZE);
+      for (; index < blockEnd; index++) {
+        results.push(produce(random));
+      }
+    }
+  } finally {
+    // Never leak a fixed seed into unseeded generation
+    seedMathRandom();
+    faker.seed();
+    faker.setDefaultRefDate();
+    jsf.option({ random: Math.random });
+  }
+
+  return results;
+}
+
+module.exports = {
+  SEED_BLOCK_SIZE,
+  SEED_REF_DATE,
+  hashString,
+  normalizeSeed,
+  deriveSeed,
+  createRng,
+  seedMathRandom,
+  generateSeeded,
+};
@@ -0,0 +1,403 @@
+/**
+ * @fileoverview Time-series mode (`mode: "timeseries"`, `x-timestamp`)
+ *
+ * Timestamps accumulate random intervals, so record n depends on every record
+ * before it and workers cannot compute them on their own. The main thread
+ * runs the timeline instead (one cheap PRNG pass, entities merged in time
+ * order) and hands each chunk its stamps when it dispatches the chunk; workers
+ * write them into the records before formatting. Chunks are dispatched and
+ * emitted in job order, so the stream comes out sorted by timestamp.
+ */
+
+const { SEED_REF_DATE, hashString, createRng } = require('./seed');
+const { standardNormal } = require('./distributions');
+
+const TIMESTAMP_KEYWORD = 'x-timestamp';
+const TIMESERIES_MODE = 'timeseries';
+
+const INTERVAL_DISTRIBUTIONS = ['fixed', 'uniform', 'exponential', 'normal'];
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_ENTITIES = 10;
+const MAX_ENTITIES = 1000000;
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const duration = { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string' }] };
+
+const TIMESTAMP_META_SCHEMA = {
+  type: 'object',
+  properties: {
+    start: { type: 'string' },
+    end: { type: 'string' },
+    interval: {
+      anyOf: [
+        duration,
+        {
+          type: 'object',
+          required: ['distribution'],
+          properties: {
+            distribution: { enum: INTERVAL_DISTRIBUTIONS },
+            value: duration,
+            mean: duration,
+            min: duration,
+            max: duration,
+            stdDev: duration,
+          },
+          additionalProperties: false,
+        },
+      ],
+    },
+    jitter: duration,
+    gaps: {
+      type: 'object',
+      required: ['rate'],
+      properties: {
+        rate: { type: 'number', minimum: 0, maximum: 1 },
+        min: duration,
+        max: duration,
+      },
+      additionalProperties: false,
+    },
+    entityField: { type: 'string' },
+    entities: { type: 'integer', minimum: 1, maximum: MAX_ENTITIES },
+    entityPrefix: { type: 'string' },
+    sequenceField: { type: 'string' },
+  },
+  additionalProperties: false,
+};
+
+const planCache = new WeakMap();
+
+/**
+ * Parse a duration ("500ms", "30s", "5m", "1.5h", "2d", "1w" or milliseconds)
+ * @param {number|string} value - Duration
+ * @param {string} name - Option name (errors)
+ * @returns {number} Milliseconds
+ * @throws {Error} On malformed durations
+ */
+function parseDuration(value, name) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+  const match = typeof value === 'string' && /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/.exec(value.trim());
+  if (!match) {
+    throw new Error(`${name} must be a duration like "30s", "5m", "1h" or milliseconds`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+/**
+ * @param {string|undefined} value - Date string
+ * @param {string} name - Option name (errors)
+ * @returns {number|null} Epoch milliseconds
+ */
+function parseDate(value, name) {
+  if (value === undefined) return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`${TIMESTAMP_KEYWORD}.${name} must be a date`);
+  }
+  return time;
+}
+
+/**
+ * @param {Object} schema - Field schema
+ * @returns {Array<string>} Declared types
+ */
+function typesOf(schema) {
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Interval process of a timeline
+ * @param {*} interval - x-timestamp.interval
+ * @param {number|null} span - Mean interval derived from start and end (both set)
+ * @returns {Object} { distribution, mean, ... } in milliseconds
+ */
+function parseInterval(interval, span) {
+  if (interval === undefined) {
+    return { distribution: 'fixed', mean: span ?? DEFAULT_INTERVAL };
+  }
+  if (typeof interval !== 'object') {
+    if (span !== null) throw new Error(`${TIMESTAMP_KEYWORD}: set either start + end or interval`);
+    return { distribution: 'fixed', mean: parseDuration(interval, `${TIMESTAMP_KEYWORD}.interval`) };
+  }
+
+  const { distribution } = interval;
+  const parsed = { distribution };
+  for (const key of ['value', 'mean', 'min', 'max', 'stdDev']) {
+    if (interval[key] !== undefined) parsed[key] = parseDuration(interval[key], `${TIMESTAMP_KEYWORD}.interval.${key}`);
+  }
+
+  if (distribution === 'uniform') {
+    if (parsed.min === undefined || parsed.max === undefined || parsed.min > parsed.max) {
+      throw new Error(`${TIMESTAMP_KEYWORD}.interval: uniform needs min <= max`);
+    }
+    if (span !== null) throw new Error(`${TIMESTAMP_KEYWORD}: set either start + end or interval min / max`);
+    parsed.mean = (parsed.min + parsed.max) / 2;
+    return parsed;
+  }
+
+  const mean = distribution === 'fixed' ? parsed.value ?? parsed.mean : parsed.mean;
+  if (mean !== undefined && span !== null) {
+    throw new Error(`${TIMESTAMP_KEYWORD}: set either start + end or the interval mean`);
+  }
+  parsed.mean = mean ?? span ?? DEFAULT_INTERVAL;
+  if (distribution === 'normal') {
+    parsed.stdDev = parsed.stdDev ?? parsed.mean / 4;
+  }
+  return parsed;
+}
+
+/**
+ * Time-series layout of a schema
+ * @param {Object} schema - Root schema
+ * @returns {Object|null} Plan, null without x-timestamp
+ * @throws {Error} When the x-timestamp declaration does not fit the schema
+ */
+function getTimelinePlan(schema) {
+  if (!schema || typeof schema !== 'object' || !schema.properties) return null;
+  if (planCache.has(schema)) return planCache.get(schema);
+
+  const declared = Object.entries(schema.properties)
+    .filter(([, child]) => child && typeof child === 'object' && child[TIMESTAMP_KEYWORD]);
+  if (declared.length === 0) return null;
+  if (declared.length > 1) {
+    throw new Error(`${TIMESTAMP_KEYWORD} can be declared on one field only (found ${declared.map(([key]) => key).join(', ')})`);
+  }
+
+  const [[field, fieldSchema]] = declared;
+  const config = fieldSchema[TIMESTAMP_KEYWORD];
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${TIMESTAMP_KEYWORD} of "${field}" must be an object`);
+  }
+
+  const types = typesOf(fieldSchema);
+  let kind;
+  if (types.includes('integer') || types.includes('number')) {
+    kind = 'epoch';
+  } else if (types.includes('string')) {
+    kind = fieldSchema.format === 'date' ? 'date' : 'date-time';
+  } else {
+    throw new Error(`${TIMESTAMP_KEYWORD} field "${field}" must be a string (date-time / date) or an integer (epoch ms)`);
+  }
+
+  const { entityField, sequenceField } = config;
+  for (const [name, key] of [['entityField', entityField], ['sequenceField', sequenceField]]) {
+    if (key !== undefined && !schema.properties[key]) {
+      throw new Error(`${TIMESTAMP_KEYWORD}.${name} "${key}" is not a property of the schema`);
+    }
+    if (key === field) {
+      throw new Error(`${TIMESTAMP_KEYWORD}.${name} must differ from the timestamp field`);
+    }
+  }
+  if (sequenceField !== undefined && !typesOf(schema.properties[sequenceField]).some(type => type === 'integer' || type === 'number')) {
+    throw new Error(`${TIMESTAMP_KEYWORD}.sequenceField "${sequenceField}" must be an integer field`);
+  }
+  if (config.entities !== undefined && entityField === undefined) {
+    throw new Error(`${TIMESTAMP_KEYWORD}.entities needs an entityField`);
+  }
+
+  const gaps = config.gaps && {
+    rate: config.gaps.rate,
+    min: parseDuration(config.gaps.min ?? '1h', `${TIMESTAMP_KEYWORD}.gaps.min`),
+    max: parseDuration(config.gaps.max ?? config.gaps.min ?? '1h', `${TIMESTAMP_KEYWORD}.gaps.max`),
+  };
+  if (gaps && gaps.min > gaps.max) {
+    throw new Error(`${TIMESTAMP_KEYWORD}.gaps: min must be <= max`);
+  }
+
+  const plan = {
+    field,
+    kind,
+    start: parseDate(config.start, 'start'),
+    end: parseDate(config.end, 'end'),
+    interval: config.interval,
+    jitter: config.jitter === undefined ? 0 : parseDuration(config.jitter, `${TIMESTAMP_KEYWORD}.jitter`),
+    gaps,
+    entityField,
+    entities: entityField === undefined ? 1 : config.entities ?? DEFAULT_ENTITIES,
+    entityNumeric: entityField !== undefined &&
+      typesOf(schema.properties[entityField]).some(type => type === 'integer' || type === 'number'),
+    entityPrefix: config.entityPrefix ?? '',
+    sequenceField,
+  };
+  if (plan.start !== null && plan.end !== null && plan.end <= plan.start) {
+    throw new Error(`${TIMESTAMP_KEYWORD}: end must be after start`);
+  }
+  // Interval shape errors surface now, the mean derived from start / end needs the record count
+  parseInterval(plan.interval, plan.start !== null && plan.end !== null ? 1 : null);
+
+  planCache.set(schema, plan);
+  return plan;
+}
+
+/**
+ * Check the x-timestamp declaration of a schema
+ * @param {Object} schema - JSON Schema
+ * @returns {string|null} Error message, null when valid
+ */
+function checkTimeline(schema) {
+  try {
+    getTimelinePlan(schema);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Create the timeline of a job (main thread, stamps are taken in job order)
+ * @param {Object} plan - From getTimelinePlan
+ * @param {Object} options
+ * @param {number} options.count - Records of the job
+ * @param {number|null} options.seed - Effective job seed (random timeline when null)
+ * @returns {{take: Function, skip: Function}} take(n) → stamps of the next n records, skip(n)
+ */
+function createTimeline(plan, { count, seed }) {
+  const random = createRng(seed === null ? (Math.random() * 2 ** 32) >>> 0 : hashString(`${seed}:timeline`));
+  const perEntity = Math.max(1, Math.ceil(count / plan.entities));
+
+  // start + end: the records spread over the range; one of them: the series
+  // starts / ends there; none: it ends at the reference date (stable when seeded)
+  const bounded = plan.start !== null && plan.end !== null;
+  const interval = parseInterval(plan.interval, bounded ? (plan.end - plan.start) / perEntity : null);
+  const refDate = seed === null ? Date.now() : Date.parse(SEED_REF_DATE);
+  const start = plan.start ?? (plan.end ?? refDate) - perEntity * interval.mean;
+
+  const drawInterval = () => {
+    let value;
+    switch (interval.distribution) {
+      case 'uniform':
+        value = interval.min + random() * (interval.max - interval.min);
+        break;
+      case 'exponential':
+        value = -Math.log(1 - random()) * interval.mean;
+        break;
+      case 'normal':
+        value = interval.mean + standardNormal(random) * interval.stdDev;
+        break;
+      default:
+        value = interval.mean;
+    }
+    if (plan.jitter > 0) {
+      value += (random() * 2 - 1) * plan.jitter;
+    }
+    if (plan.gaps && random() < plan.gaps.rate) {
+      value += plan.gaps.min + random() * (plan.gaps.max - plan.gaps.min);
+    }
+    return Math.max(0, value);
+  };
+
+  // Entities start staggered within one interval and are merged by time (binary heap)
+  const heap = [];
+  const before = (a, b) => a.time < b.time || (a.time === b.time && a.entity < b.entity);
+  const push = (node) => {
+    heap.push(node);
+    for (let i = heap.length - 1; i > 0;) {
+      const parent = (i - 1) >> 1;
+      if (!before(heap[i], heap[parent])) break;
+      [heap[i], heap[parent]] = [heap[parent], heap[i]];
+      i = parent;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < heap.length && before(heap[left], heap[smallest])) smallest = left;
+        if (right < heap.length && before(heap[right], heap[smallest])) smallest = right;
+        if (smallest === i) break;
+        [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  };
+  for (let entity = 0; entity < plan.entities; entity++) {
+    push({ entity, time: start + (plan.entities > 1 ? random() * interval.mean : 0), sequence: 1 });
+  }
+
+  const next = () => {
+    const node = pop();
+    const stamp = { time: Math.round(node.time), entity: node.entity, sequence: node.sequence };
+    node.time += drawInterval();
+    node.sequence++;
+    push(node);
+    return stamp;
+  };
+
+  return {
+    take: (n) => Array.from({ length: n }, next),
+    skip(n) {
+      for (let i = 0; i < n; i++) next();
+    },
+  };
+}
+
+/**
+ * @param {Object} plan - From getTimelinePlan
+ * @param {number} time - Epoch milliseconds
+ * @returns {string|number} Value of the timestamp field
+ */
+function formatTime(plan, time) {
+  if (plan.kind === 'epoch') return time;
+  const iso = new Date(time).toISOString();
+  return plan.kind === 'date' ? iso.slice(0, 10) : iso;
+}
+
+/**
+ * Write the timeline stamps of a range of records (in-place)
+ * @param {Array} records - Generated records
+ * @param {Object} schema - Schema of the records
+ * @param {Array<Object>} stamps - From timeline.take(), one per record
+ * @returns {Array} Same records
+ */
+function applyTimeline(records, schema, stamps) {
+  const plan = getTimelinePlan(schema);
+  if (!plan || !stamps) return records;
+
+  const width = Math.max(3, String(plan.entities).length);
+  records.forEach((record, i) => {
+    const stamp = stamps[i];
+    if (!stamp || !record || typeof record !== 'object') return;
+    record[plan.field] = formatTime(plan, stamp.time);
+    if (plan.entityField !== undefined) {
+      record[plan.entityField] = plan.entityNumeric
+        ? stamp.entity + 1
+        : plan.entityPrefix + String(stamp.entity + 1).padStart(width, '0');
+    }
+    if (plan.sequenceField !== undefined) {
+      record[plan.sequenceField] = stamp.sequence;
+    }
+  });
+  return records;
+}
+
+/**
+ * Fields set by the timeline (kept when a record is replaced, see uniqueService)
+ * @param {Object} schema - Root schema
+ * @returns {Array<string>}
+ */
+function timelineFields(schema) {
+  const plan = getTimelinePlan(schema);
+  if (!plan) return [];
+  return [plan.field, plan.entityField, plan.sequenceField].filter(field => field !== undefined);
+}
+
+module.exports = {
+  TIMESTAMP_KEYWORD,
+  TIMESTAMP_META_SCHEMA,
+  TIMESERIES_MODE,
+  parseDuration,
+  getTimelinePlan,
+  checkTimeline,
+  createTimeline,
+  applyTimeline,
+  timelineFields,
+};
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Hierarchical collections (`x-tree`)
+ *
+ * Records of a tree collection form a forest of complete trees laid out in
+ * preorder: tree t holds records [t * size, (t + 1) * size), every node
+ * comes right before its subtree. The id and parent of a record follow from
+ * its index in the job alone, so chunks generated by different workers (or
+ * resumed streams) agree, parents always precede their children and a
+ * truncated last tree is still a valid tree.
+ */
+
+const TREE_KEYWORD = 'x-tree';
+
+const DEFAULT_DEPTH = 3;
+const DEFAULT_BRANCHING = 5;
+const DEFAULT_SEPARATOR = '.';
+const MAX_DEPTH = 20;
+const MAX_BRANCHING = 1000;
+
+const TREE_META_SCHEMA = {
+  type: 'object',
+  required: ['idField', 'parentField'],
+  properties: {
+    idField: { type: 'string', minLength: 1 },
+    parentField: { type: 'string', minLength: 1 },
+    depth: { type: 'integer', minimum: 1, maximum: MAX_DEPTH },
+    branching: { type: 'integer', minimum: 1, maximum: MAX_BRANCHING },
+    separator: { type: 'string' },
+  },
+  additionalProperties: false,
+};
+
+const planCache = new WeakMap();
+
+/**
+ * @param {Object} schema - Field schema
+ * @returns {Array<string>} Declared types
+ */
+function typesOf(schema) {
+  const types = Array.isArray(schema.type) ? [...schema.type] : [schema.type];
+  if (schema.nullable === true) types.push('null');
+  for (const branch of [...(schema.anyOf || []), ...(schema.oneOf || [])]) {
+    if (branch && typeof branch === 'object') types.push(...typesOf(branch));
+  }
+  return types.filter(Boolean);
+}
+
+/**
+ * Tree layout of a schema
+ * @param {Object} schema - Root schema
+ * @returns {Object|null} { idField, parentField, numeric, separator, sizes, codeWidth }, null without x-tree
+ * @throws {Error} When the x-tree declaration does not fit the schema
+ */
+function getTreePlan(schema) {
+  if (!schema || typeof schema !== 'object' || !schema[TREE_KEYWORD]) return null;
+  if (planCache.has(schema)) return planCache.get(schema);
+
+  const declaration = schema[TREE_KEYWORD];
+  if (typeof declaration !== 'object' || typeof declaration.idField !== 'string' ||
+      typeof declaration.parentField !== 'string') {
+    throw new Error(`${TREE_KEYWORD} requires idField and parentField`);
+  }
+  const {
+    idField,
+    parentField,
+    depth = DEFAULT_DEPTH,
+    branching = DEFAULT_BRANCHING,
+    separator = DEFAULT_SEPARATOR,
+  } = declaration;
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_DEPTH) {
+    throw new Error(`${TREE_KEYWORD}.depth must be an integer between 1 and ${MAX_DEPTH}`);
+  }
+  if (!Number.isInteger(branching) || branching < 1 || branching > MAX_BRANCHING) {
+    throw new Error(`${TREE_KEYWORD}.branching must be an integer between 1 and ${MAX_BRANCHING}`);
+  }
+
+  const idSchema = schema.properties?.[idField];
+  const parentSchema = schema.properties?.[parentField];
+  if (!idSchema) throw new Error(`${TREE_KEYWORD}.idField "${idField}" is not a property of the schema`);
+  if (!parentSchema) throw new Error(`${TREE_KEYWORD}.parentField "${parentField}" is not a property of the schema`);
+  if (idField === parentField) throw new Error(`${TREE_KEYWORD}.idField and parentField must differ`);
+
+  const idTypes = typesOf(idSchema);
+  const numeric = idTypes.includes('integer') || idTypes.includes('number');
+  if (!numeric && !idTypes.includes('string')) {
+    throw new Error(`${TREE_KEYWORD}.idField "${idField}" must be an integer or string field`);
+  }
+  if (!numeric && (idSchema.format || idSchema.pattern)) {
+    throw new Error(`${TREE_KEYWORD}.idField "${idField}" gets hierarchical codes, remove its format / pattern`);
+  }
+
+  const parentTypes = typesOf(parentSchema);
+  const idType = numeric ? ['integer', 'number'] : ['string'];
+  if (!parentTypes.some(type => idType.includes(type))) {
+    throw new Error(`${TREE_KEYWORD}.parentField "${parentField}" must have the type of "${idField}"`);
+  }
+  if (!parentTypes.includes('null')) {
+    throw new Error(`${TREE_KEYWORD}.parentField "${parentField}" must allow null (roots have no parent)`);
+  }
+
+  // sizes[level] = nodes in the subtree of a node at that level
+  const sizes = new Array(depth).fill(1);
+  for (let level = depth - 2; level >= 0; level--) {
+    sizes[level] = 1 + branching * sizes[level + 1];
+  }
+  if (!Number.isSafeInteger(sizes[0])) {
+    throw new Error(`${TREE_KEYWORD}: depth ${depth} with branching ${branching} is too large`);
+  }
+
+  const plan = {
+    idField,
+    parentField,
+    numeric,
+    separator,
+    sizes,
+    codeWidth: Math.max(2, String(branching).length),
+  };
+  planCache.set(schema, plan);
+  return plan;
+}
+
+/**
+ * Check the x-tree declaration of a schema
+ * @param {Object} schema - JSON Schema
+ * @returns {string|null} Error message, null when valid
+ */
+function checkTree(schema) {
+  try {
+    getTreePlan(schema);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Position of a record in the forest
+ * @param {Object} plan - From getTreePlan
+ * @param {number} index - Index of the record in the job
+ * @returns {{path: Array<number>, parentIndex: number|null}} Sibling positions from the root down
+ */
+function locate(plan, index) {
+  const { sizes } = plan;
+  const tree = Math.floor(index / sizes[0]);
+  const path = [tree];
+  let rest = index % sizes[0];
+  let base = tree * sizes[0];
+  let parentIndex = null;
+
+  for (let level = 1; rest > 0; level++) {
+    rest -= 1;
+    const child = Math.floor(rest / sizes[level]);
+    parentIndex = base;
+    base += 1 + child * sizes[level];
+    rest %= sizes[level];
+    path.push(child);
+  }
+  return { path, parentIndex };
+}
+
+/**
+ * @param {Object} plan - From getTreePlan
+ * @param {Array<number>} path - Sibling positions from the root down
+ * @returns {string} Hierarchical code ("01", "01.03", "01.03.02"...)
+ */
+function treeCode(plan, path) {
+  return path
+    .map(position => String(position + 1).padStart(plan.codeWidth, '0'))
+    .join(plan.separator);
+}
+
+/**
+ * Set the id / parent fields of a range of records (in-place)
+ * @param {Array} records - Generated records
+ * @param {Object} schema - Schema of the records
+ * @param {number} offset - Index of the first record in the job
+ * @returns {Array} Same records
+ */
+function applyTree(records, schema, offset = 0) {
+  const plan = getTreePlan(schema);
+  if (!plan) return records;
+
+  records.forEach((record, i) => {
+    if (!record || typeof record !== 'object') return;
+    const index = offset + i;
+    const { path, parentIndex } = locate(plan, index);
+    if (plan.numeric) {
+      record[plan.idField] = index + 1;
+      record[plan.parentField] = parentIndex === null ? null : parentIndex + 1;
+    } else {
+      record[plan.idField] = treeCode(plan, path);
+      record[plan.parentField] = parentIndex === null ? null : treeCode(plan, path.slice(0, -1));
+    }
+  });
+  return records;
+}
+
+/**
+ * Fields set by the tree layout (kept when a record is replaced, see uniqueService)
+ * @param {Object} schema - Root schema
+ * @returns {Array<string>}
+ */
+function treeFields(schema) {
+  const plan = getTreePlan(schema);
+  return plan ? [plan.idField, plan.parentField] : [];
+}
+
+/**
+ * Records no other record of the batch has as parent (removed without
+ * orphaning a child, see invalidService)
+ * @param {Array} records - Records laid out by applyTree
+ * @param {Object} schema - Root schema
+ * @returns {Set<Object>|null} Leaf records, null without x-tree
+ */
+function treeLeaves(records, schema) {
+  const plan = getTreePlan(schema);
+  if (!plan) return null;
+
+  const parents = new Set(records.map(record => record?.[plan.parentField]).filter(parent => parent !== null));
+  return new Set(records.filter(record => record && !parents.has(record[plan.idField])));
+}
+
+module.exports = {
+  TREE_KEYWORD,
+  TREE_META_SCHEMA,
+  getTreePlan,
+  checkTree,
+  applyTree,
+  treeFields,
+  treeLeaves,
+};
@@ -45,7 +45,12 @@ async function start() {
     console.log('\n📡 Available endpoints:');
     console.log('   POST /generate     - Generate fake data');
     console.log('   POST /validate     - Validate JSON Schema');
+    console.log('   POST /convert-schema - Mongoose / $jsonSchema / OpenAPI to JSON Schema');
     console.log('   POST /benchmark    - Performance benchmark');
+    console.log('   POST /generate-xml - Fill an XML template');
+    console.log('   POST /infer-schema - Infer a schema from documents');
+    console.log('   POST /jobs         - Start a background job');
+    console.log('   GET  /jobs/:id     - Job status and progress');
     console.log('   POST /stop-job/:id - Stop a running job');
     console.log('   POST /kill-all     - Stop all jobs');
     console.log('   POST /gc           - Force garbage collection');
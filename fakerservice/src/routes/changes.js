@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Change-event route - NDJSON stream of insert / update / delete
+ * events over a dataset (CDC consumer testing)
+ */
+
+const config = require('../config');
+const {
+  schemaService,
+  schemaImportService,
+  generatorService,
+  jobService,
+  streamService,
+  uniqueService,
+  changeService,
+} = require('../services');
+const { ValidationError } = require('../errors');
+const { normalizeSeed } = require('../generation');
+
+const weightSchema = { type: 'number', minimum: 0 };
+
+// Request schema for POST /generate-changes
+const generateChangesSchema = {
+  body: {
+    type: 'object',
+    required: ['schema'],
+    properties: {
+      schema: { type: 'object' },
+      schemaFormat: { type: 'string', enum: schemaImportService.SCHEMA_FORMATS, default: 'json-schema' },
+      openapi: { type: 'object' },
+      schemaBundle: { type: 'object' },
+      // Collections the x-ref fields of `schema` point to (as sent to /generate)
+      references: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['schema', 'collection', 'count'],
+          properties: {
+            schema: { type: 'object' },
+            collection: { type: 'string' },
+            count: { type: 'integer', minimum: 1 },
+            schemaFormat: { type: 'string', enum: schemaImportService.SCHEMA_FORMATS },
+            openapi: { type: 'object' },
+            uniqueKeys: { type: 'array' },
+          },
+        },
+      },
+      dataset: { type: 'array', items: { type: 'object' }, maxItems: config.changes.maxBaseCount },
+      baseCount: { type: 'integer', minimum: 0, maximum: config.changes.maxBaseCount, default: 0 },
+      count: {
+        type: 'integer',
+        minimum: 0,
+        maximum: config.generation.maxCount,
+        default: config.generation.defaultCount,
+      },
+      chunkSize: { type: 'integer', minimum: 1, default: config.changes.defaultChunkSize },
+      seed: { anyOf: [{ type: 'integer' }, { type: 'string' }] },
+      operations: {
+        type: 'object',
+        properties: { insert: weightSchema, update: weightSchema, delete: weightSchema },
+      },
+      fieldsPerUpdate: {
+        type: 'object',
+        properties: { min: { type: 'integer', minimum: 1 }, max: { type: 'integer', minimum: 1 } },
+      },
+      idField: { type: 'string' },
+      versionField: { type: 'string' },
+      timestampField: { type: 'string' },
+      interval: { anyOf: [{ type: 'number', minimum: 0 }, { type: 'string' }] },
+      start: { type: 'string' },
+      uniqueKeys: { type: 'array' },
+      locale: { type: 'string' },
+    },
+  },
+};
+
+async function changeRoutes(fastify, options) {
+  const { generatorPool } = options;
+
+  /**
+   * POST /generate-changes - Change events over a dataset
+   * The dataset is sent (`dataset`) or regenerated from a seed (`baseCount`)
+   *
+   * Response format:
+   * {"chunk":0,"data":[{"seq":1,"op":"update","key":42,"version":2,"ts":"...","before":{...},"after":{...},"changedFields":["status"]}],"progress":{...}}
+   * ...
+   * {"done":true,"stats":{"totalRecords":1000,"operations":{"insert":200,"update":700,"delete":100},...}}
+   */
+  fastify.post('/generate-changes', { schema: generateChangesSchema }, async (request, reply) => {
+    const {
+      schemaFormat,
+      openapi,
+      schemaBundle,
+      references = [],
+      dataset,
+      baseCount,
+      count,
+      chunkSize,
+      seed,
+      operations,
+      fieldsPerUpdate,
+      idField,
+      versionField,
+      timestampField,
+      interval,
+      start,
+      uniqueKeys,
+      locale,
+    } = request.body;
+
+    const jobId = request.headers['x-job-id'] || request.headers['x-jobid'];
+
+    const schema = schemaImportService.convertSchema(request.body.schema, schemaFormat, { openapi, schemaBundle });
+    const validation = schemaService.validateSchema(schema);
+    if (!validation.valid) {
+      throw new ValidationError('Invalid schema', validation.errors);
+    }
+
+    const effectiveSeed = normalizeSeed(seed);
+    if (baseCount > 0 && effectiveSeed === null) {
+      throw new ValidationError('baseCount regenerates a seeded dataset, send the seed it was generated with');
+    }
+    const params = {
+      schema,
+      dataset,
+      baseCount,
+      count,
+      chunkSize: Math.min(chunkSize, 5000),
+      seed: effectiveSeed,
+      operations,
+      fieldsPerUpdate,
+      idField,
+      versionField,
+      timestampField,
+      interval,
+      start,
+      locale: generatorService.resolveRequestLocale(locale),
+      unique: uniqueService.resolveConstraints(schema, uniqueKeys, (dataset?.length ?? baseCount) + count),
+    };
+    // Bad options are a 400, not an error line in the stream
+    changeService.resolveChangeOptions(schema, params);
+
+    // x-ref: referenced collections are regenerated first, like in /generate
+    const collections = references.map(entry => ({
+      schema: schemaImportService.convertSchema(entry.schema, entry.schemaFormat || schemaFormat, {
+        openapi: entry.openapi || openapi,
+        schemaBundle,
+      }),
+      collection: entry.collection,
+      count: entry.count,
+      uniqueKeys: entry.uniqueKeys,
+    }));
+    for (const { schema: item } of collections) {
+      const itemValidation = schemaService.validateSchema(item);
+      if (!itemValidation.valid) {
+        throw new ValidationError('Invalid schema', itemValidation.errors);
+      }
+    }
+    params.refs = await changeService.regenerateReferences(generatorPool, {
+      schema,
+      collections,
+      seed: effectiveSeed,
+      locale: params.locale,
+      jobId,
+    });
+
+    // Register for abort tracking
+    const abortController = new AbortController();
+    const requestId = jobService.registerRequest(jobId, abortController, count);
+    const unwatchStop = generatorPool.watchJob(jobId, abortController);
+
+    request.raw.on('close', () => {
+      if (!request.raw.complete) {
+        abortController.abort();
+        jobService.unregisterRequest(requestId);
+      }
+    });
+
+    reply.raw.setHeader('Content-Type', 'application/x-ndjson');
+    reply.raw.setHeader('Transfer-Encoding', 'chunked');
+    reply.raw.setHeader('X-Accel-Buffering', 'no');
+    reply.raw.setHeader('Cache-Control', 'no-cache');
+
+    const writer = new streamService.NdjsonWriter(reply.raw);
+    const startTime = Date.now();
+    const operationCounts = Object.fromEntries(changeService.OPERATIONS.map(op => [op, 0]));
+    let totalSent = 0;
+    let chunksStreamed = 0;
+    let liveRecords = dataset ? dataset.length : baseCount;
+
+    request.log.info({ jobId, count, baseCount, datasetSize: dataset?.length }, '🌊 Starting change stream');
+
+    try {
+      const chunks = changeService.generateChangeEvents(generatorPool, {
+        ...params,
+        jobId,
+        signal: abortController.signal,
+      });
+
+      for await (const chunkData of chunks) {
+        if (!await writer.write(chunkData)) {
+          abortController.abort();
+          break;
+        }
+        for (const event of chunkData.data) {
+          operationCounts[event.op]++;
+        }
+        totalSent += chunkData.chunkStats.size;
+        liveRecords = chunkData.chunkStats.liveRecords;
+        chunksStreamed++;
+      }
+
+      if (abortController.signal.aborted && totalSent < count) {
+        await writer.write({
+          error: 'aborted',
+          message: 'Job stopped by user',
+          completed: totalSent,
+        });
+      }
+
+      const finalStats = {
+        done: true,
+        stats: {
+          ...streamService.buildDoneStats(totalSent, chunksStreamed, startTime, effectiveSeed),
+          operations: operationCounts,
+          liveRecords,
+          peakBufferedBytes: writer.peakBufferedBytes,
+        },
+      };
+      await writer.write(finalStats);
+      reply.raw.end();
+
+      request.log.info({
+        jobId,
+        totalSent,
+        operations: operationCounts,
+        duration: finalStats.stats.duration,
+      }, '✅ Change stream completed');
+    } catch (error) {
+      request.log.error({ jobId, error }, '❌ Change stream error');
+
+      reply.raw.write(JSON.stringify({
+        error: 'generation_failed',
+        message: error.message,
+        completed: totalSent,
+      }) + '\n');
+      reply.raw.end();
+    } finally {
+      unwatchStop();
+      jobService.unregisterRequest(requestId);
+    }
+  });
+}
+
+module.exports = changeRoutes;
@@ -3,8 +3,18 @@
  */
 
 const config = require('../config');
-const { schemaService, generatorService, jobService } = require('../services');
+const {
+  schemaService,
+  generatorService,
+  jobService,
+  referenceService,
+  uniqueService,
+  tabularService,
+  schemaImportService,
+  invalidService,
+} = require('../services');
 const { ValidationError, GenerationError } = require('../errors');
+const { normalizeSeed, hashString, createRng, OUTPUT_FORMATS, treeFields, treeLeaves } = require('../generation');
 
 // Request schema for validation
 const generateSchema = {
@@ -20,6 +30,9 @@ const generateSchema = {
             schema: { type: 'object' },
             collection: { type: 'string' },
             count: { type: 'integer', minimum: 1 },
+            schemaFormat: { type: 'string', enum: schemaImportService.SCHEMA_FORMATS },
+            openapi: { type: 'object' },
+            uniqueKeys: { type: 'array' },
           },
         },
       },
@@ -30,7 +43,11 @@ const generateSchema = {
         default: config.generation.defaultCount,
       },
       validateData: { type: 'boolean', default: false },
+      repair: { type: 'boolean', default: false }, // Patch / regenerate fields until records validate
+      invalidRatio: { type: 'number', minimum: 0, maximum: 1, default: 0 }, // Share of records moved to 'invalid'
+      invalidKinds: { type: 'array', items: { type: 'string', enum: invalidService.INVALID_KINDS } },
       randomMode: { type: 'boolean', default: false },
+      fuzz: { type: 'object' }, // Configurable randomMode mutations with a per-record log
       streaming: { type: 'boolean', default: false },
       batchSize: {
         type: 'integer',
@@ -38,10 +55,50 @@ const generateSchema = {
         maximum: config.generation.maxBatchSize,
         nullable: true, // Allow null for small previews
       },
+      seed: { anyOf: [{ type: 'integer' }, { type: 'string' }] }, // Reproducible output
+      schemaFormat: { type: 'string', enum: schemaImportService.SCHEMA_FORMATS, default: 'json-schema' },
+      openapi: { type: 'object' }, // { component } or { operation, status, direction, mediaType }
+      schemaBundle: { type: 'object' }, // $ref targets by id
+      uniqueKeys: { type: 'array' }, // Compound unique keys, e.g. [["tenantId", "code"]]
+      outputFormat: { type: 'string', enum: OUTPUT_FORMATS, default: 'json' },
+      locale: { type: 'string' }, // Faker locale ("vi", "en_US"...), x-locale overrides per field
+      format: { type: 'string', enum: ['json', ...tabularService.TABULAR_FORMATS], default: 'json' },
+      formatOptions: { type: 'object' },
     },
   },
 };
 
+/**
+ * Join the chunks of a pool result generated with `streaming` into one batch
+ * result, so every step below works on `result.data`
+ * @param {Object} result - Generation result (pool or main thread)
+ * @returns {Object} Result with the records (and fuzz log) of all chunks
+ */
+function flattenChunks(result) {
+  if (!result.chunks) {
+    return result;
+  }
+  const { chunks, ...rest } = result;
+  const fuzzLog = chunks.some(chunk => chunk.fuzzLog) ? chunks.flatMap(chunk => chunk.fuzzLog || []) : null;
+  return {
+    ...rest,
+    data: chunks.flatMap(chunk => chunk.data),
+    ...(fuzzLog && { fuzzLog }),
+  };
+}
+
+/**
+ * Map the records still invalid after repair to their errors
+ * @param {Object} result - Generation result (flattened)
+ * @param {number} offset - Index of the first record of the result in the job
+ * @param {Map} into - record → errors (mutated)
+ */
+function collectUnrepaired(result, offset, into) {
+  for (const { index, errors } of result.repair?.unrepaired || []) {
+    into.set(result.data[index - offset], errors);
+  }
+}
+
 async function generateRoutes(fastify, options) {
   const { generatorPool } = options;
 
@@ -54,9 +111,22 @@ async function generateRoutes(fastify, options) {
       schemas,
       count = config.generation.defaultCount,
       validateData = false,
-      randomMode = false,
+      repair = false,
+      invalidRatio = 0,
+      invalidKinds,
+      randomMode: requestedRandomMode = false,
+      fuzz,
       streaming = false,
       batchSize = config.generation.defaultBatchSize,
+      seed,
+      outputFormat = 'json',
+      format = 'json',
+      formatOptions,
+      schemaFormat = 'json-schema',
+      openapi,
+      schemaBundle,
+      uniqueKeys,
+      locale,
     } = request.body;
 
     // Get job ID from header (from Spring Boot)
@@ -67,14 +137,59 @@ async function generateRoutes(fastify, options) {
       throw new ValidationError('Either schema or schemas is required');
     }
 
-    // Normalize schemas input
-    const schemasToProcess = Array.isArray(schemas)
-      ? schemas.map(s => ({
-          schema: s.schema || s,
-          collection: s.collection,
-          count: s.count || count,
-        }))
-      : [{ schema, collection: null, count }];
+    // Extended JSON wrappers ($oid, $date...) never validate against the schema
+    if (validateData && outputFormat !== 'json') {
+      throw new ValidationError('validateData is only supported with outputFormat "json"');
+    }
+
+    const isTabular = format !== 'json';
+    if (isTabular && (outputFormat !== 'json' || validateData || invalidRatio > 0)) {
+      throw new ValidationError(`format "${format}" cannot be combined with outputFormat "${outputFormat}", validateData or invalidRatio`);
+    }
+
+    const effectiveSeed = normalizeSeed(seed);
+    // fuzz implies randomMode
+    // The response holds the records of every collection
+    const totalCount = Array.isArray(schemas) ? schemas.reduce((sum, s) => sum + (s.count || count), 0) : count;
+    const fuzzConfig = generatorService.resolveRequestFuzz(fuzz, effectiveSeed, totalCount);
+    const randomMode = requestedRandomMode || fuzzConfig !== null;
+
+    // Negative data is checked against the schema like validateData
+    if (invalidRatio > 0 && (outputFormat !== 'json' || randomMode)) {
+      throw new ValidationError('invalidRatio is only supported with outputFormat "json" and without randomMode / fuzz');
+    }
+    const kinds = invalidService.resolveInvalidKinds(invalidKinds);
+
+    // Fuzzed records are invalid on purpose
+    if (repair && randomMode) {
+      throw new ValidationError('repair cannot be combined with randomMode / fuzz');
+    }
+
+    const effectiveLocale = generatorService.resolveRequestLocale(locale);
+
+    // Normalize schemas input (Mongoose / $jsonSchema / OpenAPI converted, $refs inlined),
+    // referenced collections (x-ref) first
+    const schemasToProcess = referenceService.orderByReferences(
+      Array.isArray(schemas)
+        ? schemas.map(s => ({
+            schema: schemaImportService.convertSchema(s.schema || s, s.schemaFormat || schemaFormat, {
+              openapi: s.openapi || openapi,
+              schemaBundle,
+            }),
+            collection: s.collection,
+            count: s.count || count,
+            uniqueKeys: s.uniqueKeys || uniqueKeys,
+          }))
+        : [{ schema: schemaImportService.convertSchema(schema, schemaFormat, { openapi, schemaBundle }), collection: null, count, uniqueKeys }]
+    );
+    const referenceStore = new referenceService.ReferenceStore(schemasToProcess);
+
+    if (isTabular && format !== 'sql' && schemasToProcess.length > 1) {
+      throw new ValidationError(`format "${format}" supports a single schema, use "sql" or one request per collection`);
+    }
+    const formatters = isTabular
+      ? schemasToProcess.map(s => new tabularService.TabularFormatter(format, s.schema, formatOptions, s.collection))
+      : [];
 
     // Register request for abort tracking
     const abortController = new AbortController();
@@ -92,14 +207,17 @@ async function generateRoutes(fastify, options) {
     try {
       // Process each schema
       const results = [];
+      const invalid = [];
       let totalGenerated = 0;
+      let tabularOutput = '';
 
-      for (const { schema: schemaItem, collection, count: itemCount } of schemasToProcess) {
+      for (const [index, { schema: schemaItem, collection, count: itemCount, uniqueKeys: itemKeys }] of schemasToProcess.entries()) {
         // Validate schema
         const validation = schemaService.validateSchema(schemaItem);
         if (!validation.valid) {
           throw new ValidationError('Invalid schema', validation.errors);
         }
+        const constraints = uniqueService.resolveConstraints(schemaItem, itemKeys, itemCount);
 
         // Check abort signal
         if (abortController.signal.aborted) {
@@ -112,26 +230,102 @@ async function generateRoutes(fastify, options) {
           randomMode,
           streaming,
           streamBufferSize: batchSize,
+          seed: effectiveSeed,
+          outputFormat,
+          refs: referenceStore.refsFor(schemaItem),
+          locale: effectiveLocale,
+          fuzz: fuzzConfig,
+          repair,
         };
 
         let result;
         if (generatorService.shouldUseWorkers(itemCount)) {
           // Use worker pool for large counts
           request.log.info({ itemCount, jobId }, 'Using worker pool for generation');
-          result = await generatorPool.generate(
+          result = flattenChunks(await generatorPool.generate(
             schemaService.prepareSchema(schemaItem),
             itemCount,
             genOptions
-          );
+          ));
         } else {
           // Use main thread for small counts
           result = await generatorService.generateBatch(schemaItem, itemCount, genOptions);
         }
 
-        // Validate generated data if requested
+        // repair: records still invalid after repair → their errors (validated where generated)
+        const unrepaired = new Map();
+        if (repair) {
+          collectUnrepaired(result, 0, unrepaired);
+        }
+
+        // x-unique / uniqueKeys: replace duplicates across all chunks. Candidates
+        // come from the pool like in /generate-stream, so seeded output matches it.
+        // Fuzzed records are left as they are, so the fuzz log matches them
+        const tracker = !fuzzConfig && uniqueService.createTracker(constraints, {
+          count: itemCount,
+          fetch: async (offset, size) => {
+            const candidates = await generatorPool.generate(
+              schemaService.prepareSchema(schemaItem),
+              size,
+              { ...genOptions, streaming: false, offset }
+            );
+            collectUnrepaired(candidates, offset, unrepaired);
+            return candidates.data;
+          },
+          keep: treeFields(schemaItem),
+        });
+        if (tracker) {
+          result.data = await tracker.enforce(result.data);
+          result.stats = { ...result.stats, duplicatesReplaced: tracker.replaced };
+        }
+
+        // invalidRatio: move a share of the records to 'invalid', one broken constraint each
+        if (invalidRatio > 0) {
+          const random = effectiveSeed === null ? Math.random : createRng(hashString(`${effectiveSeed}:invalid:${index}`));
+          // x-tree: id / parent stay intact and only leaves leave the tree
+          const split = invalidService.splitInvalid(result.data, schemaItem, {
+            ratio: invalidRatio,
+            kinds,
+            random,
+            keep: treeFields(schemaItem),
+            movable: treeLeaves(result.data, schemaItem),
+          });
+          result.data = split.valid;
+          invalid.push(...split.invalid.map(entry => (collection ? { collection, ...entry } : entry)));
+          totalGenerated += split.invalid.length;
+          result.stats = {
+            ...result.stats,
+            invalidRecords: split.invalid.length,
+            ...(split.skipped > 0 && { invalidSkipped: split.skipped }),
+          };
+        }
+
+        referenceStore.collect(collection, result.data);
+
+        if (isTabular) {
+          tabularOutput += formatters[index].header() + formatters[index].rows(result.data);
+        }
+
+        if (repair) {
+          const { repairedRecords, repairedFields } = result.repair;
+          result.stats = {
+            ...result.stats,
+            repairedRecords,
+            repairedFields,
+            unrepairedRecords: result.data.filter(record => unrepaired.has(record)).length,
+          };
+        }
+
+        // Validate generated data if requested (already done with repair)
         if (validateData && result.data) {
           const invalidRecords = [];
           for (let i = 0; i < result.data.length; i++) {
+            if (repair) {
+              if (unrepaired.has(result.data[i])) {
+                invalidRecords.push({ index: i, errors: unrepaired.get(result.data[i]) });
+              }
+              continue;
+            }
             const dataValidation = schemaService.validateData(result.data[i], schemaItem);
             if (!dataValidation.valid) {
               invalidRecords.push({ index: i, errors: dataValidation.errors });
@@ -142,9 +336,14 @@ async function generateRoutes(fastify, options) {
           }
         }
 
+        if (fuzzConfig) {
+          result.stats = { ...result.stats, fuzzSeed: fuzzConfig.seed };
+        }
+
         results.push({
           collection,
           data: result.data,
+          ...(result.fuzzLog && { fuzzLog: result.fuzzLog }),
           stats: result.stats,
           ...(result.validationErrors && { validationErrors: result.validationErrors }),
         });
@@ -152,6 +351,14 @@ async function generateRoutes(fastify, options) {
         totalGenerated += result.data?.length || 0;
       }
 
+      // CSV / TSV / SQL: plain text body
+      if (isTabular) {
+        reply
+          .header('Content-Type', formatters[0].contentType)
+          .header('X-Total-Records', totalGenerated);
+        return tabularOutput;
+      }
+
       // Build response
       // For backward compatibility with Spring Boot:
       // - Single schema without collection: return simple array as 'results' (and 'valid' for Spring)
@@ -166,7 +373,8 @@ async function generateRoutes(fastify, options) {
         results: dataArray,
         // ✅ For Spring Boot compatibility
         valid: dataArray,  // Spring Boot expects 'valid' field
-        invalid: [],       // Spring Boot expects 'invalid' field
+        invalid,           // Spring Boot expects 'invalid' field (invalidRatio)
+        ...(isSimpleMode && results[0].fuzzLog && { fuzzLog: results[0].fuzzLog }),
         stats: results.length === 1 
           ? results[0].stats 
           : results.map(r => r.stats),
@@ -185,19 +393,7 @@ async function generateRoutes(fastify, options) {
   fastify.post('/benchmark', async (request, reply) => {
     const { count = 1000, iterations = 3 } = request.body || {};
 
-    const testSchema = {
-      type: 'object',
-      properties: {
-        id: { type: 'string', format: 'uuid' },
-        name: { type: 'string', minLength: 5, maxLength: 50 },
-        email: { type: 'string', format: 'email' },
-        age: { type: 'integer', minimum: 18, maximum: 99 },
-        active: { type: 'boolean' },
-        createdAt: { type: 'string', format: 'date-time' },
-        tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 5 },
-      },
-      required: ['id', 'name', 'email', 'age', 'active', 'createdAt'],
-    };
+    const testSchema = generatorService.BENCHMARK_SCHEMA;
 
     const results = [];
 
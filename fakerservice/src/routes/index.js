@@ -7,6 +7,10 @@ const streamRoutes = require('./stream'); // NEW: Streaming routes
 const validateRoutes = require('./validate');
 const healthRoutes = require('./health');
 const managementRoutes = require('./management');
+const jobRoutes = require('./jobs');
+const xmlRoutes = require('./xml');
+const inferRoutes = require('./infer');
+const changeRoutes = require('./changes');
 
 /**
  * Register all routes
@@ -20,6 +24,10 @@ async function registerRoutes(fastify, options) {
   await fastify.register(validateRoutes, options);
   await fastify.register(healthRoutes, options);
   await fastify.register(managementRoutes, options);
+  await fastify.register(jobRoutes, options);
+  await fastify.register(xmlRoutes, options);
+  await fastify.register(inferRoutes, options);
+  await fastify.register(changeRoutes, options);
 }
 
 module.exports = registerRoutes;
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Infer route - JSON Schema inference from sample documents
+ */
+
+const config = require('../config');
+const { inferenceService } = require('../services');
+const { ValidationError } = require('../errors');
+
+// Request schema for POST /infer-schema
+// Body: an array of documents, { documents, options } or an NDJSON upload
+const inferSchemaSchema = {
+  querystring: {
+    type: 'object',
+    properties: {
+      enumThreshold: { type: 'integer', minimum: 0 },
+      detectFormats: { type: 'boolean' },
+    },
+  },
+};
+
+/**
+ * Parse an NDJSON upload into documents
+ * @param {string} body - Raw request body
+ * @returns {Array} Documents
+ * @throws {ValidationError} On invalid lines
+ */
+function parseNdjson(body) {
+  const documents = [];
+  const lines = body.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line === '') continue;
+    try {
+      documents.push(JSON.parse(line));
+    } catch (error) {
+      throw new ValidationError(`Invalid NDJSON at line ${i + 1}: ${error.message}`);
+    }
+  }
+  return documents;
+}
+
+async function inferRoutes(fastify) {
+  // NDJSON uploads (scoped to this plugin)
+  fastify.addContentTypeParser('application/x-ndjson', { parseAs: 'string' }, (request, body, done) => {
+    try {
+      done(null, parseNdjson(body));
+    } catch (error) {
+      done(error);
+    }
+  });
+
+  /**
+   * POST /infer-schema - Infer a JSON Schema from real documents
+   * The result can be passed straight back to /generate
+   */
+  fastify.post('/infer-schema', { schema: inferSchemaSchema }, async (request) => {
+    const body = request.body;
+    const documents = Array.isArray(body) ? body : body?.documents;
+
+    if (!Array.isArray(documents) || documents.length === 0) {
+      throw new ValidationError('Expected a non-empty array of documents (JSON array, { documents } or NDJSON)');
+    }
+    if (documents.length > config.inference.maxDocuments) {
+      throw new ValidationError(`Too many documents (max ${config.inference.maxDocuments})`);
+    }
+
+    const options = {
+      ...(Array.isArray(body) ? {} : body.options),
+      ...request.query,
+    };
+
+    const { schema, stats } = inferenceService.inferSchema(documents, options);
+
+    request.log.info({ documents: stats.documents, fields: stats.fields }, 'Schema inferred');
+
+    return {
+      success: true,
+      schema,
+      stats,
+    };
+  });
+}
+
+module.exports = inferRoutes;
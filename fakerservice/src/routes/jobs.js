@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Async job routes - Background generation with persistent state
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { schemaService, schemaImportService, uniqueService, generatorService, asyncJobService } = require('../services');
+const { ValidationError } = require('../errors');
+const { normalizeSeed, OUTPUT_FORMATS } = require('../generation');
+const { GENERATED_ID_PATTERN } = require('../utils');
+
+// Request schema for POST /jobs
+const createJobSchema = {
+  body: {
+    type: 'object',
+    required: ['schema'],
+    properties: {
+      schema: { type: 'object' },
+      schemaFormat: { type: 'string', enum: schemaImportService.SCHEMA_FORMATS, default: 'json-schema' },
+      openapi: { type: 'object' },
+      schemaBundle: { type: 'object' },
+      count: {
+        type: 'integer',
+        minimum: 1,
+        maximum: config.generation.maxCount,
+        default: config.generation.defaultCount,
+      },
+      chunkSize: { type: 'integer', minimum: 1, default: config.jobs.defaultChunkSize },
+      randomMode: { type: 'boolean', default: false },
+      seed: { anyOf: [{ type: 'integer' }, { type: 'string' }] },
+      outputFormat: { type: 'string', enum: OUTPUT_FORMATS, default: 'json' },
+      uniqueKeys: { type: 'array' },
+      locale: { type: 'string' },
+    },
+  },
+};
+
+const jobParamsSchema = {
+  params: {
+    type: 'object',
+    properties: {
+      jobId: { type: 'string', pattern: GENERATED_ID_PATTERN },
+    },
+    required: ['jobId'],
+  },
+};
+
+async function jobRoutes(fastify) {
+  /**
+   * POST /jobs - Start a background generation job
+   * Returns immediately with the job ID
+   */
+  fastify.post('/jobs', { schema: createJobSchema }, async (request, reply) => {
+    const { schemaFormat, openapi, schemaBundle, count, chunkSize, randomMode, seed, outputFormat, uniqueKeys, locale } = request.body;
+    const schema = schemaImportService.convertSchema(request.body.schema, schemaFormat, { openapi, schemaBundle });
+
+    const validation = schemaService.validateSchema(schema);
+    if (!validation.valid) {
+      throw new ValidationError('Invalid schema', validation.errors);
+    }
+    const unique = uniqueService.resolveConstraints(schema, uniqueKeys, count);
+    const effectiveLocale = generatorService.resolveRequestLocale(locale);
+
+    const job = await asyncJobService.createJob({
+      schema,
+      count,
+      chunkSize: Math.max(500, Math.min(chunkSize, 5000)), // Same bounds as /generate-stream
+      randomMode,
+      seed: normalizeSeed(seed),
+      outputFormat,
+      locale: effectiveLocale,
+      unique,
+    });
+
+    request.log.info({ jobId: job.id, count }, 'Async job created');
+
+    reply.status(202);
+    return {
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      links: {
+        status: `/jobs/${job.id}`,
+        result: `/jobs/${job.id}/result`,
+      },
+    };
+  });
+
+  /**
+   * GET /jobs/:jobId - Job status, progress and stats
+   */
+  fastify.get('/jobs/:jobId', { schema: jobParamsSchema }, async (request) => {
+    const job = await asyncJobService.getJob(request.params.jobId);
+
+    return {
+      success: true,
+      job,
+    };
+  });
+
+  /**
+   * GET /jobs/:jobId/result - Download the NDJSON output of a completed job
+   */
+  fastify.get('/jobs/:jobId/result', { schema: jobParamsSchema }, async (request, reply) => {
+    const { job, path: resultPath } = await asyncJobService.getResult(request.params.jobId);
+
+    reply
+      .header('Content-Type', 'application/x-ndjson')
+      .header('Content-Disposition', `attachment; filename="${job.id}.ndjson"`);
+
+    return reply.send(fs.createReadStream(resultPath));
+  });
+
+  /**
+   * DELETE /jobs/:jobId - Cancel a running job or delete a finished one
+   */
+  fastify.delete('/jobs/:jobId', { schema: jobParamsSchema }, async (request) => {
+    const { jobId } = request.params;
+    const { job, aborted, deleted } = await asyncJobService.cancelJob(jobId);
+
+    request.log.info({ jobId, aborted, deleted }, 'Async job delete request');
+
+    let message;
+    if (deleted) {
+      message = `Job ${jobId} and its result deleted`;
+    } else if (aborted) {
+      message = `Job ${jobId} cancelled`;
+    } else {
+      message = `Stop signal sent to job ${jobId} on ${job.owner}`;
+    }
+
+    return {
+      success: true,
+      jobId,
+      aborted,
+      deleted,
+      message,
+    };
+  });
+}
+
+module.exports = jobRoutes;
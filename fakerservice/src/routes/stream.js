@@ -1,11 +1,29 @@
 /**
  * @fileoverview Streaming route - NDJSON streaming for zero-RAM buffering
+ * (CSV / TSV / SQL rows with `format`)
  * Architecture: Generate → Stream chunk → Spring Boot → Insert → Release
  */
 
 const config = require('../config');
-const { schemaService, jobService } = require('../services');
+const {
+  schemaService,
+  generatorService,
+  jobService,
+  referenceService,
+  streamService,
+  tabularService,
+  schemaImportService,
+  uniqueService,
+} = require('../services');
 const { ValidationError } = require('../errors');
+const {
+  normalizeSeed,
+  OUTPUT_FORMATS,
+  TIMESERIES_MODE,
+  treeFields,
+  getTimelinePlan,
+  createTimeline,
+} = require('../generation');
 
 async function streamRoutes(fastify, options) {
   const { generatorPool } = options;
@@ -18,24 +36,73 @@ async function streamRoutes(fastify, options) {
    * {"chunk":0,"data":[{...},{...}],"progress":{"completed":250,"total":10000}}
    * {"chunk":1,"data":[{...},{...}],"progress":{"completed":500,"total":10000}}
    * ...
+   * Seeded streams add a `resumeToken` to each chunk line; sending it back as
+   * `resumeFrom` continues with the next chunk and identical data
    * {"done":true,"stats":{"total":10000,"duration":1234}}
    */
   fastify.post('/generate-stream', async (request, reply) => {
     const {
-      schema,
+      schema: sourceSchema,
+      schemaFormat = 'json-schema',
+      openapi,
+      schemaBundle,
       count = config.generation.defaultCount,
-      randomMode = false,
+      randomMode: requestedRandomMode = false,
+      fuzz,
       chunkSize = 2000, // ✅ Increased to match Spring Boot default (was 500)
+      maxInFlightChunks = config.generation.defaultInFlightChunks,
+      seed,
+      outputFormat = 'json',
+      format = 'json',
+      formatOptions,
+      resumeFrom,
+      uniqueKeys,
+      locale,
+      mode,
     } = request.body;
 
     const jobId = request.headers['x-job-id'] || request.headers['x-jobid'];
 
-    if (!schema) {
+    if (!sourceSchema) {
       throw new ValidationError('Schema is required');
     }
+    const schema = schemaImportService.convertSchema(sourceSchema, schemaFormat, { openapi, schemaBundle });
 
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new ValidationError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (mode !== undefined && mode !== TIMESERIES_MODE) {
+      throw new ValidationError(`mode must be "${TIMESERIES_MODE}"`);
+    }
+
+    // CSV / TSV / SQL rows instead of NDJSON lines
+    const formatter = createFormatter(format, outputFormat, schema, formatOptions);
+
+    let effectiveSeed = normalizeSeed(seed);
+    const effectiveLocale = generatorService.resolveRequestLocale(locale);
+    // fuzz implies randomMode; fuzzed records are not made unique (the log must match them)
+    const randomMode = requestedRandomMode || (fuzz !== undefined && fuzz !== null);
+    const unique = fuzz ? [] : uniqueService.resolveConstraints(schema, uniqueKeys, count);
+
+    // Resume after the last chunk the consumer committed
+    const fingerprint = streamService.streamFingerprint({
+      schema, count, randomMode, outputFormat, unique, locale: effectiveLocale, mode, fuzz,
+    });
+    let resume = { offset: 0, chunk: 0 };
+    if (resumeFrom) {
+      resume = streamService.parseResumeToken(resumeFrom, fingerprint);
+      if (effectiveSeed !== null && effectiveSeed !== resume.seed) {
+        throw new ValidationError('seed does not match the resumeFrom token');
+      }
+      effectiveSeed = resume.seed;
+    }
     // Validate chunk size (increased for better throughput)
     const safeChunkSize = Math.max(500, Math.min(chunkSize, 5000)); // ✅ Min 500, max 5000 (was 250-1000)
+    const safeInFlight = Math.max(1, Math.min(maxInFlightChunks, config.generation.maxInFlightChunks));
+
+    // Default fuzz seed: the stream seed (known once resumed); fuzz limits
+    // apply to the chunks in flight
+    const fuzzConfig = generatorService.resolveRequestFuzz(fuzz, effectiveSeed, Math.min(count, safeChunkSize * safeInFlight));
 
     // Validate schema
     const validation = schemaService.validateSchema(schema);
@@ -43,9 +110,21 @@ async function streamRoutes(fastify, options) {
       throw new ValidationError('Invalid schema', validation.errors);
     }
 
+    // Time-series: the timestamps of each chunk are drawn here, in job order
+    let timeline = null;
+    if (mode === TIMESERIES_MODE) {
+      const plan = getTimelinePlan(schema);
+      if (!plan) {
+        throw new ValidationError(`mode "${TIMESERIES_MODE}" needs a top-level field with x-timestamp`);
+      }
+      timeline = createTimeline(plan, { count, seed: effectiveSeed });
+    }
+
     // Register for abort tracking
     const abortController = new AbortController();
     const requestId = jobService.registerRequest(jobId, abortController, count);
+    // Stop signals from other instances (POST /stop-job on another replica)
+    const unwatchStop = generatorPool.watchJob(jobId, abortController);
 
     request.raw.on('close', () => {
       if (!request.raw.complete) {
@@ -55,106 +134,134 @@ async function streamRoutes(fastify, options) {
     });
 
     // Set NDJSON streaming headers
-    reply.raw.setHeader('Content-Type', 'application/x-ndjson');
+    reply.raw.setHeader('Content-Type', formatter ? formatter.contentType : 'application/x-ndjson');
     reply.raw.setHeader('Transfer-Encoding', 'chunked');
     reply.raw.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
     reply.raw.setHeader('Cache-Control', 'no-cache');
 
+    const writer = new streamService.NdjsonWriter(reply.raw);
     const startTime = Date.now();
     let totalSent = 0;
     let chunkIndex = 0;
 
     try {
       // Calculate number of chunks
-      const numChunks = Math.ceil(count / safeChunkSize);
+      const numChunks = Math.ceil((count - resume.offset) / safeChunkSize);
       
       request.log.info({ 
         jobId, 
         count, 
         chunkSize: safeChunkSize, 
-        numChunks 
+        maxInFlightChunks: safeInFlight,
+        numChunks,
+        resumedFrom: resume.offset,
       }, '🌊 Starting streaming generation');
 
-      // ✅ SIMPLE SEQUENTIAL: Generate → Stream → Release → Continue
-      // With larger chunk size (2000), sequential is fast enough
-      // Parallel pipeline caused OOM due to buffering multiple large chunks
-      
-      for (let i = 0; i < count; i += safeChunkSize) {
-        // Check abort
-        if (abortController.signal.aborted) {
-          const abortMsg = JSON.stringify({ 
-            error: 'aborted', 
-            message: 'Job stopped by user',
-            completed: totalSent 
-          }) + '\n';
-          reply.raw.write(abortMsg);
-          break;
-        }
-
-        const thisChunkSize = Math.min(safeChunkSize, count - i);
-        
-        // Generate chunk using worker pool (workers still parallel internally)
-        const result = await generatorPool.generate(
-          schemaService.prepareSchema(schema),
-          thisChunkSize,
-          { jobId, randomMode, streaming: false }
-        );
+      // ✅ BOUNDED PIPELINE: up to maxInFlightChunks chunks generate in parallel
+      // while the previous one is written. A new chunk only starts once the
+      // socket has drained, so memory is capped at ~maxInFlightChunks chunks
+      // plus the socket buffer, whatever the consumer speed
+      const chunks = streamService.generateChunks(generatorPool, {
+        schema,
+        count,
+        chunkSize: safeChunkSize,
+        maxInFlightChunks: safeInFlight,
+        startOffset: resume.offset,
+        startChunk: resume.chunk,
+        jobId,
+        randomMode,
+        seed: effectiveSeed,
+        outputFormat,
+        locale: effectiveLocale,
+        timeline,
+        fuzz: fuzzConfig,
+        unique,
+        signal: abortController.signal,
+      });
+
+      if (formatter) {
+        await writer.writeRaw(formatter.header());
+      }
 
-        // Stream chunk as NDJSON
-        const chunkData = {
-          chunk: chunkIndex++,
-          data: result.data,
-          progress: {
-            completed: i + thisChunkSize,
-            total: count,
-            percentage: Math.round(((i + thisChunkSize) / count) * 100)
-          },
-          chunkStats: {
-            size: thisChunkSize,
-            duration: result.stats.duration
-          }
-        };
+      for await (const chunkData of chunks) {
+        if (effectiveSeed !== null && !formatter) {
+          chunkData.resumeToken = streamService.createResumeToken({
+            seed: effectiveSeed,
+            offset: chunkData.progress.completed,
+            chunk: chunkData.chunk + 1,
+            fingerprint,
+          });
+        }
 
-        const ndjsonLine = JSON.stringify(chunkData) + '\n';
-        reply.raw.write(ndjsonLine);
+        // Stream chunk, waiting for the consumer when it falls behind
+        const written = formatter
+          ? await writer.writeRaw(formatter.rows(chunkData.data))
+          : await writer.write(chunkData);
+        if (!written) {
+          abortController.abort();
+          break;
+        }
 
-        totalSent += thisChunkSize;
+        totalSent += chunkData.chunkStats.size;
+        chunkIndex++;
 
         // Log progress
-        if (chunkIndex % 10 === 0 || totalSent === count) {
+        if (chunkIndex % 10 === 0 || chunkData.progress.completed === count) {
           request.log.info({ 
             jobId, 
-            progress: `${totalSent}/${count}`,
+            progress: `${chunkData.progress.completed}/${count}`,
             chunksStreamed: chunkIndex 
           }, '📦 Streaming progress');
         }
       }
 
+      // Check abort
+      if (abortController.signal.aborted && resume.offset + totalSent < count) {
+        if (formatter) {
+          await writer.writeRaw(tabularService.comment(format, `aborted: job stopped by user after ${totalSent} records`));
+        } else {
+          await writer.write({ 
+            error: 'aborted', 
+            message: 'Job stopped by user',
+            completed: totalSent 
+          });
+        }
+      }
+
       // Send completion
-      const duration = Date.now() - startTime;
       const finalStats = {
         done: true,
         stats: {
-          totalRecords: totalSent,
-          chunksStreamed: chunkIndex,
-          duration,
-          recordsPerSecond: Math.round((totalSent / duration) * 1000),
-          avgChunkDuration: Math.round(duration / chunkIndex)
-        }
+          ...streamService.buildDoneStats(totalSent, chunkIndex, startTime, effectiveSeed),
+          maxInFlightChunks: safeInFlight,
+          peakBufferedBytes: writer.peakBufferedBytes,
+          ...(resume.offset > 0 && { resumedFrom: resume.offset }),
+        },
       };
 
-      reply.raw.write(JSON.stringify(finalStats) + '\n');
+      if (formatter) {
+        await writer.writeRaw(tabularService.comment(format, `done: ${totalSent} records in ${finalStats.stats.duration}ms`));
+      } else {
+        await writer.write(finalStats);
+      }
       reply.raw.end();
 
       request.log.info({ 
         jobId, 
         totalSent, 
-        duration,
-        rps: finalStats.stats.recordsPerSecond 
+        duration: finalStats.stats.duration,
+        rps: finalStats.stats.recordsPerSecond,
+        peakBufferedBytes: writer.peakBufferedBytes,
       }, '✅ Streaming completed');
 
     } catch (error) {
       request.log.error({ jobId, error }, '❌ Streaming error');
+
+      // No in-band error line in CSV/TSV/SQL: break the response instead
+      if (formatter) {
+        reply.raw.destroy(error);
+        return;
+      }
       
       const errorMsg = JSON.stringify({ 
         error: 'generation_failed',
@@ -165,6 +272,7 @@ async function streamRoutes(fastify, options) {
       reply.raw.write(errorMsg);
       reply.raw.end();
     } finally {
+      unwatchStop();
       jobService.unregisterRequest(requestId);
     }
   });
@@ -177,6 +285,15 @@ async function streamRoutes(fastify, options) {
     const {
       schemas,
       chunkSize = 250,
+      seed,
+      outputFormat = 'json',
+      format = 'json',
+      formatOptions,
+      schemaFormat = 'json-schema',
+      openapi,
+      schemaBundle,
+      uniqueKeys,
+      locale,
     } = request.body;
 
     const jobId = request.headers['x-job-id'] || request.headers['x-jobid'];
@@ -185,24 +302,46 @@ async function streamRoutes(fastify, options) {
       throw new ValidationError('schemas array is required');
     }
 
-    // Normalize schemas
-    const schemasToProcess = schemas.map(s => ({
-      schema: s.schema || s,
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      throw new ValidationError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const effectiveSeed = normalizeSeed(seed);
+    const effectiveLocale = generatorService.resolveRequestLocale(locale);
+
+    // Normalize schemas, referenced collections (x-ref) first
+    const schemasToProcess = referenceService.orderByReferences(schemas.map(s => ({
+      schema: schemaImportService.convertSchema(s.schema || s, s.schemaFormat || schemaFormat, {
+        openapi: s.openapi || openapi,
+        schemaBundle,
+      }),
       collection: s.collection,
       count: s.count || config.generation.defaultCount,
-    }));
+      uniqueKeys: s.uniqueKeys || uniqueKeys,
+    })));
+    const referenceStore = new referenceService.ReferenceStore(schemasToProcess);
+
+    if (format !== 'json' && format !== 'sql' && schemasToProcess.length > 1) {
+      throw new ValidationError(`format "${format}" supports a single schema, use "sql" or one request per collection`);
+    }
+    const formatters = schemasToProcess.map(s =>
+      createFormatter(format, outputFormat, s.schema, formatOptions, s.collection)
+    );
+    const isTabular = format !== 'json';
 
     // Validate all schemas first
-    for (const { schema: schemaItem, collection } of schemasToProcess) {
-      const validation = schemaService.validateSchema(schemaItem);
+    for (const entry of schemasToProcess) {
+      const validation = schemaService.validateSchema(entry.schema);
       if (!validation.valid) {
-        throw new ValidationError(`Invalid schema for ${collection}`, validation.errors);
+        throw new ValidationError(`Invalid schema for ${entry.collection}`, validation.errors);
       }
+      entry.unique = uniqueService.resolveConstraints(entry.schema, entry.uniqueKeys, entry.count);
     }
 
     const abortController = new AbortController();
     const requestId = jobService.registerRequest(jobId, abortController, 
       schemasToProcess.reduce((sum, s) => sum + s.count, 0));
+    const unwatchStop = generatorPool.watchJob(jobId, abortController);
 
     request.raw.on('close', () => {
       if (!request.raw.complete) {
@@ -212,34 +351,52 @@ async function streamRoutes(fastify, options) {
     });
 
     // Set streaming headers
-    reply.raw.setHeader('Content-Type', 'application/x-ndjson');
+    reply.raw.setHeader('Content-Type', isTabular ? formatters[0].contentType : 'application/x-ndjson');
     reply.raw.setHeader('Transfer-Encoding', 'chunked');
     reply.raw.setHeader('X-Accel-Buffering', 'no');
     reply.raw.setHeader('Cache-Control', 'no-cache');
 
+    const writer = new streamService.NdjsonWriter(reply.raw);
     const startTime = Date.now();
     let totalSent = 0;
     let globalChunkIndex = 0;
 
     try {
       // Process each schema sequentially
-      for (const { schema: schemaItem, collection, count } of schemasToProcess) {
+      for (const [index, { schema: schemaItem, collection, count, unique }] of schemasToProcess.entries()) {
         if (abortController.signal.aborted) break;
 
+        const formatter = formatters[index];
+        if (formatter) {
+          await writer.writeRaw(formatter.header());
+        }
+
         const safeChunkSize = Math.max(50, Math.min(chunkSize, 1000));
+        const refs = referenceStore.refsFor(schemaItem);
         let collectionSent = 0;
 
+        const generate = (offset, size) => generatorPool.generate(
+          schemaService.prepareSchema(schemaItem),
+          size,
+          { jobId, randomMode: false, streaming: false, seed: effectiveSeed, offset, outputFormat, refs, locale: effectiveLocale }
+        );
+        const tracker = uniqueService.createTracker(unique, {
+          count,
+          fetch: async (offset, size) => (await generate(offset, size)).data,
+          keep: treeFields(schemaItem),
+        });
+
         // Stream chunks for this collection
         for (let i = 0; i < count; i += safeChunkSize) {
           if (abortController.signal.aborted) break;
 
           const thisChunkSize = Math.min(safeChunkSize, count - i);
 
-          const result = await generatorPool.generate(
-            schemaService.prepareSchema(schemaItem),
-            thisChunkSize,
-            { jobId, randomMode: false, streaming: false }
-          );
+          const result = await generate(i, thisChunkSize);
+          if (tracker) {
+            result.data = await tracker.enforce(result.data);
+          }
+          referenceStore.collect(collection, result.data);
 
           const chunkData = {
             chunk: globalChunkIndex++,
@@ -257,37 +414,59 @@ async function streamRoutes(fastify, options) {
             }
           };
 
-          reply.raw.write(JSON.stringify(chunkData) + '\n');
+          const written = formatter
+            ? await writer.writeRaw(formatter.rows(result.data))
+            : await writer.write(chunkData);
+          if (!written) {
+            abortController.abort();
+            break;
+          }
           collectionSent += thisChunkSize;
         }
 
         totalSent += collectionSent;
 
         // Send collection completion
-        reply.raw.write(JSON.stringify({
-          collectionComplete: true,
-          collection,
-          recordsSent: collectionSent
-        }) + '\n');
+        if (formatter) {
+          await writer.writeRaw(tabularService.comment(format, `${collection}: ${collectionSent} records`));
+        } else {
+          await writer.write({
+            collectionComplete: true,
+            collection,
+            recordsSent: collectionSent
+          });
+        }
       }
 
       // Send final completion
       const duration = Date.now() - startTime;
-      reply.raw.write(JSON.stringify({
+      if (isTabular) {
+        await writer.writeRaw(tabularService.comment(format, `done: ${totalSent} records in ${duration}ms`));
+        reply.raw.end();
+        return;
+      }
+
+      await writer.write({
         done: true,
         stats: {
           totalRecords: totalSent,
           schemasProcessed: schemasToProcess.length,
           chunksStreamed: globalChunkIndex,
           duration,
-          recordsPerSecond: Math.round((totalSent / duration) * 1000)
+          recordsPerSecond: Math.round((totalSent / duration) * 1000),
+          peakBufferedBytes: writer.peakBufferedBytes,
+          ...(effectiveSeed !== null && { seed: effectiveSeed })
         }
-      }) + '\n');
+      });
 
       reply.raw.end();
 
     } catch (error) {
       request.log.error({ jobId, error }, '❌ Multi-stream error');
+      if (isTabular) {
+        reply.raw.destroy(error);
+        return;
+      }
       reply.raw.write(JSON.stringify({ 
         error: 'generation_failed',
         message: error.message,
@@ -295,9 +474,27 @@ async function streamRoutes(fastify, options) {
       }) + '\n');
       reply.raw.end();
     } finally {
+      unwatchStop();
       jobService.unregisterRequest(requestId);
     }
   });
 }
 
+/**
+ * Build the tabular formatter of a stream
+ * @param {string} format - json | csv | tsv | sql
+ * @param {string} outputFormat - Must stay json for tabular formats
+ * @param {Object} schema - JSON Schema of the records
+ * @param {Object} [formatOptions] - Flattening / header / SQL options
+ * @param {string} [collection] - SQL table name
+ * @returns {TabularFormatter|null} null for NDJSON streams
+ */
+function createFormatter(format, outputFormat, schema, formatOptions, collection = null) {
+  if (format === 'json') return null;
+  if (outputFormat !== 'json') {
+    throw new ValidationError(`format "${format}" cannot be combined with outputFormat "${outputFormat}"`);
+  }
+  return new tabularService.TabularFormatter(format, schema, formatOptions, collection);
+}
+
 module.exports = streamRoutes;
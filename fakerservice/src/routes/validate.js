@@ -1,8 +1,9 @@
 /**
- * @fileoverview Validate route - Schema validation endpoint
+ * @fileoverview Validate route - Schema validation and conversion endpoints
  */
 
-const { schemaService } = require('../services');
+const { schemaService, schemaImportService } = require('../services');
+const { ValidationError } = require('../errors');
 
 // Request schema
 const validateSchema = {
@@ -11,6 +12,23 @@ const validateSchema = {
     required: ['schema'],
     properties: {
       schema: { type: 'object' },
+      schemaFormat: { type: 'string', enum: schemaImportService.SCHEMA_FORMATS, default: 'json-schema' },
+      openapi: { type: 'object' },
+      schemaBundle: { type: 'object' },
+    },
+  },
+};
+
+// Request schema for POST /convert-schema
+const convertSchema = {
+  body: {
+    type: 'object',
+    required: ['schema', 'schemaFormat'],
+    properties: {
+      schema: { type: 'object' },
+      schemaFormat: { type: 'string', enum: schemaImportService.SCHEMA_FORMATS },
+      openapi: { type: 'object' }, // { component } or { operation, status, direction, mediaType }
+      schemaBundle: { type: 'object' }, // $ref targets by id
     },
   },
 };
@@ -20,7 +38,8 @@ async function validateRoutes(fastify) {
    * POST /validate - Validate JSON Schema
    */
   fastify.post('/validate', { schema: validateSchema }, async (request, reply) => {
-    const { schema } = request.body;
+    const { schemaFormat, openapi, schemaBundle } = request.body;
+    const schema = schemaImportService.convertSchema(request.body.schema, schemaFormat, { openapi, schemaBundle });
 
     const result = schemaService.validateSchema(schema);
 
@@ -44,6 +63,27 @@ async function validateRoutes(fastify) {
       errors: result.errors,
     };
   });
+
+  /**
+   * POST /convert-schema - Convert a Mongoose schema, $jsonSchema validator or
+   * OpenAPI component to the JSON Schema /generate uses
+   */
+  fastify.post('/convert-schema', { schema: convertSchema }, async (request) => {
+    const { schema, schemaFormat, openapi, schemaBundle } = request.body;
+
+    const converted = schemaImportService.convertSchema(schema, schemaFormat, { openapi, schemaBundle });
+
+    const result = schemaService.validateSchema(converted);
+    if (!result.valid) {
+      throw new ValidationError('Converted schema does not compile', result.errors);
+    }
+
+    return {
+      success: true,
+      schemaFormat,
+      schema: converted,
+    };
+  });
 }
 
 module.exports = validateRoutes;
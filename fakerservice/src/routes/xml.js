@@ -0,0 +1,153 @@
+/**
+ * @fileoverview XML route - Fill an XML template and stream the document
+ * Document fields are generated once, the repeated element N times through
+ * the worker pool, chunk by chunk
+ */
+
+const config = require('../config');
+const {
+  schemaService,
+  generatorService,
+  jobService,
+  streamService,
+  xmlService,
+} = require('../services');
+const { ValidationError } = require('../errors');
+const { normalizeSeed, deriveSeed } = require('../generation');
+
+// Request schema for POST /generate-xml
+const generateXmlSchema = {
+  body: {
+    type: 'object',
+    required: ['template'],
+    properties: {
+      template: { type: 'string' },
+      count: {
+        type: 'integer',
+        minimum: 0,
+        maximum: config.generation.maxCount,
+        default: config.generation.defaultCount,
+      },
+      repeat: { type: 'string' },
+      rules: { type: 'object' },
+      schema: { type: 'object' },
+      documentSchema: { type: 'object' },
+      chunkSize: { type: 'integer', minimum: 1, default: 1000 },
+      maxInFlightChunks: { type: 'integer', minimum: 1, default: config.generation.defaultInFlightChunks },
+      seed: { anyOf: [{ type: 'integer' }, { type: 'string' }] },
+    },
+  },
+};
+
+async function xmlRoutes(fastify, options) {
+  const { generatorPool } = options;
+
+  /**
+   * POST /generate-xml - Fill an XML skeleton with fake data
+   * The response is streamed: head of the document, repeated elements per
+   * chunk, then the closing tags
+   */
+  fastify.post('/generate-xml', { schema: generateXmlSchema }, async (request, reply) => {
+    const {
+      template,
+      count,
+      repeat,
+      rules,
+      schema,
+      documentSchema,
+      chunkSize,
+      maxInFlightChunks,
+      seed,
+    } = request.body;
+
+    const jobId = request.headers['x-job-id'] || request.headers['x-jobid'];
+
+    const xmlTemplate = new xmlService.XmlTemplate(template, { repeat, rules, schema, documentSchema });
+
+    for (const [name, itemSchema] of [['schema', xmlTemplate.itemSchema], ['documentSchema', xmlTemplate.documentSchema]]) {
+      const validation = schemaService.validateSchema(itemSchema);
+      if (!validation.valid) {
+        throw new ValidationError(`Invalid ${name} (check rules)`, validation.errors);
+      }
+    }
+
+    const effectiveSeed = normalizeSeed(seed);
+    const safeChunkSize = Math.max(100, Math.min(chunkSize, 5000));
+    const safeInFlight = Math.max(1, Math.min(maxInFlightChunks, config.generation.maxInFlightChunks));
+
+    // Document level fields: a single record on the main thread, seeded apart
+    // from the items so it does not replay the first item's values
+    const documentResult = await generatorService.generateBatch(xmlTemplate.documentSchema, 1, {
+      seed: effectiveSeed === null ? null : deriveSeed(effectiveSeed, -1),
+    });
+    const { head, tail } = xmlTemplate.renderDocument(documentResult.data[0]);
+
+    // Register for abort tracking
+    const abortController = new AbortController();
+    const requestId = jobService.registerRequest(jobId, abortController, count);
+    const unwatchStop = generatorPool.watchJob(jobId, abortController);
+
+    request.raw.on('close', () => {
+      if (!request.raw.complete) {
+        abortController.abort();
+        jobService.unregisterRequest(requestId);
+      }
+    });
+
+    reply.raw.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    reply.raw.setHeader('Transfer-Encoding', 'chunked');
+    reply.raw.setHeader('X-Accel-Buffering', 'no');
+    reply.raw.setHeader('Cache-Control', 'no-cache');
+
+    const writer = new streamService.NdjsonWriter(reply.raw);
+    const startTime = Date.now();
+    let totalSent = 0;
+
+    request.log.info({ jobId, count, repeat: xmlTemplate.repeatPath }, '🌊 Starting XML generation');
+
+    try {
+      await writer.writeRaw(head);
+
+      const chunks = streamService.generateChunks(generatorPool, {
+        schema: xmlTemplate.itemSchema,
+        count,
+        chunkSize: safeChunkSize,
+        maxInFlightChunks: safeInFlight,
+        jobId,
+        seed: effectiveSeed,
+        signal: abortController.signal,
+      });
+
+      for await (const chunkData of chunks) {
+        if (!await writer.writeRaw(xmlTemplate.renderItems(chunkData.data))) {
+          abortController.abort();
+          break;
+        }
+        totalSent += chunkData.chunkStats.size;
+      }
+
+      // Close the document either way so the output stays well-formed
+      if (abortController.signal.aborted && totalSent < count) {
+        await writer.writeRaw(`<!-- aborted: job stopped by user after ${totalSent} records -->\n`);
+      }
+      await writer.writeRaw(tail);
+      reply.raw.end();
+
+      request.log.info({
+        jobId,
+        totalSent,
+        duration: Date.now() - startTime,
+        peakBufferedBytes: writer.peakBufferedBytes,
+      }, '✅ XML generation completed');
+    } catch (error) {
+      request.log.error({ jobId, error }, '❌ XML generation error');
+      // Mid-document failure: break the response rather than close it cleanly
+      reply.raw.destroy(error);
+    } finally {
+      unwatchStop();
+      jobService.unregisterRequest(requestId);
+    }
+  });
+}
+
+module.exports = xmlRoutes;
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Asynchronous (background) job service
+ * Runs generation jobs detached from the HTTP request, persists their state
+ * through a job store and writes the NDJSON output to a result file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { finished } = require('stream');
+const config = require('../config');
+const jobService = require('./jobService');
+const streamService = require('./streamService');
+const { createJobStore } = require('./jobStore');
+const { JobNotFoundError, JobStateError } = require('../errors');
+const { logger, generateId } = require('../utils');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+/**
+ * End a result file stream
+ * @param {fs.WriteStream} output - Result file stream
+ * @returns {Promise<void>} Settles once the stream finished, failed or was destroyed
+ */
+function closeOutput(output) {
+  return new Promise(resolve => finished(output.end(), () => resolve()));
+}
+
+class AsyncJobService {
+  constructor() {
+    this.store = null;
+    this.generatorPool = null;
+    // Jobs running on this instance: jobId → { job, abortController }
+    this.active = new Map();
+    // Jobs are owned by the host that runs them (matters with the Redis store)
+    this.owner = os.hostname();
+    this.shuttingDown = false;
+  }
+
+  /**
+   * Select the store backend and recover jobs cut off by a restart
+   * @param {GeneratorPool} generatorPool - Worker pool (also provides Redis)
+   */
+  async init(generatorPool) {
+    this.generatorPool = generatorPool;
+    this.store = createJobStore(generatorPool.redisClient);
+    await this.store.init();
+
+    const jobs = await this.store.list();
+    for (const job of jobs) {
+      if (job.owner === this.owner && !TERMINAL_STATUSES.includes(job.status)) {
+        job.status = 'interrupted';
+        job.error = 'Service restarted while the job was running';
+        job.finishedAt = new Date().toISOString();
+        await this.store.save(job);
+      }
+    }
+
+    logger.info(`Async jobs: ${this.store.backend} store (${jobs.length} jobs)`);
+  }
+
+  /**
+   * Create a job and start it in the background
+   * @param {Object} params - Validated job parameters
+   * @returns {Promise<Object>} Initial job state
+   */
+  async createJob(params) {
+    const { schema, count, chunkSize, randomMode, seed, outputFormat, locale, unique = [] } = params;
+
+    const job = {
+      id: generateId(),
+      status: 'queued',
+      owner: this.owner,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      request: { count, chunkSize, randomMode, seed, outputFormat, locale, unique },
+      progress: { completed: 0, total: count, percentage: 0, chunks: 0 },
+      stats: null,
+      error: null,
+    };
+
+    await this.store.save(job);
+
+    this.run(job, schema).catch(err => {
+      logger.error(`Async job ${job.id} crashed:`, err);
+    });
+
+    return job;
+  }
+
+  /**
+   * Get the current state of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>}
+   * @throws {JobNotFoundError}
+   */
+  async getJob(jobId) {
+    const active = this.active.get(jobId);
+    if (active) return active.job;
+
+    const job = await this.store.get(jobId);
+    if (!job) {
+      throw new JobNotFoundError(jobId);
+    }
+    return job;
+  }
+
+  /**
+   * Locate the NDJSON result of a completed job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{job: Object, path: string}>}
+   * @throws {JobNotFoundError|JobStateError}
+   */
+  async getResult(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (job.status !== 'completed') {
+      throw new JobStateError(jobId, job.status, `Job ${jobId} is ${job.status}, result not available`);
+    }
+
+    const resultPath = this.store.resultPath(jobId);
+    if (!fs.existsSync(resultPath)) {
+      throw new JobStateError(jobId, job.status, `Result of job ${jobId} is stored on ${job.owner}`);
+    }
+
+    return { job, path: resultPath };
+  }
+
+  /**
+   * Cancel a running job, or delete a finished job and its result
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} What happened { job, aborted, deleted }
+   */
+  async cancelJob(jobId) {
+    const job = await this.getJob(jobId);
+
+    if (this.active.has(jobId)) {
+      // Same abort path as /stop-job
+      const poolAborted = this.generatorPool.abortJob(jobId);
+      const serviceAborted = jobService.abortByJobId(jobId);
+      return { job, aborted: poolAborted || serviceAborted, deleted: false };
+    }
+
+    if (!TERMINAL_STATUSES.includes(job.status)) {
+      // Running on another instance: signal it through Redis
+      await this.generatorPool.setAbortSignal(jobId);
+      return { job, aborted: false, deleted: false };
+    }
+
+    await this.store.delete(jobId);
+    await fs.promises.rm(this.store.resultPath(jobId), { force: true });
+    return { job, aborted: false, deleted: true };
+  }
+
+  /**
+   * Run a job to completion, streaming chunks into its result file
+   * @param {Object} job - Job state (mutated as the job progresses)
+   * @param {Object} schema - JSON Schema
+   */
+  async run(job, schema) {
+    const abortController = new AbortController();
+    const requestId = jobService.registerRequest(job.id, abortController, job.request.count);
+    const unwatchStop = this.generatorPool.watchJob(job.id, abortController);
+    const output = fs.createWriteStream(this.store.resultPath(job.id));
+    const writer = new streamService.NdjsonWriter(output);
+    // Result file not writable (missing directory, permissions, disk full):
+    // stop generating, the job fails with the file error
+    let outputError = null;
+    output.on('error', (error) => {
+      outputError = outputError || error;
+      abortController.abort();
+    });
+    const startTime = Date.now();
+    let totalSent = 0;
+    let lastPersist = 0;
+
+    this.active.set(job.id, { job, abortController });
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      await this.store.save(job);
+
+      const chunks = streamService.generateChunks(this.generatorPool, {
+        schema,
+        count: job.request.count,
+        chunkSize: job.request.chunkSize,
+        maxInFlightChunks: config.generation.defaultInFlightChunks,
+        jobId: job.id,
+        randomMode: job.request.randomMode,
+        seed: job.request.seed,
+        outputFormat: job.request.outputFormat,
+        locale: job.request.locale,
+        unique: job.request.unique,
+        signal: abortController.signal,
+      });
+
+      for await (const chunkData of chunks) {
+        await writer.write(chunkData);
+
+        totalSent += chunkData.chunkStats.size;
+        job.progress = { ...chunkData.progress, chunks: chunkData.chunk + 1 };
+
+        if (Date.now() - lastPersist >= config.jobs.persistInterval) {
+          lastPersist = Date.now();
+          await this.store.save(job);
+        }
+      }
+
+      if (outputError) throw outputError;
+      if (abortController.signal.aborted && totalSent < job.request.count) {
+        job.status = this.shuttingDown ? 'interrupted' : 'cancelled';
+      } else {
+        job.stats = streamService.buildDoneStats(totalSent, job.progress.chunks, startTime, job.request.seed);
+        await writer.write({ done: true, stats: job.stats });
+        await closeOutput(output);
+        if (outputError) throw outputError;
+        job.status = 'completed';
+      }
+    } catch (error) {
+      if (outputError) {
+        job.status = 'failed';
+        job.error = `Cannot write the job result: ${outputError.message}`;
+        logger.error(`Async job ${job.id} failed:`, outputError.message);
+      } else if (error.code === 'JOB_ABORTED' || abortController.signal.aborted) {
+        job.status = this.shuttingDown ? 'interrupted' : 'cancelled';
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+        logger.error(`Async job ${job.id} failed:`, error.message);
+      }
+    } finally {
+      await closeOutput(output);
+      unwatchStop();
+      jobService.unregisterRequest(requestId);
+      this.active.delete(job.id);
+
+      job.finishedAt = new Date().toISOString();
+      await this.store.save(job).catch(err => {
+        logger.error(`Failed to persist job ${job.id}:`, err.message);
+      });
+    }
+  }
+
+  /**
+   * Stop local jobs, marking them interrupted
+   */
+  async shutdown() {
+    this.shuttingDown = true;
+    const running = [...this.active.values()];
+
+    for (const { job, abortController } of running) {
+      abortController.abort();
+      this.generatorPool.abortJob(job.id);
+    }
+
+    // Give the run loops a chance to persist their final state
+    await Promise.all(running.map(({ job }) => new Promise(resolve => {
+      const check = () => (this.active.has(job.id) ? setTimeout(check, 50) : resolve());
+      check();
+    })));
+  }
+}
+
+// Export singleton
+module.exports = new AsyncJobService();
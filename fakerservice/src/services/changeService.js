@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Change-event streams - insert / update / delete events over a
+ * dataset, for testing CDC consumers
+ *
+ * The live dataset is either sent with the request or regenerated from the
+ * seed of an earlier /generate call (with the collections its x-ref fields
+ * point to, regenerated the same way). Events are drawn in order on the main
+ * thread from a seeded PRNG; new values come from records generated by the
+ * pool at offsets after the dataset (one per event), so a seeded change
+ * stream is reproducible whatever the chunk size. Updates copy a few fields
+ * of such a record, so every changed value satisfies its field schema.
+ */
+
+const config = require('../config');
+const schemaService = require('./schemaService');
+const generatorService = require('./generatorService');
+const uniqueService = require('./uniqueService');
+const referenceService = require('./referenceService');
+const { ValidationError } = require('../errors');
+const {
+  SEED_REF_DATE,
+  hashString,
+  createRng,
+  parseDuration,
+  applyDerivations,
+  collectReferences,
+  treeFields,
+  timelineFields,
+  DERIVE_KEYWORD,
+} = require('../generation');
+
+const OPERATIONS = ['insert', 'update', 'delete'];
+const DEFAULT_OPERATIONS = { insert: 0.2, update: 0.7, delete: 0.1 };
+const DEFAULT_FIELDS_PER_UPDATE = { min: 1, max: 3 };
+
+// Attempts at a key that is not live yet before an insert gives up
+const MAX_KEY_ATTEMPTS = 10;
+
+/**
+ * @param {Object} schema - Field schema
+ * @returns {boolean} Whether the field holds numbers
+ */
+function isNumeric(schema) {
+  const types = Array.isArray(schema?.type) ? schema.type : [schema?.type];
+  return types.includes('integer') || types.includes('number');
+}
+
+/**
+ * Normalize the operation mix to cumulative probabilities
+ * @param {Object} [operations] - Weights by operation, e.g. { insert: 1, update: 8, delete: 1 }
+ * @returns {Array<[string, number]>} [operation, cumulative probability]
+ * @throws {ValidationError} On unknown operations or weights
+ */
+function resolveOperations(operations = DEFAULT_OPERATIONS) {
+  const unknown = Object.keys(operations).filter(op => !OPERATIONS.includes(op));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown operation(s): ${unknown.join(', ')} (use ${OPERATIONS.join(', ')})`);
+  }
+  const weights = OPERATIONS.map(op => operations[op] ?? 0);
+  if (weights.some(weight => typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0)) {
+    throw new ValidationError('operations weights must be non-negative numbers');
+  }
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total === 0) {
+    throw new ValidationError('operations needs at least one positive weight');
+  }
+
+  let cumulative = 0;
+  return OPERATIONS.map((op, i) => {
+    cumulative += weights[i] / total;
+    return [op, cumulative];
+  });
+}
+
+/**
+ * Check the options of a change stream against its schema
+ * @param {Object} schema - JSON Schema (converted)
+ * @param {Object} options - { idField, versionField, timestampField, fieldsPerUpdate, unique }
+ * @returns {Object} { idField, updatable, fieldsPerUpdate } - key field and the fields updates may change
+ * @throws {ValidationError} When a field is missing
+ */
+function resolveFields(schema, { idField, versionField, timestampField, fieldsPerUpdate, unique }) {
+  const properties = schema.properties || {};
+  const key = idField ?? ['_id', 'id'].find(field => field in properties);
+  if (!key) {
+    throw new ValidationError('idField is required when the schema has no "_id" or "id" property');
+  }
+  for (const [name, field] of [['idField', key], ['versionField', versionField], ['timestampField', timestampField]]) {
+    if (field !== undefined && !(field in properties)) {
+      throw new ValidationError(`${name} "${field}" is not a property of the schema`);
+    }
+  }
+
+  const { min, max } = { ...DEFAULT_FIELDS_PER_UPDATE, ...fieldsPerUpdate };
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+    throw new ValidationError('fieldsPerUpdate must be { min, max } with 1 <= min <= max');
+  }
+
+  // Keys, unique, bookkeeping, derived and layout fields are never picked
+  const fixed = new Set([
+    key,
+    versionField,
+    timestampField,
+    ...treeFields(schema),
+    ...timelineFields(schema),
+    ...(unique || []).flat().map(path => path.split('.')[0]),
+  ]);
+  const updatable = Object.entries(properties)
+    .filter(([field, child]) => !fixed.has(field) && child && typeof child === 'object' &&
+      !('const' in child) && child[DERIVE_KEYWORD] === undefined)
+    .map(([field]) => field);
+
+  return { idField: key, updatable, fieldsPerUpdate: { min, max } };
+}
+
+/**
+ * Live records of the stream, keyed by id with O(1) random picks
+ */
+class LiveDataset {
+  constructor() {
+    this.entries = new Map();
+    this.keys = [];
+    this.nextNumericKey = 1;
+  }
+
+  get size() {
+    return this.keys.length;
+  }
+
+  /**
+   * @param {*} key - Record id
+   * @param {Object} record - Record
+   * @param {number} version - Current version
+   */
+  set(key, record, version) {
+    const id = JSON.stringify(key);
+    const entry = this.entries.get(id);
+    if (entry) {
+      entry.record = record;
+      entry.version = version;
+      return;
+    }
+    this.entries.set(id, { key, record, version, index: this.keys.length });
+    this.keys.push(id);
+    if (typeof key === 'number' && key >= this.nextNumericKey) {
+      this.nextNumericKey = Math.floor(key) + 1;
+    }
+  }
+
+  has(key) {
+    return this.entries.has(JSON.stringify(key));
+  }
+
+  /**
+   * @param {Function} random - Random source
+   * @returns {Object} Entry { key, record, version }
+   */
+  pick(random) {
+    return this.entries.get(this.keys[Math.floor(random() * this.keys.length)]);
+  }
+
+  /**
+   * Remove an entry (swapped with the last key)
+   * @param {Object} entry - Entry from pick()
+   */
+  delete(entry) {
+    const id = JSON.stringify(entry.key);
+    const last = this.keys.pop();
+    if (last !== id) {
+      this.keys[entry.index] = last;
+      this.entries.get(last).index = entry.index;
+    }
+    this.entries.delete(id);
+  }
+}
+
+/**
+ * Resolve the options of a change stream (routes call it before opening the
+ * response, so bad options are a 400 rather than an error line)
+ * @param {Object} schema - JSON Schema (converted)
+ * @param {Object} options - Stream options, see generateChangeEvents
+ * @returns {Object} { mix, fields, meanInterval, startTime }
+ * @throws {ValidationError} On invalid options or dataset
+ */
+function resolveChangeOptions(schema, options) {
+  const {
+    dataset,
+    baseCount = 0,
+    seed = null,
+    operations,
+    fieldsPerUpdate,
+    idField,
+    versionField,
+    timestampField,
+    unique,
+    interval = config.changes.defaultInterval,
+    start,
+  } = options;
+
+  if (dataset && baseCount > 0) {
+    throw new ValidationError('Send either dataset or baseCount, not both');
+  }
+  const mix = resolveOperations(operations);
+  const fields = resolveFields(schema, { idField, versionField, timestampField, fieldsPerUpdate, unique });
+  if (fields.updatable.length === 0 && mix.find(([op]) => op === 'update')[1] > mix[0][1]) {
+    throw new ValidationError('The schema has no field updates can change, set operations.update to 0');
+  }
+
+  let meanInterval;
+  try {
+    meanInterval = parseDuration(interval, 'interval');
+  } catch (error) {
+    throw new ValidationError(error.message);
+  }
+
+  const startTime = start === undefined
+    ? (seed === null ? Date.now() : Date.parse(SEED_REF_DATE))
+    : Date.parse(start);
+  if (Number.isNaN(startTime)) {
+    throw new ValidationError('start must be a date');
+  }
+
+  if (dataset) {
+    const seen = new Set();
+    dataset.forEach((record, i) => {
+      const key = record?.[fields.idField];
+      if (key === undefined || key === null) {
+        throw new ValidationError(`dataset[${i}] has no "${fields.idField}"`);
+      }
+      const id = JSON.stringify(key);
+      if (seen.has(id)) {
+        throw new ValidationError(`dataset[${i}]: duplicate ${fields.idField} ${id}`);
+      }
+      seen.add(id);
+    });
+  }
+
+  return { mix, fields, meanInterval, startTime };
+}
+
+/**
+ * Regenerate the collections the x-ref fields of a schema point to, like
+ * /generate does before the referrer (same seed, order and unique pass)
+ * @param {GeneratorPool} generatorPool - Worker pool
+ * @param {Object} params
+ * @param {Object} params.schema - Schema of the change stream
+ * @param {Array<Object>} [params.collections] - Referenced collections { schema, collection, count, uniqueKeys } (converted)
+ * @param {number|null} [params.seed] - Effective seed
+ * @param {string} [params.locale] - Faker locale
+ * @param {string} [params.jobId] - Job ID for pool abort tracking
+ * @returns {Promise<Object|null>} refs option of the schema, null without x-ref
+ * @throws {ValidationError} When an x-ref targets a collection that was not sent
+ */
+async function regenerateReferences(generatorPool, { schema, collections = [], seed = null, locale, jobId }) {
+  if (collectReferences(schema).length === 0) return null;
+
+  const ordered = referenceService.orderByReferences([...collections, { schema, collection: null, count: 0 }]);
+  const store = new referenceService.ReferenceStore(ordered);
+  for (const { schema: item, collection, count, uniqueKeys } of ordered) {
+    if (collection === null) continue;
+    const prepared = schemaService.prepareSchema(item);
+    const options = { jobId, randomMode: false, streaming: false, seed, locale, refs: store.refsFor(item) };
+    let { data } = await generatorPool.generate(prepared, count, options);
+    const tracker = uniqueService.createTracker(uniqueService.resolveConstraints(item, uniqueKeys, count), {
+      count,
+      fetch: async (offset, size) => (await generatorPool.generate(prepared, size, { ...options, offset })).data,
+      keep: treeFields(item),
+    });
+    if (tracker) data = await tracker.enforce(data);
+    store.collect(collection, data);
+  }
+  return store.refsFor(schema);
+}
+
+/**
+ * Emit a change stream chunk by chunk
+ *
+ * @param {GeneratorPool} generatorPool - Worker pool
+ * @param {Object} params - Stream parameters
+ * @param {Object} params.schema - JSON Schema (converted, validated)
+ * @param {Array<Object>} [params.dataset] - Live records at the start
+ * @param {number} [params.baseCount] - Regenerate the dataset: records [0, baseCount) of `seed`
+ * @param {number} params.count - Events to emit
+ * @param {number} params.chunkSize - Events per NDJSON line
+ * @param {number|null} [params.seed] - Effective seed
+ * @param {Object} [params.operations] - Operation weights { insert, update, delete }
+ * @param {Object} [params.fieldsPerUpdate] - { min, max } fields changed per update
+ * @param {string} [params.idField] - Record key (defaults to "_id" / "id")
+ * @param {string} [params.versionField] - Field set to the record version
+ * @param {string} [params.timestampField] - Field set to the event time
+ * @param {number|string} [params.interval] - Mean time between events (exponential)
+ * @param {string} [params.start] - Time of the first event
+ * @param {string} [params.locale] - Faker locale
+ * @param {Object|null} [params.refs] - x-ref values (regenerateReferences)
+ * @param {Array<Array<string>>} [params.unique] - Unique constraints (uniqueService.resolveConstraints)
+ * @param {string} [params.jobId] - Job ID for pool abort tracking
+ * @param {AbortSignal} [params.signal] - Stops between chunks
+ * @yields {Object} Chunk line payload { chunk, data, progress, chunkStats }
+ */
+async function* generateChangeEvents(generatorPool, params) {
+  const {
+    schema,
+    dataset,
+    baseCount = 0,
+    count,
+    chunkSize,
+    seed = null,
+    versionField,
+    timestampField,
+    locale,
+    refs = null,
+    unique,
+    jobId,
+    signal,
+  } = params;
+  const { mix, fields, meanInterval, startTime } = resolveChangeOptions(schema, params);
+  let time = startTime;
+
+  const prepared = schemaService.prepareSchema(schema);
+  const properties = schema.properties || {};
+  const generate = (offset, size) => generatorPool.generate(
+    prepared,
+    size,
+    { jobId, randomMode: false, streaming: false, seed, offset, locale, refs }
+  );
+
+  const keep = [...treeFields(prepared), ...timelineFields(prepared)];
+
+  // Live dataset: a regenerated one goes through the same unique pass as /generate
+  let base = dataset;
+  let freshOffset = dataset ? dataset.length : baseCount;
+  if (!dataset) {
+    base = baseCount > 0 ? (await generate(0, baseCount)).data : [];
+    const baseTracker = uniqueService.createTracker(unique, {
+      count: baseCount,
+      fetch: async (offset, size) => (await generate(offset, size)).data,
+      keep,
+    });
+    if (baseTracker) {
+      base = await baseTracker.enforce(base);
+      freshOffset = baseTracker.nextOffset;
+    }
+  }
+
+  const live = new LiveDataset();
+  base.forEach((record, i) => {
+    const key = record?.[fields.idField];
+    if (key === undefined || key === null || live.has(key)) {
+      throw new ValidationError(
+        `Regenerated record ${i} has a missing or duplicate "${fields.idField}", mark it x-unique or send dataset`
+      );
+    }
+    const current = versionField === undefined ? NaN : Number(record[versionField]);
+    live.set(key, record, Number.isInteger(current) && current > 0 ? current : 1);
+  });
+
+  const random = createRng(seed === null ? (Math.random() * 2 ** 32) >>> 0 : hashString(`${seed}:changes`));
+
+  // Inserted records stay unique against the dataset; replacements are drawn
+  // after the fresh records of all events
+  const tracker = uniqueService.createTracker(unique, {
+    count: freshOffset + count,
+    fetch: async (offset, size) => (await generate(offset, size)).data,
+    keep,
+  });
+  base.forEach(record => tracker?.claim(record));
+
+  // Taken string ids are drawn again from the id field schema (format, pattern,
+  // maxLength hold), seeded apart from the records
+  const idSchema = prepared.properties?.[fields.idField];
+  const keySeed = seed === null ? null : hashString(`${seed}:keys`);
+  let keyDraws = 0;
+  const drawKey = async () => (
+    await generatorService.generateBatch(idSchema, 1, { seed: keySeed, offset: keyDraws++, locale })
+  ).data[0];
+
+  const stamp = (record, version, at) => {
+    if (versionField !== undefined) {
+      record[versionField] = isNumeric(properties[versionField]) ? version : String(version);
+    }
+    if (timestampField !== undefined) {
+      record[timestampField] = isNumeric(properties[timestampField]) ? at : new Date(at).toISOString();
+    }
+    return record;
+  };
+
+  const insert = async (fresh, at) => {
+    const record = { ...(tracker ? (await tracker.enforce([fresh]))[0] : fresh) };
+    let key = record[fields.idField];
+    for (let attempt = 0; key === undefined || key === null || live.has(key); attempt++) {
+      if (isNumeric(properties[fields.idField])) {
+        key = live.nextNumericKey;
+      } else if (attempt < MAX_KEY_ATTEMPTS) {
+        key = await drawKey();
+      } else {
+        throw new ValidationError(`Cannot find a free ${fields.idField} for an insert`);
+      }
+    }
+    record[fields.idField] = key;
+    stamp(record, 1, at);
+    live.set(key, record, 1);
+    return { key, version: 1, before: null, after: record };
+  };
+
+  const update = (fresh, at) => {
+    const entry = live.pick(random);
+    const before = entry.record;
+    const after = { ...before };
+
+    // Partial Fisher-Yates: the first `wanted` fields that really change
+    const candidates = fields.updatable.filter(field => field in fresh);
+    const wanted = fields.fieldsPerUpdate.min +
+      Math.floor(random() * (fields.fieldsPerUpdate.max - fields.fieldsPerUpdate.min + 1));
+    let changed = 0;
+    for (let i = 0; i < candidates.length && changed < wanted; i++) {
+      const j = i + Math.floor(random() * (candidates.length - i));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+      const field = candidates[i];
+      if (JSON.stringify(before[field]) !== JSON.stringify(fresh[field])) {
+        after[field] = fresh[field];
+        changed++;
+      }
+    }
+    applyDerivations(after, prepared, { random, refDate: new Date(at) });
+
+    const version = entry.version + 1;
+    stamp(after, version, at);
+    live.set(entry.key, after, version);
+    const changedFields = Object.keys({ ...before, ...after })
+      .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+    return { key: entry.key, version, before, after, changedFields };
+  };
+
+  const remove = () => {
+    const entry = live.pick(random);
+    live.delete(entry);
+    return { key: entry.key, version: entry.version + 1, before: entry.record, after: null };
+  };
+
+  // Fresh records of the next chunk are generated while the current one is processed
+  let nextFresh = count > 0 ? generate(freshOffset, Math.min(chunkSize, count)) : null;
+  nextFresh?.catch(() => {});
+  let chunkIndex = 0;
+
+  for (let offset = 0; offset < count; offset += chunkSize) {
+    if (signal?.aborted) break;
+    const chunkStart = Date.now();
+    const size = Math.min(chunkSize, count - offset);
+    const fresh = (await nextFresh).data;
+    if (signal?.aborted) break;
+
+    const nextOffset = offset + size;
+    nextFresh = nextOffset < count
+      ? generate(freshOffset + nextOffset, Math.min(chunkSize, count - nextOffset))
+      : null;
+    nextFresh?.catch(() => {});
+
+    const events = [];
+    for (const [i, record] of fresh.entries()) {
+      time += Math.round(-Math.log(1 - random()) * meanInterval);
+      const draw = random();
+      let op = mix.find(([, cumulative]) => draw < cumulative)?.[0] ?? 'update';
+      if (live.size === 0) op = 'insert';
+
+      const event = op === 'insert'
+        ? await insert(record, time)
+        : op === 'update' ? update(record, time) : remove();
+      const { key, version, ...images } = event;
+      events.push({ seq: offset + i + 1, op, key, version, ts: new Date(time).toISOString(), ...images });
+    }
+
+    yield {
+      chunk: chunkIndex++,
+      data: events,
+      progress: {
+        completed: nextOffset,
+        total: count,
+        percentage: Math.round((nextOffset / count) * 100),
+      },
+      chunkStats: {
+        size,
+        duration: Date.now() - chunkStart,
+        liveRecords: live.size,
+      },
+    };
+  }
+}
+
+module.exports = {
+  OPERATIONS,
+  resolveOperations,
+  resolveChangeOptions,
+  regenerateReferences,
+  generateChangeEvents,
+};
@@ -3,194 +3,249 @@
  * Handles both single-thread and worker pool generation
  */
 
-const { faker } = require('@faker-js/faker');
 const jsf = require('json-schema-faker');
 const config = require('../config');
 const schemaService = require('./schemaService');
-const { GenerationError } = require('../errors');
+const { GenerationError, ValidationError } = require('../errors');
+const {
+  generateSeeded,
+  registerFormats,
+  formatRecords,
+  getCompositionPlan,
+  createLocaleSwitch,
+  resolveLocale,
+  applyTree,
+  DEFAULT_FUZZ,
+  resolveFuzz,
+  applyFuzz,
+  normalizeSeed,
+  repairRecords,
+  compileSchema,
+  STRICT_OPTIONS,
+  getModeOptions,
+  toModeSchema,
+  cleanExtraProperties,
+  createRecordPipeline,
+} = require('../generation');
+
+// Faker proxy switching between locale instances (built once, shared randomizer)
+const locales = createLocaleSwitch();
+const { faker } = locales;
 
 // Configure JSF
 jsf.extend('faker', () => faker);
 
-// Strict mode: Only generate fields defined in schema (randomMode = false)
-const strictOptions = {
-  alwaysFakeOptionals: true,     // Generate nested objects even if optional
-  useDefaultValue: true,
-  failOnInvalidTypes: false,
-  random: Math.random,
-  optionalsProbability: 1.0,     // Generate optional fields (but not extra ones)
-  fixedProbabilities: true,
-  requiredOnly: false,           // Can't use true - blocks nested objects
-  useExamplesValue: false,
-  minItems: 0,
-  maxItems: 10,
-  minLength: 1,
-  maxLength: 100,
-  maxRegexRetry: 100,
-  defaultRandExpMax: 10,
+jsf.option(STRICT_OPTIONS);
+
+// Register formats (common + MongoDB)
+registerFormats(jsf, faker);
+
+const { finalizeRecord, generateRecord } = createRecordPipeline({ jsf, locales });
+
+// Test schema of POST /benchmark and scripts/benchmark.js
+const BENCHMARK_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    name: { type: 'string', minLength: 5, maxLength: 50 },
+    email: { type: 'string', format: 'email' },
+    age: { type: 'integer', minimum: 18, maximum: 99 },
+    active: { type: 'boolean' },
+    createdAt: { type: 'string', format: 'date-time' },
+    tags: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 5 },
+  },
+  required: ['id', 'name', 'email', 'age', 'active', 'createdAt'],
 };
 
-// Random mode: Generate extra fields and variations (randomMode = true)
-const randomOptions = {
-  alwaysFakeOptionals: true,      // Generate all optional fields
-  useDefaultValue: false,
-  failOnInvalidTypes: false,
-  random: Math.random,
-  optionalsProbability: 1.0,      // 100% chance for optional fields
-  fixedProbabilities: false,
-  ignoreMissingRefs: true,
-  requiredOnly: false,            // Generate both required and optional
-  maxItems: 10,
-  maxLength: 100,
-  maxRegexRetry: 50,
-};
-
-jsf.option(strictOptions);
-
-// Register formats
-jsf.format('email', () => faker.internet.email());
-jsf.format('date-time', () => faker.date.recent().toISOString());
-jsf.format('date', () => faker.date.past().toISOString().split('T')[0]);
-jsf.format('uri', () => faker.internet.url());
-jsf.format('url', () => faker.internet.url());
-jsf.format('uuid', () => faker.string.uuid());
-jsf.format('ipv4', () => faker.internet.ipv4());
-jsf.format('ipv6', () => faker.internet.ipv6());
-
-/**
- * Random mutation helpers
- */
+// Mode schemas and compiled generators by prepared schema (prepareSchema results are cached)
+const modeSchemaCache = { strict: new WeakMap(), random: new WeakMap() };
+const compiledCache = new WeakMap();
 
 /**
- * Remove properties not defined in schema (strict mode only)
- * @param {*} data - Generated data
- * @param {Object} schema - JSON Schema
- * @returns {*} Cleaned data
+ * Generation job of a prepared schema: the same mode schema, composition plan
+ * and compiled generator a worker builds for it (see generator.worker.js)
+ * @param {Object} prepared - Prepared schema (schemaService.prepareSchema)
+ * @param {Object} options - { randomMode, refs }
+ * @returns {Object} Job { schema, randomMode, refs, plan, compiled }
  */
-function cleanExtraProperties(data, schema) {
-  if (!data || typeof data !== 'object' || !schema || typeof schema !== 'object') {
-    return data;
-  }
-
-  // Handle arrays
-  if (Array.isArray(data)) {
-    if (schema.items) {
-      return data.map(item => cleanExtraProperties(item, schema.items));
+function createJob(prepared, { randomMode = false, refs = null } = {}) {
+  const cache = modeSchemaCache[randomMode ? 'random' : 'strict'];
+  let schema = prepared;
+  if (prepared && typeof prepared === 'object') {
+    schema = cache.get(prepared);
+    if (!schema) {
+      schema = toModeSchema(prepared, randomMode);
+      cache.set(prepared, schema);
     }
-    return data;
-  }
-
-  // Handle type array (e.g., ["object", "null"])
-  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
-  const isObjectType = types.includes('object');
-
-  if (!isObjectType || !schema.properties) {
-    return data;
   }
 
-  // Create cleaned object with only schema-defined properties
-  const cleaned = {};
-  const allowedProps = Object.keys(schema.properties);
-
-  for (const key of allowedProps) {
-    if (key in data) {
-      const propSchema = schema.properties[key];
-      // Recursively clean nested objects
-      cleaned[key] = cleanExtraProperties(data[key], propSchema);
-    }
-  }
-
-  return cleaned;
+  // Composed schemas are checked against the schema before closing
+  const plan = getCompositionPlan(schema, prepared);
+  return { schema, randomMode, refs, plan, compiled: plan ? null : getCompiled(schema, randomMode) };
 }
 
-function getRandomValue() {
-  const type = Math.random();
-  if (type < 0.3) return faker.number.int({ min: -100000000, max: 100000000 });
-  if (type < 0.5) return faker.datatype.boolean();
-  if (type < 0.7) return faker.lorem.words(Math.floor(Math.random() * 3) + 1);
-  if (type < 0.85) return faker.number.float({ min: -100000000, max: 100000000 });
-  return null;
-}
-
-function applyRandomMutations(obj) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-    return obj;
+/**
+ * Compiled generator of a mode schema, for strict mode
+ * @param {Object} schema - Mode schema
+ * @param {boolean} randomMode - Random mode is always generated by jsf
+ * @returns {Function|null} (random) => raw record, null when jsf generates it
+ */
+function getCompiled(schema, randomMode) {
+  if (randomMode || !config.generation.compileSchemas) {
+    return null;
   }
-
-  const keys = Object.keys(obj);
-
-  for (const key of keys) {
-    if (Math.random() < 0.5) {
-      obj[key] = getRandomValue();
-    } else if (Math.random() < 0.4) {
-      delete obj[key];
-    }
+  if (!compiledCache.has(schema)) {
+    compiledCache.set(schema, compileSchema(schema, { jsf, options: STRICT_OPTIONS }));
   }
-
-  if (Math.random() < 0.7) {
-    const numNew = Math.floor(Math.random() * 6);
-    for (let i = 0; i < numNew; i++) {
-      obj[faker.lorem.word() + i] = getRandomValue();
-    }
-  }
-
-  return obj;
+  return compiledCache.get(schema);
 }
 
 /**
  * Generate single record (main thread)
- * @param {Object} schema - Prepared schema
- * @param {boolean} randomMode - Apply random mutations
- * @returns {Promise<Object>} Generated record
+ * Synchronous: jsf options and the active locale are global to the thread, an
+ * awaited jsf.resolve would let concurrent requests switch them mid-record
+ * @param {Object} job - Job from createJob
+ * @param {string} [locale] - Faker locale
+ * @returns {Object} Generated record
  */
-async function generateOne(schema, randomMode = false) {
-  jsf.option(randomMode ? randomOptions : strictOptions);
-  let generated = await jsf.resolve(schema);
-  if (randomMode) {
-    generated = applyRandomMutations(generated);
-  } else {
-    generated = cleanExtraProperties(generated, schema);
-  }
-  return generated;
+function generateOne(job, locale = config.generation.defaultLocale) {
+  jsf.option(getModeOptions(job.randomMode));
+  locales.use(locale);
+  return generateRecord(job);
 }
 
 /**
  * Generate multiple records (main thread, for small counts)
+ * Seeded jobs give the same records as the worker pool (same mode schema,
+ * jsf options and seed blocks)
  * @param {Object} schema - Raw schema
  * @param {number} count - Number of records
  * @param {Object} options - Generation options
  * @returns {Promise<Object>} Generated data with stats
  */
 async function generateBatch(schema, count, options = {}) {
-  const { randomMode = false } = options;
+  const {
+    randomMode = false,
+    seed = null,
+    offset = 0,
+    outputFormat = 'json',
+    refs = null,
+    locale = config.generation.defaultLocale,
+    fuzz = null,
+    repair = false,
+  } = options;
   const startTime = Date.now();
+  const fuzzConfig = fuzz || (randomMode ? { ...DEFAULT_FUZZ, seed } : null);
 
   // Prepare schema
   const prepared = schemaService.prepareSchema(schema);
+  const job = createJob(prepared, { randomMode, refs });
+
+  // Seeded: synchronous so concurrent requests cannot interleave PRNG draws
+  if (seed !== null) {
+    jsf.option(getModeOptions(randomMode));
+    locales.use(locale);
+    const results = generateSeeded({
+      faker,
+      jsf,
+      seed,
+      offset,
+      count,
+      produce: (random) => generateRecord(job, random),
+    });
+    applyTree(results, job.schema, offset);
+    const repairs = repair && repairBatch(results, prepared, { seed, offset, locale });
+    const fuzzLog = fuzzConfig && applyFuzz(results, fuzzConfig, offset);
+    return buildBatchResult(formatRecords(results, job.schema, outputFormat), count, startTime, seed, fuzzLog, repairs);
+  }
 
-  // Generate records
-  const results = [];
-  const PARALLEL_BATCH = Math.min(count, 50);
+  // Unseeded: synchronous as well (see generateOne)
+  const results = Array.from({ length: count }, () => generateOne(job, locale));
 
-  for (let i = 0; i < count; i += PARALLEL_BATCH) {
-    const batchCount = Math.min(PARALLEL_BATCH, count - i);
-    const promises = [];
+  applyTree(results, job.schema, offset);
+  const repairs = repair && repairBatch(results, prepared, { seed, offset, locale });
+  const fuzzLog = fuzzConfig && applyFuzz(results, fuzzConfig, offset);
+  return buildBatchResult(formatRecords(results, job.schema, outputFormat), count, startTime, seed, fuzzLog, repairs);
+}
 
-    for (let j = 0; j < batchCount; j++) {
-      promises.push(generateOne(prepared, randomMode));
-    }
+/**
+ * Validate records and repair the invalid ones (main thread)
+ * @param {Array} results - Final records (before formatting)
+ * @param {Object} prepared - Prepared schema
+ * @param {Object} options - { seed, offset, locale }
+ * @returns {Object} Repair summary (see generation/repair.js)
+ */
+function repairBatch(results, prepared, { seed, offset, locale }) {
+  // Repairs are drawn with strict options, in the locale of the request
+  jsf.option(STRICT_OPTIONS);
+  locales.use(locale);
+  return repairRecords(results, prepared, {
+    faker,
+    jsf,
+    generate: node => cleanExtraProperties(jsf.generate(node), node),
+    seed,
+    offset,
+  });
+}
+
+/**
+ * Resolve the locale option of a request
+ * @param {string} [locale] - Requested locale ("vi", "vi-VN", "en_US"...)
+ * @returns {string} Faker locale code (the configured default when not given)
+ * @throws {ValidationError} When faker has no matching locale
+ */
+function resolveRequestLocale(locale) {
+  if (locale === undefined || locale === null) {
+    return resolveLocale(config.generation.defaultLocale) || 'en';
+  }
+  const resolved = resolveLocale(locale);
+  if (!resolved) {
+    throw new ValidationError(`Unsupported locale "${locale}"`);
+  }
+  return resolved;
+}
 
-    const batchResults = await Promise.all(promises);
-    results.push(...batchResults);
+/**
+ * Resolve the fuzz option of a request
+ * @param {Object} [fuzz] - Fuzz options (see generation/fuzz.js)
+ * @param {number|null} seed - Effective job seed, the default fuzz seed
+ * @param {number} count - Records held at once (see resolveFuzz)
+ * @returns {Object|null} Fuzz config with a fuzz seed (always set, so logs can be replayed)
+ * @throws {ValidationError} On invalid options
+ */
+function resolveRequestFuzz(fuzz, seed, count) {
+  if (fuzz === undefined || fuzz === null) {
+    return null;
+  }
+  const fuzzSeed = normalizeSeed(fuzz.seed) ?? seed ?? (Math.random() * 2 ** 32) >>> 0;
+  try {
+    return resolveFuzz(fuzz, fuzzSeed, count);
+  } catch (error) {
+    throw new ValidationError(error.message);
   }
+}
 
+/**
+ * Wrap generated records with stats
+ * @param {Array} results - Generated records
+ * @param {number} count - Requested record count
+ * @param {number} startTime - Generation start timestamp
+ * @param {number|null} seed - Effective seed (echoed when set)
+ * @param {Array<Object>|null} [fuzzLog] - Fuzz mutation log
+ * @param {Object|null} [repair] - Repair summary
+ * @returns {Object} Generated data with stats
+ */
+function buildBatchResult(results, count, startTime, seed, fuzzLog = null, repair = null) {
   const duration = Date.now() - startTime;
   return {
     data: results,
+    ...(fuzzLog && { fuzzLog }),
+    ...(repair && { repair }),
     stats: {
       recordsGenerated: count,
       duration,
       recordsPerSecond: Math.round((count / duration) * 1000),
+      ...(seed !== null && { seed }),
     },
   };
 }
@@ -233,9 +288,12 @@ async function smartGenerate(generatorPool, schema, count, options = {}) {
 }
 
 module.exports = {
+  BENCHMARK_SCHEMA,
   generateOne,
   generateBatch,
   generateWithPool,
   smartGenerate,
   shouldUseWorkers,
+  resolveRequestLocale,
+  resolveRequestFuzz,
 };
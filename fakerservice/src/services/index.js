@@ -3,11 +3,31 @@
  */
 
 const schemaService = require('./schemaService');
+const schemaImportService = require('./schemaImportService');
 const generatorService = require('./generatorService');
 const jobService = require('./jobService');
+const referenceService = require('./referenceService');
+const uniqueService = require('./uniqueService');
+const streamService = require('./streamService');
+const tabularService = require('./tabularService');
+const xmlService = require('./xmlService');
+const inferenceService = require('./inferenceService');
+const asyncJobService = require('./asyncJobService');
+const changeService = require('./changeService');
+const invalidService = require('./invalidService');
 
 module.exports = {
   schemaService,
+  schemaImportService,
   generatorService,
   jobService,
+  referenceService,
+  uniqueService,
+  streamService,
+  tabularService,
+  xmlService,
+  inferenceService,
+  asyncJobService,
+  changeService,
+  invalidService,
 };
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview JSON Schema inference from sample documents
+ * Accumulates per-field statistics over all documents, then turns them into a
+ * schema that /generate accepts as is
+ */
+
+const config = require('../config');
+const { GenerationError } = require('../errors');
+const schemaService = require('./schemaService');
+
+// Detected string formats, most specific first
+const STRING_FORMATS = [
+  ['objectid', /^[0-9a-f]{24}$/i],
+  ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+  ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+  ['date-time', /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/],
+  ['date', /^\d{4}-\d{2}-\d{2}$/],
+  ['uri', /^https?:\/\/[^\s]+$/],
+  ['ipv4', /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/],
+];
+
+// MongoDB Extended JSON wrappers → x-bson-type
+const EJSON_TYPES = {
+  $oid: 'objectId',
+  $date: 'date',
+  $numberDecimal: 'decimal',
+  $numberLong: 'long',
+  $binary: 'binData',
+  $timestamp: 'timestamp',
+};
+
+const DEFAULT_OPTIONS = {
+  enumThreshold: config.inference.enumThreshold,
+  detectFormats: true,
+};
+
+/**
+ * Empty statistics of one field
+ * @returns {Object}
+ */
+function createStats() {
+  return {
+    seen: 0,
+    types: new Set(),
+    // string
+    strings: 0,
+    distinct: new Map(),
+    minLength: Infinity,
+    maxLength: 0,
+    formats: null, // Formats every string so far matched
+    // number
+    minimum: Infinity,
+    maximum: -Infinity,
+    // array
+    minItems: Infinity,
+    maxItems: 0,
+    items: null,
+    // object
+    objects: 0,
+    properties: new Map(),
+    // EJSON
+    bsonTypes: new Set(),
+  };
+}
+
+/**
+ * Detect the Extended JSON type of an object value
+ * @param {Object} value - Object value
+ * @returns {string|null} x-bson-type or null
+ */
+function ejsonType(value) {
+  const keys = Object.keys(value);
+  if (keys.length === 0 || keys.length > 2) return null;
+  return EJSON_TYPES[keys[0]] || null;
+}
+
+/**
+ * Record one value into field statistics
+ * @param {Object} stats - Field statistics
+ * @param {*} value - Observed value
+ * @param {Object} options - Inference options
+ */
+function observe(stats, value, options) {
+  stats.seen++;
+
+  if (value === null || value === undefined) {
+    stats.types.add('null');
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    stats.types.add('array');
+    stats.minItems = Math.min(stats.minItems, value.length);
+    stats.maxItems = Math.max(stats.maxItems, value.length);
+    stats.items = stats.items || createStats();
+    for (const item of value) observe(stats.items, item, options);
+    return;
+  }
+
+  switch (typeof value) {
+    case 'string': {
+      stats.types.add('string');
+      stats.strings++;
+      stats.minLength = Math.min(stats.minLength, value.length);
+      stats.maxLength = Math.max(stats.maxLength, value.length);
+      if (stats.distinct.size <= options.enumThreshold) {
+        stats.distinct.set(value, (stats.distinct.get(value) || 0) + 1);
+      }
+      if (options.detectFormats) {
+        const candidates = stats.formats || STRING_FORMATS.map(([format]) => format);
+        stats.formats = candidates.filter(format =>
+          STRING_FORMATS.find(([name]) => name === format)[1].test(value)
+        );
+      }
+      return;
+    }
+    case 'number':
+      stats.types.add(Number.isInteger(value) ? 'integer' : 'number');
+      stats.minimum = Math.min(stats.minimum, value);
+      stats.maximum = Math.max(stats.maximum, value);
+      return;
+    case 'boolean':
+      stats.types.add('boolean');
+      return;
+    case 'object': {
+      const bsonType = ejsonType(value);
+      if (bsonType) {
+        stats.types.add('bson');
+        stats.bsonTypes.add(bsonType);
+        return;
+      }
+      if ('$numberInt' in value || '$numberDouble' in value) {
+        observe(stats, Number(value.$numberInt ?? value.$numberDouble), options);
+        stats.seen--;
+        return;
+      }
+
+      stats.types.add('object');
+      stats.objects++;
+      for (const [key, child] of Object.entries(value)) {
+        if (!stats.properties.has(key)) stats.properties.set(key, createStats());
+        observe(stats.properties.get(key), child, options);
+      }
+      return;
+    }
+    default:
+      stats.types.add('null');
+  }
+}
+
+/**
+ * Build the schema of a single (non-null) type from field statistics
+ * @param {string} type - Observed type
+ * @param {Object} stats - Field statistics
+ * @param {Object} options - Inference options
+ * @returns {Object} JSON Schema
+ */
+function schemaForType(type, stats, options) {
+  switch (type) {
+    case 'string': {
+      const format = stats.formats?.[0];
+      if (format === 'objectid') {
+        return { 'x-bson-type': 'objectId' };
+      }
+      if (format) {
+        return { type: 'string', format };
+      }
+      // Low cardinality: every value seen at least twice on average
+      if (stats.distinct.size <= options.enumThreshold && stats.strings >= stats.distinct.size * 2) {
+        return { type: 'string', enum: [...stats.distinct.keys()].sort() };
+      }
+      return { type: 'string', minLength: stats.minLength, maxLength: stats.maxLength };
+    }
+    case 'integer':
+    case 'number':
+      return { type, minimum: stats.minimum, maximum: stats.maximum };
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'bson':
+      return { 'x-bson-type': [...stats.bsonTypes][0] };
+    case 'array':
+      return {
+        type: 'array',
+        items: stats.items && stats.items.seen > 0 ? buildSchema(stats.items, options) : {},
+        minItems: stats.minItems,
+        maxItems: stats.maxItems,
+      };
+    case 'object': {
+      const properties = {};
+      const required = [];
+      for (const [key, child] of stats.properties) {
+        properties[key] = buildSchema(child, options);
+        // Required when present (even as null) in every object
+        if (child.seen === stats.objects) required.push(key);
+      }
+      return {
+        type: 'object',
+        properties,
+        ...(required.length > 0 && { required }),
+      };
+    }
+    default:
+      return { type: 'null' };
+  }
+}
+
+/**
+ * Turn field statistics into a JSON Schema
+ * @param {Object} stats - Field statistics
+ * @param {Object} options - Inference options
+ * @returns {Object} JSON Schema
+ */
+function buildSchema(stats, options) {
+  const types = [...stats.types];
+  // Integers mixed with decimals are plain numbers
+  if (types.includes('integer') && types.includes('number')) {
+    types.splice(types.indexOf('integer'), 1);
+  }
+
+  const nullable = types.includes('null');
+  const valueTypes = types.filter(type => type !== 'null');
+
+  if (valueTypes.length === 0) return { type: 'null' };
+
+  const schemas = valueTypes.map(type => schemaForType(type, stats, options));
+  if (nullable) schemas.push({ type: 'null' });
+
+  return schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+}
+
+/**
+ * Infer a JSON Schema from sample documents
+ * @param {Array} documents - Sample documents
+ * @param {Object} [options] - { enumThreshold, detectFormats }
+ * @returns {{schema: Object, stats: Object}}
+ * @throws {GenerationError} If the inferred schema does not compile
+ */
+function inferSchema(documents, options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const root = createStats();
+
+  for (const document of documents) {
+    observe(root, document, settings);
+  }
+
+  const schema = buildSchema(root, settings);
+
+  const validation = schemaService.validateSchema(schema);
+  if (!validation.valid) {
+    throw new GenerationError(
+      `Inferred schema does not compile: ${validation.errors.map(e => e.message).join(', ')}`,
+      'inference'
+    );
+  }
+
+  return {
+    schema,
+    stats: {
+      documents: documents.length,
+      fields: root.properties.size,
+    },
+  };
+}
+
+module.exports = {
+  inferSchema,
+};
@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Negative data - records that break one chosen constraint
+ *
+ * A share of the generated records is moved to the `invalid` output, each
+ * with a single targeted violation (wrong type, out-of-range value, missing
+ * required field, pattern mismatch or extra property). Every mutated record is
+ * checked with schemaService.validateData: a violation only counts when the
+ * validator reports that very keyword at that very path, otherwise the next
+ * candidate constraint of the record is tried.
+ */
+
+const schemaService = require('./schemaService');
+const { ValidationError } = require('../errors');
+
+const INVALID_KINDS = ['type', 'range', 'required', 'pattern', 'additionalProperties'];
+
+// One value per JSON type, for wrong-type violations
+const WRONG_TYPE_VALUES = [
+  ['string', 'invalid'],
+  ['integer', 12345],
+  ['number', 1.5],
+  ['boolean', true],
+  ['object', {}],
+  ['array', []],
+  ['null', null],
+];
+
+const EXTRA_PROPERTY = 'unexpectedField';
+
+/**
+ * @param {Array<string>} [kinds] - Requested violation kinds
+ * @returns {Array<string>} Kinds to use (all by default)
+ * @throws {ValidationError} On unknown kinds
+ */
+function resolveInvalidKinds(kinds) {
+  if (kinds === undefined || kinds === null) return INVALID_KINDS;
+  if (!Array.isArray(kinds) || kinds.length === 0) {
+    throw new ValidationError(`invalidKinds must be a non-empty array of: ${INVALID_KINDS.join(', ')}`);
+  }
+  const unknown = kinds.filter(kind => !INVALID_KINDS.includes(kind));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown invalidKinds: ${unknown.join(', ')} (use ${INVALID_KINDS.join(', ')})`);
+  }
+  return [...new Set(kinds)];
+}
+
+/**
+ * @param {Object} schema - Schema node
+ * @returns {Array<string>} Declared types
+ */
+function typesOf(schema) {
+  const types = Array.isArray(schema.type) ? [...schema.type] : schema.type ? [schema.type] : [];
+  if (types.length > 0 && schema.nullable === true) types.push('null');
+  return types;
+}
+
+/**
+ * @param {*} value - JSON value
+ * @param {Array<string>} types - Declared types
+ * @returns {boolean} Whether the value has one of the types
+ */
+function hasType(value, types) {
+  if (value === null) return types.includes('null');
+  if (Array.isArray(value)) return types.includes('array');
+  if (typeof value === 'number') {
+    return types.includes('number') || (Number.isInteger(value) && types.includes('integer'));
+  }
+  return types.includes(typeof value);
+}
+
+/**
+ * @param {Array<string|number>} path - Keys from the record root
+ * @returns {string} JSON pointer (ajv instancePath)
+ */
+function pointer(path) {
+  return path.map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+/**
+ * @param {string} value - String
+ * @param {number} length - Code points to keep or reach
+ * @returns {string} Value cut or padded with "x" to `length` code points
+ */
+function fitLength(value, length) {
+  const chars = [...value];
+  return chars.length >= length
+    ? chars.slice(0, length).join('')
+    : chars.join('') + 'x'.repeat(length - chars.length);
+}
+
+/**
+ * Out-of-range replacements of a value: [keyword, constraint, value]
+ * @param {*} value - Current value
+ * @param {Object} schema - Schema node of the value
+ * @returns {Array<Array>}
+ */
+function outOfRange(value, schema) {
+  const found = [];
+  const integer = typesOf(schema).includes('integer') && !typesOf(schema).includes('number');
+
+  if (typeof value === 'number') {
+    const above = limit => (integer ? Math.floor(limit) + 1 : limit + 1);
+    const below = limit => (integer ? Math.ceil(limit) - 1 : limit - 1);
+    if (typeof schema.maximum === 'number') found.push(['maximum', schema.maximum, above(schema.maximum)]);
+    if (typeof schema.minimum === 'number') found.push(['minimum', schema.minimum, below(schema.minimum)]);
+    if (typeof schema.exclusiveMaximum === 'number') {
+      found.push(['exclusiveMaximum', schema.exclusiveMaximum, integer ? Math.ceil(schema.exclusiveMaximum) : schema.exclusiveMaximum]);
+    }
+    if (typeof schema.exclusiveMinimum === 'number') {
+      found.push(['exclusiveMinimum', schema.exclusiveMinimum, integer ? Math.floor(schema.exclusiveMinimum) : schema.exclusiveMinimum]);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isInteger(schema.maxLength)) found.push(['maxLength', schema.maxLength, fitLength(value, schema.maxLength + 1)]);
+    if (Number.isInteger(schema.minLength) && schema.minLength > 0) {
+      found.push(['minLength', schema.minLength, fitLength(value, schema.minLength - 1)]);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isInteger(schema.maxItems) && value.length > 0) {
+      const padded = [...value];
+      while (padded.length <= schema.maxItems) padded.push(value[padded.length % value.length]);
+      found.push(['maxItems', schema.maxItems, padded]);
+    }
+    if (Number.isInteger(schema.minItems) && schema.minItems > 0) {
+      found.push(['minItems', schema.minItems, value.slice(0, schema.minItems - 1)]);
+    }
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    const outside = typeof value === 'number'
+      ? Math.max(...schema.enum.filter(option => typeof option === 'number'), value) + 1
+      : `${value}_invalid`;
+    if (!schema.enum.includes(outside)) found.push(['enum', schema.enum, outside]);
+  }
+  return found;
+}
+
+/**
+ * @param {string} value - Current value
+ * @param {string} pattern - Schema pattern
+ * @returns {string|null} A string the pattern rejects
+ */
+function breakPattern(value, pattern) {
+  let regex;
+  try {
+    regex = new RegExp(pattern, 'u');
+  } catch {
+    return null;
+  }
+  return ['', '#', `${value}#`, `#${value}`, ' ', '\n'].find(candidate => !regex.test(candidate)) ?? null;
+}
+
+/**
+ * Collect the constraints a record could break
+ * @param {*} value - Value at `path`
+ * @param {Object} schema - Schema node of the value
+ * @param {Array<string|number>} path - Keys from the record root
+ * @param {Function} random - Random source (picks the array item to descend into)
+ * @param {Array<Object>} targets - Found targets (mutated)
+ * @returns {Array<Object>} { kind, keyword, path, property?, constraint, value }
+ */
+function collectTargets(value, schema, path, random, targets = []) {
+  if (!schema || typeof schema !== 'object') return targets;
+
+  const types = typesOf(schema);
+  if (path.length > 0 && types.length > 0) {
+    const wrong = WRONG_TYPE_VALUES.filter(([, candidate]) => !hasType(candidate, types));
+    if (wrong.length > 0) {
+      const [, replacement] = wrong[Math.floor(random() * wrong.length)];
+      targets.push({ kind: 'type', keyword: 'type', path, constraint: schema.type, value: replacement });
+    }
+  }
+  if (path.length > 0) {
+    for (const [keyword, constraint, replacement] of outOfRange(value, schema)) {
+      targets.push({ kind: 'range', keyword, path, constraint, value: replacement });
+    }
+  }
+  if (path.length > 0 && typeof value === 'string' && typeof schema.pattern === 'string') {
+    const replacement = breakPattern(value, schema.pattern);
+    if (replacement !== null) {
+      targets.push({ kind: 'pattern', keyword: 'pattern', path, constraint: schema.pattern, value: replacement });
+    }
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const property of schema.required || []) {
+      if (property in value) {
+        targets.push({ kind: 'required', keyword: 'required', path, property, constraint: schema.required });
+      }
+    }
+    // Only where the schema closes the object itself: strict mode drops extra
+    // fields while generating, but the schema as validated still accepts them
+    if (schema.additionalProperties === false) {
+      let property = EXTRA_PROPERTY;
+      for (let i = 1; property in (schema.properties || {}) || property in value; i++) {
+        property = `${EXTRA_PROPERTY}${i}`;
+      }
+      targets.push({
+        kind: 'additionalProperties',
+        keyword: 'additionalProperties',
+        path,
+        property,
+        constraint: false,
+        value: 'unexpected',
+      });
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (key in value) collectTargets(value[key], child, [...path, key], random, targets);
+    }
+  }
+
+  if (Array.isArray(value) && value.length > 0 && schema.items && !Array.isArray(schema.items)) {
+    const index = Math.floor(random() * value.length);
+    collectTargets(value[index], schema.items, [...path, index], random, targets);
+  }
+  return targets;
+}
+
+/**
+ * @param {Object} record - Record (copied)
+ * @param {Object} target - From collectTargets
+ * @returns {Object} Mutated copy
+ */
+function applyTarget(record, target) {
+  const copy = structuredClone(record);
+  const keys = target.kind === 'required' || target.kind === 'additionalProperties'
+    ? [...target.path, target.property]
+    : target.path;
+  let parent = copy;
+  for (const key of keys.slice(0, -1)) parent = parent[key];
+  const last = keys[keys.length - 1];
+
+  if (target.kind === 'required') {
+    delete parent[last];
+  } else {
+    parent[last] = structuredClone(target.value);
+  }
+  return copy;
+}
+
+/**
+ * @param {Object} target - From collectTargets
+ * @returns {string|number} Top-level field of the record the target changes
+ */
+function topField(target) {
+  return target.path.length > 0 ? target.path[0] : target.property;
+}
+
+/**
+ * Break one constraint of a record
+ * @param {Object} record - Valid record
+ * @param {Object} schema - Schema of the record (as validated)
+ * @param {Object} options
+ * @param {Array<string>} options.kinds - Violation kinds to pick from
+ * @param {Function} options.random - Random source
+ * @param {Array<string>} [options.keep] - Top-level fields never broken (x-tree id / parent)
+ * @returns {Object|null} { record, violation, errors }, null when no constraint can be broken
+ */
+function mutateRecord(record, schema, { kinds, random, keep = [] }) {
+  const targets = collectTargets(record, schema, [], random)
+    .filter(target => kinds.includes(target.kind) && !keep.includes(topField(target)));
+
+  while (targets.length > 0) {
+    // Kind first, so rare kinds (a single pattern field) are not drowned out
+    const available = kinds.filter(kind => targets.some(target => target.kind === kind));
+    const kind = available[Math.floor(random() * available.length)];
+    const ofKind = targets.filter(target => target.kind === kind);
+    const target = ofKind[Math.floor(random() * ofKind.length)];
+    targets.splice(targets.indexOf(target), 1);
+
+    const mutated = applyTarget(record, target);
+    // The validator fills defaults: check a copy so the record stays as sent
+    const { valid, errors } = schemaService.validateData(structuredClone(mutated), schema);
+    const path = pointer(target.path);
+    if (valid || !errors.some(error => error.keyword === target.keyword && error.instancePath === path)) {
+      continue;
+    }
+
+    const { kind: violationKind, keyword, property, constraint, value } = target;
+    return {
+      record: mutated,
+      violation: {
+        kind: violationKind,
+        keyword,
+        path,
+        ...(property !== undefined && { property }),
+        constraint,
+        ...(violationKind !== 'required' && { value }),
+      },
+      errors,
+    };
+  }
+  return null;
+}
+
+/**
+ * Move a share of the records to the invalid output
+ * Records are picked by selection sampling, so exactly round(ratio * count)
+ * are attempted; records without a breakable constraint stay valid
+ *
+ * @param {Array<Object>} records - Generated records
+ * @param {Object} schema - Schema of the records
+ * @param {Object} options
+ * @param {number} options.ratio - Share of invalid records (0 - 1)
+ * @param {Array<string>} options.kinds - Violation kinds (resolveInvalidKinds)
+ * @param {Function} options.random - Random source (seeded when the job is seeded)
+ * @param {Array<string>} [options.keep] - Top-level fields never broken (x-tree id / parent)
+ * @param {Set<Object>|null} [options.movable] - Records that may leave the output
+ *   (x-tree leaves), all when null; the others count as skipped when needed
+ * @returns {Object} { valid, invalid: [{ index, record, violation, errors }], skipped }
+ */
+function splitInvalid(records, schema, { ratio, kinds, random, keep = [], movable = null }) {
+  const valid = [];
+  const invalid = [];
+  let remaining = movable ? records.filter(record => movable.has(record)).length : records.length;
+  let wanted = Math.round(ratio * records.length);
+  let skipped = Math.max(0, wanted - remaining);
+  wanted -= skipped;
+
+  records.forEach((record, index) => {
+    if (movable && !movable.has(record)) {
+      valid.push(record);
+      return;
+    }
+    const picked = wanted > 0 && random() * remaining < wanted;
+    remaining--;
+    if (!picked) {
+      valid.push(record);
+      return;
+    }
+    wanted--;
+    const result = mutateRecord(record, schema, { kinds, random, keep });
+    if (result) {
+      invalid.push({ index, ...result });
+    } else {
+      skipped++;
+      valid.push(record);
+    }
+  });
+
+  return { valid, invalid, skipped };
+}
+
+module.exports = {
+  INVALID_KINDS,
+  resolveInvalidKinds,
+  mutateRecord,
+  splitInvalid,
+};
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Persistent job state stores
+ * Job state lives in a local directory (default) or in Redis; NDJSON results
+ * are always written next to the local store of the instance that ran the job
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { JobNotFoundError } = require('../errors');
+
+/**
+ * Local file store - one JSON file per job
+ */
+class FileJobStore {
+  /**
+   * @param {string} dir - Store directory
+   */
+  constructor(dir = config.jobs.storeDir) {
+    this.dir = dir;
+    this.backend = 'file';
+  }
+
+  /**
+   * Ensure the store directory exists
+   */
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  /**
+   * Path of a job file, always directly inside the store directory
+   * @param {string} jobId - Job ID
+   * @param {string} extension - File extension
+   * @returns {string}
+   * @throws {JobNotFoundError} When the ID would resolve outside the store
+   */
+  jobPath(jobId, extension) {
+    const dir = path.resolve(this.dir);
+    const target = path.resolve(dir, `${jobId}${extension}`);
+    if (path.dirname(target) !== dir) {
+      throw new JobNotFoundError(jobId);
+    }
+    return target;
+  }
+
+  statePath(jobId) {
+    return this.jobPath(jobId, '.json');
+  }
+
+  /**
+   * Path of the NDJSON result file of a job
+   * @param {string} jobId - Job ID
+   * @returns {string}
+   */
+  resultPath(jobId) {
+    return this.jobPath(jobId, '.ndjson');
+  }
+
+  /**
+   * Persist job state (atomic: write temp file then rename)
+   * @param {Object} job - Job state
+   */
+  async save(job) {
+    const target = this.statePath(job.id);
+    const temp = `${target}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(job));
+    await fs.promises.rename(temp, target);
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(jobId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.statePath(jobId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All stored jobs
+   */
+  async list() {
+    const files = await fs.promises.readdir(this.dir);
+    const jobs = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.get(path.basename(file, '.json')))
+    );
+    return jobs.filter(Boolean);
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   */
+  async delete(jobId) {
+    await fs.promises.rm(this.statePath(jobId), { force: true });
+  }
+}
+
+/**
+ * Redis store - shared job state across replicas
+ */
+class RedisJobStore extends FileJobStore {
+  /**
+   * @param {Object} redisClient - Connected node-redis client
+   * @param {string} dir - Local directory for result files
+   */
+  constructor(redisClient, dir = config.jobs.storeDir) {
+    super(dir);
+    this.redisClient = redisClient;
+    this.backend = 'redis';
+    this.indexKey = `${config.redis.keyPrefix}jobs`;
+  }
+
+  key(jobId) {
+    return `${config.redis.keyPrefix}job:${jobId}`;
+  }
+
+  async save(job) {
+    await this.redisClient.set(this.key(job.id), JSON.stringify(job), { EX: config.jobs.redisTTL });
+    await this.redisClient.sAdd(this.indexKey, job.id);
+  }
+
+  async get(jobId) {
+    const raw = await this.redisClient.get(this.key(jobId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async list() {
+    const ids = await this.redisClient.sMembers(this.indexKey);
+    const jobs = await Promise.all(ids.map(id => this.get(id)));
+
+    // Drop index entries whose state expired
+    const expired = ids.filter((id, i) => !jobs[i]);
+    if (expired.length > 0) {
+      await this.redisClient.sRem(this.indexKey, expired);
+    }
+    return jobs.filter(Boolean);
+  }
+
+  async delete(jobId) {
+    await this.redisClient.del(this.key(jobId));
+    await this.redisClient.sRem(this.indexKey, jobId);
+  }
+}
+
+/**
+ * Pick the job store backend
+ * @param {Object|null} redisClient - Connected Redis client (when Redis is enabled)
+ * @returns {FileJobStore|RedisJobStore}
+ */
+function createJobStore(redisClient) {
+  if (config.redis.enabled && redisClient) {
+    return new RedisJobStore(redisClient);
+  }
+  return new FileJobStore();
+}
+
+module.exports = {
+  FileJobStore,
+  RedisJobStore,
+  createJobStore,
+};
@@ -0,0 +1,332 @@
+/**
+ * @fileoverview OpenAPI 3 / Swagger 2 import
+ * Picks a schema out of an API document (a component, or the request / response
+ * body of an operation) and inlines it into a standalone JSON Schema:
+ * local $refs resolved, nullable → anyOf null, discriminators pinned per
+ * variant, readOnly / writeOnly properties dropped for the chosen direction
+ */
+
+const config = require('../config');
+const { ValidationError } = require('../errors');
+const { mapSubschemas, resolvePointer } = require('../utils');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// OpenAPI-only keywords removed from the output
+const OPENAPI_KEYWORDS = ['nullable', 'discriminator', 'readOnly', 'writeOnly', 'xml', 'externalDocs'];
+
+/**
+ * Pointer of a named schema component
+ * @param {Object} document - API document
+ * @param {string} name - Component name
+ * @returns {string} $ref
+ */
+function componentRef(document, name) {
+  const schemas = document.swagger ? document.definitions : document.components?.schemas;
+  if (!schemas || !(name in schemas)) {
+    const available = Object.keys(schemas || {}).join(', ') || 'none';
+    throw new ValidationError(`Component "${name}" not found (available: ${available})`);
+  }
+  const base = document.swagger ? '#/definitions/' : '#/components/schemas/';
+  return base + name.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Find an operation by operationId or "METHOD /path"
+ * @param {Object} document - API document
+ * @param {string} operation - operationId or "POST /pets"
+ * @returns {{operation: Object, pathItem: Object, label: string}}
+ */
+function findOperation(document, operation) {
+  const [method, route] = operation.trim().split(/\s+/);
+
+  for (const [pathName, pathItem] of Object.entries(document.paths || {})) {
+    for (const name of HTTP_METHODS) {
+      const candidate = pathItem?.[name];
+      if (!candidate) continue;
+      const matches = route
+        ? name === method.toLowerCase() && pathName === route
+        : candidate.operationId === operation;
+      if (matches) {
+        return { operation: candidate, pathItem, label: `${name.toUpperCase()} ${pathName}` };
+      }
+    }
+  }
+
+  throw new ValidationError(`Operation "${operation}" not found (use an operationId or "METHOD /path")`);
+}
+
+/**
+ * Follow $ref on a non-schema object (response, requestBody, parameter)
+ * @param {Object} document - API document
+ * @param {Object} value - Object that may be a $ref
+ * @returns {Object}
+ */
+function deref(document, value) {
+  let current = value;
+  for (let hops = 0; current?.$ref && hops < 10; hops++) {
+    current = resolvePointer(document, current.$ref);
+  }
+  return current;
+}
+
+/**
+ * Pick the media type of a content map
+ * @param {Object} content - OpenAPI 3 content map
+ * @param {string} [mediaType] - Requested media type
+ * @returns {Object|undefined} Media type object
+ */
+function pickMediaType(content, mediaType) {
+  if (!content) return undefined;
+  if (mediaType) return content[mediaType];
+  const types = Object.keys(content);
+  const json = types.find(type => type === 'application/json') || types.find(type => /json/.test(type));
+  return content[json || types[0]];
+}
+
+/**
+ * Body schema of an operation
+ * @param {Object} document - API document
+ * @param {Object} selector - { operation, status, direction, mediaType }
+ * @returns {Object} Raw schema (may be a $ref)
+ */
+function operationSchema(document, selector) {
+  const { operation, pathItem, label } = findOperation(document, selector.operation);
+  const direction = selector.direction || 'response';
+
+  if (direction === 'request') {
+    let schema;
+    if (document.swagger) {
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map(parameter => deref(document, parameter));
+      schema = parameters.find(parameter => parameter?.in === 'body')?.schema;
+    } else {
+      schema = pickMediaType(deref(document, operation.requestBody)?.content, selector.mediaType)?.schema;
+    }
+    if (!schema) {
+      throw new ValidationError(`${label} has no request body schema`);
+    }
+    return schema;
+  }
+
+  const responses = operation.responses || {};
+  let status = selector.status !== undefined ? String(selector.status) : null;
+  if (status === null) {
+    status = Object.keys(responses).filter(code => /^2/.test(code)).sort()[0] || 'default';
+  } else if (!responses[status]) {
+    status = responses[`${status[0]}XX`] ? `${status[0]}XX` : 'default';
+  }
+
+  const response = deref(document, responses[status]);
+  const schema = document.swagger
+    ? response?.schema
+    : pickMediaType(response?.content, selector.mediaType)?.schema;
+  if (!schema) {
+    throw new ValidationError(`${label} has no ${selector.status ?? '2xx'} response body schema`);
+  }
+  return schema;
+}
+
+/**
+ * Components that extend a schema through allOf (polymorphism without oneOf)
+ * @param {Object} document - API document
+ * @param {string} ref - $ref of the base schema
+ * @returns {Array<string>} $refs of the subtypes
+ */
+function findSubtypes(document, ref) {
+  const schemas = document.swagger ? document.definitions : document.components?.schemas;
+  return Object.keys(schemas || {})
+    .filter(name => (schemas[name]?.allOf || []).some(part => part?.$ref === ref))
+    .map(name => componentRef(document, name));
+}
+
+/**
+ * Subtypes of a schema with a discriminator: its oneOf / anyOf variants,
+ * else the discriminator mapping, else the components extending it
+ * @param {Object} document - API document
+ * @param {Object} source - Schema with the discriminator
+ * @param {string} ref - $ref of that schema
+ * @returns {Array<string>} $refs of the subtypes
+ */
+function discriminatorSubtypes(document, source, ref) {
+  const variants = source.oneOf || source.anyOf;
+  if (variants) {
+    return variants.filter(variant => variant?.$ref).map(variant => variant.$ref);
+  }
+  const mapped = Object.values(source.discriminator.mapping || {}).map(target =>
+    target.startsWith('#') ? target : componentRef(document, target)
+  );
+  return mapped.length > 0 ? mapped : findSubtypes(document, ref);
+}
+
+/**
+ * Discriminator value of a variant
+ * @param {Object} discriminator - { propertyName, mapping }
+ * @param {string} ref - $ref of the variant
+ * @returns {string}
+ */
+function discriminatorValue(discriminator, ref) {
+  const mapped = Object.entries(discriminator.mapping || {}).find(([, target]) =>
+    target === ref || target === ref.split('/').pop()
+  );
+  return mapped ? mapped[0] : ref.split('/').pop();
+}
+
+/**
+ * Force the discriminator property of a variant to its value
+ * @param {Object} schema - Converted variant
+ * @param {string} propertyName - Discriminator property
+ * @param {string} value - Discriminator value
+ * @returns {Object}
+ */
+function pinDiscriminator(schema, propertyName, value) {
+  const pin = { type: 'string', enum: [value] };
+  if (schema.properties) {
+    return {
+      ...schema,
+      properties: { ...schema.properties, [propertyName]: pin },
+      required: [...new Set([...(schema.required || []), propertyName])],
+    };
+  }
+  return {
+    allOf: [schema, { type: 'object', properties: { [propertyName]: pin }, required: [propertyName] }],
+  };
+}
+
+/**
+ * Convert one schema node (recursively)
+ * @param {Object} node - OpenAPI schema node
+ * @param {Object} context - { document, direction }
+ * @param {Array<string>} stack - $refs being inlined (cycle detection)
+ * @param {string} path - JSON pointer (errors)
+ * @param {string} [keyword] - Keyword holding the node
+ * @returns {Object|undefined} JSON Schema, undefined to drop the node
+ */
+function convertNode(node, context, stack, path, keyword) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return node;
+  }
+
+  let ref = null;
+  let source = node;
+  if (node.$ref) {
+    ref = node.$ref;
+    // Recursive schemas: cut after maxRefDepth levels
+    if (stack.filter(entry => entry === ref).length >= config.generation.maxRefDepth) {
+      return undefined;
+    }
+    const { $ref, ...siblings } = node;
+    source = { ...resolvePointer(context.document, $ref), ...siblings };
+    stack = [...stack, ref];
+    if (source.$ref) {
+      return convertNode(source, context, stack, path, keyword);
+    }
+  }
+
+  // Properties that do not exist in this direction
+  if (keyword === 'properties') {
+    if (context.direction === 'request' && source.readOnly) return undefined;
+    if (context.direction === 'response' && source.writeOnly) return undefined;
+  }
+
+  const { discriminator } = source;
+  let variants = source.oneOf || source.anyOf;
+  let subtypeValue = null;
+
+  if (discriminator && ref) {
+    const subtypes = discriminatorSubtypes(context.document, source, ref);
+    // Inlined as part of one of its subtypes (allOf): records are of that subtype
+    const subtype = stack.findLast(entry => subtypes.includes(entry));
+    if (subtype) {
+      if (discriminator.propertyName) {
+        subtypeValue = discriminatorValue(discriminator, subtype);
+      }
+      variants = null;
+      source = { ...source };
+      delete source.oneOf;
+      delete source.anyOf;
+    } else if (!variants && subtypes.length > 0) {
+      // Base schema with subtypes but no oneOf: generate one of the subtypes
+      variants = subtypes.map(entry => ({ $ref: entry }));
+      source = { oneOf: variants, discriminator };
+    }
+  }
+
+  const pinned = Boolean(discriminator?.propertyName && variants);
+  const list = source.oneOf ? 'oneOf' : 'anyOf';
+
+  const rest = { ...source };
+  for (const name of OPENAPI_KEYWORDS) delete rest[name];
+  if (pinned) delete rest[list];
+
+  // OpenAPI 3.0 boolean exclusive bounds → JSON Schema numbers. minimum /
+  // maximum stay: json-schema-faker reads the bound from them
+  for (const [exclusive, bound] of [['exclusiveMinimum', 'minimum'], ['exclusiveMaximum', 'maximum']]) {
+    if (rest[exclusive] === true && rest[bound] !== undefined) {
+      rest[exclusive] = rest[bound];
+    } else if (typeof rest[exclusive] === 'boolean') {
+      delete rest[exclusive];
+    }
+  }
+
+  let schema = mapSubschemas(rest, (child, childPath, childKeyword) =>
+    convertNode(child, context, stack, childPath, childKeyword), path);
+
+  // Each variant carries its own discriminator value
+  if (pinned) {
+    const converted = [];
+    for (const variant of variants) {
+      const branch = convertNode(variant, context, stack, `${path}/${list}`, list);
+      if (branch === undefined) continue;
+      converted.push(variant.$ref
+        ? pinDiscriminator(branch, discriminator.propertyName, discriminatorValue(discriminator, variant.$ref))
+        : branch);
+    }
+    schema[list] = converted;
+  }
+  if (subtypeValue !== null) {
+    schema = pinDiscriminator(schema, discriminator.propertyName, subtypeValue);
+  }
+
+  if (source.nullable === true) {
+    schema = { anyOf: [schema, { type: 'null' }] };
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a schema of an OpenAPI 3 / Swagger 2 document
+ * @param {Object} document - API document
+ * @param {Object} selector - { component } or { operation, status, direction, mediaType }
+ * @returns {Object} JSON Schema
+ */
+function fromOpenApi(document, selector = {}) {
+  if (!document || typeof document !== 'object' || !(document.openapi || document.swagger)) {
+    throw new ValidationError('schema must be an OpenAPI 3 or Swagger 2 document');
+  }
+
+  const { component, operation, direction } = selector;
+  if (direction !== undefined && !['request', 'response'].includes(direction)) {
+    throw new ValidationError('openapi.direction must be one of: request, response');
+  }
+
+  let root;
+  if (component) {
+    root = { $ref: componentRef(document, component) };
+  } else if (operation) {
+    root = operationSchema(document, selector);
+  } else {
+    throw new ValidationError('openapi.component or openapi.operation is required');
+  }
+
+  const schema = convertNode(root, { document, direction: direction || 'response' }, [], '');
+  if (schema === undefined) {
+    throw new ValidationError('Selected schema is empty after resolving $refs');
+  }
+  return schema;
+}
+
+module.exports = {
+  fromOpenApi,
+};
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview $ref resolution
+ * Inlines internal refs ($defs / definitions pointers, $anchor, $id) and
+ * cross-document refs into a schemaBundle so generators, strict mode and
+ * output formatters all see one self-contained schema
+ */
+
+const config = require('../config');
+const { ValidationError } = require('../errors');
+const { mapSubschemas } = require('../utils');
+
+// Base URI of bundle keys and of schemas without an absolute $id
+const BUNDLE_BASE = 'https://bundle.local/';
+const ROOT_URI = `${BUNDLE_BASE}__root__`;
+
+// Dynamic refs are resolved like plain refs (no dynamic scope)
+const REF_KEYWORDS = ['$ref', '$dynamicRef', '$recursiveRef'];
+
+// Only needed for resolution, removed from the output
+const RESOLUTION_KEYWORDS = ['$id', '$anchor', '$dynamicAnchor', '$recursiveAnchor', '$defs', 'definitions', '$schema'];
+
+// Values that may look like schemas but are data
+const DATA_KEYWORDS = ['enum', 'const', 'default', 'examples', 'example'];
+
+/**
+ * @param {string} ref - Reference (relative or absolute)
+ * @param {string} base - Base URI
+ * @returns {string|null} Absolute URI
+ */
+function resolveUri(ref, base) {
+  try {
+    return new URL(ref, base).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} uri - Absolute URI
+ * @returns {[string, string]} Resource URI and decoded fragment
+ */
+function splitUri(uri) {
+  const hash = uri.indexOf('#');
+  if (hash === -1) return [uri, ''];
+  return [uri.slice(0, hash), decodeURIComponent(uri.slice(hash + 1))];
+}
+
+/**
+ * Register every $id and $anchor of a document
+ * @param {*} node - Schema (or part of it)
+ * @param {string} base - Base URI in scope
+ * @param {Map} resources - URI → { node, base }
+ */
+function indexResources(node, base, resources) {
+  if (Array.isArray(node)) {
+    node.forEach(item => indexResources(item, base, resources));
+    return;
+  }
+  if (!node || typeof node !== 'object') return;
+
+  let current = base;
+  if (typeof node.$id === 'string') {
+    const uri = resolveUri(node.$id, base);
+    if (uri) {
+      const [id, fragment] = splitUri(uri);
+      if (fragment) {
+        resources.set(`${id}#${fragment}`, { node, base }); // draft-06 "#name" ids
+      } else {
+        resources.set(id, { node, base: id });
+        current = id;
+      }
+    }
+  }
+  for (const anchor of [node.$anchor, node.$dynamicAnchor]) {
+    if (typeof anchor === 'string') {
+      resources.set(`${current}#${anchor}`, { node, base: current });
+    }
+  }
+
+  for (const [key, value] of Object.entries(node)) {
+    if (!DATA_KEYWORDS.includes(key)) {
+      indexResources(value, current, resources);
+    }
+  }
+}
+
+/**
+ * Find the schema an absolute URI points to
+ * @param {Map} resources - Indexed resources
+ * @param {string} uri - Absolute URI
+ * @returns {{node: *, base: string}|null}
+ */
+function lookup(resources, uri) {
+  const [id, fragment] = splitUri(uri);
+  const resource = resources.get(id);
+
+  if (!fragment.startsWith('/')) {
+    return fragment ? resources.get(`${id}#${fragment}`) || null : resource || null;
+  }
+  if (!resource) return null;
+
+  // JSON pointer, rebasing on nested $id along the way
+  let { node, base } = resource;
+  for (const token of fragment.slice(1).split('/')) {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (node === null || typeof node !== 'object' || !(key in node)) return null;
+    node = node[key];
+    if (typeof node?.$id === 'string') {
+      const rebased = resolveUri(node.$id, base);
+      if (rebased && !splitUri(rebased)[1]) base = rebased;
+    }
+  }
+  return { node, base };
+}
+
+/**
+ * Merge keywords written next to a $ref into its target
+ * @param {Object} target - Inlined target
+ * @param {Object} siblings - Inlined sibling keywords
+ * @returns {Object}
+ */
+function mergeSiblings(target, siblings) {
+  const merged = { ...target, ...siblings };
+  if (target.properties && siblings.properties) {
+    merged.properties = { ...target.properties, ...siblings.properties };
+  }
+  if (Array.isArray(target.required) && Array.isArray(siblings.required)) {
+    merged.required = [...new Set([...target.required, ...siblings.required])];
+  }
+  return merged;
+}
+
+/**
+ * Inline refs of a node (recursively)
+ * @param {*} node - Schema node
+ * @param {Object} context - { resources, unresolved }
+ * @param {string} base - Base URI in scope
+ * @param {Array<string>} stack - URIs being inlined (cycle detection)
+ * @param {string} path - JSON pointer in the output (errors)
+ * @returns {*} Inlined node, undefined when cut by the depth cap
+ */
+function inline(node, context, base, stack, path) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return node;
+  }
+
+  if (typeof node.$id === 'string') {
+    const uri = resolveUri(node.$id, base);
+    if (uri && !splitUri(uri)[1]) base = uri;
+  }
+
+  const keyword = REF_KEYWORDS.find(name => typeof node[name] === 'string');
+  if (keyword) {
+    const uri = resolveUri(node[keyword], base);
+    const target = uri && lookup(context.resources, uri);
+    if (!target) {
+      context.unresolved.push({ ref: node[keyword], path: path || '/' });
+      return {};
+    }
+
+    // Recursive schemas: cut after maxRefDepth levels
+    if (stack.filter(entry => entry === uri).length >= config.generation.maxRefDepth) {
+      return undefined;
+    }
+
+    const resolved = inline(target.node, context, target.base, [...stack, uri], path);
+    const siblings = { ...node };
+    delete siblings[keyword];
+    if (resolved === undefined || Object.keys(siblings).length === 0) {
+      return resolved;
+    }
+    // Keywords next to $ref (allowed since 2019-09) refine the target
+    return mergeSiblings(resolved, inline(siblings, context, base, stack, path));
+  }
+
+  const schema = mapSubschemas(node, (child, childPath) => inline(child, context, base, stack, childPath), path);
+  for (const name of RESOLUTION_KEYWORDS) {
+    delete schema[name];
+  }
+  return schema;
+}
+
+/**
+ * Inline every $ref of a schema
+ * @param {Object} schema - JSON Schema
+ * @param {Object} [schemaBundle] - Other schemas by id ("user.json", "https://example.com/address")
+ * @returns {Object} Schema without refs (the input itself when it has none)
+ * @throws {ValidationError} Listing unresolved refs
+ */
+function resolveRefs(schema, schemaBundle) {
+  if (!schema || typeof schema !== 'object' || !/"\$(ref|dynamicRef|recursiveRef)":/.test(JSON.stringify(schema))) {
+    return schema;
+  }
+
+  const resources = new Map();
+
+  for (const [key, entry] of Object.entries(schemaBundle || {})) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new ValidationError(`schemaBundle["${key}"] must be a schema object`);
+    }
+    const [uri] = splitUri(resolveUri(key, BUNDLE_BASE) || `${BUNDLE_BASE}${encodeURIComponent(key)}`);
+    resources.set(uri, { node: entry, base: uri });
+    indexResources(entry, uri, resources);
+  }
+
+  resources.set(ROOT_URI, { node: schema, base: ROOT_URI });
+  indexResources(schema, ROOT_URI, resources);
+
+  const context = { resources, unresolved: [] };
+  const resolved = inline(schema, context, ROOT_URI, [], '');
+
+  if (context.unresolved.length > 0) {
+    const unique = [...new Map(context.unresolved.map(entry => [`${entry.ref} ${entry.path}`, entry])).values()];
+    throw new ValidationError(
+      `Unresolved $ref: ${[...new Set(unique.map(entry => entry.ref))].join(', ')}`,
+      unique.map(entry => ({ message: `Cannot resolve "${entry.ref}"`, path: entry.path }))
+    );
+  }
+  if (resolved === undefined) {
+    throw new ValidationError('Schema only references itself');
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  resolveRefs,
+};
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Cross-collection reference planning
+ * Orders multi-schema requests so that every x-ref target is generated first
+ * and keeps the referenced values for the collections that need them
+ */
+
+const { ValidationError, GenerationError } = require('../errors');
+const { collectReferences, referenceKey, getFieldValue } = require('../generation');
+
+/**
+ * Get the collections a schema depends on through x-ref
+ * @param {Object} schema - JSON Schema
+ * @returns {Array<string>} Unique collection names
+ */
+function getDependencies(schema) {
+  return [...new Set(collectReferences(schema).map(ref => ref.collection))];
+}
+
+/**
+ * Find all dependency cycles among collections
+ * @param {Map<string, Array<string>>} graph - collection → collections it references
+ * @returns {Array<Array<string>>} Cycles, e.g. [['orders', 'customers', 'orders']]
+ */
+function findCycles(graph) {
+  const cycles = [];
+  const seen = new Set();
+  const done = new Set();
+
+  const visit = (node, path) => {
+    const start = path.indexOf(node);
+    if (start !== -1) {
+      const cycle = path.slice(start);
+      const key = [...cycle].sort().join('|');
+      if (!seen.has(key)) {
+        seen.add(key);
+        cycles.push([...cycle, node]);
+      }
+      return;
+    }
+    if (done.has(node)) return;
+
+    path.push(node);
+    for (const next of graph.get(node) || []) {
+      visit(next, path);
+    }
+    path.pop();
+    done.add(node);
+  };
+
+  for (const node of graph.keys()) {
+    visit(node, []);
+  }
+  return cycles;
+}
+
+/**
+ * Order schemas so referenced collections are generated before their referrers
+ * Keeps the request order wherever references allow it (stable topological sort)
+ * @param {Array<{schema: Object, collection: string, count: number}>} schemas
+ * @returns {Array} Ordered schemas
+ * @throws {ValidationError} On invalid, unknown or circular references
+ */
+function orderByReferences(schemas) {
+  const names = new Set(schemas.map(s => s.collection).filter(Boolean));
+  const dependencies = schemas.map(({ schema, collection }) => {
+    for (const ref of collectReferences(schema)) {
+      if (typeof ref.collection !== 'string' || typeof ref.field !== 'string') {
+        throw new ValidationError(
+          `Invalid x-ref in ${collection || 'schema'}: collection and field must be strings`
+        );
+      }
+      if (!names.has(ref.collection)) {
+        throw new ValidationError(
+          `x-ref in ${collection || 'schema'} targets unknown collection "${ref.collection}"`
+        );
+      }
+    }
+    return getDependencies(schema);
+  });
+
+  const ordered = [];
+  const pending = schemas.map((entry, index) => index);
+  const remaining = new Map();
+  for (const { collection } of schemas) {
+    remaining.set(collection, (remaining.get(collection) || 0) + 1);
+  }
+
+  while (pending.length > 0) {
+    const readyAt = pending.findIndex(index =>
+      dependencies[index].every(dep => !remaining.get(dep))
+    );
+
+    if (readyAt === -1) {
+      const graph = new Map();
+      for (const index of pending) {
+        const { collection } = schemas[index];
+        graph.set(collection, [...(graph.get(collection) || []), ...dependencies[index]]);
+      }
+      const cycles = findCycles(graph);
+      throw new ValidationError(
+        'Circular x-ref dependencies between collections',
+        cycles.map(cycle => ({ cycle: cycle.join(' -> ') }))
+      );
+    }
+
+    const [index] = pending.splice(readyAt, 1);
+    const { collection } = schemas[index];
+    remaining.set(collection, remaining.get(collection) - 1);
+    ordered.push(schemas[index]);
+  }
+
+  return ordered;
+}
+
+/**
+ * Holds values generated for referenced fields during one request
+ */
+class ReferenceStore {
+  /**
+   * @param {Array<{schema: Object}>} schemas - Schemas of the request
+   */
+  constructor(schemas) {
+    // collection → Set of referenced fields
+    this.fields = new Map();
+    // "<collection>.<field>" → generated values
+    this.values = new Map();
+
+    for (const { schema } of schemas) {
+      for (const ref of collectReferences(schema)) {
+        if (!this.fields.has(ref.collection)) {
+          this.fields.set(ref.collection, new Set());
+        }
+        this.fields.get(ref.collection).add(ref.field);
+      }
+    }
+  }
+
+  /**
+   * Keep referenced field values of freshly generated records
+   * @param {string} collection - Collection the records belong to
+   * @param {Array} records - Generated records (any output format)
+   */
+  collect(collection, records) {
+    const fields = this.fields.get(collection);
+    if (!fields || !records) return;
+
+    for (const field of fields) {
+      const key = referenceKey({ collection, field });
+      const values = this.values.get(key) || [];
+      for (const record of records) {
+        const value = getFieldValue(record, field);
+        if (value !== undefined) values.push(value);
+      }
+      this.values.set(key, values);
+    }
+  }
+
+  /**
+   * Build the refs option for a schema
+   * @param {Object} schema - Schema about to be generated
+   * @returns {Object|null} refs map or null when the schema has no x-ref
+   * @throws {GenerationError} When a referenced field produced no values
+   */
+  refsFor(schema) {
+    const references = collectReferences(schema);
+    if (references.length === 0) return null;
+
+    const refs = {};
+    for (const ref of references) {
+      const key = referenceKey(ref);
+      const values = this.values.get(key);
+      if (!values || values.length === 0) {
+        throw new GenerationError(`No values were generated for x-ref ${key}`, 'references');
+      }
+      refs[key] = values;
+    }
+    return refs;
+  }
+}
+
+module.exports = {
+  orderByReferences,
+  findCycles,
+  ReferenceStore,
+};
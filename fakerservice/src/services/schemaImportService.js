@@ -0,0 +1,304 @@
+/**
+ * @fileoverview Schema import - Mongoose descriptors, MongoDB $jsonSchema
+ * validators and OpenAPI components converted to generation-ready JSON Schema
+ * (BSON fields become `x-bson-type`, see generation/bson.js)
+ */
+
+const { ValidationError } = require('../errors');
+const { mapSubschemas } = require('../utils');
+const openApiImport = require('./openApiImport');
+const { resolveRefs } = require('./refResolver');
+
+const SCHEMA_FORMATS = ['json-schema', 'mongoose', 'mongo-jsonschema', 'openapi'];
+
+// Mongoose SchemaType name (lowercased) → JSON Schema node
+const MONGOOSE_TYPES = {
+  string: { type: 'string' },
+  number: { type: 'number' },
+  double: { type: 'number' },
+  int32: { type: 'integer' },
+  bigint: { 'x-bson-type': 'long' },
+  long: { 'x-bson-type': 'long' },
+  boolean: { type: 'boolean' },
+  date: { 'x-bson-type': 'date' },
+  objectid: { 'x-bson-type': 'objectId' },
+  decimal128: { 'x-bson-type': 'decimal' },
+  buffer: { 'x-bson-type': 'binData' },
+  uuid: { type: 'string', format: 'uuid' },
+  mixed: { type: 'object' },
+  array: { type: 'array' },
+  object: { type: 'object' },
+};
+
+// MongoDB bsonType alias → JSON Schema node
+const BSON_TYPES = {
+  object: { type: 'object' },
+  array: { type: 'array' },
+  string: { type: 'string' },
+  bool: { type: 'boolean' },
+  int: { type: 'integer' },
+  long: { 'x-bson-type': 'long' },
+  double: { type: 'number' },
+  decimal: { 'x-bson-type': 'decimal' },
+  number: { type: 'number' },
+  date: { 'x-bson-type': 'date' },
+  timestamp: { 'x-bson-type': 'timestamp' },
+  objectId: { 'x-bson-type': 'objectId' },
+  binData: { 'x-bson-type': 'binData' },
+  null: { type: 'null' },
+};
+
+/**
+ * Read the value of a Mongoose validator option ([value, message] shorthand)
+ * @param {*} option - Option value
+ * @returns {*}
+ */
+function optionValue(option) {
+  return Array.isArray(option) ? option[0] : option;
+}
+
+/**
+ * Turn a Mongoose `match` option ("^a", "/^a/i") into a JSON Schema pattern
+ * @param {*} match - Option value
+ * @returns {string}
+ */
+function toPattern(match) {
+  const source = String(optionValue(match));
+  const literal = source.match(/^\/(.*)\/[a-z]*$/s);
+  return literal ? literal[1] : source;
+}
+
+/**
+ * Resolve a Mongoose type name ("String", "Schema.Types.ObjectId"...)
+ * @param {string} name - Type name
+ * @param {string} path - Field path (errors)
+ * @returns {Object} JSON Schema node
+ */
+function mongooseType(name, path) {
+  const key = name.split('.').pop().toLowerCase();
+  const schema = MONGOOSE_TYPES[key];
+  if (!schema) {
+    throw new ValidationError(`Unsupported Mongoose type "${name}" at ${path || '(root)'}`);
+  }
+  return { ...schema };
+}
+
+/**
+ * Whether a descriptor object is SchemaType options ({ type, required... })
+ * rather than a nested path - a nested path may itself have a field named "type"
+ * @param {Object} descriptor - Descriptor object
+ * @returns {boolean}
+ */
+function isTypeDeclaration(descriptor) {
+  const { type } = descriptor;
+  if (type === undefined) return false;
+  if (typeof type === 'string' || Array.isArray(type)) return true;
+  return typeof type === 'object' && type !== null && type.type === undefined;
+}
+
+/**
+ * Convert one Mongoose field descriptor
+ * @param {*} descriptor - "String", ["String"], { type, ... } or a nested path
+ * @param {string} path - Field path (errors)
+ * @returns {{schema: Object, required: boolean}}
+ */
+function convertMongooseField(descriptor, path) {
+  if (typeof descriptor === 'string') {
+    return { schema: mongooseType(descriptor, path), required: false };
+  }
+
+  if (Array.isArray(descriptor)) {
+    if (descriptor.length === 0) {
+      return { schema: { type: 'array' }, required: false };
+    }
+    return {
+      schema: { type: 'array', items: convertMongooseField(descriptor[0], `${path}[]`).schema },
+      required: false,
+    };
+  }
+
+  if (!descriptor || typeof descriptor !== 'object') {
+    throw new ValidationError(`Invalid Mongoose field definition at ${path || '(root)'}`);
+  }
+
+  // Nested path or subdocument
+  if (!isTypeDeclaration(descriptor)) {
+    const schema = convertMongooseObject(descriptor, path);
+    return { schema, required: (schema.required || []).length > 0 };
+  }
+
+  const { type } = descriptor;
+  let schema;
+  if (typeof type === 'string' && type.toLowerCase() === 'map') {
+    schema = {
+      type: 'object',
+      additionalProperties: descriptor.of ? convertMongooseField(descriptor.of, `${path}.*`).schema : {},
+    };
+  } else {
+    schema = convertMongooseField(type, path).schema;
+  }
+
+  const enumValues = descriptor.enum && !Array.isArray(descriptor.enum) ? descriptor.enum.values : descriptor.enum;
+  if (Array.isArray(enumValues)) {
+    if (schema.type === 'array') {
+      schema.items = { ...schema.items, enum: enumValues };
+    } else {
+      schema.enum = enumValues;
+    }
+  }
+
+  if (schema.type === 'string') {
+    const minLength = descriptor.minLength ?? descriptor.minlength;
+    const maxLength = descriptor.maxLength ?? descriptor.maxlength;
+    if (minLength !== undefined) schema.minLength = optionValue(minLength);
+    if (maxLength !== undefined) schema.maxLength = optionValue(maxLength);
+    if (descriptor.match !== undefined) schema.pattern = toPattern(descriptor.match);
+  }
+  if (['number', 'integer'].includes(schema.type)) {
+    if (descriptor.min !== undefined) schema.minimum = optionValue(descriptor.min);
+    if (descriptor.max !== undefined) schema.maximum = optionValue(descriptor.max);
+  }
+  if (descriptor.description) schema.description = descriptor.description;
+
+  // required: true | [true, message] | "function" (conditional - kept optional)
+  return { schema, required: optionValue(descriptor.required) === true };
+}
+
+/**
+ * Convert a Mongoose schema definition object
+ * @param {Object} definition - Paths → descriptors
+ * @param {string} path - Path of the object (errors)
+ * @returns {Object} JSON Schema of type object
+ */
+function convertMongooseObject(definition, path) {
+  const properties = {};
+  const required = [];
+
+  for (const [key, descriptor] of Object.entries(definition)) {
+    // _id: false disables the automatic _id
+    if (descriptor === false) continue;
+
+    const field = convertMongooseField(descriptor, path ? `${path}.${key}` : key);
+    properties[key] = field.schema;
+    if (field.required) required.push(key);
+  }
+
+  return {
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+  };
+}
+
+/**
+ * Convert a Mongoose schema descriptor (the object passed to new Schema(),
+ * type names as strings)
+ * @param {Object} definition - Mongoose schema definition
+ * @returns {Object} JSON Schema
+ */
+function fromMongoose(definition) {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new ValidationError('Mongoose schema must be an object of field definitions');
+  }
+
+  const schema = convertMongooseObject(definition, '');
+
+  // Mongoose adds an ObjectId _id to every document unless told otherwise
+  if (!('_id' in definition)) {
+    schema.properties = { _id: { 'x-bson-type': 'objectId' }, ...schema.properties };
+    schema.required = ['_id', ...(schema.required || [])];
+  }
+
+  return schema;
+}
+
+/**
+ * Convert a $jsonSchema node (recursively)
+ * @param {Object} node - $jsonSchema node
+ * @param {string} path - Keyword path (errors)
+ * @returns {Object} JSON Schema node
+ */
+function convertBsonNode(node, path) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return node;
+  }
+
+  const { bsonType, ...rest } = node;
+  const schema = mapSubschemas(rest, convertBsonNode, path);
+
+  if (bsonType === undefined) {
+    return schema;
+  }
+
+  const types = (Array.isArray(bsonType) ? bsonType : [bsonType]).map(name => {
+    const type = BSON_TYPES[name];
+    if (!type) {
+      throw new ValidationError(`Unsupported bsonType "${name}" at ${path || '/'}`);
+    }
+    return { ...type };
+  });
+
+  if (types.length === 1) {
+    return { ...schema, ...types[0] };
+  }
+
+  // Several types: the other keywords stay on the node and apply to the
+  // branch they are relevant to (minimum to numbers, properties to objects...)
+  if (schema.anyOf) {
+    return { ...schema, allOf: [...(schema.allOf || []), { anyOf: types }] };
+  }
+  return { ...schema, anyOf: types };
+}
+
+/**
+ * Convert a MongoDB $jsonSchema validator
+ * Accepts the $jsonSchema body, { $jsonSchema } or { validator: { $jsonSchema } }
+ * @param {Object} validator - Validator document
+ * @returns {Object} JSON Schema
+ */
+function fromMongoJsonSchema(validator) {
+  const schema = validator?.validator?.$jsonSchema || validator?.$jsonSchema || validator;
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new ValidationError('$jsonSchema must be an object');
+  }
+  return convertBsonNode(schema, '');
+}
+
+/**
+ * Convert a schema in any supported format into generation-ready JSON Schema
+ * with every $ref inlined
+ * @param {Object} schema - Input schema (an OpenAPI / Swagger document for openapi)
+ * @param {string} [schemaFormat] - json-schema | mongoose | mongo-jsonschema | openapi
+ * @param {Object} [options]
+ * @param {Object} [options.openapi] - { component } or { operation, status, direction, mediaType }
+ * @param {Object} [options.schemaBundle] - Schemas referenced by $ref, by id
+ * @returns {Object} JSON Schema
+ * @throws {ValidationError} On unknown formats, unsupported types or unresolved refs
+ */
+function convertSchema(schema, schemaFormat = 'json-schema', options = {}) {
+  let converted;
+  switch (schemaFormat) {
+    case 'json-schema':
+      converted = schema;
+      break;
+    case 'mongoose':
+      converted = fromMongoose(schema);
+      break;
+    case 'mongo-jsonschema':
+      converted = fromMongoJsonSchema(schema);
+      break;
+    case 'openapi':
+      converted = openApiImport.fromOpenApi(schema, options.openapi);
+      break;
+    default:
+      throw new ValidationError(`schemaFormat must be one of: ${SCHEMA_FORMATS.join(', ')}`);
+  }
+  return resolveRefs(converted, options.schemaBundle);
+}
+
+module.exports = {
+  SCHEMA_FORMATS,
+  convertSchema,
+  fromMongoose,
+  fromMongoJsonSchema,
+};
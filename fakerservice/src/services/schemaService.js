@@ -3,10 +3,28 @@
  */
 
 const { LRUCache } = require('lru-cache');
-const Ajv = require('ajv');
-const addFormats = require('ajv-formats');
 const cacheConfig = require('../config/cache');
 const { ValidationError } = require('../errors');
+const {
+  applyBsonTypes,
+  createAjv,
+  allowNullRates,
+  checkDistribution,
+  checkDerivations,
+  WEIGHTS_KEYWORD,
+  DISTRIBUTION_KEYWORD,
+  DISTRIBUTION_META_SCHEMA,
+  NULL_RATE_KEYWORD,
+  DERIVE_KEYWORD,
+  LOCALE_KEYWORD,
+  resolveLocale,
+  TREE_KEYWORD,
+  TREE_META_SCHEMA,
+  checkTree,
+  TIMESTAMP_KEYWORD,
+  TIMESTAMP_META_SCHEMA,
+  checkTimeline,
+} = require('../generation');
 
 // Schema cache
 const schemaCache = new LRUCache(cacheConfig.schema);
@@ -15,14 +33,68 @@ const schemaCache = new LRUCache(cacheConfig.schema);
 const validatorCache = new LRUCache(cacheConfig.validation);
 
 // AJV instance for schema validation
-const ajv = new Ajv({
+const ajv = createAjv({
   allErrors: false, // Performance: stop at first error
   strict: false,
   validateFormats: true,
   useDefaults: true,
   removeAdditional: false,
 });
-addFormats(ajv);
+
+// Branch weights of oneOf / anyOf and value weights of enum (see generation/distributions.js)
+ajv.addKeyword({
+  keyword: WEIGHTS_KEYWORD,
+  metaSchema: { type: 'array', items: { type: 'number', minimum: 0 } },
+});
+
+// Value distributions: checked against the node they are declared on at compile time
+ajv.addKeyword({
+  keyword: DISTRIBUTION_KEYWORD,
+  metaSchema: DISTRIBUTION_META_SCHEMA,
+  compile(distribution, parentSchema) {
+    const error = checkDistribution(distribution, parentSchema);
+    if (error) {
+      throw new Error(error);
+    }
+    return () => true;
+  },
+});
+
+// Null rate of a field (validators accept null on these, see allowNullRates)
+ajv.addKeyword({
+  keyword: NULL_RATE_KEYWORD,
+  metaSchema: { type: 'number', minimum: 0, maximum: 1 },
+});
+
+// Derived field expression (parsed and ordered by checkDerivations)
+ajv.addKeyword({
+  keyword: DERIVE_KEYWORD,
+  metaSchema: { type: 'string' },
+});
+
+// Faker locale of a field (and everything under it)
+ajv.addKeyword({
+  keyword: LOCALE_KEYWORD,
+  metaSchema: { type: 'string' },
+  compile(locale) {
+    if (!resolveLocale(locale)) {
+      throw new Error(`Unsupported ${LOCALE_KEYWORD} "${locale}"`);
+    }
+    return () => true;
+  },
+});
+
+// Hierarchical collection layout (checked against the schema by checkTree)
+ajv.addKeyword({
+  keyword: TREE_KEYWORD,
+  metaSchema: TREE_META_SCHEMA,
+});
+
+// Time-series field (applied with mode "timeseries", checked by checkTimeline)
+ajv.addKeyword({
+  keyword: TIMESTAMP_KEYWORD,
+  metaSchema: TIMESTAMP_META_SCHEMA,
+});
 
 /**
  * Remove $id recursively from schema (in-place)
@@ -46,7 +118,7 @@ function removeIdRecursive(obj) {
 }
 
 /**
- * Prepare schema for generation (removes $id, caches result)
+ * Prepare schema for generation (removes $id, maps BSON types, caches result)
  * @param {Object} schema - JSON Schema
  * @returns {Object} Prepared schema
  */
@@ -61,9 +133,10 @@ function prepareSchema(schema) {
     return cached;
   }
 
-  // Deep clone and remove $id
+  // Deep clone, remove $id and map x-bson-type to generatable formats
   const prepared = JSON.parse(JSON.stringify(schema));
   removeIdRecursive(prepared);
+  applyBsonTypes(prepared);
 
   schemaCache.set(cacheKey, prepared);
   return prepared;
@@ -98,13 +171,31 @@ function validateSchema(schema) {
     };
   }
 
+  // x-derive expressions: syntax, functions and dependency cycles
+  const derivationError = checkDerivations(schema);
+  if (derivationError) {
+    return {
+      valid: false,
+      errors: [{ message: derivationError }],
+    };
+  }
+
+  // x-tree / x-timestamp: generated fields must fit the schema
+  const treeError = checkTree(schema) || checkTimeline(schema);
+  if (treeError) {
+    return {
+      valid: false,
+      errors: [{ message: treeError }],
+    };
+  }
+
   // Try to compile schema
   try {
     const cacheKey = JSON.stringify(schema);
     let validate = validatorCache.get(cacheKey);
 
     if (!validate) {
-      validate = ajv.compile(schema);
+      validate = ajv.compile(allowNullRates(schema));
       validatorCache.set(cacheKey, validate);
     }
 
@@ -129,7 +220,7 @@ function validateData(data, schema) {
     let validate = validatorCache.get(cacheKey);
 
     if (!validate) {
-      validate = ajv.compile(schema);
+      validate = ajv.compile(allowNullRates(schema));
       validatorCache.set(cacheKey, validate);
     }
 
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Chunked generation for NDJSON producers
+ * Shared by /generate-stream and background jobs so both emit the same lines
+ */
+
+const schemaService = require('./schemaService');
+const uniqueService = require('./uniqueService');
+const { ValidationError } = require('../errors');
+const { hashString, DEFAULT_LOCALE, treeFields, timelineFields } = require('../generation');
+
+const RESUME_TOKEN_VERSION = 1;
+
+/**
+ * Generate a single-schema job chunk by chunk through the worker pool
+ * Keeps up to `maxInFlightChunks` chunks generating ahead of the consumer and
+ * yields them in order. A chunk is only started when the consumer pulls, so
+ * memory stays bounded by maxInFlightChunks + the chunk being written.
+ * Stops before the next chunk once `signal` is aborted.
+ *
+ * @param {GeneratorPool} generatorPool - Worker pool
+ * @param {Object} params - Generation parameters
+ * @param {Object} params.schema - Raw JSON Schema
+ * @param {number} params.count - Total records
+ * @param {number} params.chunkSize - Records per NDJSON chunk line
+ * @param {number} [params.maxInFlightChunks] - Chunks generated concurrently (1 = sequential)
+ * @param {number} [params.startOffset] - First record to generate (resumed streams)
+ * @param {number} [params.startChunk] - Index of the first chunk line
+ * @param {string} [params.jobId] - Job ID for pool abort tracking
+ * @param {boolean} [params.randomMode] - Apply random mutations
+ * @param {number|null} [params.seed] - Effective seed
+ * @param {string} [params.outputFormat] - json | ejson-canonical | ejson-relaxed
+ * @param {string} [params.locale] - Faker locale
+ * @param {Object} [params.timeline] - Time-series timeline (createTimeline), stamps taken in job order
+ * @param {Object} [params.fuzz] - Fuzz config (generatorService.resolveRequestFuzz), adds `fuzzLog` to chunks
+ * @param {Array<Array<string>>} [params.unique] - Constraints from uniqueService.resolveConstraints
+ *   (resumed streams regenerate the skipped records to know the keys already used)
+ * @param {AbortSignal} [params.signal] - Stops generation between chunks
+ * @yields {Object} Chunk line payload { chunk, data, fuzzLog?, progress, chunkStats }
+ */
+async function* generateChunks(generatorPool, params) {
+  const {
+    schema,
+    count,
+    chunkSize,
+    maxInFlightChunks = 1,
+    startOffset = 0,
+    startChunk = 0,
+    jobId,
+    randomMode = false,
+    seed = null,
+    outputFormat = 'json',
+    locale,
+    timeline = null,
+    fuzz = null,
+    unique = [],
+    signal,
+  } = params;
+
+  const prepared = schemaService.prepareSchema(schema);
+  const inFlight = [];
+  let nextOffset = startOffset;
+  let chunkIndex = startChunk;
+
+  const generate = (offset, size, stamps = null) => generatorPool.generate(
+    prepared,
+    size,
+    { jobId, randomMode, streaming: false, seed, offset, outputFormat, locale, timeline: stamps, fuzz }
+  );
+  const tracker = uniqueService.createTracker(unique, {
+    count,
+    fetch: async (offset, size) => (await generate(offset, size)).data,
+    keep: [...treeFields(prepared), ...timelineFields(prepared)],
+  });
+  timeline?.skip(startOffset);
+
+  // Keys of the records sent before the resume point
+  if (tracker) {
+    for (let offset = 0; offset < startOffset; offset += chunkSize) {
+      if (signal?.aborted) return;
+      const replayed = await generate(offset, Math.min(chunkSize, startOffset - offset));
+      await tracker.enforce(replayed.data);
+    }
+  }
+
+  const launchChunk = () => {
+    const offset = nextOffset;
+    const size = Math.min(chunkSize, count - offset);
+    nextOffset += size;
+
+    const promise = generate(offset, size, timeline && timeline.take(size));
+    // Chunks dropped after an abort must not surface as unhandled rejections
+    promise.catch(() => {});
+    inFlight.push({ offset, size, promise });
+  };
+
+  while (nextOffset < count || inFlight.length > 0) {
+    if (signal?.aborted) return;
+
+    while (inFlight.length < maxInFlightChunks && nextOffset < count) {
+      launchChunk();
+    }
+
+    const { offset, size, promise } = inFlight.shift();
+    const result = await promise;
+    if (signal?.aborted) return;
+
+    const data = tracker ? await tracker.enforce(result.data) : result.data;
+    if (signal?.aborted) return;
+
+    yield {
+      chunk: chunkIndex++,
+      data,
+      ...(result.fuzzLog && { fuzzLog: result.fuzzLog }),
+      progress: {
+        completed: offset + size,
+        total: count,
+        percentage: Math.round(((offset + size) / count) * 100),
+      },
+      chunkStats: {
+        size,
+        duration: result.stats.duration,
+      },
+    };
+  }
+}
+
+/**
+ * NDJSON writer honouring backpressure
+ * Waits for `drain` whenever the destination buffer is full and tracks the
+ * peak number of bytes buffered in it. Tabular streams (CSV/TSV/SQL) write
+ * their text through writeRaw()
+ */
+class NdjsonWriter {
+  /**
+   * @param {stream.Writable} destination - HTTP response or file stream
+   */
+  constructor(destination) {
+    this.destination = destination;
+    this.peakBufferedBytes = 0;
+  }
+
+  /**
+   * Write one NDJSON line
+   * @param {Object} payload - Line payload
+   * @returns {Promise<boolean>} false when the destination is gone
+   */
+  write(payload) {
+    return this.writeRaw(JSON.stringify(payload) + '\n');
+  }
+
+  /**
+   * Write text as is
+   * @param {string} text - Text to write
+   * @returns {Promise<boolean>} false when the destination is gone
+   */
+  async writeRaw(text) {
+    const { destination } = this;
+    if (destination.destroyed) return false;
+    if (!text) return true;
+
+    const flushed = destination.write(text);
+    this.peakBufferedBytes = Math.max(this.peakBufferedBytes, destination.writableLength || 0);
+    if (flushed) return true;
+
+    await new Promise(resolve => {
+      const done = () => {
+        destination.off('drain', done);
+        destination.off('close', done);
+        resolve();
+      };
+      destination.on('drain', done);
+      destination.on('close', done);
+    });
+    return !destination.destroyed;
+  }
+}
+
+/**
+ * Build the final `done` line stats
+ * @param {number} totalSent - Records streamed
+ * @param {number} chunksStreamed - Chunk lines streamed
+ * @param {number} startTime - Stream start timestamp
+ * @param {number|null} seed - Effective seed (echoed when set)
+ * @returns {Object} Stats
+ */
+function buildDoneStats(totalSent, chunksStreamed, startTime, seed = null) {
+  const duration = Date.now() - startTime;
+  return {
+    totalRecords: totalSent,
+    chunksStreamed,
+    duration,
+    recordsPerSecond: duration > 0 ? Math.round((totalSent / duration) * 1000) : 0,
+    avgChunkDuration: chunksStreamed > 0 ? Math.round(duration / chunksStreamed) : 0,
+    ...(seed !== null && { seed }),
+  };
+}
+
+/**
+ * Fingerprint of everything that determines the data of a seeded stream
+ * Chunk size is left out: seeding is per record, so resuming with another
+ * chunk size still continues the same sequence
+ * @param {Object} params - { schema, count, randomMode, outputFormat, unique, locale, mode, fuzz }
+ * @returns {number}
+ */
+function streamFingerprint({
+  schema, count, randomMode = false, outputFormat = 'json', unique = [], locale = DEFAULT_LOCALE, mode, fuzz,
+}) {
+  const inputs = [schema, count, randomMode, outputFormat];
+  // Only when set, so tokens issued before these options existed stay valid
+  if (unique.length > 0) inputs.push(unique);
+  if (locale !== DEFAULT_LOCALE) inputs.push({ locale });
+  if (mode) inputs.push({ mode });
+  if (fuzz) inputs.push({ fuzz });
+  return hashString(JSON.stringify(inputs));
+}
+
+/**
+ * Create the checkpoint token carried by a chunk line
+ * @param {Object} position - { seed, offset, chunk, fingerprint }
+ *   offset / chunk point at the chunk that follows the checkpoint
+ * @returns {string} Opaque base64url token
+ */
+function createResumeToken({ seed, offset, chunk, fingerprint }) {
+  const payload = { v: RESUME_TOKEN_VERSION, s: seed, o: offset, c: chunk, f: fingerprint };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a resume token and check it belongs to the request
+ * @param {string} token - Token from a previous chunk line
+ * @param {number} fingerprint - streamFingerprint() of the current request
+ * @returns {{seed: number, offset: number, chunk: number}}
+ * @throws {ValidationError} On malformed tokens or when the request changed
+ */
+function parseResumeToken(token, fingerprint) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch {
+    throw new ValidationError('Invalid resumeFrom token');
+  }
+
+  const { v, s: seed, o: offset, c: chunk, f } = payload || {};
+  if (v !== RESUME_TOKEN_VERSION || !Number.isInteger(seed) ||
+      !Number.isInteger(offset) || offset < 0 || !Number.isInteger(chunk) || chunk < 0) {
+    throw new ValidationError('Invalid resumeFrom token');
+  }
+  if (f !== fingerprint) {
+    throw new ValidationError('resumeFrom token was issued for a different schema, count, randomMode, outputFormat, uniqueKeys, locale, mode or fuzz');
+  }
+
+  return { seed, offset, chunk };
+}
+
+module.exports = {
+  generateChunks,
+  streamFingerprint,
+  createResumeToken,
+  parseResumeToken,
+  buildDoneStats,
+  NdjsonWriter,
+};
@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Tabular output formats - CSV, TSV and SQL INSERT statements
+ * Columns are derived from the schema (not from the data) so every chunk of a
+ * stream shares the header written before the first row
+ */
+
+const { ValidationError } = require('../errors');
+
+const TABULAR_FORMATS = ['csv', 'tsv', 'sql'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8',
+  sql: 'application/sql; charset=utf-8',
+};
+
+const DEFAULT_OPTIONS = {
+  flatten: 'dot', // dot: one column per nested field | json: nested objects as JSON columns
+  arrays: 'json', // json: JSON column | join: values joined by arraySeparator | expand: one column per item
+  arraySeparator: ';',
+  header: true, // CSV/TSV header row
+  nullValue: '', // CSV/TSV cell for null / missing values
+  table: 'records', // SQL table when the request has no collection name
+  sqlBatchSize: 500, // Rows per INSERT statement
+};
+
+/**
+ * Validate and complete user supplied format options
+ * @param {Object} [options] - formatOptions from the request
+ * @returns {Object} Options with defaults
+ * @throws {ValidationError}
+ */
+function normalizeFormatOptions(options = {}) {
+  const merged = { ...DEFAULT_OPTIONS, ...options };
+
+  if (!['dot', 'json'].includes(merged.flatten)) {
+    throw new ValidationError('formatOptions.flatten must be one of: dot, json');
+  }
+  if (!['json', 'join', 'expand'].includes(merged.arrays)) {
+    throw new ValidationError('formatOptions.arrays must be one of: json, join, expand');
+  }
+  if (!Number.isInteger(merged.sqlBatchSize) || merged.sqlBatchSize < 1) {
+    throw new ValidationError('formatOptions.sqlBatchSize must be a positive integer');
+  }
+
+  return merged;
+}
+
+/**
+ * Derive output columns from a JSON Schema
+ * @param {Object} schema - JSON Schema of one record
+ * @param {Object} options - Normalized format options
+ * @returns {Array<{name: string, path: Array<string|number>, kind: string}>}
+ *   kind: value | json | join
+ */
+function buildColumns(schema, options) {
+  const columns = [];
+
+  const visit = (node, path) => {
+    const name = path.join('.');
+
+    if (node?.type === 'object' && node.properties && (path.length === 0 || options.flatten === 'dot')) {
+      for (const [key, child] of Object.entries(node.properties)) {
+        visit(child, [...path, key]);
+      }
+      return;
+    }
+
+    if (node?.type === 'array') {
+      if (options.arrays === 'expand' && Number.isInteger(node.maxItems)) {
+        for (let i = 0; i < node.maxItems; i++) {
+          const item = Array.isArray(node.items) ? node.items[i] : node.items;
+          visit(item || {}, [...path, i]);
+        }
+        return;
+      }
+      // Expanding needs a known width - fall back to a JSON column without maxItems
+      columns.push({ name, path, kind: options.arrays === 'join' ? 'join' : 'json' });
+      return;
+    }
+
+    columns.push({ name, path, kind: node?.type === 'object' ? 'json' : 'value' });
+  };
+
+  if (schema?.type === 'object' && schema.properties) {
+    visit(schema, []);
+  } else {
+    // Non-object records: a single column holding the whole value
+    columns.push({ name: 'value', path: [], kind: schema?.type === 'array' ? 'json' : 'value' });
+  }
+
+  return columns;
+}
+
+/**
+ * Read the value of a column from a record
+ * @param {*} record - Generated record
+ * @param {Object} column - Column definition
+ * @param {Object} options - Normalized format options
+ * @returns {*} Scalar, or undefined when missing
+ */
+function columnValue(record, column, options) {
+  let value = record;
+  for (const key of column.path) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+
+  if (value === null || value === undefined) return value;
+  if (column.kind === 'join' && Array.isArray(value)) {
+    return value
+      .map(item => (item !== null && typeof item === 'object' ? JSON.stringify(item) : item))
+      .join(options.arraySeparator);
+  }
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Quote a CSV cell (RFC 4180)
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function csvCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape a TSV cell (tabs and line breaks would split the row)
+ * @param {string} text - Cell text
+ * @returns {string}
+ */
+function tsvCell(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+}
+
+/**
+ * Quote a SQL identifier
+ * @param {string} name - Table or column name
+ * @returns {string}
+ */
+function sqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render a SQL literal
+ * @param {*} value - Column value
+ * @returns {string}
+ */
+function sqlLiteral(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Serializes records of one schema to CSV, TSV or SQL text
+ * Stateless between calls: header() once, then rows() per batch or chunk
+ */
+class TabularFormatter {
+  /**
+   * @param {string} format - csv | tsv | sql
+   * @param {Object} schema - JSON Schema of the records
+   * @param {Object} [options] - formatOptions from the request
+   * @param {string} [collection] - Collection name (SQL table)
+   */
+  constructor(format, schema, options = {}, collection = null) {
+    if (!TABULAR_FORMATS.includes(format)) {
+      throw new ValidationError(`format must be one of: json, ${TABULAR_FORMATS.join(', ')}`);
+    }
+
+    this.format = format;
+    this.options = normalizeFormatOptions(options);
+    this.columns = buildColumns(schema, this.options);
+    this.table = collection || this.options.table;
+    this.contentType = CONTENT_TYPES[format];
+  }
+
+  /**
+   * Header row (CSV/TSV) - empty for SQL or when disabled
+   * @returns {string}
+   */
+  header() {
+    if (this.format === 'sql' || !this.options.header) return '';
+    return this.formatRow(this.columns.map(column => column.name));
+  }
+
+  /**
+   * Serialize a batch of records
+   * @param {Array} records - Generated records
+   * @returns {string} Rows (CSV/TSV) or INSERT statements (SQL), newline terminated
+   */
+  rows(records) {
+    if (!records || records.length === 0) return '';
+
+    if (this.format === 'sql') {
+      return this.insertStatements(records);
+    }
+
+    let text = '';
+    for (const record of records) {
+      const cells = this.columns.map(column => {
+        const value = columnValue(record, column, this.options);
+        return value === null || value === undefined ? this.options.nullValue : String(value);
+      });
+      text += this.formatRow(cells);
+    }
+    return text;
+  }
+
+  /**
+   * @param {Array<string>} cells - Cell texts
+   * @returns {string} One CSV/TSV line
+   */
+  formatRow(cells) {
+    return this.format === 'csv'
+      ? cells.map(csvCell).join(',') + '\r\n'
+      : cells.map(tsvCell).join('\t') + '\n';
+  }
+
+  /**
+   * @param {Array} records - Generated records
+   * @returns {string} Multi-row INSERT statements
+   */
+  insertStatements(records) {
+    const prefix = `INSERT INTO ${sqlIdentifier(this.table)} (` +
+      `${this.columns.map(column => sqlIdentifier(column.name)).join(', ')}) VALUES\n`;
+
+    let text = '';
+    for (let i = 0; i < records.length; i += this.options.sqlBatchSize) {
+      const values = records.slice(i, i + this.options.sqlBatchSize).map(record =>
+        `(${this.columns.map(column => sqlLiteral(columnValue(record, column, this.options))).join(', ')})`
+      );
+      text += `${prefix}${values.join(',\n')};\n`;
+    }
+    return text;
+  }
+}
+
+/**
+ * Comment line for SQL output (stream status, aborts)
+ * @param {string} format - Output format
+ * @param {string} message - Comment text
+ * @returns {string} SQL comment, or empty for CSV/TSV
+ */
+function comment(format, message) {
+  return format === 'sql' ? `-- ${message}\n` : '';
+}
+
+module.exports = {
+  TABULAR_FORMATS,
+  TabularFormatter,
+  comment,
+};
@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Uniqueness constraints - `x-unique` fields and request-level
+ * `uniqueKeys` compound keys, enforced across a whole job
+ *
+ * Workers generate their chunks independently, so records are checked on the
+ * main thread in job order. A record colliding with an earlier one is swapped
+ * for the next replacement candidate: records `count`, `count + 1`... of the
+ * same job. Seeded jobs therefore stay reproducible whatever the chunking.
+ * Fields tied to the record position (x-tree id / parent) are carried over
+ * from the replaced record.
+ */
+
+const config = require('../config');
+const { ValidationError, GenerationError } = require('../errors');
+const { getFieldValue } = require('../generation');
+
+// Replacement candidates fetched at once (grows with the duplicates seen)
+const MIN_CANDIDATE_BATCH = 50;
+const MAX_CANDIDATE_BATCH = 5000;
+
+/**
+ * Schema of a property, looked up through composition branches too
+ * @param {Object} schema - Object schema
+ * @param {string} key - Property name
+ * @returns {Object|null}
+ */
+function propertySchema(schema, key) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.properties && key in schema.properties) {
+    return schema.properties[key];
+  }
+  const branches = [...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || []), schema.then, schema.else];
+  for (const branch of branches) {
+    const found = propertySchema(branch, key);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Schema of a dot path ("address.city")
+ * @param {Object} schema - Root schema
+ * @param {string} field - Field path
+ * @returns {Object|null}
+ */
+function fieldSchema(schema, field) {
+  return field.split('.').reduce((node, key) => propertySchema(node, key), schema);
+}
+
+/**
+ * Paths of the `x-unique: true` properties (nested objects included, not array items)
+ * @param {Object} schema - Schema node
+ * @param {string} [prefix] - Path of the node
+ * @param {Set<string>} [found] - Accumulator
+ * @returns {Set<string>}
+ */
+function collectUniqueFields(schema, prefix = '', found = new Set()) {
+  if (!schema || typeof schema !== 'object') return found;
+
+  for (const [key, child] of Object.entries(schema.properties || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (child?.['x-unique'] === true) found.add(path);
+    collectUniqueFields(child, path, found);
+  }
+  for (const branch of [...(schema.allOf || []), ...(schema.oneOf || []), ...(schema.anyOf || []), schema.then, schema.else]) {
+    collectUniqueFields(branch, prefix, found);
+  }
+  return found;
+}
+
+/**
+ * Number of distinct values a field can take (Infinity when unbounded)
+ * @param {Object} schema - Field schema
+ * @returns {number}
+ */
+function valueSpace(schema) {
+  if (!schema || typeof schema !== 'object') return Infinity;
+  if ('const' in schema) return 1;
+  if (Array.isArray(schema.enum)) {
+    return new Set(schema.enum.map(value => JSON.stringify(value))).size;
+  }
+
+  const branches = schema.anyOf || schema.oneOf;
+  if (Array.isArray(branches)) {
+    return branches.reduce((total, branch) => total + valueSpace(branch), 0);
+  }
+  if (schema['x-bson-type']) return Infinity;
+
+  switch (schema.type) {
+    case 'null':
+      return 1;
+    case 'boolean':
+      return 2;
+    case 'integer': {
+      const lower = Math.max(
+        schema.minimum ?? -Infinity,
+        typeof schema.exclusiveMinimum === 'number' ? Math.floor(schema.exclusiveMinimum) + 1 : -Infinity
+      );
+      const upper = Math.min(
+        schema.maximum ?? Infinity,
+        typeof schema.exclusiveMaximum === 'number' ? Math.ceil(schema.exclusiveMaximum) - 1 : Infinity
+      );
+      if (!Number.isFinite(lower) || !Number.isFinite(upper)) return Infinity;
+      const step = schema.multipleOf > 0 ? schema.multipleOf : 1;
+      return Math.max(0, Math.floor(upper / step) - Math.ceil(lower / step) + 1);
+    }
+    default:
+      return Infinity;
+  }
+}
+
+/**
+ * @param {Array<string>} fields - Constraint fields
+ * @returns {string} Label used in errors
+ */
+function describe(fields) {
+  return fields.length === 1 ? `x-unique field "${fields[0]}"` : `uniqueKeys [${fields.join(', ')}]`;
+}
+
+/**
+ * Collect and check the uniqueness constraints of a schema
+ * @param {Object} schema - JSON Schema (converted, refs inlined)
+ * @param {Array<string|Array<string>>} [uniqueKeys] - Compound keys ("a" is short for ["a"])
+ * @param {number} count - Records requested
+ * @returns {Array<Array<string>>} Constraints, each a list of field paths
+ * @throws {ValidationError} On malformed keys, unknown fields or a value space
+ *   smaller than `count` (the request can never be served)
+ */
+function resolveConstraints(schema, uniqueKeys, count) {
+  if (uniqueKeys !== undefined && uniqueKeys !== null && !Array.isArray(uniqueKeys)) {
+    throw new ValidationError('uniqueKeys must be an array of field lists, e.g. [["tenantId", "code"]]');
+  }
+
+  const constraints = [...collectUniqueFields(schema)].map(field => [field]);
+  for (const key of uniqueKeys || []) {
+    const fields = typeof key === 'string' ? [key] : key;
+    if (!Array.isArray(fields) || fields.length === 0 || !fields.every(field => typeof field === 'string' && field)) {
+      throw new ValidationError('uniqueKeys entries must be non-empty lists of field names');
+    }
+    const unknown = fields.filter(field => !fieldSchema(schema, field));
+    if (unknown.length > 0) {
+      throw new ValidationError(`uniqueKeys field(s) not in the schema: ${unknown.join(', ')}`);
+    }
+    constraints.push([...new Set(fields)]);
+  }
+
+  const distinct = [...new Map(constraints.map(fields => [JSON.stringify(fields), fields])).values()];
+  for (const fields of distinct) {
+    const space = fields.reduce((total, field) => total * valueSpace(fieldSchema(schema, field)), 1);
+    if (space < count) {
+      throw new ValidationError(
+        `${describe(fields)} allows only ${space} distinct value(s), ${count} records requested`
+      );
+    }
+  }
+
+  return distinct;
+}
+
+/**
+ * Tracks the keys generated so far in one job
+ */
+class UniqueTracker {
+  /**
+   * @param {Array<Array<string>>} constraints - From resolveConstraints
+   * @param {Object} options
+   * @param {number} options.count - Records of the job (first replacement offset)
+   * @param {Function} options.fetch - (offset, count) => Promise<records>
+   * @param {Array<string>} [options.keep] - Top-level fields a replacement takes from the replaced record
+   */
+  constructor(constraints, { count, fetch, keep = [] }) {
+    this.constraints = constraints.map(fields => ({ fields, seen: new Set() }));
+    this.fetch = fetch;
+    this.keep = keep;
+    this.nextOffset = count;
+    this.candidates = [];
+    this.candidateIndex = 0;
+    this.replaced = 0;
+  }
+
+  /**
+   * Register a record's keys unless one of them is taken
+   * @param {Object} record - Generated record
+   * @returns {Object|null} Constraint the record collides with, null when claimed
+   */
+  claim(record) {
+    const keys = this.constraints.map(({ fields }) =>
+      JSON.stringify(fields.map(field => getFieldValue(record, field) ?? null))
+    );
+    const index = this.constraints.findIndex((constraint, i) => constraint.seen.has(keys[i]));
+    if (index !== -1) {
+      return this.constraints[index];
+    }
+    this.constraints.forEach((constraint, i) => constraint.seen.add(keys[i]));
+    return null;
+  }
+
+  /**
+   * Next replacement candidate
+   * @returns {Promise<Object>}
+   */
+  async nextCandidate() {
+    if (this.candidateIndex >= this.candidates.length) {
+      const size = Math.min(Math.max(this.replaced, MIN_CANDIDATE_BATCH), MAX_CANDIDATE_BATCH);
+      const offset = this.nextOffset;
+      this.nextOffset += size;
+      this.candidates = await this.fetch(offset, size);
+      this.candidateIndex = 0;
+    }
+    return this.candidates[this.candidateIndex++];
+  }
+
+  /**
+   * Make the records of a chunk unique (chunks must be passed in job order)
+   * @param {Array<Object>} records - Generated records
+   * @returns {Promise<Array<Object>>} Records with duplicates replaced
+   * @throws {GenerationError} When no unique record is found within maxUniqueAttempts
+   */
+  async enforce(records) {
+    const unique = [];
+    for (const original of records) {
+      let record = original;
+      let attempts = 0;
+      let collision = this.claim(record);
+      while (collision) {
+        if (++attempts > config.generation.maxUniqueAttempts) {
+          throw new GenerationError(
+            `${describe(collision.fields)}: value space exhausted after ${collision.seen.size} unique records ` +
+            `(${config.generation.maxUniqueAttempts} duplicates in a row)`,
+            'unique'
+          );
+        }
+        this.replaced++;
+        record = this.carryOver(await this.nextCandidate(), original);
+        collision = this.claim(record);
+      }
+      unique.push(record);
+    }
+    return unique;
+  }
+
+  /**
+   * @param {Object} candidate - Replacement record
+   * @param {Object} original - Record it replaces
+   * @returns {Object} Candidate with the kept fields of the original
+   */
+  carryOver(candidate, original) {
+    if (this.keep.length === 0 || !candidate || typeof candidate !== 'object') {
+      return candidate;
+    }
+    const record = { ...candidate };
+    for (const field of this.keep) {
+      if (original && field in original) record[field] = original[field];
+    }
+    return record;
+  }
+}
+
+/**
+ * Create the tracker of a job
+ * @param {Array<Array<string>>} constraints - From resolveConstraints
+ * @param {Object} options - { count, fetch, keep } (see UniqueTracker)
+ * @returns {UniqueTracker|null} null without constraints
+ */
+function createTracker(constraints, options) {
+  return constraints && constraints.length > 0 ? new UniqueTracker(constraints, options) : null;
+}
+
+module.exports = {
+  resolveConstraints,
+  createTracker,
+  UniqueTracker,
+};
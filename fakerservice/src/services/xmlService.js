@@ -0,0 +1,315 @@
+/**
+ * @fileoverview XML template filling
+ * Parses an XML skeleton (e.g. test.xml), derives JSON Schemas for its leaf
+ * elements from per-element rules and renders generated records back into it.
+ * The repeated element is rendered separately so documents can be streamed.
+ */
+
+const { ValidationError } = require('../errors');
+
+// Leaf elements without a rule
+const DEFAULT_LEAF_RULE = { type: 'string', minLength: 1, maxLength: 30 };
+
+const REPEAT_MARKER = '\u0000repeat\u0000';
+
+/**
+ * Escape text content
+ * @param {*} value - Value to write
+ * @returns {string}
+ */
+function escapeXml(value) {
+  const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parse an XML skeleton into an element tree
+ * Supports the subset templates use: declaration, comments, elements,
+ * attributes, self-closing tags, text and CDATA (text is kept verbatim)
+ * @param {string} xml - XML template
+ * @returns {{declaration: string, root: Object}}
+ * @throws {ValidationError} On malformed templates
+ */
+function parseTemplate(xml) {
+  if (typeof xml !== 'string' || xml.trim() === '') {
+    throw new ValidationError('template must be a non-empty XML string');
+  }
+
+  const tokenizer = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\/?[^>]+>|[^<]+/g;
+  const stack = [{ children: [] }];
+  let declaration = '';
+
+  for (const [token] of xml.matchAll(tokenizer)) {
+    const current = stack[stack.length - 1];
+
+    if (token.startsWith('<?')) {
+      if (stack.length === 1) declaration += token;
+    } else if (token.startsWith('<!--') || token.startsWith('<!DOCTYPE')) {
+      continue;
+    } else if (token.startsWith('<![CDATA[')) {
+      current.text = (current.text || '') + token;
+    } else if (token.startsWith('</')) {
+      const name = token.slice(2, -1).trim();
+      if (stack.length === 1 || current.name !== name) {
+        throw new ValidationError(`Malformed XML template: unexpected </${name}>`);
+      }
+      stack.pop();
+    } else if (token.startsWith('<')) {
+      const selfClosing = token.endsWith('/>');
+      const body = token.slice(1, selfClosing ? -2 : -1).trim();
+      const name = body.split(/\s/, 1)[0];
+      const node = { name, attributes: body.slice(name.length).trim(), children: [], text: '' };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (token.trim() !== '') {
+      if (stack.length === 1) {
+        throw new ValidationError('Malformed XML template: text outside the root element');
+      }
+      current.text = (current.text || '') + token.trim();
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new ValidationError(`Malformed XML template: <${stack[stack.length - 1].name}> is not closed`);
+  }
+  if (stack[0].children.length !== 1) {
+    throw new ValidationError('Malformed XML template: expected exactly one root element');
+  }
+
+  return { declaration, root: stack[0].children[0] };
+}
+
+/**
+ * Find the element to repeat
+ * @param {Object} root - Root element
+ * @param {string} [repeatPath] - Slash separated path, e.g. "Root/DanhSach/Item"
+ * @returns {{parent: Object, node: Object, path: string}}
+ */
+function findRepeat(root, repeatPath) {
+  if (repeatPath) {
+    const names = repeatPath.split('/').filter(Boolean);
+    if (names[0] !== root.name) {
+      throw new ValidationError(`repeat path "${repeatPath}" must start at the root element <${root.name}>`);
+    }
+    let parent = null;
+    let node = root;
+    for (const name of names.slice(1)) {
+      parent = node;
+      node = node.children.find(child => child.name === name);
+      if (!node) {
+        throw new ValidationError(`repeat path "${repeatPath}" not found in template`);
+      }
+    }
+    if (!parent) {
+      throw new ValidationError('The root element cannot be repeated');
+    }
+    return { parent, node, path: names.join('/') };
+  }
+
+  // Default: the first element that appears several times under one parent
+  const visit = (node, path) => {
+    const seen = new Set();
+    for (const child of node.children) {
+      if (seen.has(child.name)) {
+        return { parent: node, node: node.children.find(c => c.name === child.name), path: `${path}/${child.name}` };
+      }
+      seen.add(child.name);
+    }
+    for (const child of node.children) {
+      const found = visit(child, `${path}/${child.name}`);
+      if (found) return found;
+    }
+    return null;
+  };
+
+  const found = visit(root, root.name);
+  if (!found) {
+    throw new ValidationError('No repeated element in template, set "repeat" to the element path');
+  }
+  return found;
+}
+
+/**
+ * Leaf paths of an element, relative to it
+ * @param {Object} node - Element
+ * @param {Array<string>} path - Path so far
+ * @param {Array} leaves - Accumulator
+ * @returns {Array<{path: Array<string>, node: Object}>}
+ */
+function collectLeaves(node, path, leaves = []) {
+  if (node.children.length === 0) {
+    leaves.push({ path, node });
+    return leaves;
+  }
+  const counts = {};
+  for (const child of node.children) {
+    if (child.repeatMarker) continue;
+    counts[child.name] = (counts[child.name] || 0) + 1;
+    // Same-named siblings outside the repeated element get an index suffix
+    const key = counts[child.name] > 1 ? `${child.name}[${counts[child.name]}]` : child.name;
+    collectLeaves(child, [...path, key], leaves);
+  }
+  return leaves;
+}
+
+/**
+ * Pick the rule of a leaf: full path, then shortest matching suffix, then name
+ * @param {Object} rules - Rules by path or element name
+ * @param {Array<string>} fullPath - Path from the root
+ * @returns {Object|undefined} JSON Schema of the leaf value
+ */
+function findRule(rules, fullPath) {
+  for (let start = 0; start < fullPath.length; start++) {
+    const rule = rules[fullPath.slice(start).join('/')];
+    if (rule) return rule;
+  }
+  return undefined;
+}
+
+/**
+ * Build a flat object schema for a set of leaves
+ * Leaves with fixed template text and no rule are left out (kept verbatim)
+ * @param {Array} leaves - collectLeaves() result
+ * @param {Array<string>} basePath - Path from the root to the leaves' element
+ * @param {Object} rules - Rules by path or element name
+ * @returns {Object} JSON Schema
+ */
+function buildLeafSchema(leaves, basePath, rules) {
+  const properties = {};
+  for (const { path, node } of leaves) {
+    const rule = findRule(rules, [...basePath, ...path.map(key => key.replace(/\[\d+\]$/, ''))]);
+    if (!rule && node.text) continue;
+    properties[path.join('/')] = rule || DEFAULT_LEAF_RULE;
+  }
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Read a leaf value from a flat ("a/b") or nested ({a: {b}}) record
+ * @param {Object} record - Generated record
+ * @param {Array<string>} path - Leaf path
+ * @returns {*}
+ */
+function leafValue(record, path) {
+  if (!path || !record || typeof record !== 'object') return undefined;
+
+  const flat = record[path.join('/')];
+  if (flat !== undefined) return flat;
+
+  let value = record;
+  for (const key of path) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key.replace(/\[\d+\]$/, '')];
+  }
+  return value;
+}
+
+/**
+ * An XML template ready to be filled
+ */
+class XmlTemplate {
+  /**
+   * @param {string} xml - XML skeleton
+   * @param {Object} [options]
+   * @param {string} [options.repeat] - Path of the repeated element
+   * @param {Object} [options.rules] - JSON Schema per leaf (path, path suffix or element name)
+   * @param {Object} [options.schema] - JSON Schema of the repeated element (overrides rules)
+   * @param {Object} [options.documentSchema] - JSON Schema of the rest of the document
+   */
+  constructor(xml, options = {}) {
+    const { repeat, rules = {}, schema, documentSchema } = options;
+
+    const { declaration, root } = parseTemplate(xml);
+    this.declaration = declaration;
+    this.root = root;
+
+    const { parent, node, path } = findRepeat(root, repeat);
+    this.repeatParent = parent;
+    this.repeatNode = node;
+    this.repeatPath = path;
+
+    // Template copies of the repeated element are replaced by generated ones
+    const repeatIndex = parent.children.indexOf(node);
+    parent.children = parent.children.filter(child => child.name !== node.name);
+    parent.children.splice(repeatIndex, 0, { repeatMarker: true });
+
+    const repeatBase = path.split('/');
+    this.itemLeaves = collectLeaves(node, []);
+    this.itemSchema = schema || buildLeafSchema(this.itemLeaves, repeatBase, rules);
+
+    this.documentLeaves = collectLeaves(root, [root.name]);
+    this.documentSchema = documentSchema || buildLeafSchema(this.documentLeaves, [], rules);
+  }
+
+  /**
+   * Render everything around the repeated elements
+   * @param {Object} values - Generated document record
+   * @returns {{head: string, tail: string}}
+   */
+  renderDocument(values) {
+    const leafPaths = new Map(this.documentLeaves.map(leaf => [leaf.node, leaf.path]));
+    const rendered = renderNode(this.root, 0, node => leafValue(values, leafPaths.get(node)));
+    const [head, tail] = rendered.split(REPEAT_MARKER);
+    return {
+      head: (this.declaration ? `${this.declaration}\n` : '') + head,
+      tail,
+    };
+  }
+
+  /**
+   * Render repeated elements for a batch of records
+   * @param {Array<Object>} records - Generated item records
+   * @returns {string}
+   */
+  renderItems(records) {
+    const depth = this.repeatPath.split('/').length - 1;
+    const leafPaths = new Map(this.itemLeaves.map(leaf => [leaf.node, leaf.path]));
+    let text = '';
+    for (const record of records) {
+      text += renderNode(this.repeatNode, depth, node => leafValue(record, leafPaths.get(node)));
+    }
+    return text;
+  }
+}
+
+/**
+ * Serialize an element with 2-space indentation
+ * @param {Object} node - Element
+ * @param {number} depth - Nesting depth
+ * @param {Function} valueOf - Generated value of a leaf (undefined keeps template text)
+ * @returns {string}
+ */
+function renderNode(node, depth, valueOf) {
+  const indent = '  '.repeat(depth);
+  if (node.repeatMarker) return REPEAT_MARKER;
+
+  const open = node.attributes ? `<${node.name} ${node.attributes}>` : `<${node.name}>`;
+
+  if (node.children.length === 0) {
+    const value = valueOf(node);
+    const text = value === undefined || value === null ? node.text : escapeXml(value);
+    return `${indent}${open}${text}</${node.name}>\n`;
+  }
+
+  let text = `${indent}${open}\n`;
+  for (const child of node.children) {
+    text += renderNode(child, depth + 1, valueOf);
+  }
+  return `${text}${indent}</${node.name}>\n`;
+}
+
+module.exports = {
+  XmlTemplate,
+  parseTemplate,
+  escapeXml,
+};
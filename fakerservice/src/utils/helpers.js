@@ -43,9 +43,13 @@ function generateId() {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+// IDs from generateId (timestamp-base36), for route params that name files
+const GENERATED_ID_PATTERN = '^[0-9]+-[a-z0-9]{1,9}$';
+
 module.exports = {
   formatBytes,
   formatDuration,
   sleep,
   generateId,
+  GENERATED_ID_PATTERN,
 };
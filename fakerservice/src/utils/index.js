@@ -4,8 +4,10 @@
 
 const logger = require('./logger');
 const helpers = require('./helpers');
+const schema = require('./schema');
 
 module.exports = {
   logger,
   ...helpers,
+  ...schema,
 };
@@ -0,0 +1,116 @@
+/**
+ * @fileoverview JSON Schema traversal helpers
+ */
+
+const { ValidationError } = require('../errors');
+
+// Keywords holding a map of subschemas / a list / a single subschema
+const SUBSCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', 'dependentSchemas'];
+const SUBSCHEMA_LIST_KEYWORDS = ['anyOf', 'oneOf', 'allOf'];
+const TUPLE_KEYWORDS = ['items', 'prefixItems'];
+const SUBSCHEMA_KEYWORDS = [
+  'additionalProperties', 'additionalItems', 'unevaluatedProperties', 'unevaluatedItems',
+  'not', 'if', 'then', 'else', 'contains', 'propertyNames',
+];
+
+// Dropping these means "nothing else allowed" rather than removing the keyword
+const CLOSING_KEYWORDS = ['additionalProperties', 'additionalItems', 'unevaluatedProperties', 'unevaluatedItems'];
+
+/**
+ * Copy a schema node with every direct subschema converted
+ * The converter may return undefined to drop a subschema: the property is
+ * removed (and no longer required), the branch removed, the array forced
+ * empty, additional* set to false, any other keyword removed
+ * @param {Object} node - Schema node
+ * @param {Function} convert - (subschema, path, keyword) => converted | undefined
+ * @param {string} path - JSON pointer of the node (passed on to convert)
+ * @returns {Object} New node
+ */
+function mapSubschemas(node, convert, path = '') {
+  const schema = { ...node };
+
+  for (const keyword of SUBSCHEMA_MAP_KEYWORDS) {
+    if (!schema[keyword] || typeof schema[keyword] !== 'object') continue;
+    const entries = [];
+    for (const [key, child] of Object.entries(schema[keyword])) {
+      const converted = convert(child, `${path}/${keyword}/${key}`, keyword);
+      if (converted !== undefined) {
+        entries.push([key, converted]);
+      } else if (keyword === 'properties' && Array.isArray(schema.required)) {
+        schema.required = schema.required.filter(name => name !== key);
+      }
+    }
+    schema[keyword] = Object.fromEntries(entries);
+  }
+
+  for (const keyword of SUBSCHEMA_LIST_KEYWORDS) {
+    if (!Array.isArray(schema[keyword])) continue;
+    schema[keyword] = schema[keyword]
+      .map((child, i) => convert(child, `${path}/${keyword}/${i}`, keyword))
+      .filter(child => child !== undefined);
+  }
+
+  for (const keyword of TUPLE_KEYWORDS) {
+    if (!Array.isArray(schema[keyword])) continue;
+    const items = [];
+    for (const [i, child] of schema[keyword].entries()) {
+      const converted = convert(child, `${path}/${keyword}/${i}`, keyword);
+      if (converted === undefined) break; // Tuple ends at the first dropped item
+      items.push(converted);
+    }
+    schema[keyword] = items;
+  }
+
+  if (schema.items && typeof schema.items === 'object' && !Array.isArray(schema.items)) {
+    const items = convert(schema.items, `${path}/items`, 'items');
+    if (items === undefined) {
+      // json-schema-faker needs items even for an empty array
+      schema.items = {};
+      delete schema.minItems;
+      schema.maxItems = 0;
+    } else {
+      schema.items = items;
+    }
+  }
+
+  for (const keyword of SUBSCHEMA_KEYWORDS) {
+    if (!schema[keyword] || typeof schema[keyword] !== 'object') continue;
+    const converted = convert(schema[keyword], `${path}/${keyword}`, keyword);
+    if (converted === undefined) {
+      if (CLOSING_KEYWORDS.includes(keyword)) schema[keyword] = false;
+      else delete schema[keyword];
+    } else {
+      schema[keyword] = converted;
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Resolve a local JSON pointer ("#/components/schemas/Pet") in a document
+ * @param {Object} document - Root document
+ * @param {string} ref - $ref value
+ * @returns {*} Target value
+ * @throws {ValidationError} On external or unresolved refs
+ */
+function resolvePointer(document, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    throw new ValidationError(`Unresolved $ref "${ref}": only local refs (#/...) are supported`);
+  }
+
+  let target = document;
+  for (const token of ref.slice(1).split('/').filter(Boolean)) {
+    const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+    if (target === null || typeof target !== 'object' || !(key in target)) {
+      throw new ValidationError(`Unresolved $ref "${ref}"`);
+    }
+    target = target[key];
+  }
+  return target;
+}
+
+module.exports = {
+  mapSubschemas,
+  resolvePointer,
+};
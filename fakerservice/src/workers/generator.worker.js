@@ -3,9 +3,33 @@
  * Handles actual data generation using json-schema-faker
  */
 
-const { faker } = require('@faker-js/faker');
 const jsf = require('json-schema-faker');
 const { LRUCache } = require('lru-cache');
+const {
+  generateSeeded,
+  registerFormats,
+  formatRecords,
+  getCompositionPlan,
+  DEFAULT_LOCALE,
+  createLocaleSwitch,
+  applyTree,
+  applyTimeline,
+  DEFAULT_FUZZ,
+  applyFuzz,
+  repairRecords,
+  mergeRepairs,
+  hashSchema,
+  compileSchema,
+  STRICT_OPTIONS,
+  getModeOptions,
+  toModeSchema,
+  cleanExtraProperties,
+  createRecordPipeline,
+} = require('../generation');
+
+// Locale instances are built once per worker and reused across tasks
+const locales = createLocaleSwitch();
+const { faker } = locales;
 
 // ============================================================
 // Worker-level schema cache
@@ -16,229 +40,94 @@ const workerSchemaCache = new LRUCache({
   updateAgeOnGet: true,
 });
 
+// Compiled generators by prepared schema (dropped with their cache entry)
+const compiledCache = new WeakMap();
+
+// x-ref values by shared refs ID: parsed once per job, not per task
+const refsCache = new LRUCache({ max: 16 });
+
 // ============================================================
 // Configure json-schema-faker (CRITICAL - matches original)
 // ============================================================
 jsf.extend('faker', () => faker);
 
-// Strict mode: Only generate fields defined in schema (randomMode = false)
-const strictOptions = {
-  alwaysFakeOptionals: true,     // Generate nested objects even if optional
-  useDefaultValue: true,
-  failOnInvalidTypes: false,
-  random: Math.random,
-  optionalsProbability: 1.0,     // Generate optional fields (but not extra ones)
-  fixedProbabilities: true,
-  requiredOnly: false,           // Can't use true - blocks nested objects
-  useExamplesValue: false,
-  minItems: 0,
-  maxItems: 10,
-  minLength: 1,
-  maxLength: 100,
-  maxRegexRetry: 100,
-  defaultRandExpMax: 10,
-};
-
-// Random mode: Generate extra fields and variations (randomMode = true)
-const randomOptions = {
-  alwaysFakeOptionals: true,      // Generate all optional fields
-  useDefaultValue: false,
-  failOnInvalidTypes: false,
-  random: Math.random,
-  optionalsProbability: 1.0,      // 100% chance for optional fields
-  fixedProbabilities: false,
-  ignoreMissingRefs: true,
-  requiredOnly: false,            // Generate both required and optional
-  maxItems: 10,
-  maxLength: 100,
-  maxRegexRetry: 50,
-};
+jsf.option(STRICT_OPTIONS);
 
-jsf.option(strictOptions);
+// Register common + MongoDB formats
+registerFormats(jsf, faker);
 
-// Register common formats
-jsf.format('email', () => faker.internet.email());
-jsf.format('date-time', () => faker.date.recent().toISOString());
-jsf.format('date', () => faker.date.past().toISOString().split('T')[0]);
-jsf.format('uri', () => faker.internet.url());
-jsf.format('url', () => faker.internet.url());
-jsf.format('uuid', () => faker.string.uuid());
-jsf.format('ipv4', () => faker.internet.ipv4());
-jsf.format('ipv6', () => faker.internet.ipv6());
+// Same record pipeline as the main thread (see generation/record.js)
+const { finalizeRecord, generateRecord } = createRecordPipeline({ jsf, locales });
 
 // ============================================================
 // Schema preparation utilities
 // ============================================================
 
 /**
- * Remove $id recursively (in-place for speed)
- */
-function removeIdRecursive(obj) {
-  if (!obj || typeof obj !== 'object') return;
-
-  delete obj.$id;
-
-  if (obj.properties) {
-    for (const key in obj.properties) {
-      removeIdRecursive(obj.properties[key]);
-    }
-  }
-  if (obj.items) {
-    removeIdRecursive(obj.items);
-  }
-  if (obj.additionalProperties && typeof obj.additionalProperties === 'object') {
-    removeIdRecursive(obj.additionalProperties);
-  }
-}
-
-/**
- * Enforce additionalProperties based on mode
- * @param {Object} obj - Schema object
- * @param {boolean} randomMode - If true, allow extra properties
- */
-function enforceAdditionalProperties(obj, randomMode) {
-  if (!obj || typeof obj !== 'object') return;
-
-  // Handle type array (e.g., ["object", "null"])
-  const types = Array.isArray(obj.type) ? obj.type : [obj.type];
-  const isObjectType = types.includes('object');
-
-  // Set additionalProperties based on mode
-  if (isObjectType && obj.properties) {
-    // In strict mode: ALWAYS false to prevent extra fields
-    // In random mode: Allow if not explicitly set
-    if (randomMode) {
-      if (obj.additionalProperties === undefined || obj.additionalProperties === false) {
-        obj.additionalProperties = true; // Allow extra fields in random mode
-      }
-    } else {
-      obj.additionalProperties = false; // Strict: no extra fields ever
-    }
-  }
-
-  // Recurse into properties
-  if (obj.properties) {
-    for (const key in obj.properties) {
-      enforceAdditionalProperties(obj.properties[key], randomMode);
-    }
-  }
-
-  // Recurse into items
-  if (obj.items) {
-    enforceAdditionalProperties(obj.items, randomMode);
-  }
-
-  // Recurse into additionalProperties if it's an object
-  if (obj.additionalProperties && typeof obj.additionalProperties === 'object') {
-    enforceAdditionalProperties(obj.additionalProperties, randomMode);
-  }
-}
-
-/**
- * Prepare schema for generation
- * @param {Object} schema - Original schema
+ * Mode schema of a job (cached per worker)
+ * Schemas reach workers prepared by schemaService.prepareSchema, like the
+ * main thread's, so only the mode is applied here
+ * @param {Object} schema - Prepared schema
  * @param {boolean} randomMode - Generation mode
+ * @param {string} [schemaHash] - Hash of the schema (computed once by the pool)
  */
-function prepareSchema(schema, randomMode) {
+function prepareSchema(schema, randomMode, schemaHash) {
   if (!schema || typeof schema !== 'object') {
     return schema;
   }
 
-  const cacheKey = `${randomMode ? 'random' : 'strict'}_${JSON.stringify(schema)}`;
+  const cacheKey = `${randomMode ? 'random' : 'strict'}_${schemaHash || hashSchema(schema)}`;
   const cached = workerSchemaCache.get(cacheKey);
   if (cached) {
     return cached;
   }
 
-  // Deep clone and remove $id
-  const prepared = JSON.parse(JSON.stringify(schema));
-  removeIdRecursive(prepared);
-  
-  // Set additionalProperties based on mode
-  enforceAdditionalProperties(prepared, randomMode);
-
+  const prepared = toModeSchema(schema, randomMode);
   workerSchemaCache.set(cacheKey, prepared);
   return prepared;
 }
 
-// ============================================================
-// Random mutations for fuzz testing
-// ============================================================
-
 /**
- * Remove properties not defined in schema (strict mode only)
- * @param {*} data - Generated data
- * @param {Object} schema - JSON Schema
- * @returns {*} Cleaned data
+ * x-ref values of a job (see GeneratorPool.shareRefs)
+ * @param {Object|null} shared - { id, buffer } with the serialized refs map
+ * @returns {Object|null} Map of "<collection>.<field>" → generated values
  */
-function cleanExtraProperties(data, schema) {
-  if (!data || typeof data !== 'object' || !schema || typeof schema !== 'object') {
-    return data;
-  }
-
-  // Handle arrays
-  if (Array.isArray(data)) {
-    if (schema.items) {
-      return data.map(item => cleanExtraProperties(item, schema.items));
-    }
-    return data;
-  }
-
-  // Handle type array (e.g., ["object", "null"])
-  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
-  const isObjectType = types.includes('object');
-
-  if (!isObjectType || !schema.properties) {
-    return data;
+function loadRefs(shared) {
+  if (!shared) {
+    return null;
   }
-
-  // Create cleaned object with only schema-defined properties
-  const cleaned = {};
-  const allowedProps = Object.keys(schema.properties);
-
-  for (const key of allowedProps) {
-    if (key in data) {
-      const propSchema = schema.properties[key];
-      // Recursively clean nested objects
-      cleaned[key] = cleanExtraProperties(data[key], propSchema);
-    }
+  let refs = refsCache.get(shared.id);
+  if (!refs) {
+    refs = JSON.parse(Buffer.from(shared.buffer).toString('utf8'));
+    refsCache.set(shared.id, refs);
   }
-
-  return cleaned;
-}
-
-function getRandomValue() {
-  const type = Math.random();
-  if (type < 0.3) return faker.number.int({ min: -100000000, max: 100000000 });
-  if (type < 0.5) return faker.datatype.boolean();
-  if (type < 0.7) return faker.lorem.words(Math.floor(Math.random() * 3) + 1);
-  if (type < 0.85) return faker.number.float({ min: -100000000, max: 100000000 });
-  return null;
+  return refs;
 }
 
-function applyRandomMutations(obj, addProb = 0.7, mutateProb = 0.5, removeProb = 0.4) {
-  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
-    return obj;
-  }
-
-  const keys = Object.keys(obj);
-
-  for (const key of keys) {
-    if (Math.random() < mutateProb) {
-      obj[key] = getRandomValue();
-    } else if (Math.random() < removeProb) {
-      delete obj[key];
-    }
-  }
-
-  if (Math.random() < addProb) {
-    const numNew = Math.floor(Math.random() * 6);
-    for (let i = 0; i < numNew; i++) {
-      obj[faker.lorem.word() + i] = getRandomValue();
-    }
+/**
+ * Compiled generator of a prepared strict-mode schema (built once per worker)
+ * @param {Object} prepared - Prepared schema
+ * @returns {Function|null} (random) => raw record, null when jsf generates it
+ */
+function getCompiled(prepared) {
+  if (!compiledCache.has(prepared)) {
+    compiledCache.set(prepared, compileSchema(prepared, { jsf, options: STRICT_OPTIONS }));
   }
+  return compiledCache.get(prepared);
+}
 
-  return obj;
+/**
+ * Generate seeded records synchronously (deterministic for a given seed/offset)
+ */
+function generateSeededRecords(schema, count, job) {
+  return generateSeeded({
+    faker,
+    jsf,
+    seed: job.seed,
+    offset: job.offset,
+    count,
+    produce: (random) => generateRecord(job, random),
+  });
 }
 
 // ============================================================
@@ -254,27 +143,94 @@ function applyRandomMutations(obj, addProb = 0.7, mutateProb = 0.5, removeProb =
  * @returns {Promise<Object>} Generated data or streaming chunks
  */
 module.exports = async function generate({ schema, count, options = {} }) {
-  const { streaming = false, randomMode = false, streamBufferSize = 500 } = options;
+  const {
+    streaming = false,
+    randomMode = false,
+    streamBufferSize = 500,
+    seed = null,
+    offset = 0,
+    outputFormat = 'json',
+    refs = null,
+    locale = DEFAULT_LOCALE,
+    timeline = null,
+    fuzz = null,
+    repair = false,
+    compile = true,
+    schemaHash,
+  } = options;
+  const job = { randomMode, seed, offset, outputFormat, refs: loadRefs(refs), locale, timeline, repair };
+  // Random mode without fuzz options: former mutations, seeded like the job
+  job.fuzz = fuzz || (randomMode ? { ...DEFAULT_FUZZ, seed } : null);
   const startTime = Date.now();
 
   // Set JSF options based on mode
-  jsf.option(randomMode ? randomOptions : strictOptions);
-
-  // Prepare schema with mode-specific settings
-  const prepared = prepareSchema(schema, randomMode);
+  jsf.option(getModeOptions(randomMode));
+  locales.use(locale);
+
+  // Prepare schema with mode-specific settings; composed schemas are checked
+  // against the schema as received (before strict closing)
+  const prepared = prepareSchema(schema, randomMode, schemaHash);
+  job.schema = prepared;
+  job.plan = getCompositionPlan(prepared, schema);
+  job.compiled = compile && !randomMode && !job.plan ? getCompiled(prepared) : null;
+  // repair validates records against the schema as received too
+  job.source = schema;
 
   // Generate based on mode
   if (streaming) {
-    return generateStreaming(prepared, count, randomMode, streamBufferSize, startTime);
+    return generateStreaming(prepared, count, streamBufferSize, startTime, job);
   }
 
-  return generateBatch(prepared, count, randomMode, startTime);
+  return generateBatch(prepared, count, startTime, job);
 };
 
 /**
  * Generate records in batch mode (returns all at once)
  */
-async function generateBatch(schema, count, randomMode, startTime) {
+async function generateBatch(schema, count, startTime, job) {
+  const results = job.seed === null
+    ? await generateUnseededRecords(schema, count, job)
+    : generateSeededRecords(schema, count, job);
+  applyTree(results, schema, job.offset);
+  applyTimeline(results, schema, job.timeline);
+  const repair = job.repair && repairBuffer(results, job.offset, job);
+  const fuzzLog = job.fuzz && applyFuzz(results, job.fuzz, job.offset);
+
+  const duration = Date.now() - startTime;
+  return {
+    data: formatRecords(results, schema, job.outputFormat),
+    ...(fuzzLog && { fuzzLog }),
+    ...(repair && { repair }),
+    stats: {
+      recordsGenerated: count,
+      duration,
+      recordsPerSecond: Math.round((count / duration) * 1000),
+      ...(job.seed !== null && { seed: job.seed }),
+    },
+  };
+}
+
+/**
+ * Validate records against the schema as received and repair the invalid ones
+ * @param {Array} records - Final records (before formatting)
+ * @param {number} offset - Index of the first record in the job
+ * @param {Object} job - Job options
+ * @returns {Object} Repair summary (see generation/repair.js)
+ */
+function repairBuffer(records, offset, job) {
+  return repairRecords(records, job.source, {
+    faker,
+    jsf,
+    generate: node => cleanExtraProperties(jsf.generate(node), node),
+    seed: job.seed,
+    offset,
+  });
+}
+
+/**
+ * Generate unseeded records with concurrent jsf.resolve calls
+ */
+async function generateUnseededRecords(schema, count, job) {
   const results = [];
   // Increased from 50 to 100 for maximum parallelism per worker
   const PARALLEL_BATCH = Math.min(count, 100);
@@ -284,18 +240,9 @@ async function generateBatch(schema, count, randomMode, startTime) {
     const promises = [];
 
     for (let j = 0; j < batchCount; j++) {
-      promises.push(
-        (async () => {
-          let generated = await jsf.resolve(schema);
-          if (randomMode) {
-            // Random mode: Add extra random fields
-            generated = applyRandomMutations(generated);
-          } else {
-            // Strict mode: Remove any extra fields not in schema
-            generated = cleanExtraProperties(generated, schema);
-          }
-          return generated;
-        })()
+      promises.push(job.plan || job.compiled
+        ? Promise.resolve(generateRecord(job))
+        : jsf.resolve(schema).then(generated => finalizeRecord(generated, schema, job))
       );
     }
 
@@ -303,36 +250,38 @@ async function generateBatch(schema, count, randomMode, startTime) {
     results.push(...batchResults);
   }
 
-  const duration = Date.now() - startTime;
-  return {
-    data: results,
-    stats: {
-      recordsGenerated: count,
-      duration,
-      recordsPerSecond: Math.round((count / duration) * 1000),
-    },
-  };
+  return results;
 }
 
 /**
  * Generate records in streaming mode (returns chunks)
  */
-async function generateStreaming(schema, count, randomMode, chunkSize, startTime) {
+async function generateStreaming(schema, count, chunkSize, startTime, job) {
   const chunks = [];
+  const repairs = [];
   let buffer = [];
+  const seeded = job.seed === null
+    ? null
+    : generateSeededRecords(schema, count, job);
 
   for (let i = 0; i < count; i++) {
-    let generated = await jsf.resolve(schema);
-    if (randomMode) {
-      generated = applyRandomMutations(generated);
+    let generated;
+    if (seeded) {
+      generated = seeded[i];
+    } else if (job.plan || job.compiled) {
+      generated = generateRecord(job);
     } else {
-      generated = cleanExtraProperties(generated, schema);
+      generated = finalizeRecord(await jsf.resolve(schema), schema, job);
     }
     buffer.push(generated);
 
     if (buffer.length >= chunkSize) {
+      applyTree(buffer, schema, job.offset + i + 1 - buffer.length);
+      if (job.repair) repairs.push(repairBuffer(buffer, job.offset + i + 1 - buffer.length, job));
+      const fuzzLog = job.fuzz && applyFuzz(buffer, job.fuzz, job.offset + i + 1 - buffer.length);
       chunks.push({
-        data: buffer,
+        data: formatRecords(buffer, schema, job.outputFormat),
+        ...(fuzzLog && { fuzzLog }),
         index: chunks.length,
         progress: { completed: i + 1, total: count },
       });
@@ -342,8 +291,12 @@ async function generateStreaming(schema, count, randomMode, chunkSize, startTime
 
   // Remaining buffer
   if (buffer.length > 0) {
+    applyTree(buffer, schema, job.offset + count - buffer.length);
+    if (job.repair) repairs.push(repairBuffer(buffer, job.offset + count - buffer.length, job));
+    const fuzzLog = job.fuzz && applyFuzz(buffer, job.fuzz, job.offset + count - buffer.length);
     chunks.push({
-      data: buffer,
+      data: formatRecords(buffer, schema, job.outputFormat),
+      ...(fuzzLog && { fuzzLog }),
       index: chunks.length,
       progress: { completed: count, total: count },
     });
@@ -353,11 +306,13 @@ async function generateStreaming(schema, count, randomMode, chunkSize, startTime
   return {
     streaming: true,
     chunks,
+    ...(job.repair && { repair: mergeRepairs(repairs) }),
     stats: {
       totalRecords: count,
       totalChunks: chunks.length,
       duration,
       recordsPerSecond: Math.round((count / duration) * 1000),
+      ...(job.seed !== null && { seed: job.seed }),
     },
   };
 }
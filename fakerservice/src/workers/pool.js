@@ -6,9 +6,11 @@
 const Piscina = require('piscina');
 const path = require('path');
 const os = require('os');
+const { once } = require('events');
 const redis = require('redis');
 const config = require('../config');
 const { JobAbortedError, GenerationError } = require('../errors');
+const { SEED_BLOCK_SIZE, mergeRepairs, hashSchema } = require('../generation');
 
 class GeneratorPool {
   constructor(options = {}) {
@@ -37,6 +39,17 @@ class GeneratorPool {
     };
     this.redisEnabled = config.redis.enabled;
 
+    // Distributed stop signals: pub/sub subscriber + fallback polling
+    this.redisSubscriber = null;
+    this.stopChannel = `${config.redis.keyPrefix}stop`;
+    // jobId → Set of AbortControllers of loops spanning several generate() calls
+    this.watchedJobs = new Map();
+    this.stopPollTimer = null;
+
+    // x-ref values shared with workers once per refs map (see shareRefs)
+    this.sharedRefs = new WeakMap();
+    this.refsCounter = 0;
+
     // Stats tracking
     this.stats = {
       totalGenerated: 0,
@@ -82,7 +95,118 @@ class GeneratorPool {
     } catch (err) {
       console.error('❌ Failed to connect Redis:', err.message);
       this.redisClient = null;
+      return;
+    }
+
+    await this.subscribeStopSignals();
+  }
+
+  /**
+   * Subscribe to stop signals published by other instances
+   * Polling keeps running alongside as a fallback for missed messages
+   */
+  async subscribeStopSignals() {
+    try {
+      this.redisSubscriber = this.redisClient.duplicate();
+      this.redisSubscriber.on('error', (err) => {
+        console.error('❌ Redis subscriber error:', err.message);
+      });
+
+      await this.redisSubscriber.connect();
+      await this.redisSubscriber.subscribe(this.stopChannel, (jobId) => this.handleStopSignal(jobId));
+      console.log(`✅ Subscribed to stop signals on ${this.stopChannel}`);
+    } catch (err) {
+      console.error('❌ Failed to subscribe to stop signals:', err.message);
+      this.redisSubscriber = null;
     }
+
+    this.startStopPolling();
+  }
+
+  /**
+   * Poll stop keys of running jobs
+   * Catches signals set before a job started here or missed by the subscriber
+   */
+  startStopPolling() {
+    this.stopPollTimer = setInterval(async () => {
+      const jobIds = new Set([...this.activeJobs.keys(), ...this.watchedJobs.keys()]);
+      for (const jobId of jobIds) {
+        if (await this.checkAbortSignal(jobId)) {
+          this.handleStopSignal(jobId);
+        }
+      }
+    }, config.redis.stopPollInterval);
+    this.stopPollTimer.unref();
+  }
+
+  /**
+   * Stop a job on this instance after a distributed stop signal
+   * @param {string} jobId - Job ID to stop
+   */
+  handleStopSignal(jobId) {
+    const watchers = this.watchedJobs.get(jobId);
+    if (!this.activeJobs.has(jobId) && !watchers) return;
+
+    console.log(`🛑 Stop signal received for job ${jobId}`);
+
+    if (watchers) {
+      // Chunked loops stop cooperatively before their next chunk
+      for (const abortController of watchers) {
+        abortController.abort();
+      }
+      return;
+    }
+
+    this.abortJob(jobId);
+  }
+
+  /**
+   * Let distributed stop signals abort a multi-chunk loop (streams, async jobs)
+   * @param {string} jobId - Job ID the loop runs under
+   * @param {AbortController} abortController - Aborted when a stop signal arrives
+   * @returns {Function} Unwatch function, call when the loop ends
+   */
+  watchJob(jobId, abortController) {
+    if (!jobId || !this.redisClient) return () => {};
+
+    if (!this.watchedJobs.has(jobId)) {
+      this.watchedJobs.set(jobId, new Set());
+    }
+    this.watchedJobs.get(jobId).add(abortController);
+
+    // Signal may have been set before the job started on this instance
+    this.checkAbortSignal(jobId).then(stopped => {
+      if (stopped) this.handleStopSignal(jobId);
+    });
+
+    return () => {
+      const watchers = this.watchedJobs.get(jobId);
+      if (!watchers) return;
+      watchers.delete(abortController);
+      if (watchers.size === 0) this.watchedJobs.delete(jobId);
+    };
+  }
+
+  /**
+   * Share the x-ref values of a job with the workers
+   * The values are serialized once into shared memory: tasks only carry the
+   * buffer (not copied) and an ID workers cache the parsed map under, instead
+   * of a structured clone of every value array per task
+   * @param {Object|null} refs - Map of "<collection>.<field>" → generated values
+   * @returns {Object|null} { id, buffer }
+   */
+  shareRefs(refs) {
+    if (!refs) return null;
+
+    let shared = this.sharedRefs.get(refs);
+    if (!shared) {
+      const bytes = Buffer.from(JSON.stringify(refs));
+      const buffer = new SharedArrayBuffer(bytes.length);
+      bytes.copy(Buffer.from(buffer));
+      shared = { id: `${process.pid}-${++this.refsCounter}`, buffer };
+      this.sharedRefs.set(refs, shared);
+    }
+    return shared;
   }
 
   /**
@@ -94,48 +218,102 @@ class GeneratorPool {
    * @returns {Promise<Object>} Generated data or streaming result
    */
   async generate(schema, count, options = {}) {
-    const { jobId, streaming = false, randomMode = false, streamBufferSize = 500 } = options;
-    const abortController = new AbortController();
+    const {
+      jobId,
+      streaming = false,
+      randomMode = false,
+      streamBufferSize = 500,
+      seed = null,
+      offset = 0,
+      outputFormat = 'json',
+      refs = null,
+      locale,
+      timeline = null,
+      fuzz = null,
+      repair = false,
+    } = options;
     const startTime = Date.now();
+    // Workers key their schema caches by this hash instead of serializing the schema per task
+    const schemaHash = hashSchema(schema);
+    const compile = config.generation.compileSchemas;
+    const sharedRefs = this.shareRefs(refs);
 
     // Register job for abort tracking
-    if (jobId) {
-      this.activeJobs.set(jobId, {
-        abortController,
+    // Pipelined streams run several generate() calls per job: they share one
+    // abort controller, released when the last of them settles
+    let job = jobId ? this.activeJobs.get(jobId) : null;
+    if (job) {
+      job.tasks++;
+    } else {
+      job = {
+        abortController: new AbortController(),
         startTime,
         count,
         streaming,
-      });
+        tasks: 1,
+      };
+      if (jobId) {
+        this.activeJobs.set(jobId, job);
+      }
     }
+    const { abortController } = job;
 
     try {
+      // Queue full (e.g. pipelined streams): wait for Piscina to drain it
+      while (this.pool.queueSize >= this.pool.options.maxQueue) {
+        await once(this.pool, 'drain', { signal: abortController.signal });
+      }
+
       //  HIGH PERFORMANCE: Split across multiple workers for large counts
       if (count >= 50 && !streaming) {
         // Use ALL available threads + create more chunks for better distribution
         const availableThreads = this.pool.threads.length;
         const optimalChunkSize = 25; // Maximum parallelism - very small chunks
-        const workerCount = Math.min(
+        // Pipelined streams run several generate() calls at once: never split
+        // into more tasks than the Piscina queue still accepts
+        const queueHeadroom = this.pool.options.maxQueue - this.pool.queueSize;
+        const workerCount = Math.max(1, Math.min(
           availableThreads * 5, // Allow 5x workers for maximum CPU saturation
-          Math.ceil(count / optimalChunkSize)
-        );
-        const chunkSize = Math.ceil(count / workerCount);
+          Math.ceil(count / optimalChunkSize),
+          queueHeadroom
+        ));
+        let chunkSize = Math.ceil(count / workerCount);
+        // Seeded jobs: align chunks to seed blocks so no worker replays records
+        if (seed !== null) {
+          chunkSize = Math.ceil(chunkSize / SEED_BLOCK_SIZE) * SEED_BLOCK_SIZE;
+        }
         const chunks = [];
 
         console.log(` [Pool] Splitting ${count} records across ${workerCount} chunks of ~${chunkSize} (${availableThreads} threads available)`);
 
         // Create chunks
         for (let i = 0; i < count; i += chunkSize) {
-          chunks.push(Math.min(chunkSize, count - i));
+          chunks.push({ count: Math.min(chunkSize, count - i), offset: offset + i });
         }
 
         // Execute ALL chunks in parallel across workers
         const results = await Promise.all(
-          chunks.map(chunkCount =>
+          chunks.map(chunk =>
             this.pool.run(
               {
                 schema,
-                count: chunkCount,
-                options: { streaming: false, randomMode, streamBufferSize },
+                count: chunk.count,
+                options: {
+                  streaming: false,
+                  randomMode,
+                  streamBufferSize,
+                  seed,
+                  offset: chunk.offset,
+                  outputFormat,
+                  refs: sharedRefs,
+                  locale,
+                  // Time-series stamps of this chunk's records
+                  timeline: timeline && timeline.slice(chunk.offset - offset, chunk.offset - offset + chunk.count),
+                  fuzz,
+                  repair,
+                  compile,
+                  schemaHash,
+                },
               },
               { signal: abortController.signal }
             )
@@ -144,6 +322,8 @@ class GeneratorPool {
 
         // Flatten results
         const allData = results.flatMap(r => r.data || []);
+        const fuzzLog = fuzz?.log ? results.flatMap(r => r.fuzzLog || []) : null;
+        const repairs = repair ? mergeRepairs(results.map(r => r.repair)) : null;
         const duration = Date.now() - startTime;
         const recordsPerSec = Math.round((allData.length / duration) * 1000);
 
@@ -155,10 +335,13 @@ class GeneratorPool {
 
         return {
           data: allData,
+          ...(fuzzLog && { fuzzLog }),
+          ...(repairs && { repair: repairs }),
           stats: {
             recordsGenerated: allData.length,
             duration,
             recordsPerSecond: recordsPerSec,
+            ...(seed !== null && { seed }),
           },
         };
       }
@@ -168,7 +351,21 @@ class GeneratorPool {
         {
           schema,
           count,
-          options: { streaming, randomMode, streamBufferSize },
+          options: {
+            streaming,
+            randomMode,
+            streamBufferSize,
+            seed,
+            offset,
+            outputFormat,
+            refs: sharedRefs,
+            locale,
+            timeline,
+            fuzz,
+            repair,
+            compile,
+            schemaHash,
+          },
         },
         { signal: abortController.signal }
       );
@@ -190,7 +387,7 @@ class GeneratorPool {
       throw new GenerationError(error.message, 'generation');
     } finally {
       // Cleanup job tracking
-      if (jobId) {
+      if (jobId && --job.tasks === 0) {
         this.activeJobs.delete(jobId);
       }
     }
@@ -245,7 +442,7 @@ class GeneratorPool {
   }
 
   /**
-   * Set abort signal in Redis
+   * Set abort signal in Redis and notify subscribed instances
    * @param {string} jobId - Job ID to signal
    */
   async setAbortSignal(jobId) {
@@ -254,6 +451,7 @@ class GeneratorPool {
     try {
       const key = `${config.redis.keyPrefix}stop:${jobId}`;
       await this.redisClient.set(key, 'true', { EX: config.redis.abortKeyTTL });
+      await this.redisClient.publish(this.stopChannel, jobId);
       console.log(` Abort signal set in Redis for job ${jobId}`);
     } catch (err) {
       console.error(`Failed to set abort signal for job ${jobId}:`, err.message);
@@ -289,6 +487,8 @@ class GeneratorPool {
       },
       redis: {
         connected: !!this.redisClient,
+        subscribed: !!this.redisSubscriber,
+        watchedJobs: this.watchedJobs.size,
       },
     };
   }
@@ -305,7 +505,17 @@ class GeneratorPool {
     // Destroy Piscina pool
     await this.pool.destroy();
 
+    clearInterval(this.stopPollTimer);
+
     // Disconnect Redis
+    if (this.redisSubscriber) {
+      try {
+        await this.redisSubscriber.quit();
+      } catch (err) {
+        console.error(' X Redis subscriber disconnect error:', err.message);
+      }
+    }
+
     if (this.redisClient) {
       try {
         await this.redisClient.quit();
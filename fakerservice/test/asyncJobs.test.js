@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Async jobs - result file and terminal states
+ */
+
+const { useApp } = require('./helpers');
+const path = require('path');
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { asyncJobService } = require('../src/services');
+
+const SCHEMA = {
+  type: 'object',
+  properties: { id: { type: 'integer' }, name: { type: 'string', maxLength: 8 } },
+  required: ['id', 'name'],
+};
+
+const context = useApp();
+
+/**
+ * Poll a job until it reaches a terminal state
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} Final job state
+ */
+async function waitForJob(jobId) {
+  for (;;) {
+    const { job } = (await context.app.inject({ method: 'GET', url: `/jobs/${jobId}` })).json();
+    if (['completed', 'failed', 'cancelled', 'interrupted'].includes(job.status)) return job;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('a job writes its records to the result file', { timeout: 30000 }, async () => {
+  const created = await context.post('/jobs', { schema: SCHEMA, count: 1200, chunkSize: 500, seed: 1 });
+  assert.strictEqual(created.statusCode, 202);
+
+  const job = await waitForJob(created.json().jobId);
+  assert.strictEqual(job.status, 'completed');
+
+  const result = await context.app.inject({ method: 'GET', url: `/jobs/${job.id}/result` });
+  const lines = result.body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  assert.strictEqual(lines.flatMap(line => line.data || []).length, 1200);
+  assert.strictEqual(lines.at(-1).done, true);
+});
+
+test('a result file that cannot be written fails the job', { timeout: 30000 }, async () => {
+  const missing = path.join(process.env.JOBS_DIR, 'missing', 'result.ndjson');
+  mock.method(asyncJobService.store, 'resultPath', () => missing);
+
+  try {
+    const created = await context.post('/jobs', { schema: SCHEMA, count: 20000, chunkSize: 500 });
+    const job = await waitForJob(created.json().jobId);
+
+    assert.strictEqual(job.status, 'failed');
+    assert.match(job.error, /ENOENT/);
+    assert.ok(job.progress.completed < 20000);
+  } finally {
+    mock.restoreAll();
+  }
+
+  // The service keeps running
+  const health = await context.app.inject({ method: 'GET', url: '/health' });
+  assert.strictEqual(health.statusCode, 200);
+});
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview BSON types - Extended JSON output round-trips through the bson package
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EJSON, ObjectId, Decimal128, Long, Binary, Timestamp } = require('bson');
+
+const context = useApp();
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    _id: { 'x-bson-type': 'objectId' },
+    createdAt: { type: 'string', format: 'bson-date' },
+    total: { 'x-bson-type': 'decimal' },
+    views: { 'x-bson-type': 'long' },
+    payload: { 'x-bson-type': 'binData' },
+    oplog: { 'x-bson-type': 'timestamp' },
+  },
+  required: ['_id', 'createdAt', 'total', 'views', 'payload', 'oplog'],
+};
+
+/**
+ * @param {string} outputFormat
+ * @returns {Promise<Array<Object>>} Seeded records
+ */
+async function generate(outputFormat) {
+  const { statusCode, body } = await context.generate({ schema: SCHEMA, count: 20, seed: 9, outputFormat });
+  assert.strictEqual(statusCode, 200, JSON.stringify(body));
+  return body.results;
+}
+
+test('canonical Extended JSON deserializes to BSON values and serializes back unchanged', async () => {
+  const plain = await generate('json');
+  const canonical = await generate('ejson-canonical');
+
+  canonical.forEach((record, i) => {
+    const value = EJSON.deserialize(record, { relaxed: false });
+    assert.ok(value._id instanceof ObjectId);
+    assert.strictEqual(value._id.toHexString(), plain[i]._id);
+    assert.ok(value.createdAt instanceof Date);
+    assert.strictEqual(value.createdAt.toISOString(), plain[i].createdAt);
+    assert.ok(value.total instanceof Decimal128);
+    assert.ok(value.views instanceof Long);
+    assert.ok(value.payload instanceof Binary);
+    assert.ok(value.oplog instanceof Timestamp);
+
+    assert.deepStrictEqual(EJSON.serialize(value, { relaxed: false }), record);
+  });
+});
+
+test('relaxed Extended JSON keeps dates readable', async () => {
+  const plain = await generate('json');
+  const relaxed = await generate('ejson-relaxed');
+
+  relaxed.forEach((record, i) => {
+    assert.deepStrictEqual(record._id, { $oid: plain[i]._id });
+    assert.deepStrictEqual(record.createdAt, { $date: plain[i].createdAt });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview POST /generate-changes - event order, seeded streams, ids of inserts, x-ref datasets
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const context = useApp();
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1, maximum: 100000, 'x-unique': true },
+    status: { type: 'string', enum: ['new', 'paid', 'shipped', 'cancelled'] },
+    amount: { type: 'integer', minimum: 1, maximum: 1000 },
+    note: { type: 'string', maxLength: 12 },
+  },
+  required: ['id', 'status', 'amount', 'note'],
+};
+
+const STREAM = { schema: SCHEMA, baseCount: 50, seed: 11, count: 400, chunkSize: 64 };
+
+/**
+ * @param {Object} payload - Request body
+ * @returns {Promise<Object>} { statusCode, lines, events }
+ */
+async function changes(payload) {
+  const response = await context.post('/generate-changes', payload);
+  const lines = response.statusCode === 200
+    ? response.body.split('\n').filter(Boolean).map(line => JSON.parse(line))
+    : [];
+  return { statusCode: response.statusCode, response, lines, events: lines.flatMap(line => line.data || []) };
+}
+
+test('events follow the live dataset: inserts add new keys, updates and deletes hit live ones', async () => {
+  const { statusCode, lines, events } = await changes(STREAM);
+
+  assert.strictEqual(statusCode, 200);
+  assert.strictEqual(events.length, 400);
+  assert.ok(lines.at(-1).done);
+
+  const live = new Map();
+  let ts = 0;
+  for (const [i, event] of events.entries()) {
+    assert.strictEqual(event.seq, i + 1);
+    assert.ok(Date.parse(event.ts) >= ts);
+    ts = Date.parse(event.ts);
+
+    if (event.op === 'insert') {
+      assert.ok(!live.has(event.key), `insert of live key ${event.key}`);
+      assert.strictEqual(event.version, 1);
+      assert.strictEqual(event.before, null);
+      live.set(event.key, event);
+      continue;
+    }
+    // Keys of the regenerated dataset show up with their first update / delete
+    const previous = live.get(event.key);
+    if (previous) {
+      assert.strictEqual(event.version, previous.version + 1);
+      assert.deepStrictEqual(event.before, previous.after);
+    }
+    if (event.op === 'update') {
+      assert.strictEqual(event.after.id, event.key);
+      live.set(event.key, event);
+    } else {
+      assert.strictEqual(event.after, null);
+      live.delete(event.key);
+    }
+  }
+  const ops = new Set(events.map(event => event.op));
+  assert.deepStrictEqual([...ops].sort(), ['delete', 'insert', 'update']);
+});
+
+test('a seeded stream is the same whatever the chunk size', async () => {
+  const { events } = await changes(STREAM);
+  const again = await changes(STREAM);
+  const rechunked = await changes({ ...STREAM, chunkSize: 500 });
+
+  assert.deepStrictEqual(again.events, events);
+  assert.deepStrictEqual(rechunked.events, events);
+  assert.strictEqual(rechunked.lines.filter(line => line.data).length, 1);
+});
+
+test('taken string ids of inserts are drawn again from the id schema', async () => {
+  const schema = {
+    type: 'object',
+    properties: { code: { type: 'string', pattern: '^K[0-9]{2}$' }, label: { type: 'string', maxLength: 5 } },
+    required: ['code', 'label'],
+  };
+  const dataset = Array.from({ length: 50 }, (_, i) => ({ code: `K${String(i).padStart(2, '0')}`, label: 'x' }));
+  const { statusCode, events } = await changes({
+    schema,
+    dataset,
+    idField: 'code',
+    operations: { insert: 1 },
+    count: 20,
+    seed: 3,
+  });
+
+  assert.strictEqual(statusCode, 200);
+  const keys = events.map(event => event.key);
+  assert.strictEqual(new Set([...dataset.map(record => record.code), ...keys]).size, 70);
+  for (const key of keys) {
+    assert.match(key, /^K[0-9]{2}$/);
+  }
+});
+
+test('a baseCount dataset with x-ref fields matches the one /generate gave', async () => {
+  const users = {
+    collection: 'users',
+    schema: { type: 'object', properties: { id: { type: 'string', format: 'uuid' } }, required: ['id'] },
+    count: 30,
+  };
+  const orders = {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1, maximum: 100000, 'x-unique': true },
+      userId: { type: 'string', 'x-ref': { collection: 'users', field: 'id' } },
+    },
+    required: ['id', 'userId'],
+  };
+  const generated = await context.generate({ schemas: [{ collection: 'orders', schema: orders, count: 20 }, users], seed: 5 });
+  const [userRecords, orderRecords] = generated.body.results;
+  const byId = new Map(orderRecords.data.map(record => [record.id, record]));
+  const userIds = new Set(userRecords.data.map(user => user.id));
+
+  const { statusCode, events } = await changes({
+    schema: orders,
+    references: [users],
+    baseCount: 20,
+    seed: 5,
+    count: 100,
+    operations: { insert: 1, delete: 1 },
+  });
+
+  assert.strictEqual(statusCode, 200);
+  const deletes = events.filter(event => event.op === 'delete' && byId.has(event.key));
+  assert.ok(deletes.length > 0);
+  for (const event of deletes) {
+    assert.deepStrictEqual(event.before, byId.get(event.key));
+  }
+  for (const event of events.filter(event => event.op === 'insert')) {
+    assert.ok(userIds.has(event.after.userId), event.after.userId);
+  }
+
+  const missing = await changes({ schema: orders, baseCount: 20, seed: 5, count: 10 });
+  assert.strictEqual(missing.statusCode, 400);
+});
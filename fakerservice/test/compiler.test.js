@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Compiled schemas - seeded records equal on the main thread and in the worker pool
+ */
+
+process.env.REDIS_ENABLED = 'false';
+process.env.COMPILE_SCHEMAS = 'true';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { GeneratorPool } = require('../src/workers');
+const generatorService = require('../src/services/generatorService');
+const schemaService = require('../src/services/schemaService');
+
+const SCHEMAS = {
+  benchmark: generatorService.BENCHMARK_SCHEMA,
+  // Decimal multipleOf and pattern repetitions: jsf fallback drawing from Math.random
+  fallback: {
+    type: 'object',
+    properties: {
+      n: { type: 'number', multipleOf: 0.01, minimum: 0, maximum: 1 },
+      code: { type: 'string', pattern: '^[a-z]{2,8}-[0-9]+$' },
+      any: {},
+    },
+    required: ['n', 'code', 'any'],
+  },
+};
+
+const pool = new GeneratorPool({ minThreads: 1, maxThreads: 2 });
+
+after(() => pool.shutdown());
+
+for (const [name, schema] of Object.entries(SCHEMAS)) {
+  test(`${name} schema: compiled records are seeded the same inline and in the pool`, async () => {
+    const count = config.generation.workerThreshold;
+    assert.ok(config.generation.compileSchemas);
+
+    for (const seed of [1, 42]) {
+      const inline = await generatorService.generateBatch(schema, count, { seed });
+      const again = await generatorService.generateBatch(schema, count, { seed });
+      const pooled = await pool.generate(schemaService.prepareSchema(schema), count, { seed });
+
+      assert.deepStrictEqual(again.data, inline.data, `seed ${seed}, inline`);
+      assert.deepStrictEqual(pooled.data, inline.data, `seed ${seed}, pool`);
+    }
+  });
+}
+
+test('seeded generation leaves Math.random unseeded', async () => {
+  const random = Math.random;
+  await generatorService.generateBatch(SCHEMAS.fallback, 10, { seed: 1 });
+  assert.strictEqual(Math.random, random);
+});
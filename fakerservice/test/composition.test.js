@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Composition keywords - generated records validate against the schema
+ */
+
+process.env.REDIS_ENABLED = 'false';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { GeneratorPool } = require('../src/workers');
+const generatorService = require('../src/services/generatorService');
+const schemaService = require('../src/services/schemaService');
+
+const SCHEMAS = {
+  allOf: {
+    allOf: [
+      { type: 'object', properties: { id: { type: 'integer', minimum: 1 } }, required: ['id'] },
+      { properties: { id: { maximum: 10 }, name: { type: 'string', minLength: 2 } }, required: ['name'] },
+    ],
+  },
+  oneOf: {
+    type: 'object',
+    properties: { kind: { type: 'string' } },
+    oneOf: [
+      { properties: { kind: { const: 'a' }, a: { type: 'integer' } }, required: ['kind', 'a'] },
+      { properties: { kind: { const: 'b' }, b: { type: 'boolean' } }, required: ['kind', 'b'] },
+    ],
+    'x-weights': [3, 1],
+  },
+  anyOf: {
+    type: 'object',
+    properties: { value: { anyOf: [{ type: 'string', format: 'email' }, { type: 'integer', maximum: 0 }] } },
+    required: ['value'],
+  },
+  ifThenElse: {
+    type: 'object',
+    properties: { country: { enum: ['VN', 'US'] } },
+    required: ['country'],
+    if: { properties: { country: { const: 'VN' } } },
+    then: { properties: { zip: { type: 'string', pattern: '^[0-9]{6}$' } }, required: ['zip'] },
+    else: { properties: { zip: { type: 'string', pattern: '^[0-9]{5}$' } }, required: ['zip'] },
+  },
+  dependentSchemas: {
+    type: 'object',
+    properties: { kind: { enum: ['a', 'b'] }, y: { type: 'string' } },
+    required: ['kind'],
+    dependentSchemas: {
+      y: { properties: { w: { type: 'integer' } }, required: ['w'] },
+      w: { properties: { v: { type: 'boolean' } }, required: ['v'] },
+    },
+  },
+  dependentRequired: {
+    type: 'object',
+    properties: { card: { type: 'string' }, billing: { type: 'string' }, cvv: { type: 'integer' } },
+    dependentRequired: { card: ['billing', 'cvv'] },
+  },
+  dependencies: {
+    type: 'object',
+    properties: { a: { type: 'string' }, b: { type: 'integer' } },
+    dependencies: {
+      a: { properties: { c: { oneOf: [{ type: 'boolean' }, { type: 'null' }] } }, required: ['c'] },
+      c: ['b'],
+    },
+  },
+};
+
+const pool = new GeneratorPool({ minThreads: 1, maxThreads: 2 });
+
+after(() => pool.shutdown());
+
+/**
+ * @param {Object} schema - Source schema
+ * @param {Array<Object>} records
+ */
+function assertValid(schema, records) {
+  for (const record of records) {
+    const { valid, errors } = schemaService.validateData(record, schema);
+    assert.ok(valid, `${JSON.stringify(record)}: ${JSON.stringify(errors)}`);
+  }
+}
+
+for (const [name, schema] of Object.entries(SCHEMAS)) {
+  test(`${name}: every generated record validates`, async () => {
+    const inline = await generatorService.generateBatch(schema, 100, { seed: 7 });
+    assert.strictEqual(inline.data.length, 100);
+    assertValid(schema, inline.data);
+
+    const pooled = await pool.generate(schemaService.prepareSchema(schema), config.generation.workerThreshold, {});
+    assert.strictEqual(pooled.data.length, config.generation.workerThreshold);
+    assertValid(schema, pooled.data);
+  });
+}
+
+test('dependentSchemas are validated', () => {
+  const schema = SCHEMAS.dependentSchemas;
+
+  assert.ok(!schemaService.validateData({ kind: 'b', y: 'dolor' }, schema).valid);
+  assert.ok(!schemaService.validateData({ kind: 'b', y: 'dolor', w: 1 }, schema).valid);
+  assert.ok(schemaService.validateData({ kind: 'b', y: 'dolor', w: 1, v: true }, schema).valid);
+  assert.ok(!schemaService.validateData({ card: 'x' }, SCHEMAS.dependentRequired).valid);
+});
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview x-derive - string functions stay bounded
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { applyDerivations } = require('../src/generation');
+
+/**
+ * @param {string} expression - x-derive expression
+ * @returns {*} Derived value of field `out` of { s: 'ab' }
+ */
+function derive(expression) {
+  const schema = {
+    type: 'object',
+    properties: { s: { type: 'string' }, out: { type: 'string', 'x-derive': expression } },
+  };
+  return applyDerivations({ s: 'ab' }, schema, { random: Math.random, refDate: new Date() }).out;
+}
+
+test('padStart and replace keep their usual results', () => {
+  assert.strictEqual(derive("padStart(s, 5, '0')"), '000ab');
+  assert.strictEqual(derive("replace(s, 'b', 'cd')"), 'acd');
+  assert.strictEqual(derive("replace(s, '', '-')"), 'a-b');
+});
+
+test('padStart and replace are capped at 10000 characters', () => {
+  assert.strictEqual(derive("padStart('', 1000000000)").length, 10000);
+  assert.strictEqual(derive("padStart(s, 1e300, 'x')").length, 10000);
+
+  // Each replace multiplies the length: 10 nested calls would reach GBs
+  const nested = Array.from({ length: 10 }).reduce(inner => `replace(${inner}, '', 'xxxxxxxxxx')`, "padStart('', 9999)");
+  assert.strictEqual(derive(nested).length, 10000);
+});
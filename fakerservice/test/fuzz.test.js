@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Fuzz options - huge strings and the mutation log are bounded per request
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolveFuzz, applyFuzz } = require('../src/generation');
+
+const BOUNDARY = { mutators: { boundary: 1 } };
+
+test('huge strings are capped against the records of the request', () => {
+  assert.strictEqual(resolveFuzz(BOUNDARY, 1, 10000).hugeStringLength, 10000);
+  assert.throws(() => resolveFuzz(BOUNDARY, 1, 20000), /hugeStringLength <= 5000 for 20000 records/);
+  assert.throws(() => resolveFuzz({ ...BOUNDARY, hugeStringLength: 1000000 }, 1, 101), /at most 100000000/);
+  // Without boundary values no huge string is drawn
+  assert.doesNotThrow(() => resolveFuzz({ hugeStringLength: 1000000 }, 1, 1000000));
+});
+
+test('the log is off by default for large requests and limited when asked for', () => {
+  assert.strictEqual(resolveFuzz({}, 1, 10000).log, true);
+  assert.strictEqual(resolveFuzz({}, 1, 10001).log, false);
+  assert.strictEqual(resolveFuzz({ log: false }, 1, 10).log, false);
+  assert.throws(() => resolveFuzz({ log: true }, 1, 10001), /limited to 10000 records/);
+});
+
+test('limits leave the mutations of a record unchanged', () => {
+  const records = () => Array.from({ length: 20 }, (_, i) => ({ id: i, name: `n${i}`, tags: ['a', 'b'] }));
+  const small = records();
+  const large = records();
+  applyFuzz(small, resolveFuzz({ ...BOUNDARY, depth: 2 }, 7, 20), 0);
+  applyFuzz(large, resolveFuzz({ ...BOUNDARY, depth: 2 }, 7, 9000), 0);
+
+  assert.deepStrictEqual(large, small);
+});
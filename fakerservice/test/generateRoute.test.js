@@ -0,0 +1,113 @@
+/**
+ * @fileoverview POST /generate - results of the worker pool with `streaming`
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { schemaService } = require('../src/services');
+
+const context = useApp();
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', minimum: 1, maximum: 9 },
+    name: { type: 'string', maxLength: 8 },
+  },
+  required: ['id', 'name'],
+};
+
+// Pool path (count >= workerThreshold), several chunks
+const STREAMED = { count: 600, streaming: true, batchSize: 100, seed: 3 };
+
+test('invalidRatio splits the records of every chunk', async () => {
+  const { statusCode, body } = await context.generate({ schema: SCHEMA, ...STREAMED, invalidRatio: 0.1 });
+
+  assert.strictEqual(statusCode, 200);
+  assert.strictEqual(body.results.length, 540);
+  assert.strictEqual(body.invalid.length, 60);
+  for (const record of body.results) {
+    assert.ok(schemaService.validateData(record, SCHEMA).valid);
+  }
+  for (const { record } of body.invalid) {
+    assert.ok(!schemaService.validateData(record, SCHEMA).valid);
+  }
+});
+
+test('invalidRatio moves x-tree leaves only and keeps their id / parent', async () => {
+  const schema = {
+    type: 'object',
+    'x-tree': { idField: 'id', parentField: 'parentId', depth: 3, branching: 3 },
+    properties: {
+      id: { type: 'integer' },
+      parentId: { type: ['integer', 'null'] },
+      name: { type: 'string', maxLength: 8 },
+    },
+    required: ['id', 'parentId', 'name'],
+  };
+  const { statusCode, body } = await context.generate({ schema, ...STREAMED, invalidRatio: 0.5 });
+
+  assert.strictEqual(statusCode, 200);
+  assert.strictEqual(body.results.length + body.invalid.length, 600);
+  // Leaves are 9 of the 13 records of each tree
+  assert.ok(body.invalid.length > 200, String(body.invalid.length));
+  const ids = new Set(body.results.map(record => record.id));
+  for (const record of body.results) {
+    assert.ok(record.parentId === null || ids.has(record.parentId), `orphan ${record.id}`);
+  }
+  for (const { index, record, violation } of body.invalid) {
+    assert.strictEqual(record.id, index + 1);
+    assert.ok(!['/id', '/parentId'].includes(violation.path) && violation.property !== 'id' &&
+      violation.property !== 'parentId', JSON.stringify(violation));
+  }
+});
+
+test('tabular formats write the rows of every chunk', async () => {
+  for (const format of ['csv', 'tsv', 'sql']) {
+    const response = await context.post('/generate', {
+      schema: SCHEMA,
+      ...STREAMED,
+      format,
+      formatOptions: { sqlBatchSize: 1000 },
+    });
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.headers['x-total-records'], '600');
+    const lines = response.body.split(/\r?\n/).filter(Boolean);
+    // Header + one line per record (sql: INSERT line + one VALUES line per record)
+    assert.strictEqual(lines.length, 601, format);
+  }
+});
+
+test('x-ref values are collected from every chunk and shared with the workers', async () => {
+  const { statusCode, body } = await context.generate({
+    schemas: [
+      {
+        collection: 'orders',
+        schema: {
+          type: 'object',
+          properties: { userId: { type: 'string', 'x-ref': { collection: 'users', field: 'id' } } },
+          required: ['userId'],
+        },
+        count: 400,
+      },
+      {
+        collection: 'users',
+        schema: { type: 'object', properties: { id: { type: 'string', format: 'uuid' } }, required: ['id'] },
+        count: 600,
+      },
+    ],
+    ...STREAMED,
+  });
+
+  assert.strictEqual(statusCode, 200);
+  const [users, orders] = body.results;
+  assert.strictEqual(users.collection, 'users');
+  assert.strictEqual(users.data.length, 600);
+  assert.strictEqual(orders.data.length, 400);
+  const ids = new Set(users.data.map(user => user.id));
+  for (const order of orders.data) {
+    assert.ok(ids.has(order.userId), order.userId);
+  }
+});
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Shared fixture of the route tests - require before src/
+ *
+ * Configures a standalone instance (no Redis, no API key, quiet logs, job
+ * store in a temp directory) and builds the app once per test file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.REDIS_ENABLED = 'false';
+process.env.FAKER_SECURITY_ENABLED = 'false';
+process.env.NODE_ENV = 'production';
+process.env.LOG_LEVEL = 'fatal';
+process.env.JOBS_DIR = path.join(os.tmpdir(), `fakerservice-test-${process.pid}`);
+
+const { before, after } = require('node:test');
+
+/**
+ * Build the app before the tests of the file, close it after
+ * @returns {Object} { app (set once built), post(url, payload), generate(payload) }
+ */
+function useApp() {
+  const context = {
+    app: null,
+    post: (url, payload) => context.app.inject({ method: 'POST', url, payload }),
+    // POST /generate, JSON body parsed
+    async generate(payload) {
+      const response = await context.post('/generate', payload);
+      return { statusCode: response.statusCode, body: response.json() };
+    },
+  };
+
+  before(async () => {
+    const buildApp = require('../src/app');
+    context.app = await buildApp();
+  });
+
+  after(async () => {
+    await context.app.close();
+    await fs.promises.rm(process.env.JOBS_DIR, { recursive: true, force: true });
+  });
+
+  return context;
+}
+
+module.exports = {
+  useApp,
+};
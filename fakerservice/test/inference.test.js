@@ -0,0 +1,59 @@
+/**
+ * @fileoverview POST /infer-schema - schemas inferred from documents, JSON or NDJSON
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { schemaService } = require('../src/services');
+
+const context = useApp();
+
+// Extended JSON export with a nullable and an optional field
+const DOCUMENTS = Array.from({ length: 6 }, (_, i) => ({
+  _id: { $oid: `65a1f0c2e4b0a1b2c3d4e5f${i}` },
+  email: `user${i}@example.com`,
+  status: i % 2 ? 'active' : 'banned',
+  age: 20 + i,
+  score: i + 0.5,
+  createdAt: { $date: `2024-01-0${i + 1}T00:00:00Z` },
+  nickname: i % 3 ? null : `n${i}`,
+  ...(i < 3 && { note: 'optional' }),
+}));
+
+test('types, formats, enums, nullables and required fields are inferred', async () => {
+  const response = await context.post('/infer-schema', DOCUMENTS);
+  assert.strictEqual(response.statusCode, 200);
+  const { schema } = response.json();
+  const { properties } = schema;
+
+  assert.deepStrictEqual(properties._id, { 'x-bson-type': 'objectId' });
+  assert.deepStrictEqual(properties.createdAt, { 'x-bson-type': 'date' });
+  assert.deepStrictEqual(properties.email, { type: 'string', format: 'email' });
+  assert.deepStrictEqual(properties.status, { type: 'string', enum: ['active', 'banned'] });
+  assert.deepStrictEqual(properties.age, { type: 'integer', minimum: 20, maximum: 25 });
+  assert.deepStrictEqual(properties.score, { type: 'number', minimum: 0.5, maximum: 5.5 });
+  assert.deepStrictEqual(properties.nickname.anyOf.at(-1), { type: 'null' });
+  assert.ok(!schema.required.includes('note'));
+  assert.strictEqual(schema.required.length, 7);
+
+  // The inferred schema generates right away
+  const generated = await context.generate({ schema, count: 20, seed: 1 });
+  assert.strictEqual(generated.statusCode, 200);
+  for (const record of generated.body.results) {
+    assert.ok(schemaService.validateData(record, schema).valid, JSON.stringify(record));
+  }
+});
+
+test('an NDJSON upload infers the same schema', async () => {
+  const json = (await context.post('/infer-schema', DOCUMENTS)).json().schema;
+  const response = await context.app.inject({
+    method: 'POST',
+    url: '/infer-schema',
+    headers: { 'content-type': 'application/x-ndjson' },
+    payload: DOCUMENTS.map(document => JSON.stringify(document)).join('\n'),
+  });
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.deepStrictEqual(response.json().schema, json);
+});
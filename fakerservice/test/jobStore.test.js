@@ -0,0 +1,57 @@
+/**
+ * @fileoverview FileJobStore - persistence and job ID containment
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileJobStore } = require('../src/services/jobStore');
+const { JobNotFoundError } = require('../src/errors');
+const { generateId, GENERATED_ID_PATTERN } = require('../src/utils');
+
+async function createStore(t) {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jobstore-'));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const store = new FileJobStore(path.join(root, 'jobs'));
+  await store.init();
+  return { root, store };
+}
+
+test('saves, lists and deletes job state', async (t) => {
+  const { store } = await createStore(t);
+  const job = { id: generateId(), status: 'running', count: 10 };
+
+  await store.save(job);
+  assert.deepStrictEqual(await store.get(job.id), job);
+  assert.deepStrictEqual(await store.list(), [job]);
+
+  await store.delete(job.id);
+  assert.strictEqual(await store.get(job.id), null);
+  assert.deepStrictEqual(await store.list(), []);
+});
+
+test('rejects job IDs that resolve outside the store directory', async (t) => {
+  const { root, store } = await createStore(t);
+  await fs.promises.writeFile(path.join(root, 'secret.json'), '{"secret":true}');
+  await fs.promises.writeFile(path.join(root, 'secret.ndjson'), '{}\n');
+
+  for (const jobId of ['../secret', 'nested/../../secret', '/etc/passwd', 'sub/job']) {
+    assert.throws(() => store.resultPath(jobId), JobNotFoundError);
+    await assert.rejects(store.get(jobId), JobNotFoundError);
+    await assert.rejects(store.delete(jobId), JobNotFoundError);
+  }
+  assert.ok(fs.existsSync(path.join(root, 'secret.json')));
+  assert.strictEqual(path.dirname(store.resultPath('123-abc')), path.resolve(store.dir));
+});
+
+test('route ID pattern matches generated IDs only', () => {
+  const pattern = new RegExp(GENERATED_ID_PATTERN);
+  for (let i = 0; i < 100; i++) {
+    assert.match(generateId(), pattern);
+  }
+  for (const jobId of ['../secret', '..%2Fsecret', '123-abc/../x', '123-ABC', '']) {
+    assert.doesNotMatch(jobId, pattern);
+  }
+});
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Request locales - concurrent main-thread requests keep their own locale
+ */
+
+process.env.REDIS_ENABLED = 'false';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const generatorService = require('../src/services/generatorService');
+
+// faker keyword: generated by jsf, not by a compiled generator
+const SCHEMA = {
+  type: 'object',
+  properties: { name: { type: 'string', faker: 'person.lastName' } },
+  required: ['name'],
+};
+
+test('concurrent requests in different locales do not switch each other\'s locale', async () => {
+  const [english, japanese] = await Promise.all(['en', 'ja'].map(locale => generatorService.generateBatch(SCHEMA, 100, { locale })));
+
+  for (const { name } of english.data) {
+    assert.match(name, /^[A-Za-z' -]+$/);
+  }
+  for (const { name } of japanese.data) {
+    assert.doesNotMatch(name, /[A-Za-z]/);
+  }
+});
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview OpenAPI import - discriminator values of polymorphic components
+ */
+
+process.env.REDIS_ENABLED = 'false';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { fromOpenApi } = require('../src/services/openApiImport');
+const generatorService = require('../src/services/generatorService');
+
+const DOCUMENT = {
+  openapi: '3.0.3',
+  info: { title: 'pets', version: '1' },
+  paths: {},
+  components: {
+    schemas: {
+      // Implicit subtypes: components extending Pet through allOf
+      Pet: {
+        type: 'object',
+        required: ['kind', 'name'],
+        discriminator: { propertyName: 'kind' },
+        properties: { kind: { type: 'string' }, name: { type: 'string', maxLength: 10 } },
+      },
+      Dog: { allOf: [{ $ref: '#/components/schemas/Pet' }, { properties: { bark: { type: 'boolean' } } }] },
+      Cat: { allOf: [{ $ref: '#/components/schemas/Pet' }, { properties: { lives: { type: 'integer' } } }] },
+      // Mapped subtypes
+      Shape: {
+        type: 'object',
+        required: ['type'],
+        discriminator: { propertyName: 'type', mapping: { round: 'Circle', '4-sided': '#/components/schemas/Square' } },
+        properties: { type: { type: 'string' } },
+      },
+      Circle: { allOf: [{ $ref: '#/components/schemas/Shape' }, { properties: { r: { type: 'number' } } }] },
+      Square: { allOf: [{ $ref: '#/components/schemas/Shape' }, { properties: { side: { type: 'number' } } }] },
+    },
+  },
+};
+
+/**
+ * @param {string} component - Component name
+ * @returns {Promise<Array<Object>>} Seeded records of the component
+ */
+async function generate(component) {
+  const { data } = await generatorService.generateBatch(fromOpenApi(DOCUMENT, { component }), 20, { seed: 5 });
+  return data;
+}
+
+test('a requested subtype carries its own discriminator value', async () => {
+  for (const [component, property, value] of [
+    ['Dog', 'kind', 'Dog'],
+    ['Cat', 'kind', 'Cat'],
+    ['Circle', 'type', 'round'],
+    ['Square', 'type', '4-sided'],
+  ]) {
+    const records = await generate(component);
+    assert.deepStrictEqual([...new Set(records.map(record => record[property]))], [value], component);
+  }
+});
+
+test('a requested base schema generates its subtypes', async () => {
+  const records = await generate('Pet');
+
+  assert.deepStrictEqual([...new Set(records.map(record => record.kind))].sort(), ['Cat', 'Dog']);
+  for (const record of records) {
+    assert.ok(record.kind === 'Dog' ? 'bark' in record : 'lives' in record, JSON.stringify(record));
+  }
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview $ref resolution - $defs, anchors and schemaBundle documents inlined before generation
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const context = useApp();
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+test('refs into other bundle documents, $defs and anchors are inlined', async () => {
+  const { statusCode, body } = await context.generate({
+    schema: { $ref: 'user.json' },
+    schemaBundle: {
+      'user.json': {
+        type: 'object',
+        required: ['id', 'address', 'role'],
+        properties: {
+          id: { $ref: 'common.json#/$defs/id' },
+          address: { $ref: 'https://example.com/address.json', required: ['street'] },
+          role: { $ref: 'common.json#role' },
+        },
+      },
+      'common.json': {
+        $defs: {
+          id: { type: 'string', format: 'uuid' },
+          role: { $anchor: 'role', enum: ['admin', 'member'] },
+        },
+      },
+      'https://example.com/address.json': {
+        type: 'object',
+        properties: { street: { type: 'string', minLength: 1 } },
+      },
+    },
+    count: 20,
+    seed: 3,
+  });
+
+  assert.strictEqual(statusCode, 200);
+  assert.strictEqual(body.results.length, 20);
+  for (const record of body.results) {
+    assert.match(record.id, UUID);
+    assert.ok(['admin', 'member'].includes(record.role), record.role);
+    // Sibling required merged into the referenced schema
+    assert.strictEqual(typeof record.address.street, 'string');
+  }
+});
+
+test('recursive refs are inlined to a bounded depth', async () => {
+  const { statusCode, body } = await context.generate({
+    schema: {
+      $defs: {
+        node: {
+          type: 'object',
+          required: ['value', 'children'],
+          properties: {
+            value: { type: 'integer' },
+            children: { type: 'array', minItems: 1, maxItems: 2, items: { $ref: '#/$defs/node' } },
+          },
+        },
+      },
+      $ref: '#/$defs/node',
+    },
+    count: 5,
+    seed: 1,
+  });
+
+  /**
+   * @param {Object} node - Generated tree node
+   * @returns {number} Depth of the tree
+   */
+  const depth = node => 1 + Math.max(0, ...(node.children || []).map(depth));
+
+  assert.strictEqual(statusCode, 200);
+  for (const record of body.results) {
+    assert.ok(depth(record) <= 4, JSON.stringify(record));
+  }
+});
+
+test('unresolved refs are listed with their location', async () => {
+  const { statusCode, body } = await context.generate({
+    schema: {
+      type: 'object',
+      properties: { a: { $ref: '#/$defs/missing' }, b: { $ref: 'other.json' } },
+    },
+    count: 1,
+  });
+
+  assert.strictEqual(statusCode, 400);
+  assert.strictEqual(body.error.code, 'VALIDATION_ERROR');
+  assert.deepStrictEqual(body.error.details, [
+    { message: 'Cannot resolve "#/$defs/missing"', path: '/properties/a' },
+    { message: 'Cannot resolve "other.json"', path: '/properties/b' },
+  ]);
+});
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Record repair - records jsf generates outside the schema are fixed in place
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const schemaService = require('../src/services/schemaService');
+
+const context = useApp();
+
+// Decimal multipleOf: jsf gives values such as 878.06 that fail the float check of the validator
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    price: { type: 'number', multipleOf: 0.01, minimum: 0, maximum: 1000 },
+    code: { type: 'string', pattern: '^[A-Z]{3}-[0-9]{4}$' },
+    tags: { type: 'array', items: { enum: ['a', 'b', 'c'] }, minItems: 2, maxItems: 3, uniqueItems: true },
+  },
+  required: ['price', 'code', 'tags'],
+};
+
+/**
+ * @param {Array<Object>} records
+ * @returns {Array<Object>} Records failing SCHEMA
+ */
+function invalidRecords(records) {
+  return records.filter(record => !schemaService.validateData(record, SCHEMA).valid);
+}
+
+test('repaired records validate and are counted in the stats', async () => {
+  // Below and above the worker threshold
+  for (const count of [200, 1000]) {
+    const plain = await context.generate({ schema: SCHEMA, count, seed: 1 });
+    const repaired = await context.generate({ schema: SCHEMA, count, seed: 1, repair: true });
+    const broken = invalidRecords(plain.body.results).length;
+
+    assert.strictEqual(repaired.statusCode, 200);
+    assert.ok(broken > 0, `count ${count}: nothing to repair`);
+    assert.deepStrictEqual(invalidRecords(repaired.body.results), [], `count ${count}`);
+    assert.strictEqual(repaired.body.stats.repairedRecords, broken, `count ${count}`);
+    assert.strictEqual(repaired.body.stats.unrepairedRecords, 0, `count ${count}`);
+  }
+});
+
+test('records with contradictory constraints are reported as unrepaired', async () => {
+  const { statusCode, body } = await context.generate({
+    schema: {
+      type: 'object',
+      properties: { s: { type: 'string', pattern: '^a$', minLength: 3 } },
+      required: ['s'],
+    },
+    count: 5,
+    repair: true,
+  });
+
+  assert.strictEqual(statusCode, 200);
+  assert.strictEqual(body.stats.repairedRecords, 0);
+  assert.strictEqual(body.stats.unrepairedRecords, 5);
+});
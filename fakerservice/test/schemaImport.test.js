@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Schema import - Mongoose definitions and MongoDB $jsonSchema validators
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { schemaImportService } = require('../src/services');
+const { ValidationError } = require('../src/errors');
+
+const context = useApp();
+
+const MONGOOSE = {
+  name: { type: 'String', required: true, maxlength: 50 },
+  role: { type: 'String', enum: ['admin', 'user'] },
+  owner: { type: 'Schema.Types.ObjectId', ref: 'User' },
+  code: { type: 'String', match: '/^ab-[0-9]+$/i' },
+  tags: ['String'],
+  address: { city: { type: 'String', required: [true, 'city is required'] } },
+  items: [{ sku: 'String', qty: 'Int32' }],
+};
+
+test('a Mongoose definition converts to JSON Schema with an implicit _id', () => {
+  const schema = schemaImportService.fromMongoose(MONGOOSE);
+
+  assert.deepStrictEqual(schema.properties._id, { 'x-bson-type': 'objectId' });
+  assert.deepStrictEqual(schema.properties.name, { type: 'string', maxLength: 50 });
+  assert.deepStrictEqual(schema.properties.role, { type: 'string', enum: ['admin', 'user'] });
+  assert.deepStrictEqual(schema.properties.owner, { 'x-bson-type': 'objectId' });
+  assert.deepStrictEqual(schema.properties.tags, { type: 'array', items: { type: 'string' } });
+  assert.deepStrictEqual(schema.properties.address.required, ['city']);
+  assert.deepStrictEqual(schema.properties.items.items.properties.qty, { type: 'integer' });
+  assert.deepStrictEqual(schema.required, ['_id', 'name', 'address']);
+  // Flags are dropped: values of the stricter pattern still match /^ab-[0-9]+$/i
+  assert.strictEqual(schema.properties.code.pattern, '^ab-[0-9]+$');
+});
+
+test('a $jsonSchema validator converts bsonType to types and x-bson-type', () => {
+  const schema = schemaImportService.fromMongoJsonSchema({
+    validator: {
+      $jsonSchema: {
+        bsonType: 'object',
+        required: ['_id', 'qty'],
+        properties: {
+          _id: { bsonType: 'objectId' },
+          qty: { bsonType: 'int', minimum: 0 },
+          price: { bsonType: ['decimal', 'null'] },
+          active: { bsonType: 'bool' },
+        },
+      },
+    },
+  });
+
+  assert.strictEqual(schema.type, 'object');
+  assert.deepStrictEqual(schema.required, ['_id', 'qty']);
+  assert.deepStrictEqual(schema.properties._id, { 'x-bson-type': 'objectId' });
+  assert.deepStrictEqual(schema.properties.qty, { type: 'integer', minimum: 0 });
+  assert.deepStrictEqual(schema.properties.price, { anyOf: [{ 'x-bson-type': 'decimal' }, { type: 'null' }] });
+  assert.deepStrictEqual(schema.properties.active, { type: 'boolean' });
+
+  assert.throws(
+    () => schemaImportService.fromMongoJsonSchema({ bsonType: 'object', properties: { re: { bsonType: 'regex' } } }),
+    ValidationError
+  );
+});
+
+test('/generate generates records of a Mongoose schema', async () => {
+  const { statusCode, body } = await context.generate({ schema: MONGOOSE, schemaFormat: 'mongoose', count: 10, seed: 2 });
+
+  assert.strictEqual(statusCode, 200);
+  for (const record of body.results) {
+    assert.match(record._id, /^[0-9a-f]{24}$/);
+    assert.ok(record.name.length <= 50);
+    assert.strictEqual(typeof record.address.city, 'string');
+    if ('code' in record) assert.match(record.code, /^ab-[0-9]+$/i);
+  }
+});
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Seeded generation - main thread and worker pool give the same records
+ */
+
+process.env.REDIS_ENABLED = 'false';
+// jsf generates every node (compiled schemas are tested on their own)
+process.env.COMPILE_SCHEMAS = 'false';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const config = require('../src/config');
+const { GeneratorPool } = require('../src/workers');
+const generatorService = require('../src/services/generatorService');
+const schemaService = require('../src/services/schemaService');
+const { normalizeSeed } = require('../src/generation');
+
+const SCHEMAS = {
+  integer: {
+    type: 'object',
+    properties: { i: { type: 'integer' } },
+  },
+  benchmark: generatorService.BENCHMARK_SCHEMA,
+  // Nodes the compiler leaves to jsf: pattern, faker, free-form objects, uniqueItems
+  fallback: {
+    type: 'object',
+    properties: {
+      code: { type: 'string', pattern: '^[A-Z]{3}-[0-9]{4}$' },
+      name: { type: 'string', faker: 'person.firstName' },
+      kind: { enum: ['a', 'b', 'c'] },
+      meta: { type: 'object' },
+      nested: {
+        type: 'object',
+        properties: {
+          n: { type: 'number', minimum: 0, maximum: 5 },
+          emails: { type: 'array', items: { type: 'string', format: 'email' }, uniqueItems: true, maxItems: 3 },
+        },
+      },
+    },
+    required: ['code'],
+  },
+  composed: {
+    type: 'object',
+    properties: { id: { type: 'integer', minimum: 1 } },
+    required: ['id'],
+    oneOf: [
+      { properties: { a: { type: 'string' } }, required: ['a'] },
+      { properties: { b: { type: 'boolean' } }, required: ['b'] },
+    ],
+  },
+};
+
+const pool = new GeneratorPool({ minThreads: 1, maxThreads: 2 });
+
+after(() => pool.shutdown());
+
+for (const [name, schema] of Object.entries(SCHEMAS)) {
+  test(`${name} schema: inline records equal pool records`, async () => {
+    const count = config.generation.workerThreshold;
+
+    for (const seed of [1, 42, normalizeSeed('fixtures')]) {
+      const inline = await generatorService.generateBatch(schema, count, { seed });
+      const pooled = await pool.generate(schemaService.prepareSchema(schema), count, { seed });
+      assert.deepStrictEqual(inline.data, pooled.data, `seed ${seed}`);
+
+      // A window inside the job (offset not aligned to a seed block)
+      const window = await generatorService.generateBatch(schema, 40, { seed, offset: 130 });
+      assert.deepStrictEqual(window.data, pooled.data.slice(130, 170), `seed ${seed}, offset 130`);
+    }
+  });
+}
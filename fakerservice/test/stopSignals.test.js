@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Distributed stop signals - a job stopped on one instance stops on the others
+ */
+
+const { useApp } = require('./helpers');
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const config = require('../src/config');
+const { GeneratorPool } = require('../src/workers');
+const { JobAbortedError } = require('../src/errors');
+
+const SCHEMA = {
+  type: 'object',
+  properties: { id: { type: 'integer' }, name: { type: 'string' } },
+  required: ['id', 'name'],
+};
+
+// Long enough to still run when the signal arrives
+const LONG_JOB = 200000;
+
+/**
+ * In-memory stand-in for the Redis server shared by the instances: keys and
+ * pub/sub channels, behind clients with the node-redis methods the pool uses
+ * @returns {Object} { keys, client() }
+ */
+function createBroker() {
+  const keys = new Map();
+  const channels = new Map();
+
+  const client = () => ({
+    on() {},
+    async connect() {},
+    async quit() {},
+    duplicate: () => client(),
+    async get(key) {
+      return keys.get(key) ?? null;
+    },
+    async set(key, value) {
+      keys.set(key, value);
+    },
+    async publish(channel, message) {
+      for (const listener of channels.get(channel) || []) {
+        setImmediate(listener, message);
+      }
+    },
+    async subscribe(channel, listener) {
+      if (!channels.has(channel)) channels.set(channel, new Set());
+      channels.get(channel).add(listener);
+    },
+  });
+
+  return { keys, client };
+}
+
+const context = useApp();
+const broker = createBroker();
+const instances = [];
+
+/**
+ * @returns {Promise<GeneratorPool>} Pool connected to the shared broker
+ */
+async function createInstance() {
+  const pool = new GeneratorPool({ minThreads: 1, maxThreads: 1 });
+  pool.redisClient = broker.client();
+  await pool.subscribeStopSignals();
+  instances.push(pool);
+  return pool;
+}
+
+/**
+ * Connect the app to the shared broker: one more instance (its pool is shut
+ * down by app.close)
+ */
+async function connectApp() {
+  const pool = context.app.generatorPool;
+  if (pool.redisClient) return;
+  pool.redisClient = broker.client();
+  await pool.subscribeStopSignals();
+}
+
+/**
+ * Wait until the app runs a job (watches its stop signals)
+ * @param {string} jobId
+ */
+async function running(jobId) {
+  while (!context.app.generatorPool.watchedJobs.has(jobId)) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Wait for a loop to be stopped, keeping the process alive meanwhile (the
+ * stop poll timer does not)
+ * @param {AbortSignal} signal - Signal of the watched loop
+ */
+async function stopped(signal) {
+  const keepAlive = setInterval(() => {}, config.redis.stopPollInterval);
+  try {
+    await once(signal, 'abort');
+  } finally {
+    clearInterval(keepAlive);
+  }
+}
+
+let worker;
+let controller;
+
+before(async () => {
+  // Signals are logged from timers and pub/sub callbacks, in the middle of
+  // the reports the test runner reads from stdout
+  mock.method(console, 'log', () => {});
+  worker = await createInstance();
+  controller = await createInstance();
+});
+
+after(async () => {
+  await Promise.all(instances.map(pool => pool.shutdown()));
+  mock.restoreAll();
+});
+
+test('a published stop signal aborts the job on the instance running it', async () => {
+  const startTime = Date.now();
+  const job = worker.generate(SCHEMA, LONG_JOB, { jobId: 'published' });
+
+  await controller.setAbortSignal('published');
+
+  await assert.rejects(job, JobAbortedError);
+  // Delivered by the subscriber, not by the fallback poll
+  assert.ok(Date.now() - startTime < config.redis.stopPollInterval);
+  assert.strictEqual(worker.getStats().jobs.active, 0);
+});
+
+test('polling stops a job whose stop message was missed', { timeout: 5000 }, async () => {
+  const abortController = new AbortController();
+  const unwatch = worker.watchJob('missed', abortController);
+
+  // Key set without a message on the channel
+  broker.keys.set(`${config.redis.keyPrefix}stop:missed`, 'true');
+
+  await stopped(abortController.signal);
+  unwatch();
+});
+
+test('watched loops stop on a signal sent before or while they run', { timeout: 5000 }, async () => {
+  await controller.setAbortSignal('early');
+  const early = new AbortController();
+  const unwatchEarly = worker.watchJob('early', early);
+  await stopped(early.signal);
+  unwatchEarly();
+
+  const running = new AbortController();
+  const unwatchRunning = worker.watchJob('running', running);
+  await controller.setAbortSignal('running');
+  await stopped(running.signal);
+  unwatchRunning();
+
+  assert.strictEqual(worker.getStats().redis.watchedJobs, 0);
+});
+
+test('signals of other jobs are ignored', async () => {
+  const watched = new AbortController();
+  const unwatch = worker.watchJob('kept', watched);
+
+  await controller.setAbortSignal('other');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(watched.signal.aborted, false);
+  unwatch();
+});
+
+test('a stop signal from another instance ends /generate-stream with an aborted line', async () => {
+  await connectApp();
+  const response = context.app.inject({
+    method: 'POST',
+    url: '/generate-stream',
+    headers: { 'x-job-id': 'stream' },
+    payload: { schema: SCHEMA, count: LONG_JOB, chunkSize: 1000 },
+  });
+
+  await running('stream');
+  await controller.setAbortSignal('stream');
+
+  const lines = (await response).body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const aborted = lines.find(line => line.error === 'aborted');
+  const sent = lines.reduce((total, line) => total + (line.data?.length || 0), 0);
+
+  assert.ok(aborted, 'no aborted line');
+  assert.ok(aborted.completed < LONG_JOB);
+  assert.strictEqual(aborted.completed, sent);
+  assert.strictEqual(lines.at(-1).stats.totalRecords, sent);
+});
+
+test('a stop signal from another instance cancels an async job', { timeout: 10000 }, async () => {
+  await connectApp();
+  const { jobId } = (await context.post('/jobs', { schema: SCHEMA, count: LONG_JOB, chunkSize: 1000 })).json();
+
+  await running(jobId);
+  await controller.setAbortSignal(jobId);
+
+  let job;
+  do {
+    await new Promise(resolve => setTimeout(resolve, 20));
+    job = (await context.app.inject({ method: 'GET', url: `/jobs/${jobId}` })).json().job;
+  } while (['queued', 'running'].includes(job.status));
+
+  assert.strictEqual(job.status, 'cancelled');
+  assert.ok((job.progress?.completed ?? 0) < LONG_JOB, JSON.stringify(job.progress));
+});
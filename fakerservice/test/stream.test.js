@@ -0,0 +1,83 @@
+/**
+ * @fileoverview POST /generate-stream - backpressure, in-flight chunks, resume tokens
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Writable } = require('stream');
+const { streamService } = require('../src/services');
+
+const context = useApp();
+
+const SCHEMA = {
+  type: 'object',
+  properties: { id: { type: 'integer' }, name: { type: 'string', maxLength: 12 } },
+  required: ['id', 'name'],
+};
+
+/**
+ * @param {Object} payload - Request body
+ * @returns {Promise<Array<Object>>} Parsed NDJSON lines
+ */
+async function stream(payload) {
+  const response = await context.post('/generate-stream', payload);
+  assert.strictEqual(response.statusCode, 200);
+  return response.body.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+test('the writer waits for a slow destination to drain', async () => {
+  const written = [];
+  const destination = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      setTimeout(() => {
+        written.push(chunk.toString());
+        callback();
+      }, 5);
+    },
+  });
+  const writer = new streamService.NdjsonWriter(destination);
+  const line = { data: 'x'.repeat(100) };
+
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(await writer.write({ ...line, i }), true);
+    // Every line is flushed before the next one is queued
+    assert.strictEqual(destination.writableLength, 0);
+  }
+  assert.deepStrictEqual(written.map(text => JSON.parse(text).i), [0, 1, 2, 3, 4]);
+  assert.ok(writer.peakBufferedBytes > 64);
+
+  destination.destroy();
+  assert.strictEqual(await writer.write(line), false);
+});
+
+test('chunks in flight are written in order, whatever their number', async () => {
+  const request = { schema: SCHEMA, count: 3000, chunkSize: 500, seed: 8 };
+  const sequential = await stream({ ...request, maxInFlightChunks: 1 });
+  const pipelined = await stream({ ...request, maxInFlightChunks: 6 });
+
+  const chunks = sequential.filter(line => line.data);
+  assert.deepStrictEqual(chunks.map(line => line.chunk), [0, 1, 2, 3, 4, 5]);
+  assert.ok(sequential.at(-1).done);
+  assert.strictEqual(sequential.at(-1).stats.totalRecords, 3000);
+  assert.deepStrictEqual(
+    pipelined.filter(line => line.data).map(line => line.data),
+    chunks.map(line => line.data)
+  );
+});
+
+test('a resumed stream continues with the chunks it would have sent', async () => {
+  const request = { schema: SCHEMA, count: 2500, chunkSize: 500, seed: 'resume' };
+  const chunks = (await stream(request)).filter(line => line.data);
+  assert.ok(chunks.every(line => typeof line.resumeToken === 'string'));
+
+  // The consumer stopped after chunk 1, and resumes with another chunk size
+  const resumed = (await stream({ ...request, chunkSize: 1000, resumeFrom: chunks[1].resumeToken })).filter(line => line.data);
+  assert.strictEqual(resumed[0].chunk, 2);
+  assert.deepStrictEqual(resumed.flatMap(line => line.data), chunks.slice(2).flatMap(line => line.data));
+
+  const response = await context.post('/generate-stream', { ...request, count: 3000, resumeFrom: chunks[1].resumeToken });
+  assert.strictEqual(response.statusCode, 400);
+  assert.match(response.json().error.message, /different schema, count/);
+});
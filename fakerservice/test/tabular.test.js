@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Tabular output - CSV / TSV / SQL cells escaped for their format
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const context = useApp();
+
+// Separators, quotes, line breaks and backslashes in every cell kind
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { const: 'O\'Brien, "Jr"\nline2' },
+    path: { const: 'a\tb\\c' },
+    active: { const: true },
+    address: { type: 'object', properties: { city: { const: 'Hà Nội' } }, required: ['city'] },
+    tags: { const: ['x', 'y'] },
+  },
+  required: ['name', 'path', 'active', 'address', 'tags'],
+};
+
+/**
+ * @param {string} format - csv, tsv or sql
+ * @returns {Promise<Object>} /generate response of one record
+ */
+function generate(format) {
+  return context.post('/generate', { schema: SCHEMA, count: 1, format });
+}
+
+test('csv quotes cells with separators, quotes and line breaks', async () => {
+  const response = await generate('csv');
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.headers['content-type'], /^text\/csv/);
+  assert.strictEqual(response.body, [
+    'name,path,active,address.city,tags',
+    '"O\'Brien, ""Jr""\nline2",a\tb\\c,true,Hà Nội,"[""x"",""y""]"',
+    '',
+  ].join('\r\n'));
+});
+
+test('tsv escapes tabs, line breaks and backslashes', async () => {
+  const response = await generate('tsv');
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.body, [
+    'name\tpath\tactive\taddress.city\ttags',
+    'O\'Brien, "Jr"\\nline2\ta\\tb\\\\c\ttrue\tHà Nội\t["x","y"]',
+    '',
+  ].join('\n'));
+});
+
+test('sql doubles quotes in string literals', async () => {
+  const response = await generate('sql');
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(response.body, [
+    'INSERT INTO "records" ("name", "path", "active", "address.city", "tags") VALUES',
+    '(\'O\'\'Brien, "Jr"\nline2\', \'a\tb\\c\', TRUE, \'Hà Nội\', \'["x","y"]\');',
+    '',
+  ].join('\n'));
+});
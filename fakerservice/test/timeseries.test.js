@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Time-series mode - x-timestamp timelines ordered across streamed chunks
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const context = useApp();
+
+const JOB = {
+  schema: {
+    type: 'object',
+    properties: {
+      ts: {
+        type: 'string',
+        format: 'date-time',
+        'x-timestamp': {
+          start: '2026-03-01T00:00:00Z',
+          interval: '30s',
+          entityField: 'deviceId',
+          entities: 3,
+          entityPrefix: 'dev-',
+          sequenceField: 'seq',
+        },
+      },
+      deviceId: { type: 'string' },
+      seq: { type: 'integer' },
+      temperature: { type: 'number', minimum: 10, maximum: 40 },
+    },
+    required: ['ts', 'deviceId', 'seq', 'temperature'],
+  },
+  count: 600,
+  mode: 'timeseries',
+  seed: 42,
+};
+
+/**
+ * @param {Object} response - /generate-stream response
+ * @returns {Array<Object>} Records of every chunk line
+ */
+function streamedRecords(response) {
+  return response.body.split('\n').filter(Boolean)
+    .map(line => JSON.parse(line))
+    .flatMap(line => line.data || []);
+}
+
+test('records are ordered by time and each entity keeps its interval and sequence', async () => {
+  const response = await context.post('/generate-stream', { ...JOB, chunkSize: 100 });
+  const records = streamedRecords(response);
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(records.length, 600);
+
+  const times = records.map(record => Date.parse(record.ts));
+  assert.ok(times[0] >= Date.parse('2026-03-01T00:00:00Z'));
+  for (let i = 1; i < times.length; i++) {
+    assert.ok(times[i] >= times[i - 1], `record ${i} before record ${i - 1}`);
+  }
+
+  const timelines = new Map();
+  for (const record of records) {
+    timelines.set(record.deviceId, [...(timelines.get(record.deviceId) || []), record]);
+  }
+  assert.deepStrictEqual([...timelines.keys()].sort(), ['dev-001', 'dev-002', 'dev-003']);
+  for (const [deviceId, timeline] of timelines) {
+    timeline.forEach((record, i) => {
+      assert.strictEqual(record.seq, i + 1, deviceId);
+      if (i > 0) {
+        assert.strictEqual(Date.parse(record.ts) - Date.parse(timeline[i - 1].ts), 30000, deviceId);
+      }
+    });
+  }
+});
+
+test('seeded series do not depend on the chunk size', async () => {
+  const small = streamedRecords(await context.post('/generate-stream', { ...JOB, chunkSize: 100 }));
+  const large = streamedRecords(await context.post('/generate-stream', { ...JOB, chunkSize: 250, maxInFlightChunks: 3 }));
+
+  assert.deepStrictEqual(large, small);
+});
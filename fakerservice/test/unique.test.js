@@ -0,0 +1,87 @@
+/**
+ * @fileoverview x-unique / uniqueKeys - no duplicates across worker chunks and streamed chunks
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const context = useApp();
+
+// Value spaces small enough for workers to generate many duplicates of each other
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    n: { type: 'integer', minimum: 1, maximum: 20000, 'x-unique': true },
+    tenantId: { enum: ['a', 'b', 'c'] },
+    code: { type: 'integer', minimum: 1, maximum: 3000 },
+    nested: {
+      type: 'object',
+      properties: { sku: { type: 'integer', minimum: 0, maximum: 5000, 'x-unique': true } },
+      required: ['sku'],
+    },
+  },
+  required: ['n', 'tenantId', 'code', 'nested'],
+};
+
+const JOB = { schema: SCHEMA, count: 3000, seed: 4, uniqueKeys: [['tenantId', 'code']] };
+
+/**
+ * @param {Object} response - /generate-stream response
+ * @returns {Array<Object>} Records of every chunk line
+ */
+function streamedRecords(response) {
+  return response.body.split('\n').filter(Boolean)
+    .map(line => JSON.parse(line))
+    .flatMap(line => line.data || []);
+}
+
+/**
+ * @param {Array<Object>} records
+ */
+function assertUnique(records) {
+  const keys = {
+    n: record => record.n,
+    'nested.sku': record => record.nested.sku,
+    'tenantId, code': record => `${record.tenantId}/${record.code}`,
+  };
+  for (const [name, key] of Object.entries(keys)) {
+    assert.strictEqual(new Set(records.map(key)).size, records.length, `duplicate ${name}`);
+  }
+}
+
+test('worker chunks do not repeat each other\'s unique values', async () => {
+  const response = await context.post('/generate', JOB);
+  const body = response.json();
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.strictEqual(body.results.length, 3000);
+  assert.ok(body.stats.duplicatesReplaced > 0);
+  assertUnique(body.results);
+
+  // Replacements are drawn in job order: same seed, same records
+  const again = (await context.post('/generate', JOB)).json();
+  assert.deepStrictEqual(again.results, body.results);
+});
+
+test('streamed chunks do not repeat each other\'s unique values', async () => {
+  const generated = (await context.post('/generate', JOB)).json().results;
+  const small = streamedRecords(await context.post('/generate-stream', { ...JOB, chunkSize: 500 }));
+  const large = streamedRecords(await context.post('/generate-stream', { ...JOB, chunkSize: 1000, maxInFlightChunks: 4 }));
+
+  assert.strictEqual(small.length, 3000);
+  assertUnique(small);
+  assert.deepStrictEqual(large, small);
+  assert.deepStrictEqual(small, generated);
+});
+
+test('value spaces smaller than the job are rejected', async () => {
+  const response = await context.post('/generate', {
+    schema: { type: 'object', properties: { s: { enum: [1, 2, 3], 'x-unique': true } } },
+    count: 5,
+  });
+
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(response.json().error.code, 'VALIDATION_ERROR');
+  assert.match(response.json().error.message, /only 3 distinct value/);
+});
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview POST /generate-xml - filled templates: repeated element, rules, escaping
+ */
+
+const { useApp } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const context = useApp();
+
+const TEMPLATE = `<?xml version="1.0" encoding="UTF-8"?>
+<Root version="2">
+  <Nguon><Ma></Ma><Ten>fixed</Ten></Nguon>
+  <DanhSach>
+    <Muc kind="catalogue"><Ma></Ma><MoTa></MoTa></Muc>
+    <Muc kind="catalogue"><Ma></Ma><MoTa></MoTa></Muc>
+  </DanhSach>
+</Root>`;
+
+const REQUEST = {
+  template: TEMPLATE,
+  count: 7,
+  rules: {
+    'Nguon/Ma': { const: 'SRC' },
+    'Muc/Ma': { type: 'string', pattern: '^DM[0-9]{4}$' },
+    'Muc/MoTa': { const: 'a < b & "c"' },
+  },
+  seed: 12,
+};
+
+test('the repeated element is generated count times, the rest of the template kept', async () => {
+  const response = await context.post('/generate-xml', REQUEST);
+
+  assert.strictEqual(response.statusCode, 200);
+  assert.match(response.headers['content-type'], /xml/);
+  const xml = response.body;
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.match(xml, /<Root version="2">/);
+  assert.match(xml, /<Nguon>\s*<Ma>SRC<\/Ma>\s*<Ten>fixed<\/Ten>\s*<\/Nguon>/);
+
+  const items = [...xml.matchAll(/<Muc kind="catalogue">([\s\S]*?)<\/Muc>/g)].map(match => match[1]);
+  assert.strictEqual(items.length, 7);
+  for (const item of items) {
+    assert.match(item, /<Ma>DM[0-9]{4}<\/Ma>/);
+    // Generated text is escaped
+    assert.match(item, /<MoTa>a &lt; b &amp; (&quot;|")c(&quot;|")<\/MoTa>/);
+  }
+
+  const again = await context.post('/generate-xml', REQUEST);
+  assert.strictEqual(again.body, xml);
+});